@@ -0,0 +1,128 @@
+import Decimal from 'decimal.js';
+
+/**
+ * Decimal-safe amounts for the UTXO genesis generators
+ *
+ * Stake amounts are kept as bigints in the smallest unit of their chain (satoshis, drops),
+ * and prices and USD values as Decimals, so that neither large vault totals nor fractional
+ * prices lose precision. The results are rounded the way the chain modules expect them:
+ * - USD values are LegacyDec, i.e., truncated to 18 decimal places.
+ * - Vote power is the integer part of the USD value, truncated.
+ * - Oracle prices are integers in units of 10^-decimals USD, truncated.
+ */
+
+// A separate Decimal constructor, so that the settings do not leak into other users of
+// decimal.js. 80 significant digits hold any uint256 with room to spare.
+export const AmountDecimal = Decimal.clone({
+  precision: 80,
+  rounding: Decimal.ROUND_DOWN,
+  toExpNeg: -80,
+  toExpPos: 80,
+});
+
+// LegacyDec precision of the USD values in x/operator
+export const USD_DECIMALS = 18;
+
+export type AmountLike = bigint | number | string;
+
+/**
+ * Parse an amount in the smallest unit of its chain.
+ * @param value - The amount; numbers must be safe integers
+ * @param label - Used in the error message
+ * @returns The amount as a bigint
+ */
+export function parseAmount(value: AmountLike, label: string = 'amount'): bigint {
+  if (typeof value === 'bigint') {
+    if (value < 0n) {
+      throw new Error(`Invalid ${label}: ${value} is negative`);
+    }
+    return value;
+  }
+  if (typeof value === 'number') {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`Invalid ${label}: ${value} is not a non-negative safe integer`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${label}: ${value} is not a non-negative integer`);
+  }
+  return BigInt(value);
+}
+
+/**
+ * Add up amounts.
+ * @param amounts - The amounts to add up
+ * @returns The sum as a bigint
+ */
+export function sumAmounts(amounts: Iterable<AmountLike>): bigint {
+  let total = 0n;
+  for (const amount of amounts) {
+    total += parseAmount(amount);
+  }
+  return total;
+}
+
+/**
+ * Parse a USD price, e.g. from the environment.
+ * @param value - The price, preferably as a string to keep all of its digits
+ * @param label - Used in the error message
+ * @returns The price as a Decimal
+ */
+export function parsePrice(value: Decimal.Value, label: string = 'price'): Decimal {
+  let price: Decimal;
+  try {
+    price = new AmountDecimal(value);
+  } catch {
+    throw new Error(`Invalid ${label}: ${value} is not a number`);
+  }
+  if (!price.isFinite() || price.isNegative()) {
+    throw new Error(`Invalid ${label}: ${value} is not a non-negative number`);
+  }
+  return price;
+}
+
+/**
+ * Compute the USD value of an amount, truncated to the LegacyDec precision.
+ * @param amount - The amount in the smallest unit
+ * @param decimals - The decimals of the asset, e.g. 8 for BTC
+ * @param price - The USD price of one whole unit of the asset
+ * @returns The USD value
+ */
+export function toUsdValue(amount: AmountLike, decimals: number, price: Decimal.Value): Decimal {
+  return new AmountDecimal(parseAmount(amount).toString())
+    .mul(parsePrice(price))
+    .div(new AmountDecimal(10).pow(decimals))
+    .toDecimalPlaces(USD_DECIMALS, Decimal.ROUND_DOWN);
+}
+
+/**
+ * Format a USD value for the genesis file.
+ * @param usdValue - The USD value
+ * @returns The value in plain notation, without trailing zeros
+ */
+export function formatUsdValue(usdValue: Decimal): string {
+  return usdValue.toDecimalPlaces(USD_DECIMALS, Decimal.ROUND_DOWN).toFixed();
+}
+
+/**
+ * Compute the vote power of a USD value, i.e., its truncated integer part.
+ * @param usdValue - The USD value
+ * @returns The vote power
+ */
+export function toVotePower(usdValue: Decimal): bigint {
+  return BigInt(usdValue.toDecimalPlaces(0, Decimal.ROUND_DOWN).toFixed());
+}
+
+/**
+ * Scale a USD price to the integer representation of the oracle module.
+ * @param price - The USD price
+ * @param decimals - The decimals of the oracle price
+ * @returns The price in units of 10^-decimals USD, truncated
+ */
+export function toOraclePrice(price: Decimal.Value, decimals: number): string {
+  return parsePrice(price)
+    .mul(new AmountDecimal(10).pow(decimals))
+    .toDecimalPlaces(0, Decimal.ROUND_DOWN)
+    .toFixed();
+}
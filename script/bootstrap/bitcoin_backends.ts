@@ -0,0 +1,525 @@
+import fs from 'fs';
+import path from 'path';
+import axios, { AxiosInstance } from 'axios';
+import { runWithConcurrency } from './concurrency';
+
+/**
+ * Bitcoin data backends
+ *
+ * The genesis generator reads the transactions of the vault through a backend:
+ * - esplora: an Esplora REST API, e.g. blockstream.info or mempool.space;
+ * - bitcoind: the JSON-RPC of a Bitcoin Core node, through a watch-only descriptor wallet which
+ *   imports addr(<vault>), or, if opted into, through scantxoutset without any wallet;
+ * - fixture: a JSON file of transactions, for the tests and for offline reproductions.
+ *
+ * Every backend returns the transactions in the Esplora format, with their index in the block.
+ */
+
+export interface BTCTransaction {
+  txid: string;
+  vin: Array<{
+    prevout: {
+      scriptpubkey?: string;
+      scriptpubkey_address?: string;
+    };
+    scriptsig?: string;
+  }>;
+  vout: Array<{
+    scriptpubkey: string;
+    scriptpubkey_type: string;
+    scriptpubkey_address?: string;
+    value: number;
+  }>;
+  status: {
+    confirmed: boolean;
+    block_height: number;
+    block_time: number;
+    block_hash?: string;
+    txIndex?: number;
+  };
+}
+
+export interface BlockHeader {
+  hash: string;
+  height: number;
+  time: number;
+  inBestChain: boolean;
+}
+
+export interface BitcoinBackend {
+  readonly name: string;
+  // How the transactions are listed, if the backend has several ways; recorded next to the genesis
+  readonly mode?: string;
+
+  // Get the height of the chain tip
+  getCurrentHeight(): Promise<number>;
+
+  // Fetch the confirmed transactions which were sent to or from an address, with their txIndex
+  fetchAddressTransactions(address: string): Promise<BTCTransaction[]>;
+
+  // Get the hash of the block at a height of the best chain
+  getBlockHash(height: number): Promise<string>;
+
+  // Get a block by its hash, and whether it is in the best chain
+  getBlockHeader(hash: string): Promise<BlockHeader>;
+
+  // Release the connections of the backend, if any
+  close?(): Promise<void>;
+}
+
+const ESPLORA_CACHE_VERSION = 1;
+
+// The index of the vault transactions in their block, by block hash then txid. A block never
+// changes once mined, and a reorganized one has another hash, so the entries never expire.
+interface EsploraCache {
+  version: number;
+  blocks: Record<string, Record<string, number>>;
+}
+
+export interface EsploraOptions {
+  cachePath?: string; // where the cache is kept across runs; in memory only if unset
+  concurrency?: number; // block requests in flight (default: 4)
+  retries?: number; // retries of a request which failed with 429, 5xx or a network error (default: 5)
+  retryDelayMs?: number; // the first backoff, doubled after each retry (default: 1000)
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Reads an Esplora REST API. The txids of a block are fetched once for all the vault
+ * transactions in it, with a bounded number of requests in flight, and the failed requests are
+ * retried with an exponential backoff. The indexes found are cached, on disk with cachePath, so
+ * that a re-run only fetches the blocks mined since.
+ */
+export class EsploraBackend implements BitcoinBackend {
+  public readonly name = 'esplora';
+  private readonly concurrency: number;
+  private readonly retries: number;
+  private readonly retryDelayMs: number;
+  private readonly cache: EsploraCache = { version: ESPLORA_CACHE_VERSION, blocks: {} };
+  private cacheChanged = false;
+
+  constructor(
+    private readonly baseUrl: string,
+    private readonly options: EsploraOptions = {},
+    private readonly client: AxiosInstance = axios
+  ) {
+    this.concurrency = options.concurrency ?? 4;
+    this.retries = options.retries ?? 5;
+    this.retryDelayMs = options.retryDelayMs ?? 1000;
+    if (!Number.isInteger(this.concurrency) || this.concurrency <= 0) {
+      throw new Error(`Invalid Esplora concurrency ${options.concurrency}`);
+    }
+    if (!Number.isInteger(this.retries) || this.retries < 0) {
+      throw new Error(`Invalid Esplora retries ${options.retries}`);
+    }
+
+    if (options.cachePath && fs.existsSync(options.cachePath)) {
+      const cache = JSON.parse(fs.readFileSync(options.cachePath, 'utf8')) as EsploraCache;
+      if (cache.version !== ESPLORA_CACHE_VERSION) {
+        throw new Error(
+          `Unsupported cache version ${cache.version} in ${options.cachePath}, expected ${ESPLORA_CACHE_VERSION}`
+        );
+      }
+      this.cache.blocks = cache.blocks;
+    }
+  }
+
+  private async get<T>(url: string): Promise<T> {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await this.client.get(url);
+        return response.data as T;
+      } catch (error: any) {
+        const status = error.response?.status;
+        const retriable = status === undefined || status === 429 || status >= 500;
+        if (!retriable || attempt >= this.retries) {
+          throw error;
+        }
+        // rate limited APIs tell how long to wait, in seconds
+        const retryAfter = Number(error.response?.headers?.['retry-after']);
+        const delayMs = retryAfter > 0 ? retryAfter * 1000 : this.retryDelayMs * 2 ** attempt;
+        console.warn(`⚠️ ${url} failed (${status ?? error.code ?? error.message}), retrying in ${delayMs}ms`);
+        await sleep(delayMs);
+      }
+    }
+  }
+
+  // Write the cache, replacing the previous one atomically
+  private saveCache(): void {
+    if (!this.options.cachePath || !this.cacheChanged) {
+      return;
+    }
+    const tempPath = `${this.options.cachePath}.tmp`;
+    fs.mkdirSync(path.dirname(this.options.cachePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(this.cache));
+    fs.renameSync(tempPath, this.options.cachePath);
+    this.cacheChanged = false;
+  }
+
+  // Set the txIndex of confirmed transactions, fetching each block which is not cached once
+  private async indexTransactions(txs: BTCTransaction[]): Promise<void> {
+    const missing = new Map<string, string[]>(); // block hash -> txids
+    for (const tx of txs) {
+      const blockHash = tx.status.block_hash!;
+      if (this.cache.blocks[blockHash]?.[tx.txid] === undefined) {
+        missing.set(blockHash, [...(missing.get(blockHash) ?? []), tx.txid]);
+      }
+    }
+
+    await runWithConcurrency(
+      [...missing].map(([blockHash, wanted]) => async () => {
+        const txids = await this.get<string[]>(`${this.baseUrl}/api/block/${blockHash}/txids`);
+        const indexes = (this.cache.blocks[blockHash] ??= {});
+        for (const txid of wanted) {
+          const index = txids.indexOf(txid);
+          if (index === -1) {
+            throw new Error(`Transaction ${txid} not found in block ${blockHash}`);
+          }
+          indexes[txid] = index;
+        }
+        this.cacheChanged = true;
+      }),
+      this.concurrency
+    );
+
+    for (const tx of txs) {
+      tx.status.txIndex = this.cache.blocks[tx.status.block_hash!][tx.txid];
+    }
+  }
+
+  public async getCurrentHeight(): Promise<number> {
+    try {
+      return Number(await this.get(`${this.baseUrl}/api/blocks/tip/height`));
+    } catch (error) {
+      console.error('Error getting block height:', error);
+      throw error;
+    }
+  }
+
+  public async getBlockHash(height: number): Promise<string> {
+    return String(await this.get(`${this.baseUrl}/api/block-height/${height}`));
+  }
+
+  public async getBlockHeader(hash: string): Promise<BlockHeader> {
+    const block = await this.get<{ id: string; height: number; timestamp: number }>(`${this.baseUrl}/api/block/${hash}`);
+    const status = await this.get<{ in_best_chain: boolean }>(`${this.baseUrl}/api/block/${hash}/status`);
+    return { hash: block.id, height: block.height, time: block.timestamp, inBestChain: status.in_best_chain };
+  }
+
+  public async fetchAddressTransactions(address: string): Promise<BTCTransaction[]> {
+    const allTxs: BTCTransaction[] = [];
+    let lastSeenTxId: string | undefined;
+
+    try {
+      while (true) {
+        const url = lastSeenTxId
+          ? `${this.baseUrl}/api/address/${address}/txs/chain/${lastSeenTxId}`
+          : `${this.baseUrl}/api/address/${address}/txs`;
+
+        const txs = await this.get<BTCTransaction[]>(url);
+        if (txs.length === 0) break;
+
+        const confirmedTxs = txs.filter((tx) => tx.status.confirmed);
+        await this.indexTransactions(confirmedTxs);
+        allTxs.push(...confirmedTxs);
+
+        lastSeenTxId = txs[txs.length - 1].txid;
+      }
+    } catch (error) {
+      console.error('Error fetching transactions:', error);
+      throw error;
+    } finally {
+      // keep what was fetched, also for a run which failed
+      this.saveCache();
+    }
+
+    return allTxs;
+  }
+}
+
+// The output types of Bitcoin Core, by their name in Esplora
+const BITCOIND_SCRIPT_TYPES: Record<string, string> = {
+  nulldata: 'op_return',
+  pubkey: 'p2pk',
+  pubkeyhash: 'p2pkh',
+  scripthash: 'p2sh',
+  multisig: 'multisig',
+  witness_v0_keyhash: 'v0_p2wpkh',
+  witness_v0_scripthash: 'v0_p2wsh',
+  witness_v1_taproot: 'v1_p2tr',
+};
+
+interface BitcoindScriptPubKey {
+  hex: string;
+  type: string;
+  address?: string;
+}
+
+interface BitcoindTransaction {
+  txid: string;
+  vin: Array<{ coinbase?: string; scriptSig?: { hex: string }; prevout?: { scriptPubKey: BitcoindScriptPubKey } }>;
+  vout: Array<{ value: number; scriptPubKey: BitcoindScriptPubKey }>;
+}
+
+export interface BitcoindRpcOptions {
+  // http://<user>:<password>@<host>:<port>
+  url: string;
+  // The watch-only descriptor wallet of the vault
+  wallet?: string;
+  // Without a wallet, list the unspent outputs of the vault only, which misses its spent stakes
+  utxoScan?: boolean;
+}
+
+/**
+ * Reads the JSON-RPC of Bitcoin Core, 25.0 or later for the prevouts of getrawtransaction.
+ *
+ * With a wallet, the transactions of the vault are listed by listsinceblock, so the wallet must
+ * import the vault and have rescanned the chain since the bootstrap started:
+ *
+ *   bitcoin-cli createwallet vault true true
+ *   bitcoin-cli -rpcwallet=vault importdescriptors '[{"desc":"addr(<vault>)#<checksum>","timestamp":<start>}]'
+ *
+ * Without a wallet, scantxoutset finds the unspent outputs of the vault only, so the stakes which
+ * the vault has already spent are missed; the backend refuses it unless utxoScan is set. Neither
+ * needs -txindex: the transactions are read with the hash of their block.
+ */
+export class BitcoindRpcBackend implements BitcoinBackend {
+  public readonly name = 'bitcoind';
+  public readonly mode: 'wallet' | 'utxo-scan';
+  private readonly blocks: Map<string, { height: number; time: number; tx: string[] }> = new Map();
+  private requestId = 0;
+
+  constructor(
+    private readonly options: BitcoindRpcOptions,
+    private readonly client: AxiosInstance = axios
+  ) {
+    if (!options.wallet && !options.utxoScan) {
+      throw new Error(
+        'BITCOIN_RPC_WALLET not set; set BITCOIN_RPC_UTXO_SCAN=true to list the unspent outputs of the vault only, ' +
+          'which misses the stakes it has spent'
+      );
+    }
+    this.mode = options.wallet ? 'wallet' : 'utxo-scan';
+  }
+
+  private async call<T>(method: string, params: unknown[] = [], wallet?: string): Promise<T> {
+    const url = wallet
+      ? `${this.options.url.replace(/\/$/, '')}/wallet/${encodeURIComponent(wallet)}`
+      : this.options.url;
+    let data: { result: T; error: { code: number; message: string } | null };
+    try {
+      ({ data } = await this.client.post(url, { jsonrpc: '1.0', id: ++this.requestId, method, params }));
+    } catch (error: any) {
+      // bitcoind answers the failed calls with an error status and the error in the body
+      if (!error.response?.data?.error) {
+        throw error;
+      }
+      data = error.response.data;
+    }
+    if (data.error) {
+      throw new Error(`${method} failed: ${data.error.message} (code ${data.error.code})`);
+    }
+    return data.result;
+  }
+
+  private async getBlock(blockHash: string): Promise<{ height: number; time: number; tx: string[] }> {
+    if (!this.blocks.has(blockHash)) {
+      const { height, time, tx } = await this.call<{ height: number; time: number; tx: string[] }>('getblock', [
+        blockHash,
+        1,
+      ]);
+      this.blocks.set(blockHash, { height, time, tx });
+    }
+    return this.blocks.get(blockHash)!;
+  }
+
+  // The txids of the vault and the hashes of their blocks
+  private async listTransactions(address: string): Promise<Map<string, string>> {
+    const located = new Map<string, string>();
+    if (this.options.wallet) {
+      const { transactions } = await this.call<{
+        transactions: Array<{ txid: string; blockhash?: string; confirmations: number }>;
+      }>('listsinceblock', [], this.options.wallet);
+      for (const { txid, blockhash, confirmations } of transactions) {
+        if (confirmations > 0 && blockhash) {
+          located.set(txid, blockhash);
+        }
+      }
+      return located;
+    }
+
+    console.warn(`⚠️ No wallet, listing the unspent outputs of ${address} only: the stakes it has spent are missed`);
+    const { success, unspents } = await this.call<{
+      success: boolean;
+      unspents: Array<{ txid: string; height: number }>;
+    }>('scantxoutset', ['start', [`addr(${address})`]]);
+    if (!success) {
+      throw new Error(`scantxoutset of ${address} did not complete`);
+    }
+    const hashes = new Map<number, string>();
+    for (const { txid, height } of unspents) {
+      if (!hashes.has(height)) {
+        hashes.set(height, await this.call<string>('getblockhash', [height]));
+      }
+      located.set(txid, hashes.get(height)!);
+    }
+    return located;
+  }
+
+  public async getCurrentHeight(): Promise<number> {
+    return this.call<number>('getblockcount');
+  }
+
+  public async getBlockHash(height: number): Promise<string> {
+    return this.call<string>('getblockhash', [height]);
+  }
+
+  public async getBlockHeader(hash: string): Promise<BlockHeader> {
+    const header = await this.call<{ hash: string; height: number; time: number; confirmations: number }>(
+      'getblockheader',
+      [hash]
+    );
+    // the blocks out of the best chain have -1 confirmations
+    return { hash: header.hash, height: header.height, time: header.time, inBestChain: header.confirmations >= 0 };
+  }
+
+  public async fetchAddressTransactions(address: string): Promise<BTCTransaction[]> {
+    const transactions: BTCTransaction[] = [];
+    for (const [txid, blockHash] of await this.listTransactions(address)) {
+      const block = await this.getBlock(blockHash);
+      const index = block.tx.indexOf(txid);
+      if (index === -1) {
+        throw new Error(`Transaction ${txid} not found in block ${blockHash}`);
+      }
+      const tx = await this.call<BitcoindTransaction>('getrawtransaction', [txid, 2, blockHash]);
+      transactions.push(convertBitcoindTransaction(tx, { height: block.height, time: block.time, hash: blockHash, index }));
+    }
+    return transactions;
+  }
+}
+
+/**
+ * Convert a transaction of Bitcoin Core to the Esplora format.
+ * @param tx - The transaction, from getrawtransaction with verbosity 2
+ * @param block - Its block and its index in it
+ * @returns The transaction
+ */
+export function convertBitcoindTransaction(
+  tx: BitcoindTransaction,
+  block: { height: number; time: number; hash: string; index: number }
+): BTCTransaction {
+  return {
+    txid: tx.txid,
+    // the coinbase has no prevout
+    vin: tx.vin.map((input) => ({
+      prevout: input.prevout
+        ? { scriptpubkey: input.prevout.scriptPubKey.hex, scriptpubkey_address: input.prevout.scriptPubKey.address }
+        : {},
+      scriptsig: input.scriptSig?.hex,
+    })),
+    vout: tx.vout.map((output) => ({
+      scriptpubkey: output.scriptPubKey.hex,
+      scriptpubkey_type: BITCOIND_SCRIPT_TYPES[output.scriptPubKey.type] ?? output.scriptPubKey.type,
+      scriptpubkey_address: output.scriptPubKey.address,
+      // in BTC with 8 decimals, which a double holds exactly up to the 21M BTC supply
+      value: Math.round(output.value * 1e8),
+    })),
+    status: {
+      confirmed: true,
+      block_height: block.height,
+      block_time: block.time,
+      block_hash: block.hash,
+      txIndex: block.index,
+    },
+  };
+}
+
+export interface BitcoinFixture {
+  height: number;
+  transactions: BTCTransaction[];
+  blocks?: Array<{ hash: string; height: number; time: number }>; // of the best chain, for the cutoff
+}
+
+/**
+ * Serves the transactions of a fixture, which holds the transactions of the vault in the
+ * Esplora format with their txIndex, and the height of the tip: { height, transactions }. The
+ * blocks the genesis may be pinned to are listed in "blocks".
+ */
+export class FixtureBackend implements BitcoinBackend {
+  public readonly name = 'fixture';
+  private readonly fixture: BitcoinFixture;
+
+  constructor(fixture: string | BitcoinFixture) {
+    this.fixture = typeof fixture === 'string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+    if (!Number.isInteger(this.fixture.height) || !Array.isArray(this.fixture.transactions)) {
+      throw new Error('Invalid Bitcoin fixture, expected { height, transactions }');
+    }
+  }
+
+  public async getCurrentHeight(): Promise<number> {
+    return this.fixture.height;
+  }
+
+  public async getBlockHash(height: number): Promise<string> {
+    const block = this.fixture.blocks?.find((block) => block.height === height);
+    if (!block) {
+      throw new Error(`Block ${height} is not in the fixture`);
+    }
+    return block.hash;
+  }
+
+  public async getBlockHeader(hash: string): Promise<BlockHeader> {
+    const block = this.fixture.blocks?.find((block) => block.hash === hash);
+    if (!block) {
+      throw new Error(`Block ${hash} is not in the fixture`);
+    }
+    return { ...block, inBestChain: true };
+  }
+
+  public async fetchAddressTransactions(): Promise<BTCTransaction[]> {
+    const confirmed = this.fixture.transactions.filter((tx) => tx.status.confirmed);
+    for (const tx of confirmed) {
+      if (!Number.isInteger(tx.status.txIndex)) {
+        throw new Error(`Transaction ${tx.txid} of the fixture has no txIndex`);
+      }
+    }
+    // copies, as the generator may annotate them
+    return JSON.parse(JSON.stringify(confirmed));
+  }
+}
+
+export interface BitcoinBackendConfig {
+  backend: string; // esplora, bitcoind or fixture
+  esploraBaseUrl?: string;
+  esplora?: EsploraOptions;
+  rpcUrl?: string;
+  rpcWallet?: string;
+  rpcUtxoScan?: boolean;
+  fixturePath?: string;
+}
+
+/**
+ * Create the backend of a config.
+ * @param backendConfig - The backend and its settings
+ * @returns The backend
+ */
+export function createBitcoinBackend(backendConfig: BitcoinBackendConfig): BitcoinBackend {
+  switch (backendConfig.backend) {
+    case 'esplora':
+      if (!backendConfig.esploraBaseUrl) throw new Error('BITCOIN_ESPLORA_API_URL not set');
+      return new EsploraBackend(backendConfig.esploraBaseUrl, backendConfig.esplora);
+    case 'bitcoind':
+      if (!backendConfig.rpcUrl) throw new Error('BITCOIN_RPC_URL not set');
+      return new BitcoindRpcBackend({
+        url: backendConfig.rpcUrl,
+        wallet: backendConfig.rpcWallet || undefined,
+        utxoScan: backendConfig.rpcUtxoScan,
+      });
+    case 'fixture':
+      if (!backendConfig.fixturePath) throw new Error('BITCOIN_FIXTURE_PATH not set');
+      return new FixtureBackend(backendConfig.fixturePath);
+    default:
+      throw new Error(`Unknown BITCOIN_BACKEND ${backendConfig.backend}, expected esplora, bitcoind or fixture`);
+  }
+}
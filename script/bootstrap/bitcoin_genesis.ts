@@ -1,165 +1,251 @@
-import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
 import { ethers } from 'ethers';
 import { fromBech32, fromHex, toBech32 } from '@cosmjs/encoding';
-import { address as addressUtils, networks } from 'bitcoinjs-lib';
+import { address as addressUtils, networks, Network } from 'bitcoinjs-lib';
 import config from './config';
+import { parseAmount } from './amounts';
+import { PriceProvider, createPriceProvider } from './prices';
 import bootstrapAbi from '../../out/Bootstrap.sol/Bootstrap.json';
 import { BTC_CONFIG, CHAIN_CONFIG } from './config';
+import { GenesisState } from './types';
+import { BTCTransaction, BitcoinBackend, EsploraBackend, createBitcoinBackend } from './bitcoin_backends';
+import { StakePayload, decodeStakeScript } from './op_return';
 import {
-  GenesisState,
-  AppState,
-  AssetsState,
-  DelegationState,
-  OperatorState,
-  OperatorAssetUsdValue,
-  DogfoodState,
-  Validator,
-  OracleState,
-  ClientChain,
-  Token,
-  BootstrapEntry,
-} from './types';
-
-export interface BootstrapStake {
-  txid: string;
-  blockHeight: number;
-  txIndex: number;
-  bitcoinAddress: string; // Bitcoin sender address (20 bytes hash)
-  stakerAddress: string; // Imuachain address from OP_RETURN
-  imuachainAddress: string;
-  validatorAddress: string;
-  amount: number;
-  timestamp: number;
+  BootstrapStake,
+  ChainCutoff,
+  CutoffSpec,
+  ParsedStake,
+  TxPosition,
+  UTXOChainSpec,
+  UTXOGenesisGenerator,
+  generateUTXOGenesisState,
+  exportUTXOBootstrapData,
+  generateUTXOBootstrapGenesis,
+} from './utxo_genesis';
+
+export type { BootstrapStake };
+
+export const BITCOIN_GENESIS_SPEC: UTXOChainSpec = {
+  chain: CHAIN_CONFIG,
+  token: BTC_CONFIG,
+  gatewayAddress: '0x0000000000000000000000000000000000000901', // UTXO Gateway address
+  oracle: {
+    tokenId: '4', // BTC token ID in oracle system
+    chainName: 'Bitcoin',
+    chainDesc: 'Bitcoin blockchain',
+    decimals: BTC_CONFIG.DECIMALS,
+  },
+  price: { price: config.btcPriceUsd, source: 'BTC_PRICE_USD' },
+  bootstrapDataFile: 'btc_bootstrap_data.json',
+  outputPathEnv: 'BTC_GENESIS_OUTPUT_PATH',
+};
+
+// Address handling of a chain of the Bitcoin family, e.g. Bitcoin, Litecoin or Dogecoin
+export interface ScriptChainParams {
+  name: string;
+  // bitcoinjs-lib network params; if set, the vault address is checked against them, and
+  // addresses are encoded from the output scripts instead of being taken from the API
+  network?: Network;
+  // base58 addresses are case sensitive, bech32 addresses are compared in lowercase
+  caseSensitiveAddresses: boolean;
+}
+
+export const BITCOIN_CHAIN_PARAMS: ScriptChainParams = {
+  name: 'Bitcoin',
+  caseSensitiveAddresses: false,
+};
+
+/**
+ * How the sender of a stake is found among the inputs:
+ * - first-input: the address of the first input, as in docs/bitcoin-bootstrap-tx-format-spec.md;
+ * - strict: all the inputs must spend from the same address, so that the stakes of transactions
+ *   funded by several parties, e.g. coinjoins, are rejected instead of credited to one of them.
+ */
+export type SenderPolicy = 'first-input' | 'strict';
+
+export const SENDER_POLICIES: SenderPolicy[] = ['first-input', 'strict'];
+
+// The scripts a sender may spend from; the withdrawals of the gateway pay back to the same one
+export type SenderScriptType = 'p2pkh' | 'p2sh' | 'p2sh-p2wpkh' | 'p2wpkh' | 'p2wsh' | 'p2tr';
+
+/**
+ * Classify the script an input spends from.
+ * @param scriptPubKey - The output script of its prevout, in hex
+ * @param scriptSig - Its script sig in hex, which tells a nested P2WPKH from another P2SH
+ * @returns The script type, null if the script is not supported
+ */
+export function classifyInputScript(scriptPubKey: string, scriptSig?: string): SenderScriptType | null {
+  const script = scriptPubKey.toLowerCase();
+  if (/^76a914[0-9a-f]{40}88ac$/.test(script)) {
+    return 'p2pkh';
+  }
+  if (/^a914[0-9a-f]{40}87$/.test(script)) {
+    // the script sig of P2SH-P2WPKH only pushes the redeem script OP_0 <20 bytes>
+    return scriptSig && /^160014[0-9a-f]{40}$/i.test(scriptSig) ? 'p2sh-p2wpkh' : 'p2sh';
+  }
+  if (/^0014[0-9a-f]{40}$/.test(script)) {
+    return 'p2wpkh';
+  }
+  if (/^0020[0-9a-f]{64}$/.test(script)) {
+    return 'p2wsh';
+  }
+  if (/^5120[0-9a-f]{64}$/.test(script)) {
+    return 'p2tr';
+  }
+  return null;
 }
 
+/**
+ * Normalize an address for comparison: bech32 and bech32m addresses are not case sensitive, so
+ * they are lowercased, while base58 addresses are kept as they are.
+ * @param address - The address
+ * @param caseSensitive - Whether all the addresses of the chain are kept as they are
+ * @returns The address
+ */
+function normalizeAddress(address: string, caseSensitive: boolean): string {
+  if (caseSensitive) {
+    return address;
+  }
+  try {
+    addressUtils.fromBech32(address);
+    return address.toLowerCase();
+  } catch {
+    return address;
+  }
+}
 
 interface OpReturnData {
+  version: number;
   imuachainAddressHex: string;
   validatorAddress: string;
+  memo?: string;
 }
 
-interface BTCTransaction {
-  txid: string;
-  vin: Array<{
-    prevout: {
-      scriptpubkey_address: string;
-    };
-  }>;
-  vout: Array<{
-    scriptpubkey: string;
-    scriptpubkey_type: string;
-    scriptpubkey_address?: string;
-    value: number;
-  }>;
-  status: {
-    confirmed: boolean;
-    block_height: number;
-    block_time: number;
-    txIndex?: number;
-  };
-}
-
-export class GenesisGenerator {
-  private readonly vaultAddress: string;
-  private readonly baseUrl: string;
-  private readonly minConfirmations: number;
-  private readonly minAmount: number; // in satoshis
-  private readonly bootstrapContract: ethers.Contract;
-  private addressMappings: Map<string, string> = new Map(); // bitcoin -> imuachain
-  private reverseMappings: Map<string, string> = new Map(); // imuachain -> bitcoin (for bidirectional 1-1 binding)
-  private validatorInfoCache: Map<string, any> = new Map(); // validator address -> validator info
+export class GenesisGenerator extends UTXOGenesisGenerator<BTCTransaction> {
+  private readonly backend: BitcoinBackend;
+  private readonly chainParams: ScriptChainParams;
+  private senderPolicy: SenderPolicy = 'first-input';
 
   constructor(
     vaultAddress: string,
-    baseUrl: string,
+    backend: string | BitcoinBackend, // the base URL of an Esplora API, or a backend
     bootstrapContract: ethers.Contract,
     minConfirmations: number = 6,
-    minAmount: number = 1000000
+    minAmount: number = 1000000,
+    chainParams: ScriptChainParams = BITCOIN_CHAIN_PARAMS
   ) {
-    this.vaultAddress = vaultAddress.toLowerCase();
-    this.baseUrl = baseUrl;
-    this.bootstrapContract = bootstrapContract;
-    this.minConfirmations = minConfirmations;
-    this.minAmount = minAmount;
-  }
-
-  private async getTxIndexInBlock(txid: string): Promise<number> {
-    try {
-      const txResponse = await axios.get(`${this.baseUrl}/api/tx/${txid}`);
-      const blockHash = txResponse.data.status.block_hash;
-
-      const blockResponse = await axios.get(`${this.baseUrl}/api/block/${blockHash}/txids`);
-      const txids = blockResponse.data;
+    super(
+      normalizeAddress(vaultAddress, chainParams.caseSensitiveAddresses),
+      bootstrapContract,
+      minConfirmations,
+      minAmount
+    );
+    this.backend = typeof backend === 'string' ? new EsploraBackend(backend) : backend;
+    this.chainParams = chainParams;
 
-      const index = txids.indexOf(txid);
-      if (index === -1) {
-        throw new Error(`Transaction ${txid} not found in block ${blockHash}`);
+    if (chainParams.network) {
+      try {
+        addressUtils.toOutputScript(vaultAddress, chainParams.network);
+      } catch {
+        throw new Error(`Invalid ${chainParams.name} vault address: ${vaultAddress}`);
       }
+    }
+  }
 
-      return index;
-    } catch (error) {
-      console.error(`Error getting tx index for ${txid}:`, error);
-      throw error;
+  /**
+   * Set how the sender of a stake is found among the inputs.
+   * @param policy - first-input (the default) or strict
+   */
+  public setSenderPolicy(policy: string): void {
+    if (!SENDER_POLICIES.includes(policy as SenderPolicy)) {
+      throw new Error(`Unknown sender policy ${policy}, expected ${SENDER_POLICIES.join(' or ')}`);
     }
+    this.senderPolicy = policy as SenderPolicy;
   }
 
-  private async getBlockHeight(): Promise<number> {
-    try {
-      const response = await axios.get(`${this.baseUrl}/api/blocks/tip/height`);
-      return response.data;
-    } catch (error) {
-      console.error('Error getting block height:', error);
-      throw error;
+  /**
+   * Get the address an output pays to, normalized for comparison
+   */
+  private getOutputAddress(output: { scriptpubkey?: string; scriptpubkey_address?: string }): string | undefined {
+    let address = output.scriptpubkey_address;
+    const network = this.chainParams.network;
+    if (network && output.scriptpubkey) {
+      const script = Buffer.from(output.scriptpubkey, 'hex');
+      try {
+        // bitcoinjs-lib needs an ECC library for taproot outputs, their witness program is encoded as is
+        address =
+          classifyInputScript(output.scriptpubkey) === 'p2tr'
+            ? addressUtils.toBech32(script.subarray(2), 1, network.bech32)
+            : addressUtils.fromOutputScript(script, network);
+      } catch {
+        // not a standard output script, keep the address of the API if any
+      }
+    }
+    if (address === undefined) {
+      return undefined;
     }
+    return normalizeAddress(address, this.chainParams.caseSensitiveAddresses);
   }
 
-  private async getConfirmedTransactions(): Promise<BTCTransaction[]> {
-    let allTxs: BTCTransaction[] = [];
-    let lastSeenTxId: string | undefined;
+  /**
+   * Find the sender of a stake with the sender policy.
+   * @param tx - The transaction
+   * @returns The address and the script type of the sender, null if there is none or it is ambiguous
+   */
+  private attributeSender(tx: BTCTransaction): { address: string; scriptType: SenderScriptType } | null {
+    const [first, ...others] = tx.vin;
+    const address = this.getOutputAddress(first.prevout);
+    if (!address) {
+      console.log(`Unknown sender address in tx ${tx.txid}`);
+      return null;
+    }
+    const scriptType = first.prevout.scriptpubkey
+      ? classifyInputScript(first.prevout.scriptpubkey, first.scriptsig)
+      : null;
+    if (!scriptType) {
+      console.log(`Unsupported sender script in tx ${tx.txid}`);
+      return null;
+    }
+    if (this.senderPolicy === 'strict' && others.some((input) => this.getOutputAddress(input.prevout) !== address)) {
+      console.log(`Ambiguous sender in tx ${tx.txid}: its inputs spend from several addresses`);
+      return null;
+    }
+    return { address, scriptType };
+  }
 
-    while (true) {
-      const url = lastSeenTxId
-        ? `${this.baseUrl}/api/address/${this.vaultAddress}/txs/chain/${lastSeenTxId}`
-        : `${this.baseUrl}/api/address/${this.vaultAddress}/txs`;
+  public getSource(): { backend: string; mode?: string } {
+    return { backend: this.backend.name, mode: this.backend.mode };
+  }
 
-      try {
-        const response = await axios.get(url);
-        const txs = response.data as BTCTransaction[];
+  protected async getCurrentHeight(): Promise<number> {
+    return this.backend.getCurrentHeight();
+  }
 
-        if (txs.length === 0) break;
+  protected async fetchTransactions(): Promise<BTCTransaction[]> {
+    return this.backend.fetchAddressTransactions(this.vaultAddress);
+  }
 
-        const confirmedTxs = txs.filter((tx) => tx.status.confirmed);
-        for (const tx of confirmedTxs) {
-          tx.status.txIndex = await this.getTxIndexInBlock(tx.txid);
-          allTxs.push(tx);
-        }
+  protected async close(): Promise<void> {
+    await this.backend.close?.();
+  }
 
-        lastSeenTxId = txs[txs.length - 1].txid;
-      } catch (error) {
-        console.error('Error fetching transactions:', error);
-        throw error;
-      }
+  protected async resolveCutoff(spec: CutoffSpec): Promise<ChainCutoff> {
+    const hash = spec.hash ?? (await this.backend.getBlockHash(spec.height!));
+    const block = await this.backend.getBlockHeader(hash);
+    if (!block.inBestChain) {
+      throw new Error(`The cutoff block ${hash} is not in the best chain`);
     }
-
-    return allTxs;
+    if (spec.height !== undefined && block.height !== spec.height) {
+      throw new Error(`The cutoff block ${hash} is at height ${block.height}, not ${spec.height}`);
+    }
+    return { height: block.height, hash: block.hash, time: block.time };
   }
 
-  private async isValidatorRegistered(validatorAddr: string): Promise<boolean> {
-    try {
-      // Check if we already have cached info for this validator
-      if (!this.validatorInfoCache.has(validatorAddr)) {
-        const validatorInfo = await this.bootstrapContract.validators(validatorAddr);
-        this.validatorInfoCache.set(validatorAddr, validatorInfo);
-      }
+  protected getTxId(tx: BTCTransaction): string {
+    return tx.txid;
+  }
 
-      const validatorInfo = this.validatorInfoCache.get(validatorAddr);
-      return validatorInfo && validatorInfo.name && validatorInfo.name.length > 0;
-    } catch (error) {
-      console.error(`Error checking validator registration for ${validatorAddr}:`, error);
-      return false;
-    }
+  protected getPosition(tx: BTCTransaction): TxPosition {
+    return { height: tx.status.block_height, index: tx.status.txIndex || 0 };
   }
 
   /**
@@ -207,32 +293,38 @@ export class GenesisGenerator {
 
   /**
    * Parse and validate OP_RETURN data from Bitcoin transaction output
-   * Format: 6a3d{20 bytes imuachain}{41 bytes validator}
+   * Format: v0 6a3d{20 bytes imuachain}{41 bytes validator}, or a v1 payload (see op_return.js)
    * ✅ ICB-01 Fix: Enhanced address validation
    */
   private parseOpReturnData(scriptPubKey: string, txid?: string): OpReturnData | null {
-    // Validate OP_RETURN format
-    if (!scriptPubKey.startsWith('6a3d')) {
+    let payload: StakePayload;
+    try {
+      payload = decodeStakeScript(scriptPubKey);
+    } catch (error) {
       if (txid) {
-        console.log(`Invalid OP_RETURN prefix in tx ${txid}`);
+        console.log(`Invalid OP_RETURN in tx ${txid}: ${(error as Error).message}`);
       }
       return null;
     }
 
-    const hexOpReturnData = scriptPubKey.slice(4);
-    if (hexOpReturnData.length !== 122) {
-      // 20 bytes + 41 bytes = 122 hex chars
+    // All the bootstrap stakes are delegated to a single validator; a split of 100% is one
+    const delegations = payload.delegations || [];
+    if (delegations.length > 1) {
       if (txid) {
-        console.log(`Invalid OP_RETURN data length in tx ${txid}`);
+        console.log(`Delegation split in tx ${txid}, which the bootstrap does not support`);
+      }
+      return null;
+    }
+    const validatorAddress = payload.validatorAddress ?? delegations[0]?.validatorAddress;
+    if (validatorAddress === undefined) {
+      if (txid) {
+        console.log(`No validator in the OP_RETURN of tx ${txid}, the bootstrap stakes must be delegated`);
       }
       return null;
     }
-
-    // Extract imuachain and validator addresses
-    const imuachainAddressHex = ('0x' + hexOpReturnData.slice(0, 40)).toLowerCase();
-    const validatorAddressHex = hexOpReturnData.slice(40);
 
     // ✅ Validate Imuachain address format
+    const imuachainAddressHex = payload.imuachainAddress.toLowerCase();
     if (!this.isValidImuachainAddress(imuachainAddressHex)) {
       if (txid) {
         console.log(`Invalid Imuachain address in tx ${txid}: ${imuachainAddressHex}`);
@@ -240,179 +332,70 @@ export class GenesisGenerator {
       return null;
     }
 
-    try {
-      // Convert validator hex to string with strict UTF-8 validation
-      const bytes = Buffer.from(validatorAddressHex, 'hex');
-      const validatorAddress = new TextDecoder('utf-8', { fatal: true }).decode(bytes);
-
-      // ✅ Enhanced validator address validation
-      if (!this.isValidValidatorAddress(validatorAddress)) {
-        if (txid) {
-          console.log(`Invalid validator address format in tx ${txid}: ${validatorAddress}`);
-        }
-        return null;
-      }
-
-      return {
-        imuachainAddressHex,
-        validatorAddress,
-      };
-    } catch (error) {
+    // ✅ Enhanced validator address validation (v1 payloads carry the bytes, which are always valid)
+    if (!this.isValidValidatorAddress(validatorAddress)) {
       if (txid) {
-        console.error(`Error decoding validator address in tx ${txid}:`, error);
+        console.log(`Invalid validator address format in tx ${txid}: ${validatorAddress}`);
       }
       return null;
     }
+
+    return {
+      version: payload.version,
+      imuachainAddressHex,
+      validatorAddress,
+      ...(payload.memo !== undefined ? { memo: payload.memo } : {}),
+    };
   }
 
-  private async isValidBootstrapTransaction(tx: BTCTransaction): Promise<boolean> {
+  protected parseStake(tx: BTCTransaction): ParsedStake | null {
     // Skip if not confirmed
     if (!tx.status.confirmed || !tx.status.block_height) {
-      return false;
+      return null;
     }
 
     // Check if it's from vault (should not be)
-    const isFromVault = tx.vin.some((input) => input.prevout.scriptpubkey_address.toLowerCase() === this.vaultAddress);
+    const isFromVault = tx.vin.some((input) => this.getOutputAddress(input.prevout) === this.vaultAddress);
     if (isFromVault) {
-      return false;
+      return null;
     }
 
     // Check vault output
     const vaultOutputs = tx.vout.filter(
-      (output) => output.scriptpubkey_address?.toLowerCase() === this.vaultAddress && output.value >= this.minAmount
+      (output) => this.getOutputAddress(output) === this.vaultAddress && output.value >= this.minAmount
     );
     if (vaultOutputs.length !== 1) {
       console.log(`Invalid number of vault outputs in tx ${tx.txid}`);
-      return false;
+      return null;
     }
 
     // Check OP_RETURN output
     const opReturnOutputs = tx.vout.filter((output) => output.scriptpubkey_type === 'op_return');
     if (opReturnOutputs.length !== 1) {
       console.log(`Invalid number of OP_RETURN outputs in tx ${tx.txid}`);
-      return false;
+      return null;
     }
 
-    const opReturnOutput = opReturnOutputs[0];
-
-    // Parse and validate OP_RETURN data using the private method
-    const opReturnData = this.parseOpReturnData(opReturnOutput.scriptpubkey, tx.txid);
+    // Parse and validate OP_RETURN data
+    const opReturnData = this.parseOpReturnData(opReturnOutputs[0].scriptpubkey, tx.txid);
     if (!opReturnData) {
-      return false;
-    }
-
-    const { imuachainAddressHex, validatorAddress } = opReturnData;
-
-    // Check if validator is registered
-    const isRegistered = await this.isValidatorRegistered(validatorAddress);
-    if (!isRegistered) {
-      console.log(`Validator ${validatorAddress} not registered in tx ${tx.txid}`);
-      return false;
-    }
-
-    // Normalize Bitcoin address to lowercase for consistent comparison (imuachainAddressHex is already lowercase)
-    const senderAddress = tx.vin[0].prevout.scriptpubkey_address.toLowerCase();
-
-    // Enforce reverse mapping uniqueness: disallow different Bitcoin senders binding to the same imuachain address
-    if (this.reverseMappings.has(imuachainAddressHex)) {
-      const existingBitcoinAddress = this.reverseMappings.get(imuachainAddressHex);
-      if (existingBitcoinAddress !== senderAddress) {
-        console.log(
-          `Rejecting tx ${tx.txid}: Imuachain address ${imuachainAddressHex} already bound to different Bitcoin address (${existingBitcoinAddress} vs ${senderAddress})`
-        );
-        return false;
-      }
-    }
-
-    // Establish or preserve mappings:
-    // - Forward mapping (Bitcoin -> Imuachain): keep the FIRST imuachain address as the final staker address
-    // - Reverse mapping (Imuachain -> Bitcoin): record every seen imuachain to enforce global uniqueness across senders
-    if (!this.addressMappings.has(senderAddress)) {
-      this.addressMappings.set(senderAddress, imuachainAddressHex);
-      console.log(`Recorded initial staker binding: ${senderAddress} -> ${imuachainAddressHex} in tx ${tx.txid}`);
-    }
-    if (!this.reverseMappings.has(imuachainAddressHex)) {
-      this.reverseMappings.set(imuachainAddressHex, senderAddress);
-    }
-
-    return true;
-  }
-
-  public async generateGenesisStakes(): Promise<BootstrapStake[]> {
-    console.log(`Fetching transactions for vault address ${this.vaultAddress}...`);
-    const transactions = await this.getConfirmedTransactions();
-
-    const currentHeight = await this.getBlockHeight();
-    console.log(`Found ${transactions.length} transactions, current block height: ${currentHeight}`);
-
-    // Sort transactions first to ensure earliest transactions are processed first
-    const sortedTxs = transactions.sort((a, b) => {
-      if (a.status.block_height !== b.status.block_height) {
-        return a.status.block_height - b.status.block_height;
-      }
-      return (a.status.txIndex || 0) - (b.status.txIndex || 0);
-    });
-
-    // Process transactions sequentially to preserve earliest address mappings
-    const validTxs: { tx: BTCTransaction; isValid: boolean }[] = [];
-    for (const tx of sortedTxs) {
-      const isValid = await this.isValidBootstrapTransaction(tx);
-      validTxs.push({ tx, isValid });
+      return null;
     }
 
-    const filteredTxs = validTxs
-      .filter(
-        ({ tx, isValid }) =>
-          isValid && tx.status.block_height <= currentHeight && currentHeight - tx.status.block_height + 1 >= this.minConfirmations
-      )
-      .map(({ tx }) => tx);
-
-    console.log(`Found ${filteredTxs.length} valid transactions with ${this.minConfirmations}+ confirmations.`);
-
-    // Convert to BootstrapStake objects
-    const stakes: BootstrapStake[] = [];
-    for (const tx of filteredTxs) {
-      const vaultOutput = tx.vout.find((output) => output.scriptpubkey_address?.toLowerCase() === this.vaultAddress);
-
-      const opReturnOutput = tx.vout.find((output) => output.scriptpubkey_type === 'op_return');
-
-      if (!vaultOutput || !opReturnOutput) continue;
-
-      // Parse OP_RETURN data to get validator address
-      const opReturnData = this.parseOpReturnData(opReturnOutput.scriptpubkey);
-      if (!opReturnData) continue;
-
-      const { validatorAddress } = opReturnData;
-
-      // Use the consistent imuachain address from our validated mapping
-      // This ensures we use the first (earliest) imuachain address for each Bitcoin sender
-      const senderAddress = tx.vin[0].prevout.scriptpubkey_address.toLowerCase();
-      const consistentImuachainAddress = this.addressMappings.get(senderAddress);
-
-      if (!consistentImuachainAddress) {
-        console.error(`Error: No mapping found for Bitcoin address ${senderAddress} in tx ${tx.txid}`);
-        continue;
-      }
-
-      stakes.push({
-        txid: tx.txid,
-        blockHeight: tx.status.block_height,
-        txIndex: tx.status.txIndex || 0,
-        bitcoinAddress: senderAddress, // Bitcoin sender address (normalized to lowercase)
-        stakerAddress: consistentImuachainAddress, // Imuachain address from validated mapping (ensures 1-1 binding)
-        imuachainAddress: consistentImuachainAddress,
-        validatorAddress: validatorAddress,
-        amount: vaultOutput.value,
-        timestamp: tx.status.block_time,
-      });
+    // The sender address is normalized for consistent comparison (imuachainAddressHex is already lowercase)
+    const sender = this.attributeSender(tx);
+    if (!sender) {
+      return null;
     }
 
-    return stakes;
-  }
-
-  // Get cached validator info (public method for use in genesis generation)
-  public getValidatorInfo(validatorAddr: string): any {
-    return this.validatorInfoCache.get(validatorAddr);
+    return {
+      senderAddress: sender.address,
+      senderScriptType: sender.scriptType,
+      imuachainAddress: opReturnData.imuachainAddressHex,
+      validatorAddress: opReturnData.validatorAddress,
+      amount: parseAmount(vaultOutputs[0].value, `vault output of tx ${tx.txid}`),
+      timestamp: tx.status.block_time,
+    };
   }
 
   // Public method for testing parseOpReturnData functionality
@@ -431,347 +414,16 @@ export class GenesisGenerator {
   }
 }
 
-export async function generateGenesisState(stakes: BootstrapStake[], generator?: GenesisGenerator): Promise<GenesisState> {
-  // Calculate total staked amount
-  const totalStaked = stakes.reduce((sum, stake) => sum + stake.amount, 0);
-
-  // Current timestamp
-  const genesisTime = new Date().toISOString();
-
-  // Asset ID for BTC
-  const btcAssetId = BTC_CONFIG.VIRTUAL_ADDRESS.toLowerCase() + '_0x' + CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID.toString(16);
-
-  // Group stakes by validator
-  const validatorStakes = new Map<string, BootstrapStake[]>();
-  stakes.forEach((stake) => {
-    if (!validatorStakes.has(stake.validatorAddress)) {
-      validatorStakes.set(stake.validatorAddress, []);
-    }
-    validatorStakes.get(stake.validatorAddress)!.push(stake);
-  });
-
-  // Create Bitcoin client chain
-  const bitcoinChain: ClientChain = {
-    name: CHAIN_CONFIG.NAME,
-    meta_info: CHAIN_CONFIG.META_INFO,
-    finalization_blocks: CHAIN_CONFIG.FINALIZATION_BLOCKS,
-    layer_zero_chain_id: CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID,
-    address_length: CHAIN_CONFIG.ADDRESS_LENGTH,
-  };
-
-  // Create BTC token
-  const btcToken: Token = {
-    asset_basic_info: {
-      name: BTC_CONFIG.NAME,
-      symbol: BTC_CONFIG.SYMBOL,
-      address: BTC_CONFIG.VIRTUAL_ADDRESS.toLowerCase(),
-      decimals: BTC_CONFIG.DECIMALS.toString(),
-      layer_zero_chain_id: CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID,
-      imua_chain_index: '0',
-      meta_info: BTC_CONFIG.META_INFO,
-    },
-    staking_total_amount: totalStaked.toString(),
-  };
-
-  // Group deposits by staker_id
-  const depositsByStaker = new Map<string, Map<string, number>>();
-
-  for (const stake of stakes) {
-    const stakerId = stake.stakerAddress + '_0x' + CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID.toString(16);
-
-    if (!depositsByStaker.has(stakerId)) {
-      depositsByStaker.set(stakerId, new Map<string, number>());
-    }
-
-    const stakerDeposits = depositsByStaker.get(stakerId)!;
-    const currentAmount = stakerDeposits.get(btcAssetId) || 0;
-    stakerDeposits.set(btcAssetId, currentAmount + stake.amount);
-  }
-
-  // Generate deposits array
-  const deposits = Array.from(depositsByStaker.entries()).map(([stakerId, assetMap]) => ({
-    staker: stakerId,
-    deposits: Array.from(assetMap.entries()).map(([assetId, amount]) => ({
-      asset_id: assetId,
-      info: {
-        total_deposit_amount: amount.toString(),
-        withdrawable_amount: '0', // All stakes must be delegated
-        pending_undelegation_amount: '0',
-      },
-    })),
-  }));
-
-  // Generate assets state
-  const assetsState: AssetsState = {
-    params: {
-      gateways: [
-        '0x0000000000000000000000000000000000000901', // UTXO Gateway address
-      ],
-    },
-    client_chains: [bitcoinChain],
-    tokens: [btcToken],
-    deposits: deposits,
-    operator_assets: [],
-  };
-
-  // Generate operator assets
-  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
-    const totalAmount = validatorStakeList.reduce((sum, stake) => sum + stake.amount, 0);
-
-    assetsState.operator_assets.push({
-      operator: validator,
-      assets_state: [
-        {
-          asset_id: btcAssetId,
-          info: {
-            total_amount: totalAmount.toString(),
-            pending_undelegation_amount: '0',
-            total_share: totalAmount.toString(),
-            operator_share: '0', // Operators don't have their own stake in bootstrap
-          },
-        },
-      ],
-    });
-  }
-
-  // Generate delegation state - skip associations as they don't exist for Bitcoin
-  const delegationState: DelegationState = {
-    associations: [], // No associations for Bitcoin
-    delegation_states: [],
-    stakers_by_operator: [],
-  };
-
-  // Map to collect stakers by operator
-  const stakersByOperator = new Map<string, Set<string>>();
-
-  for (const stake of stakes) {
-    const stakerId = stake.stakerAddress + '_0x' + CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID.toString(16);
-
-    // Add delegation state
-    const key = `${stakerId}/${btcAssetId}/${stake.validatorAddress}`;
-
-    // Check if the key already exist, if exist, then add up the amount, otherwise create a new entry
-    const existingState = delegationState.delegation_states.find((state) => state.key === key);
-    if (existingState) {
-      existingState.states.undelegatable_share = (BigInt(existingState.states.undelegatable_share) + BigInt(stake.amount)).toString();
-    } else {
-      // Create new delegation state entry
-      delegationState.delegation_states.push({
-        key: key,
-        states: {
-          undelegatable_share: stake.amount.toString(),
-          wait_undelegation_amount: '0',
-        },
-      });
-    }
-
-    // Collect stakers by operator
-    const mapKey = `${stake.validatorAddress}/${btcAssetId}`;
-    if (!stakersByOperator.has(mapKey)) {
-      stakersByOperator.set(mapKey, new Set());
-    }
-    stakersByOperator.get(mapKey)!.add(stakerId);
-  }
-
-  // Convert stakers by operator map to array
-  for (const [key, stakers] of stakersByOperator.entries()) {
-    delegationState.stakers_by_operator.push({
-      key: key,
-      stakers: Array.from(stakers),
-    });
-  }
-
-  // Sort arrays for deterministic output
-  delegationState.delegation_states.sort((a, b) => a.key.localeCompare(b.key));
-  delegationState.stakers_by_operator.sort((a, b) => a.key.localeCompare(b.key));
-
-  // Calculate validator power based on stake and BTC price
-  let validators: Validator[] = [];
-  let totalPower = 0;
-
-  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
-    const totalStake = validatorStakeList.reduce((sum, stake) => sum + stake.amount, 0);
-    // Calculate power: totalStake (Satoshi) * btcPriceUsd / 100000000 = USD value
-    // USD value is the power, avoid precision loss by doing multiplication first
-    const usdValueSatoshi = totalStake * config.btcPriceUsd; // USD value in Satoshi scale
-    const power = Math.floor(usdValueSatoshi / 100000000); // Convert from Satoshi scale to BTC scale (USD)
-
-    // Get cached validator info to retrieve consensus public key
-    let publicKey = validator; // fallback to validator address
-    if (generator) {
-      const validatorInfo = generator.getValidatorInfo(validator);
-      if (validatorInfo && validatorInfo.consensusPublicKey) {
-        publicKey = validatorInfo.consensusPublicKey;
-      } else {
-        console.warn(`No consensus public key found for validator ${validator}, using validator address`);
-      }
-    }
-
-    validators.push({
-      power: power.toString(),
-      public_key: publicKey,
-    });
-
-    totalPower += power;
-  }
-
-  // Sort validators by power (descending)
-  validators.sort((a, b) => {
-    const powerA = BigInt(a.power);
-    const powerB = BigInt(b.power);
-    if (powerA === powerB) {
-      return a.public_key.localeCompare(b.public_key);
-    }
-    return powerB > powerA ? 1 : -1;
-  });
-
-  // Limit to max validators
-  validators = validators.slice(0, config.maxValidators);
-
-  // Recalculate total power after limiting validators
-  totalPower = validators.reduce((sum, validator) => sum + parseInt(validator.power), 0);
-
-  // Generate operator state
-  const operatorAssetUsdValues: OperatorAssetUsdValue[] = [];
-  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
-    const totalStake = validatorStakeList.reduce((sum, stake) => sum + stake.amount, 0);
-    // Calculate USD value: totalStake (Satoshi) * btcPriceUsd / 100000000 = USD value
-    const usdValueSatoshi = totalStake * config.btcPriceUsd; // USD value in Satoshi scale
-    const usdValue = Math.floor(usdValueSatoshi / 100000000); // Convert from Satoshi scale to BTC scale (USD)
-
-    // epoch=day :epoch/validator/asset_id
-    const key = `day/${validator}/${btcAssetId}`;
-    operatorAssetUsdValues.push({
-      key: key,
-      value: {
-        amount: usdValue.toString(),
-      },
-    });
-  }
-
-  const operatorState: OperatorState = {
-    operator_asset_usd_values: operatorAssetUsdValues,
-  };
-
-  // Generate dogfood state
-  const dogfoodState: DogfoodState = {
-    params: {
-      asset_ids: [btcAssetId],
-      max_validators: config.maxValidators,
-    },
-    val_set: validators,
-    last_total_power: totalPower.toString(),
-  };
-
-  // Generate oracle state
-  const oracleTokenId = '4'; // BTC token ID in oracle system
-  const currentBtcPriceWithDecimals = Math.floor(config.btcPriceUsd * Math.pow(10, BTC_CONFIG.DECIMALS)).toString(); // Convert to price with 8 decimals
-
-  const oracleState: OracleState = {
-    params: {
-      chains: [
-        {
-          name: "Bitcoin",
-          desc: "Bitcoin blockchain"
-        }
-      ],
-      tokens: [
-        {
-          name: BTC_CONFIG.SYMBOL,
-          chain_id: BTC_CONFIG.CHAIN_ID,
-          contract_address: BTC_CONFIG.VIRTUAL_ADDRESS.toLowerCase(),
-          active: true,
-          asset_id: btcAssetId,
-          decimal: BTC_CONFIG.DECIMALS,
-        },
-      ],
-      token_feeders: [
-        {
-          token_id: oracleTokenId,
-          start_round_id: '1',
-          start_base_block: '20', // Start from genesis block
-          interval: '30', // 30 blocks interval for price updates
-          end_block: '0', // 0 means no end block (perpetual)
-          rule_id: '2', // Rule ID for BTC price feed
-        },
-      ],
-    },
-    prices_list: [
-      {
-        next_round_id: '1',
-        price_list: [
-          {
-            decimal: BTC_CONFIG.DECIMALS,
-            price: currentBtcPriceWithDecimals,
-            round_id: '0', // Genesis price round
-          },
-        ],
-        token_id: oracleTokenId,
-      },
-    ],
-  };
-
-  // Combine all states into app state
-  const appState: AppState = {
-    assets: assetsState,
-    delegation: delegationState,
-    operator: operatorState,
-    dogfood: dogfoodState,
-    oracle: oracleState,
-  };
-
-  // Construct the full genesis state
-  const genesisState: GenesisState = {
-    genesis_time: genesisTime,
-    chain_id: 'imua-1',
-    initial_height: '1',
-    consensus_params: {
-      block: {
-        max_bytes: '22020096',
-        max_gas: '-1',
-      },
-      evidence: {
-        max_age_num_blocks: '100000',
-        max_age_duration: '172800000000000',
-        max_bytes: '1048576',
-      },
-      validator: {
-        pub_key_types: ['ed25519'],
-      },
-      version: {
-        app: '0',
-      },
-    },
-    app_hash: '',
-    app_state: appState,
-  };
-
-  return genesisState;
+export async function generateGenesisState(
+  stakes: BootstrapStake[],
+  generator?: GenesisGenerator,
+  priceProvider: PriceProvider = createPriceProvider()
+): Promise<GenesisState> {
+  return generateUTXOGenesisState(BITCOIN_GENESIS_SPEC, stakes, generator, priceProvider);
 }
 
 export async function exportBootstrapData(stakes: BootstrapStake[], resolvedGenesisPath?: string): Promise<void> {
-  // Convert stakes to bootstrap entries
-  const bootstrapData: BootstrapEntry[] = stakes.map((stake) => {
-    // Convert Bitcoin address string to UTF-8 bytes for the contract
-    const clientAddressBytes = ethers.hexlify(ethers.toUtf8Bytes(stake.bitcoinAddress));
-
-    return {
-      clientTxId: `0x${stake.txid}`, // Ensure 0x prefix
-      clientAddress: clientAddressBytes, // Bitcoin address as UTF-8 bytes
-      imuachainAddress: stake.imuachainAddress,
-    };
-  });
-
-  // Use project root's genesis directory
-  const genesisDir = resolvedGenesisPath
-    ? path.dirname(resolvedGenesisPath)
-    : path.join(__dirname, '../../genesis');
-  const bootstrapDataPath = path.join(genesisDir, 'btc_bootstrap_data.json');
-
-  // Ensure directory exists
-  await fs.promises.mkdir(path.dirname(bootstrapDataPath), { recursive: true });
-  await fs.promises.writeFile(bootstrapDataPath, JSON.stringify(bootstrapData, null, 2));
-  console.log(`Exported ${bootstrapData.length} bootstrap entries to ${bootstrapDataPath}`);
+  await exportUTXOBootstrapData(BITCOIN_GENESIS_SPEC, stakes, resolvedGenesisPath);
 }
 
 export async function generateBootstrapGenesis(): Promise<void> {
@@ -780,25 +432,27 @@ export async function generateBootstrapGenesis(): Promise<void> {
 
   const generator = new GenesisGenerator(
     config.btcVaultAddress,
-    config.btcEsploraBaseUrl,
+    createBitcoinBackend({
+      backend: config.btcBackend,
+      esploraBaseUrl: config.btcEsploraBaseUrl,
+      esplora: {
+        cachePath: config.btcEsploraCachePath,
+        concurrency: config.esploraConcurrency,
+        retries: config.esploraRetries,
+      },
+      rpcUrl: config.btcRpcUrl,
+      rpcWallet: config.btcRpcWallet,
+      rpcUtxoScan: config.btcRpcUtxoScan,
+      fixturePath: config.btcFixturePath,
+    }),
     bootstrapContract,
     config.minConfirmations,
     config.minAmount
   );
+  generator.setSenderPolicy(config.btcSenderPolicy);
+  if (config.btcCutoffHeight !== undefined || config.btcCutoffHash) {
+    generator.setCutoff({ height: config.btcCutoffHeight, hash: config.btcCutoffHash || undefined });
+  }
 
-  const stakes = await generator.generateGenesisStakes();
-  const genesisState = await generateGenesisState(stakes, generator);
-
-  // Use environment variable if set, otherwise fall back to config
-  const outputPath = process.env.BTC_GENESIS_OUTPUT_PATH || config.genesisOutputPath;
-  const resolvedPath = path.isAbsolute(outputPath) ? outputPath : path.resolve(outputPath);
-  await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
-
-  // Export bootstrap data for UTXOGateway (using resolved path for consistency)
-  await exportBootstrapData(stakes, resolvedPath);
-
-  // Export genesis state
-  await fs.promises.writeFile(resolvedPath, JSON.stringify(genesisState, null, 2));
-
-  console.log(`Generated genesis state with ${stakes.length} valid stakes - Written to ${resolvedPath}`);
+  await generateUTXOBootstrapGenesis(BITCOIN_GENESIS_SPEC, generator);
 }
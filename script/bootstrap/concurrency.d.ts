@@ -0,0 +1,3 @@
+// Type declarations for concurrency.js
+
+export declare function runWithConcurrency<T>(tasks: Array<() => Promise<T>>, concurrency: number): Promise<T[]>;
@@ -0,0 +1,31 @@
+/**
+ * Bounded concurrency for the generators, e.g. the Multicall3 batches of generate.mjs and the
+ * Esplora block requests of the UTXO generators.
+ */
+
+/**
+ * Run async tasks with at most `concurrency` of them in flight.
+ * @param {Array<Function>} tasks - Functions returning promises
+ * @param {number} concurrency - Maximum number of tasks in flight
+ * @returns {Promise<Array>} The results, in the order of the tasks
+ */
+async function runWithConcurrency(tasks, concurrency) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, tasks.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = {
+  runWithConcurrency,
+};
@@ -20,6 +20,16 @@ export const XRP_CONFIG = {
   META_INFO: 'XRP Ledger native token',
 };
 
+// Constants for DOGE virtual token
+export const DOGE_CONFIG = {
+  VIRTUAL_ADDRESS: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB',
+  NAME: 'Dogecoin',
+  SYMBOL: 'DOGE',
+  DECIMALS: 8,
+  CHAIN_ID: 3, // Dogecoin chain ID, ClientChainID.DOGE in UTXOGateway
+  META_INFO: 'Dogecoin virtual token',
+};
+
 export const CHAIN_CONFIG = {
   NAME: 'Bitcoin',
   META_INFO: 'Bitcoin mainnet',
@@ -35,44 +45,99 @@ export const XRP_CHAIN_CONFIG = {
   LAYER_ZERO_CHAIN_ID: 2,
   ADDRESS_LENGTH: 20,
 };
+// Dogecoin chain configuration
+export const DOGE_CHAIN_CONFIG = {
+  NAME: 'Dogecoin',
+  META_INFO: 'Dogecoin mainnet',
+  FINALIZATION_BLOCKS: 6,
+  LAYER_ZERO_CHAIN_ID: 3,
+  ADDRESS_LENGTH: 20,
+};
 
 export interface Config {
   btcVaultAddress: string;
   btcEsploraBaseUrl: string;
+  btcEsploraCachePath: string; // the block indexes of the vault transactions, kept across runs
+  btcBackend: string; // esplora, bitcoind or fixture
+  btcRpcUrl: string; // bitcoind JSON-RPC, with the credentials
+  btcRpcWallet: string; // the watch-only wallet of the vault
+  btcRpcUtxoScan: boolean; // without a wallet, scantxoutset the unspent outputs only
+  btcFixturePath: string;
+  // the block the genesis is pinned to, by height, hash or both; the tip if neither is set
+  btcCutoffHeight?: number;
+  btcCutoffHash: string;
+  btcSenderPolicy: string; // first-input or strict
   minConfirmations: number;
   minAmount: number;
   bootstrapContractAddress: string;
   rpcUrl: string;
   genesisOutputPath: string;
   maxValidators: number;
-  btcPriceUsd: number; // BTC price in USD for voting power calculation
+  btcPriceUsd: string; // BTC price in USD for voting power calculation, kept as a decimal string
+  // Esplora requests of Bitcoin and Dogecoin
+  esploraConcurrency: number;
+  esploraRetries: number;
   // XRP configuration
   xrpVaultAddress: string;
   xrpRpcUrl: string;
   xrpMinConfirmations: number;
   xrpMinAmount: number;
-  xrpPriceUsd: number; // XRP price in USD for voting power calculation
+  xrpPriceUsd: string; // XRP price in USD for voting power calculation, kept as a decimal string
+  // Dogecoin configuration
+  dogeVaultAddress: string;
+  dogeEsploraBaseUrl: string;
+  dogeEsploraCachePath: string;
+  dogeNetwork: string; // mainnet, testnet, or the network params as JSON
+  dogeCutoffHeight?: number;
+  dogeCutoffHash: string;
+  dogeSenderPolicy: string;
+  dogeMinConfirmations: number;
+  dogeMinAmount: number;
+  dogePriceUsd: string; // DOGE price in USD for voting power calculation, kept as a decimal string
 }
 
 const config: Config = {
   btcVaultAddress: process.env.BITCOIN_VAULT_ADDRESS || '',
   btcEsploraBaseUrl: process.env.BITCOIN_ESPLORA_API_URL || '',
+  btcEsploraCachePath: process.env.BITCOIN_ESPLORA_CACHE_PATH || path.join(__dirname, '../../cache/esplora-btc.json'),
+  btcBackend: process.env.BITCOIN_BACKEND || 'esplora',
+  btcRpcUrl: process.env.BITCOIN_RPC_URL || '',
+  btcRpcWallet: process.env.BITCOIN_RPC_WALLET || '',
+  btcRpcUtxoScan: process.env.BITCOIN_RPC_UTXO_SCAN === 'true',
+  btcFixturePath: process.env.BITCOIN_FIXTURE_PATH || '',
+  btcCutoffHeight: process.env.BITCOIN_CUTOFF_HEIGHT ? parseInt(process.env.BITCOIN_CUTOFF_HEIGHT) : undefined,
+  btcCutoffHash: process.env.BITCOIN_CUTOFF_HASH || '',
+  btcSenderPolicy: process.env.BITCOIN_SENDER_POLICY || 'first-input',
   minConfirmations: parseInt(process.env.MIN_CONFIRMATIONS || '6'),
   minAmount: parseInt(process.env.MIN_AMOUNT || '546'), // satoshis
   bootstrapContractAddress: process.env.BOOTSTRAP_CONTRACT_ADDRESS || '',
   rpcUrl: process.env.CLIENT_CHAIN_RPC || 'http://localhost:8545',
   genesisOutputPath: process.env.GENESIS_OUTPUT_PATH || path.join(__dirname, '../../genesis/temp_bootstrap_genesis.json'),
   maxValidators: parseInt(process.env.MAX_VALIDATORS || '100'),
-  btcPriceUsd: parseFloat(process.env.BTC_PRICE_USD || '50000'),
+  btcPriceUsd: process.env.BTC_PRICE_USD || '50000',
+  // Esplora requests of Bitcoin and Dogecoin
+  esploraConcurrency: parseInt(process.env.ESPLORA_CONCURRENCY || '4'),
+  esploraRetries: parseInt(process.env.ESPLORA_RETRIES || '5'),
   // XRP configuration
   xrpVaultAddress: process.env.XRP_VAULT_ADDRESS || '',
   xrpRpcUrl: process.env.XRP_RPC_URL || 'wss://s.altnet.rippletest.net:51233/',
   xrpMinConfirmations: parseInt(process.env.XRP_MIN_CONFIRMATIONS || '6'),
   xrpMinAmount: parseInt(process.env.XRP_MIN_AMOUNT || '50000000'), // 50 XRP in drops
-  xrpPriceUsd: parseFloat(process.env.XRP_PRICE_USD || '1.00'),
+  xrpPriceUsd: process.env.XRP_PRICE_USD || '1.00',
+  // Dogecoin configuration
+  dogeVaultAddress: process.env.DOGE_VAULT_ADDRESS || '',
+  dogeEsploraBaseUrl: process.env.DOGE_ESPLORA_API_URL || '',
+  dogeEsploraCachePath: process.env.DOGE_ESPLORA_CACHE_PATH || path.join(__dirname, '../../cache/esplora-doge.json'),
+  dogeNetwork: process.env.DOGE_NETWORK || 'mainnet',
+  dogeCutoffHeight: process.env.DOGE_CUTOFF_HEIGHT ? parseInt(process.env.DOGE_CUTOFF_HEIGHT) : undefined,
+  dogeCutoffHash: process.env.DOGE_CUTOFF_HASH || '',
+  dogeSenderPolicy: process.env.DOGE_SENDER_POLICY || 'first-input',
+  dogeMinConfirmations: parseInt(process.env.DOGE_MIN_CONFIRMATIONS || '6'),
+  dogeMinAmount: parseInt(process.env.DOGE_MIN_AMOUNT || '100000000'), // 1 DOGE in koinu
+  dogePriceUsd: process.env.DOGE_PRICE_USD || '0.10',
 };
 
 if (!config.btcVaultAddress) throw new Error('BITCOIN_VAULT_ADDRESS not set');
-if (!config.btcEsploraBaseUrl) throw new Error('BITCOIN_ESPLORA_API_URL not set');
+if (config.btcBackend === 'esplora' && !config.btcEsploraBaseUrl) throw new Error('BITCOIN_ESPLORA_API_URL not set');
 
 export default config;
@@ -0,0 +1,148 @@
+import { ethers } from 'ethers';
+import { Network } from 'bitcoinjs-lib';
+import config from './config';
+import { PriceProvider, createPriceProvider } from './prices';
+import bootstrapAbi from '../../out/Bootstrap.sol/Bootstrap.json';
+import { DOGE_CONFIG, DOGE_CHAIN_CONFIG } from './config';
+import { GenesisState } from './types';
+import { GenesisGenerator } from './bitcoin_genesis';
+import { BitcoinBackend, EsploraBackend } from './bitcoin_backends';
+import {
+  BootstrapStake,
+  UTXOChainSpec,
+  generateUTXOGenesisState,
+  exportUTXOBootstrapData,
+  generateUTXOBootstrapGenesis,
+} from './utxo_genesis';
+
+/**
+ * Dogecoin genesis generation
+ *
+ * Dogecoin stakes use the Bitcoin bootstrap transaction format, see
+ * docs/bitcoin-bootstrap-tx-format-spec.md, and are read from an Esplora compatible API.
+ * Only the network params differ: Dogecoin addresses are base58 with their own version
+ * bytes, so they are encoded from the output scripts and compared case sensitively.
+ */
+
+export type { BootstrapStake };
+
+// Dogecoin has no segwit, so the bech32 prefixes are never used
+export const DOGECOIN_NETWORKS: Record<string, Network> = {
+  mainnet: {
+    messagePrefix: '\x19Dogecoin Signed Message:\n',
+    bech32: 'doge',
+    bip32: { public: 0x02facafd, private: 0x02fac398 },
+    pubKeyHash: 0x1e,
+    scriptHash: 0x16,
+    wif: 0x9e,
+  },
+  testnet: {
+    messagePrefix: '\x19Dogecoin Signed Message:\n',
+    bech32: 'tdge',
+    bip32: { public: 0x043587cf, private: 0x04358394 },
+    pubKeyHash: 0x71,
+    scriptHash: 0xc4,
+    wif: 0xf1,
+  },
+};
+
+export const DOGE_GENESIS_SPEC: UTXOChainSpec = {
+  chain: DOGE_CHAIN_CONFIG,
+  token: DOGE_CONFIG,
+  gatewayAddress: '0x0000000000000000000000000000000000000901', // UTXO Gateway address
+  oracle: {
+    tokenId: '6', // DOGE token ID in oracle system
+    chainName: 'Dogecoin',
+    chainDesc: 'Dogecoin blockchain',
+    decimals: DOGE_CONFIG.DECIMALS,
+  },
+  price: { price: config.dogePriceUsd, source: 'DOGE_PRICE_USD' },
+  bootstrapDataFile: 'doge_bootstrap_data.json',
+  outputPathEnv: 'DOGE_GENESIS_OUTPUT_PATH',
+};
+
+/**
+ * Resolve the network params of DOGE_NETWORK.
+ * @param value - mainnet or testnet, or the bitcoinjs-lib network params as JSON
+ * @returns The network params
+ */
+export function resolveDogeNetwork(value: string): Network {
+  if (DOGECOIN_NETWORKS[value]) {
+    return DOGECOIN_NETWORKS[value];
+  }
+  let network: Partial<Network>;
+  try {
+    network = JSON.parse(value);
+  } catch {
+    throw new Error(`Unknown DOGE_NETWORK ${value}, expected mainnet, testnet or the network params as JSON`);
+  }
+  for (const key of ['pubKeyHash', 'scriptHash', 'wif'] as const) {
+    if (!Number.isInteger(network[key])) {
+      throw new Error(`Invalid DOGE_NETWORK: ${key} must be an integer`);
+    }
+  }
+  return {
+    messagePrefix: network.messagePrefix || '',
+    bech32: network.bech32 || '',
+    bip32: network.bip32 || { public: 0, private: 0 },
+    pubKeyHash: network.pubKeyHash!,
+    scriptHash: network.scriptHash!,
+    wif: network.wif!,
+  };
+}
+
+export class DogeGenesisGenerator extends GenesisGenerator {
+  constructor(
+    vaultAddress: string,
+    backend: string | BitcoinBackend, // the base URL of an Esplora API, or a backend
+    bootstrapContract: ethers.Contract,
+    minConfirmations: number = 6,
+    minAmount: number = 100000000, // 1 DOGE
+    network: Network = DOGECOIN_NETWORKS.mainnet
+  ) {
+    super(vaultAddress, backend, bootstrapContract, minConfirmations, minAmount, {
+      name: 'Dogecoin',
+      network: network,
+      caseSensitiveAddresses: true,
+    });
+  }
+}
+
+export async function generateDogeGenesisState(
+  stakes: BootstrapStake[],
+  generator?: DogeGenesisGenerator,
+  priceProvider: PriceProvider = createPriceProvider()
+): Promise<GenesisState> {
+  return generateUTXOGenesisState(DOGE_GENESIS_SPEC, stakes, generator, priceProvider);
+}
+
+export async function exportDogeBootstrapData(stakes: BootstrapStake[], resolvedGenesisPath?: string): Promise<void> {
+  await exportUTXOBootstrapData(DOGE_GENESIS_SPEC, stakes, resolvedGenesisPath);
+}
+
+export async function generateDogeBootstrapGenesis(): Promise<void> {
+  if (!config.dogeVaultAddress) throw new Error('DOGE_VAULT_ADDRESS not set');
+  if (!config.dogeEsploraBaseUrl) throw new Error('DOGE_ESPLORA_API_URL not set');
+
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl);
+  const bootstrapContract = new ethers.Contract(config.bootstrapContractAddress, bootstrapAbi.abi, provider);
+
+  const generator = new DogeGenesisGenerator(
+    config.dogeVaultAddress,
+    new EsploraBackend(config.dogeEsploraBaseUrl, {
+      cachePath: config.dogeEsploraCachePath,
+      concurrency: config.esploraConcurrency,
+      retries: config.esploraRetries,
+    }),
+    bootstrapContract,
+    config.dogeMinConfirmations,
+    config.dogeMinAmount,
+    resolveDogeNetwork(config.dogeNetwork)
+  );
+  generator.setSenderPolicy(config.dogeSenderPolicy);
+  if (config.dogeCutoffHeight !== undefined || config.dogeCutoffHash) {
+    generator.setCutoff({ height: config.dogeCutoffHeight, hash: config.dogeCutoffHash || undefined });
+  }
+
+  await generateUTXOBootstrapGenesis(DOGE_GENESIS_SPEC, generator);
+}
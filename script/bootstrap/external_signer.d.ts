@@ -0,0 +1,95 @@
+// Type declarations for external_signer.js
+
+import { BaseContract, FunctionFragment } from 'ethers';
+
+export type SignerMode = 'local' | 'safe' | 'rpc';
+
+export declare const SIGNER_MODES: SignerMode[];
+export declare const UNSIGNED_TRANSACTIONS_DIR: string;
+
+export interface SignerOptions {
+  mode: SignerMode;
+  from: string | null;
+  outputPath: string | null;
+}
+
+export interface SafeContractMethod {
+  inputs: { internalType: string; name: string; type: string; components?: unknown[] }[];
+  name: string;
+  payable: boolean;
+}
+
+export interface DecodedCall {
+  contractMethod: SafeContractMethod;
+  contractInputsValues: Record<string, string>;
+}
+
+export interface UnsignedTransaction {
+  to: string;
+  data: string;
+  value: bigint;
+  gasLimit: bigint | null;
+  description: string;
+  call: DecodedCall | null;
+}
+
+export interface SafeBatch {
+  version: string;
+  chainId: string;
+  createdAt: number;
+  meta: {
+    name: string;
+    description: string;
+    txBuilderVersion: string;
+    createdFromSafeAddress: string;
+    createdFromOwnerAddress: string;
+    checksum?: string;
+  };
+  transactions: {
+    to: string;
+    value: string;
+    data: string;
+    contractMethod: SafeContractMethod | null;
+    contractInputsValues: Record<string, string> | null;
+  }[];
+}
+
+export interface JsonRpcRequest {
+  jsonrpc: '2.0';
+  id: number;
+  method: 'eth_signTransaction';
+  params: [Record<string, string>];
+}
+
+export declare function resolveSignerMode(mode?: string): SignerMode;
+export declare function signerOptionsFromEnv(env?: Record<string, string | undefined>): SignerOptions;
+export declare function unsignedTransactionsPathFor(basePath: string, mode: SignerMode): string;
+export declare function safeBatchChecksum(batch: SafeBatch): string;
+export declare function decodeCall(fragment: FunctionFragment, args: unknown[]): DecodedCall;
+export declare function formatCall(call: DecodedCall): string;
+
+export declare class UnsignedTransactionBatch {
+  chainId: bigint;
+  from: string;
+  name: string;
+  description: string;
+  transactions: UnsignedTransaction[];
+  constructor(options: { chainId: number | bigint; from: string; name: string; description?: string });
+  add(transaction: {
+    to: string;
+    data: string;
+    value?: number | bigint;
+    gasLimit?: number | bigint | null;
+    description?: string;
+    call?: DecodedCall | null;
+  }): void;
+  addCall(
+    contract: BaseContract,
+    method: string,
+    args: unknown[],
+    options?: { value?: number | bigint; gasLimit?: number | bigint | null; description?: string }
+  ): Promise<void>;
+  toSafeBatch(createdAt?: number): SafeBatch;
+  toJsonRpcRequests(options?: { nonce?: number | bigint | null }): JsonRpcRequest[];
+  write(mode: SignerMode, filePath: string, options?: { nonce?: number | bigint | null }): Promise<string>;
+}
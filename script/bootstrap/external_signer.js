@@ -0,0 +1,289 @@
+/**
+ * Unsigned owner transactions
+ *
+ * The owner of the UTXOGateway on testnet and mainnet is a Safe (see
+ * 15_DeploySafeMulstisigWallet.s.sol), so the owner operations of importBootstrapData.ts and
+ * the hardhat scripts can be collected as unsigned transactions instead of being signed with
+ * a local key. The signer mode selects what is done with them:
+ * - local (the default): the scripts sign and send them, as before.
+ * - safe: they are written as a Safe Transaction Builder batch, to be imported into the Safe app.
+ * - rpc: they are written as a JSON-RPC batch of eth_signTransaction requests, for an external
+ *   signer such as Clef or a hardware wallet bridge.
+ *
+ * The scripts which have no data file to write them next to write them to
+ * UNSIGNED_TRANSACTIONS_DIR, which git ignores.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const SIGNER_MODES = ['local', 'safe', 'rpc'];
+
+const UNSIGNED_TRANSACTIONS_DIR = path.join(__dirname, '../../unsigned-transactions');
+
+// Version of the Safe Transaction Builder the batch format is taken from
+const SAFE_TX_BUILDER_VERSION = '1.16.5';
+
+/**
+ * Validate a signer mode.
+ * @param {string} [mode] - local, safe or rpc; local if empty
+ * @returns {string} The signer mode
+ */
+function resolveSignerMode(mode) {
+  if (!mode) {
+    return 'local';
+  }
+  const resolved = mode.toLowerCase();
+  if (!SIGNER_MODES.includes(resolved)) {
+    throw new Error(`Unknown signer mode ${mode}, expected one of ${SIGNER_MODES.join(', ')}.`);
+  }
+  return resolved;
+}
+
+/**
+ * Get the signer options of the hardhat scripts, which are run via `hardhat run` and so
+ * are configured through the environment:
+ * SIGNER_MODE (local, safe or rpc), SIGNER_ADDRESS (the Safe or the external account) and
+ * UNSIGNED_TX_PATH (where to write the transactions to).
+ * @param {Object} [env] - The environment
+ * @returns {Object} The options: { mode, from, outputPath }
+ */
+function signerOptionsFromEnv(env = process.env) {
+  const mode = resolveSignerMode(env.SIGNER_MODE);
+  if (mode !== 'local' && !env.SIGNER_ADDRESS) {
+    throw new Error(`SIGNER_ADDRESS must be set for the ${mode} signer mode.`);
+  }
+  return {
+    mode,
+    from: env.SIGNER_ADDRESS ? ethers.getAddress(env.SIGNER_ADDRESS) : null,
+    outputPath: env.UNSIGNED_TX_PATH || null,
+  };
+}
+
+/**
+ * The default path of the unsigned transactions, e.g. btc_bootstrap_data.safe-tx.json.
+ * @param {string} basePath - The path of the input they are built from, or of the script
+ * @param {string} mode - safe or rpc
+ * @returns {string} The path
+ */
+function unsignedTransactionsPathFor(basePath, mode) {
+  const parsed = path.parse(basePath);
+  const suffix = mode === 'safe' ? 'safe-tx' : 'rpc-requests';
+  return path.join(parsed.dir, `${parsed.name}.${suffix}.json`);
+}
+
+/**
+ * Serialize a JSON value with sorted keys, the way the Safe Transaction Builder does for its checksum.
+ * @param {*} json - The value
+ * @returns {string} The serialization
+ */
+function serializeForChecksum(json) {
+  const replacer = (_, value) => (value === undefined ? null : value);
+  if (Array.isArray(json)) {
+    return `[${json.map((element) => serializeForChecksum(element)).join(',')}]`;
+  }
+  if (typeof json === 'object' && json !== null) {
+    const keys = Object.keys(json).sort();
+    return `{${JSON.stringify(keys, replacer)}${keys.map((key) => `${serializeForChecksum(json[key])},`).join('')}}`;
+  }
+  return JSON.stringify(json, replacer);
+}
+
+/**
+ * The checksum the Safe Transaction Builder verifies when a batch is imported.
+ * @param {Object} batch - The batch, the checksum in its meta is ignored
+ * @returns {string} The checksum
+ */
+function safeBatchChecksum(batch) {
+  const meta = { ...batch.meta, name: null };
+  delete meta.checksum;
+  return ethers.keccak256(ethers.toUtf8Bytes(serializeForChecksum({ ...batch, meta })));
+}
+
+/**
+ * The decoded form of a call, as the Safe Transaction Builder records it, so that the Safe app
+ * shows the signers the method and its arguments rather than the calldata.
+ * @param {ethers.FunctionFragment} fragment - The function called
+ * @param {Array} args - Its arguments
+ * @returns {Object} The call: { contractMethod, contractInputsValues }
+ */
+function decodeCall(fragment, args) {
+  const plain = (value) => {
+    if (typeof value === 'bigint') {
+      return value.toString();
+    }
+    return Array.isArray(value) ? value.map(plain) : value;
+  };
+  return {
+    contractMethod: {
+      inputs: fragment.inputs.map((param) => ({ internalType: param.type, ...JSON.parse(param.format('json')) })),
+      name: fragment.name,
+      payable: fragment.payable,
+    },
+    contractInputsValues: Object.fromEntries(fragment.inputs.map((param, i) => {
+      const value = plain(args[i]);
+      return [param.name, typeof value === 'object' ? JSON.stringify(value) : String(value)];
+    })),
+  };
+}
+
+/**
+ * Format a decoded call for the log, e.g. updateRequiredProofs(newRequiredProofs: 3).
+ * @param {Object} call - See decodeCall
+ * @returns {string} The call
+ */
+function formatCall({ contractMethod, contractInputsValues }) {
+  const args = contractMethod.inputs.map(({ name }) => `${name}: ${contractInputsValues[name]}`);
+  return `${contractMethod.name}(${args.join(', ')})`;
+}
+
+/**
+ * Owner transactions collected in order, to be signed elsewhere.
+ */
+class UnsignedTransactionBatch {
+  /**
+   * @param {Object} options - The batch options
+   * @param {number|bigint} options.chainId - The chain the transactions are for
+   * @param {string} options.from - The Safe, or the account of the external signer
+   * @param {string} options.name - The name of the batch, shown in the Safe app
+   * @param {string} [options.description] - What the batch does
+   */
+  constructor({ chainId, from, name, description = '' }) {
+    this.chainId = BigInt(chainId);
+    this.from = ethers.getAddress(from);
+    this.name = name;
+    this.description = description;
+    this.transactions = [];
+  }
+
+  /**
+   * Add a transaction.
+   * @param {Object} transaction - The transaction
+   * @param {string} transaction.to - The contract called
+   * @param {string} transaction.data - The calldata
+   * @param {number|bigint} [transaction.value] - The value sent
+   * @param {number|bigint} [transaction.gasLimit] - The gas limit, for the external signer
+   * @param {string} [transaction.description] - What the transaction does, for the log
+   * @param {Object} [transaction.call] - The decoded call, see decodeCall
+   */
+  add({ to, data, value = 0n, gasLimit = null, description = '', call = null }) {
+    this.transactions.push({
+      to: ethers.getAddress(to),
+      data: ethers.hexlify(data),
+      value: BigInt(value),
+      gasLimit: gasLimit === null ? null : BigInt(gasLimit),
+      description,
+      call,
+    });
+  }
+
+  /**
+   * Add a contract call, with its decoded form.
+   * @param {ethers.BaseContract} contract - The contract, its target and interface are used
+   * @param {string} method - The method called
+   * @param {Array} args - Its arguments
+   * @param {Object} [options] - value, gasLimit and description, see add
+   */
+  async addCall(contract, method, args, options = {}) {
+    const call = decodeCall(contract.interface.getFunction(method, args), args);
+    this.add({
+      to: await contract.getAddress(),
+      data: contract.interface.encodeFunctionData(method, args),
+      description: formatCall(call),
+      call,
+      ...options,
+    });
+  }
+
+  /**
+   * @param {number} [createdAt] - The creation time in milliseconds
+   * @returns {Object} The batch in the Safe Transaction Builder format
+   */
+  toSafeBatch(createdAt = Date.now()) {
+    const batch = {
+      version: '1.0',
+      chainId: this.chainId.toString(),
+      createdAt,
+      meta: {
+        name: this.name,
+        description: this.description,
+        txBuilderVersion: SAFE_TX_BUILDER_VERSION,
+        createdFromSafeAddress: this.from,
+        createdFromOwnerAddress: '',
+      },
+      // The calldata, with its decoded form for the signers if it is known
+      transactions: this.transactions.map(({ to, data, value, call }) => ({
+        to,
+        value: value.toString(),
+        data,
+        contractMethod: call ? call.contractMethod : null,
+        contractInputsValues: call ? call.contractInputsValues : null,
+      })),
+    };
+    batch.meta.checksum = safeBatchChecksum(batch);
+    return batch;
+  }
+
+  /**
+   * @param {Object} [options] - The request options
+   * @param {number|bigint} [options.nonce] - The nonce of the first transaction, left to the signer if omitted
+   * @returns {Array<Object>} The transactions as a JSON-RPC batch of eth_signTransaction requests
+   */
+  toJsonRpcRequests({ nonce = null } = {}) {
+    return this.transactions.map(({ to, data, value, gasLimit }, i) => {
+      const transaction = {
+        from: this.from,
+        to,
+        data,
+        value: ethers.toQuantity(value),
+        chainId: ethers.toQuantity(this.chainId),
+      };
+      if (gasLimit !== null) {
+        transaction.gas = ethers.toQuantity(gasLimit);
+      }
+      if (nonce !== null) {
+        transaction.nonce = ethers.toQuantity(BigInt(nonce) + BigInt(i));
+      }
+      return { jsonrpc: '2.0', id: i + 1, method: 'eth_signTransaction', params: [transaction] };
+    });
+  }
+
+  /**
+   * Write the transactions for the signer mode.
+   * @param {string} mode - safe or rpc
+   * @param {string} filePath - Where to write them to
+   * @param {Object} [options] - See toJsonRpcRequests
+   * @returns {Promise<string>} The path written
+   */
+  async write(mode, filePath, options = {}) {
+    let output;
+    if (mode === 'safe') {
+      output = this.toSafeBatch();
+    } else if (mode === 'rpc') {
+      output = this.toJsonRpcRequests(options);
+    } else {
+      throw new Error(`Transactions of the ${mode} signer mode are not written, they are sent.`);
+    }
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, JSON.stringify(output, null, 2));
+
+    console.log(`Wrote ${this.transactions.length} unsigned transactions from ${this.from} to ${filePath}:`);
+    this.transactions.forEach(({ to, description }, i) => {
+      console.log(`  ${i + 1}. ${description || 'call'} on ${to}`);
+    });
+    return filePath;
+  }
+}
+
+module.exports = {
+  SIGNER_MODES,
+  UNSIGNED_TRANSACTIONS_DIR,
+  resolveSignerMode,
+  signerOptionsFromEnv,
+  unsignedTransactionsPathFor,
+  safeBatchChecksum,
+  decodeCall,
+  formatCall,
+  UnsignedTransactionBatch,
+};
@@ -1,62 +1,8 @@
 // conventions are that the snake_case is within the JSON
 // and variables within this file are title case
 
-// global constants include the chain information
-const clientChainInfo = {
-  'name': 'Holesky',
-  'meta_info': 'Ethereum-testnet known as Holesky',
-  'finalization_blocks': 10,
-  'layer_zero_chain_id': 40217,
-  'address_length': 20,
-};
-// this must be in the same order as whitelistTokens
-const tokenMetaInfos = [
-  'Imuachain Holesky ETH', // named as exoETH
-  'Staked ETH'
-];
-// this must be in the same order as whitelistTokens
-// they are provided because the symbol may not match what we are using from the price feeder.
-// for example, exoETH is not a real token and we are using the price feed for ETH.
-// the script will take care of mapping the nstETH asset_id to the ETH asset_id in the oracle
-// tokens list.
-const tokenNamesForOracle = [
-  'ETH', 'nstETH' // not case sensitive
-]
-const ChainNamesForOracle = [
-  'Ethereum'
-]
-const TokenMappingChainIDsForOracle = {
-  "ETH": 1,
-  "nstETH": 1,
-}
-
-// Chain information for oracle state
-const oracleChainInfo = {
-  "Ethereum": {
-    "name": "Ethereum",
-    "desc": "Ethereum mainnet and testnets"
-  }
-}
-
-const nativeChain = {
-  "name": "Imuachain",
-  "meta_info": "The (native) Imuachain chain",
-  "finalization_blocks": 10,
-  "layer_zero_chain_id": 0, // virtual chain
-  "address_length": 20,
-}
-const nativeAsset = {
-  "asset_basic_info": {
-    "name": "Native IMUA token",
-    "symbol": "IMUA",
-    "address": "0x0000000000000000000000000000000000000000",
-    "decimals": "18",
-    "layer_zero_chain_id": nativeChain.layer_zero_chain_id,
-    "imua_chain_index": "1",
-    "meta_info": "IMUA native to Imuachain",
-  },
-  "staking_total_amount": "0"
-};
+// the chain and token information, which differs per network, is read from a
+// genesis profile. see profile.mjs and the bundled profiles/*.json.
 const IMUACHAIN_BECH32_PREFIX = 'im';
 const VIRTUAL_STAKED_ETH_ADDR = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
 
@@ -70,6 +16,13 @@ import Decimal from 'decimal.js';
 
 import { getClient } from "@lodestar/api";
 import { config } from "@lodestar/config/default";
+import {
+  GenesisSnapshot, recordContract, replayContract, recordBeacon, replayBeacon,
+} from './snapshot.mjs';
+import { BatchedContractReader } from './multicall.mjs';
+import { DEFAULT_PROFILE_PATH, loadProfile, validateProfile, checkProfileTokens } from './profile.mjs';
+import { assertGenesisInvariants } from './genesis_invariants.js';
+import { createPriceProvider, createReplayPriceProvider, writePriceAudit } from './prices.js';
 
 const isValidBech32 = (address) => {
   try {
@@ -92,11 +45,45 @@ const {
   INTEGRATION_BOOTSTRAP_ADDRESS,
   INTEGRATION_BASE_GENESIS_FILE_PATH,
   INTEGRATION_RESULT_GENESIS_FILE_PATH,
-  INTEGRATION_EXCHANGE_RATES
+  INTEGRATION_EXCHANGE_RATES,
+  INTEGRATION_SNAPSHOT_CAPTURE_PATH,
+  INTEGRATION_SNAPSHOT_REPLAY_PATH,
+  INTEGRATION_MULTICALL_ADDRESS,
+  INTEGRATION_MULTICALL_BATCH_SIZE,
+  INTEGRATION_MULTICALL_CONCURRENCY,
+  INTEGRATION_GENESIS_PROFILE,
+  INTEGRATION_CLIENT_CHAINS_FILE,
 } = process.env;
 
+// offline snapshot mode, see snapshot.mjs. the command line flags take precedence
+// over the environment variables.
+function getArgValue(name) {
+  const prefix = `--${name}=`;
+  const arg = process.argv.slice(2).find((item) => item.startsWith(prefix));
+  return arg ? arg.slice(prefix.length) : undefined;
+}
+const snapshotCapturePath = getArgValue('snapshot-capture') || INTEGRATION_SNAPSHOT_CAPTURE_PATH;
+const snapshotReplayPath = getArgValue('snapshot-replay') || INTEGRATION_SNAPSHOT_REPLAY_PATH;
+const profilePath = getArgValue('profile') || INTEGRATION_GENESIS_PROFILE;
+// several client chains (each with its own Bootstrap contract) can be combined
+// into one genesis, see loadClientChainConfigs.
+const clientChainsPath = getArgValue('chains') || INTEGRATION_CLIENT_CHAINS_FILE;
+
+if (snapshotCapturePath && snapshotReplayPath) {
+  throw new Error('Snapshot capture and replay cannot be used together.');
+}
 
-if (
+if (snapshotReplayPath) {
+  // everything else is read from the snapshot.
+  if (!INTEGRATION_RESULT_GENESIS_FILE_PATH) {
+    throw new Error('INTEGRATION_RESULT_GENESIS_FILE_PATH is required to replay a snapshot.');
+  }
+} else if (clientChainsPath) {
+  // the client chain settings are read from the file.
+  if (!INTEGRATION_BASE_GENESIS_FILE_PATH || !INTEGRATION_RESULT_GENESIS_FILE_PATH) {
+    throw new Error('One or more required environment variables are missing.');
+  }
+} else if (
   !INTEGRATION_BEACON_CHAIN_ENDPOINT ||
   !CLIENT_CHAIN_RPC ||
   !INTEGRATION_BOOTSTRAP_ADDRESS ||
@@ -133,22 +120,168 @@ function getJoinedStoreKey(...keys) {
   return joinedString;
 }
 
-async function updateGenesisFile() {
-  try {
-    // Read and parse the ABI from abi.json
-    const abiPath = 'out/Bootstrap.sol/Bootstrap.json';
-    const contractABI = JSON.parse(await fs.readFile(abiPath, 'utf8')).abi;
+// [0, 1, ..., count - 1], where count is usually a bigint returned by the contract.
+function range(count) {
+  return [...Array(Number(count)).keys()];
+}
+
+// the beacon chain is only read for native restaking.
+function hasNstToken(profile) {
+  return profile.tokens.some((token) => token.oracle_name.toLowerCase().startsWith('nst'));
+}
 
-    // Set up Web3
-    const web3 = new Web3(CLIENT_CHAIN_RPC);
+/**
+ * Read the client chains to generate the genesis from. The file passed via
+ * --chains (or INTEGRATION_CLIENT_CHAINS_FILE) is a JSON array of
+ * { rpc, bootstrap_address, beacon_endpoint, profile, exchange_rates }, where the
+ * beacon endpoint is only needed if the profile has an NST token, and the
+ * exchange rates are in the order of the profile tokens. The exchange rates are
+ * the prices of the env price source, and may be left out with another one (see
+ * prices.js). Without that file, the single client chain configured via the
+ * INTEGRATION_* variables is used.
+ * @returns {Promise<Array<Object>>} The client chain settings
+ */
+async function loadClientChainConfigs() {
+  if (!clientChainsPath) {
+    return [{
+      rpc: CLIENT_CHAIN_RPC,
+      bootstrapAddress: INTEGRATION_BOOTSTRAP_ADDRESS,
+      beaconEndpoint: INTEGRATION_BEACON_CHAIN_ENDPOINT,
+      profilePath: profilePath || DEFAULT_PROFILE_PATH,
+      exchangeRates: INTEGRATION_EXCHANGE_RATES,
+      exchangeRatesSource: 'INTEGRATION_EXCHANGE_RATES',
+    }];
+  }
+  const entries = JSON.parse(await fs.readFile(clientChainsPath, 'utf8'));
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`The client chains file ${clientChainsPath} must contain a non-empty array.`);
+  }
+  return entries.map((entry, i) => {
+    for (const key of ['rpc', 'bootstrap_address']) {
+      if (!entry[key]) {
+        throw new Error(`The client chain at index ${i} of ${clientChainsPath} is missing ${key}.`);
+      }
+    }
+    return {
+      rpc: entry.rpc,
+      bootstrapAddress: entry.bootstrap_address,
+      beaconEndpoint: entry.beacon_endpoint,
+      profilePath: entry.profile || DEFAULT_PROFILE_PATH,
+      exchangeRates: Array.isArray(entry.exchange_rates)
+        ? entry.exchange_rates.join(',')
+        : entry.exchange_rates,
+      exchangeRatesSource: `${clientChainsPath}[${i}].exchange_rates`,
+    };
+  });
+}
 
-    // Create contract instance
-    const myContract = new web3.eth.Contract(contractABI, INTEGRATION_BOOTSTRAP_ADDRESS);
-    // Create beacon API client
-    const api = getClient({ baseUrl: INTEGRATION_BEACON_CHAIN_ENDPOINT }, { config });
+/**
+ * Connect to a client chain, and record its reads if a snapshot is being captured.
+ * @param {Object} chainConfig - The client chain settings, see loadClientChainConfigs
+ * @param {Array} contractABI - The Bootstrap ABI
+ * @param {GenesisSnapshot} snapshot - The snapshot being captured, if any
+ * @returns {Promise<Object>} The client chain
+ */
+async function connectClientChain(chainConfig, contractABI, snapshot) {
+  const profile = await loadProfile(chainConfig.profilePath);
+  const web3 = new Web3(chainConfig.rpc);
+  // reads are batched via multicall
+  let contract = new BatchedContractReader(
+    web3,
+    new web3.eth.Contract(contractABI, chainConfig.bootstrapAddress),
+    {
+      multicallAddress: INTEGRATION_MULTICALL_ADDRESS,
+      batchSize: INTEGRATION_MULTICALL_BATCH_SIZE && parseInt(INTEGRATION_MULTICALL_BATCH_SIZE, 10),
+      concurrency: INTEGRATION_MULTICALL_CONCURRENCY && parseInt(INTEGRATION_MULTICALL_CONCURRENCY, 10),
+    }
+  );
+  let api = null;
+  if (chainConfig.beaconEndpoint) {
+    api = getClient({ baseUrl: chainConfig.beaconEndpoint }, { config });
+  } else if (hasNstToken(profile)) {
+    throw new Error(
+      `A beacon chain endpoint is required for ${chainConfig.bootstrapAddress}, ` +
+      `since the ${profile.name} profile has an NST token.`
+    );
+  }
+  let chainSnapshot = null;
+  if (snapshot) {
+    chainSnapshot = snapshot.addChain();
+    chainSnapshot.setMeta('bootstrap_address', chainConfig.bootstrapAddress);
+    chainSnapshot.setInput('exchange_rates', chainConfig.exchangeRates);
+    chainSnapshot.setInput('profile', profile);
+    contract = recordContract(contract, chainSnapshot);
+    if (api) {
+      api = recordBeacon(api, chainSnapshot);
+    }
+  }
+  return {
+    web3,
+    contract,
+    api,
+    profile,
+    bootstrapAddress: chainConfig.bootstrapAddress,
+    exchangeRatesInput: chainConfig.exchangeRates,
+    exchangeRatesSource: chainConfig.exchangeRatesSource,
+    snapshot: chainSnapshot,
+  };
+}
+
+/**
+ * Serve the reads of a client chain from its section of the snapshot.
+ * @param {ChainSnapshot} chainSnapshot - The chain section of the snapshot
+ * @returns {Promise<Object>} The client chain
+ */
+async function replayClientChain(chainSnapshot) {
+  let profile;
+  if (chainSnapshot.hasInput('profile')) {
+    // the profile used at capture time wins over --profile.
+    profile = chainSnapshot.getInput('profile');
+    await validateProfile(profile, snapshotReplayPath);
+  } else {
+    profile = await loadProfile(profilePath || DEFAULT_PROFILE_PATH);
+  }
+  return {
+    // no provider is needed, web3 is only used for its utils.
+    web3: new Web3(),
+    contract: replayContract(chainSnapshot),
+    api: replayBeacon(chainSnapshot),
+    profile,
+    bootstrapAddress: chainSnapshot.data.meta.bootstrap_address,
+    exchangeRatesInput: chainSnapshot.getInput('exchange_rates'),
+    exchangeRatesSource: `${snapshotReplayPath} exchange_rates`,
+    snapshot: null,
+  };
+}
+
+/**
+ * Add the tokens, deposits, operators and delegations of one client chain to the
+ * genesis. The parts which span client chains, like the operators (which may be
+ * registered on more than one Bootstrap contract), are collected into `context`
+ * and written out by updateGenesisFile once every chain has been added.
+ * @param {Object} genesisJSON - The genesis being built
+ * @param {Object} context - The state shared across client chains
+ * @param {Object} chain - The client chain, see connectClientChain
+ */
+async function addClientChain(genesisJSON, context, chain) {
+  const { web3, api, profile, contract: myContract } = chain;
+  const { height, dogfoodEpochID } = context;
+  console.log(`Using the ${profile.name} genesis profile for ${chain.bootstrapAddress}.`);
+  const clientChainInfo = profile.client_chain;
+  // these are in the same order as whitelistTokens.
+  const tokenMetaInfos = profile.tokens.map((token) => token.meta_info);
+  // they are provided because the symbol may not match what we are using from the price feeder.
+  // for example, exoETH is not a real token and we are using the price feed for ETH.
+  // the script will take care of mapping the nstETH asset_id to the ETH asset_id in the oracle
+  // tokens list.
+  const tokenNamesForOracle = profile.tokens.map((token) => token.oracle_name);
+  const TokenMappingChainIDsForOracle = profile.oracle.token_chain_ids;
+
+  let maxEffectiveBalance, ejectionBalance, stateRoot;
+  if (hasNstToken(profile)) {
     const spec = (await api.config.getSpec()).value();
-    const maxEffectiveBalance = new Decimal(web3.utils.toWei(spec.MAX_EFFECTIVE_BALANCE_ELECTRA, 'gwei'));
-    const ejectionBalance = new Decimal(web3.utils.toWei(spec.EJECTION_BALANCE, 'gwei'));
+    maxEffectiveBalance = new Decimal(web3.utils.toWei(spec.MAX_EFFECTIVE_BALANCE_ELECTRA, 'gwei'));
+    ejectionBalance = new Decimal(web3.utils.toWei(spec.EJECTION_BALANCE, 'gwei'));
     const slotsPerEpoch = parseInt(spec.SLOTS_PER_EPOCH, 10);
     let lastHeader = (await api.beacon.getBlockHeader({ blockId: "finalized" })).value();
     const finalizedSlot = lastHeader.header.message.slot;
@@ -157,13 +290,835 @@ async function updateGenesisFile() {
       // change the header
       lastHeader = (await api.beacon.getBlockHeader({ blockId: finalizedEpoch * slotsPerEpoch })).value();
     }
-    const stateRoot = web3.utils.bytesToHex(lastHeader.header.message.stateRoot);
+    stateRoot = web3.utils.bytesToHex(lastHeader.header.message.stateRoot);
+    if (chain.snapshot) {
+      chain.snapshot.setMeta('finalized_slot', lastHeader.header.message.slot);
+      chain.snapshot.setMeta('state_root', stateRoot);
+    }
+  }
 
-    // Read exchange rates
-    const exchangeRates = INTEGRATION_EXCHANGE_RATES.split(',').map(Decimal);
+  // x/assets: client_chains (client_chain.go)
+  const existingChainIdIndex = genesisJSON.app_state.
+    assets.client_chains.findIndex(
+      chain =>
+      chain.layer_zero_chain_id === clientChainInfo.layer_zero_chain_id
+    );
+  if (existingChainIdIndex >= 0) {
+    // If found, raise an error
+    throw new Error(
+      `An entry with layer_zero_chain_id
+  ${clientChainInfo.layer_zero_chain_id} already exists.`
+    );
+  }
+  genesisJSON.app_state.assets.client_chains.push(clientChainInfo);
+  genesisJSON.app_state.assets.client_chains.sort(
+    (a, b) => a.layer_zero_chain_id - b.layer_zero_chain_id
+  );
+
+  const clientChainSuffix = '_0x' + clientChainInfo.layer_zero_chain_id.toString(16);
+
+  // x/assets: tokens (client_chain_asset.go)
+  // x/oracle
+  const supportedTokensCount = await myContract.methods.getWhitelistedTokensCount().call();
+  const decimals = [];
+  const supportedTokens = genesisJSON.app_state.assets.tokens;
+  const assetIds = genesisJSON.app_state.dogfood.params.asset_ids;
+  // start with the initial value, or whatever the previous client chains added.
+  const oracleTokens = genesisJSON.app_state.oracle.params.tokens;
+  const oracleTokenFeeders = genesisJSON.app_state.oracle.params.token_feeders;
+  let hasNst = {};
+  await myContract.prefetch(range(supportedTokensCount).map((i) => ['getWhitelistedTokenAtIndex', i]));
+  // the token addresses, in the order of whitelisting.
+  const tokenAddresses = [];
+  for (let i = 0; i < supportedTokensCount; i++) {
+    tokenAddresses.push((await myContract.methods.getWhitelistedTokenAtIndex(i).call()).tokenAddress);
+  }
+  // the profile must describe exactly the whitelisted tokens, in the same order.
+  checkProfileTokens(profile, tokenAddresses);
+  // Read exchange rates. the configured ones are only used by the env price source.
+  const configuredRates = chain.exchangeRatesInput ? chain.exchangeRatesInput.split(',') : [];
+  if (configuredRates.length > 0 && configuredRates.length != supportedTokensCount) {
+    throw new Error(
+      `The number of exchange rates (${configuredRates.length})
+      does not match the number of supported tokens (${supportedTokensCount}).`
+    );
+  }
+  const exchangeRates = [];
+  for (let i = 0; i < supportedTokensCount; i++) {
+    const quote = await context.priceProvider.getPrice(
+      tokenNamesForOracle[i],
+      { price: configuredRates[i], source: chain.exchangeRatesSource }
+    );
+    exchangeRates.push(new Decimal(quote.price));
+  }
+  if (chain.snapshot) {
+    // the rates actually used, so that a replay does not depend on the price source.
+    chain.snapshot.setInput('exchange_rates', exchangeRates.map((rate) => rate.toFixed()).join(','));
+  }
+  await myContract.prefetch(tokenAddresses.map((tokenAddress) => ['depositsByToken', tokenAddress]));
+  for (let i = 0; i < supportedTokensCount; i++) {
+    let token = await myContract.methods.getWhitelistedTokenAtIndex(i).call();
+    const deposit_amount = await myContract.methods.depositsByToken(token.tokenAddress).call();
+    const tokenCleaned = {
+      asset_basic_info: {
+        name: token.name,
+        symbol: token.symbol,
+        address: token.tokenAddress.toLowerCase(),
+        decimals: token.decimals.toString(),
+        layer_zero_chain_id: clientChainInfo.layer_zero_chain_id,
+        imua_chain_index: i.toString(), // unused
+        meta_info: tokenMetaInfos[i],
+      },
+      staking_total_amount: deposit_amount.toString(),
+    };
+
+    supportedTokens.push(tokenCleaned);
+    decimals.push(token.decimals);
+    assetIds.push(token.tokenAddress.toLowerCase() + clientChainSuffix);
+    let oracleToken;
+    const oracleTokenFeeder = {
+      token_id: oracleTokens.length.toString(),
+      start_round_id: "1",
+      start_base_block: (height + 20).toString(),
+      interval: "30",
+      end_block: "0",
+    };
+    if (tokenNamesForOracle[i].toLowerCase().startsWith('nst')) {
+      if (token.tokenAddress != VIRTUAL_STAKED_ETH_ADDR) {
+        throw new Error('Oracle name refers to NST token but this is LST');
+      }
+      if (TokenMappingChainIDsForOracle[tokenNamesForOracle[i]] == null) {
+        throw new Error(`Missing chain_id mapping for ${tokenNamesForOracle[i]}`);
+      }
+      oracleToken = {
+        name: tokenNamesForOracle[i],
+        chain_id: TokenMappingChainIDsForOracle[tokenNamesForOracle[i]],
+        contract_address: '',
+        active: true,
+        asset_id: "NST" + clientChainSuffix,
+        decimal: 9,
+      };
+      oracleTokenFeeder.rule_id = "3";
+    } else {
+      if (TokenMappingChainIDsForOracle[tokenNamesForOracle[i]] == null) {
+        throw new Error(`Missing chain_id mapping for ${tokenNamesForOracle[i]}`);
+     	}
+      if (token.tokenAddress == VIRTUAL_STAKED_ETH_ADDR) {
+        throw new Error('Oracle name refers to LST token but this is NST');
+      }
+      oracleToken = {
+        name: tokenNamesForOracle[i],
+        chain_id: TokenMappingChainIDsForOracle[tokenNamesForOracle[i]],
+        contract_address: token.tokenAddress,
+        active: true,
+        asset_id: token.tokenAddress.toLowerCase() + clientChainSuffix,
+        decimal: 8,
+      };
+      oracleTokenFeeder.rule_id = "2";
+    }
+    // check that the same token name exists already. if so, append to it.
+    let found = false;
+    for (let j = 0; j < oracleTokens.length; j++) {
+      if (oracleTokens[j].name == oracleToken.name) {
+        oracleTokens[j].asset_id += "," + oracleToken.asset_id;
+        found = true;
+        break;
+      }
+    }
+    if (!found) {
+      oracleTokens.push(oracleToken);
+      oracleTokenFeeders.push(oracleTokenFeeder);
+    }
+    if (oracleToken.name.toLowerCase().startsWith('nst')) {
+      if (hasNst.status) {
+        throw new Error('Multiple NST tokens found.');
+      }
+      hasNst = {
+        // only used for tracking multiple NST tokens
+        status: true,
+        asset_id: token.tokenAddress.toLowerCase() + clientChainSuffix,
+        remainder: oracleToken.name.slice(3),
+      };
+    }
+  }
+  // bind nstETH asset_id to the ETH token, if nstETH is found.
+  let found = false;
+  if (hasNst.status) {
+    genesisJSON.app_state.oracle.params.tokens = oracleTokens.map((token) => {
+      if (token.name === hasNst.remainder) {
+        found = true;
+        token.asset_id += "," + hasNst.asset_id;
+      }
+      return token;
+    });
+    if (!found) {
+      // add `ETH` manually, if `nstETH` exists but not `ETH` in the oracle tokens.
+      // the former in `tokens` is to get the validator effective balance from beacon, denominated in ETH.
+      // the latter in `tokens` is to get the price of ETH in USD.
+      const tokenId = genesisJSON.app_state.oracle.params.tokens.length;
+      genesisJSON.app_state.oracle.params.tokens.push({
+        name: hasNst.remainder,
+        chain_id: TokenMappingChainIDsForOracle[hasNst.remainder],
+        contract_address: VIRTUAL_STAKED_ETH_ADDR,
+        active: true,
+        asset_id: hasNst.asset_id,
+        decimal: 8,
+      });
+      genesisJSON.app_state.oracle.params.token_feeders.push({
+        token_id: tokenId.toString(),
+        rule_id: "2",
+        start_round_id: "1",
+        start_base_block: (height + 20).toString(),
+        interval: "30",
+        end_block: "0",
+      });
+    }
+  }
+  // do not sort x/oracle params since the order is related for
+  // the token objects and the token feeders.
+
+  // the oracle prices are per token name, so every client chain must agree on them.
+  for (let i = 0; i < supportedTokensCount; i++) {
+    const tokenName = tokenNamesForOracle[i];
+    const exchangeRate = exchangeRates[i];
+    const existingRate = context.tokenNameToExchangeRate.get(tokenName);
+    if (existingRate && !existingRate.eq(exchangeRate)) {
+      throw new Error(
+        `The exchange rate of ${tokenName} for ${chain.bootstrapAddress} (${exchangeRate}) ` +
+        `differs from the one of another client chain (${existingRate}).`
+      );
+    }
+    context.tokenNameToExchangeRate.set(tokenName, exchangeRate);
+  }
+
+  // x/assets: deposits (staker_asset.go)
+  const depositorsCount = await myContract.methods.getDepositorsCount().call();
+  const deposits = genesisJSON.app_state.assets.deposits;
+  const nativeTokenDepositors = [];
+  const staker_infos = [];
+  let slashProportions = [];
+  let staker_index_counter = 0;
+  let nst_version = 0;
+  let total_deposit_amount = ZERO_DECIMAL;
+  await myContract.prefetch(range(depositorsCount).map((i) => ['depositors', i]));
+  const depositorAddresses = [];
+  for (let i = 0; i < depositorsCount; i++) {
+    depositorAddresses.push(await myContract.methods.depositors(i).call());
+  }
+  await myContract.prefetch(depositorAddresses.flatMap((stakerAddress) => tokenAddresses.flatMap(
+    (tokenAddress) => [
+      ['totalDepositAmounts', stakerAddress, tokenAddress],
+      ['withdrawableAmounts', stakerAddress, tokenAddress],
+    ]
+  )));
+  for (let i = 0; i < depositorsCount; i++) {
+    const stakerAddress = depositorAddresses[i];
+    const depositsByStaker = [];
+    for (let j = 0; j < supportedTokensCount; j++) {
+      const tokenAddress = tokenAddresses[j];
+      let depositValue = new Decimal((await myContract.methods.totalDepositAmounts(
+        stakerAddress, tokenAddress
+      ).call()).toString());
+      let withdrawableValue = new Decimal((await myContract.methods.withdrawableAmounts(
+        stakerAddress, tokenAddress
+      ).call()).toString());
+      // for validator pubkey ids to be available, a deposit must have been made.
+      // hence, the depositValue > 0 condition is necessary.
+      if ((tokenAddress == VIRTUAL_STAKED_ETH_ADDR) && (depositValue > 0)) {
+        // we have to use the effective balance calculation
+        nativeTokenDepositors.push(stakerAddress.toLowerCase());
+        const pubKeyCount = await myContract.methods.getPubkeysCount(stakerAddress).call();
+        if (pubKeyCount == 0) {
+          throw new Error('No pubkeys found for the staker.');
+        }
+        const validatorInfos = [];
+        const pubKeys = [];
+        for (let k = 0; k < pubKeyCount; k++) {
+          const pubKey = await myContract.methods.stakerToPubkeyIDs(stakerAddress, k).call();
+          pubKeys.push(pubKey);
+        }
+        const validatorStates = (await api.beacon.getStateValidators(
+          { stateId: stateRoot, validatorIds: pubKeys.map(pubKey => parseInt(pubKey, 16)) }
+        )).value();
+        let totalEffectiveBalance = ZERO_DECIMAL;
+        let balances = [];
+        // remember that these validators are specific to the provided staker address.
+        // a validator is identified by its public key (or validator index), while a staker
+        // is identified by its address. each staker may have multiple validators.
+
+        for (let k = 0; k < validatorStates.length; k++) {
+          // we cannot drop validators even though they may be slashed. this is because
+          // even after slashing, the validators will retain 16 ETH of total balance.
+          // this must be allowed to be withdrawn after Imuachain is launched. since the
+          // withdrawal credentials point to the ImuaCapsule, such a withdrawal will
+          // be permitted only via ImuachainGateway, which must, correspondingly, have this validator's
+          // state recorded.
+          const validator = validatorStates[k];
+          const effectiveBalance = new Decimal(web3.utils.toWei(validator.validator.effectiveBalance.toString(), "gwei"));
+          if (effectiveBalance.eq(0)) {
+            if (!validator.status.startsWith("withdrawal")) {
+              throw new Error(
+                `The effective balance of ${effectiveBalance} is zero for a validator that is not withdrawing.`
+              );
+            }
+          }
+          // even if max is 16, this will still hold
+          if (effectiveBalance.gt(maxEffectiveBalance)) {
+            throw new Error(
+              `The effective balance of ${effectiveBalance} is greater than the maximum effective balance ${maxEffectiveBalance}.`
+            );
+          }
+          if (validator.status == "pending_initialized") {
+            // the deposit has happened, but perhaps not enough, or churn limit is exceeded,
+            // or the simplest case, the epoch containing the deposit has not yet ended.
+            // ideally, the effective balance should be equal to the depositValue, which
+            // would sum all the deposits made to the beacon chain.
+            // however, if a proof for a deposit was not submitted to the Bootstrap contract,
+            // but a deposit was made, the effective balance > depositValue.
+            // in a live chain, either a proof submission is made, or, the price feeder
+            // performs such an update. we will handle the update here ourselves.
+            // here, if the epoch in which the deposit was made hasn't ended, the effective
+            // balance may possibly be equal to 32 ETH. hence, we cannot check any range
+            // for this case.
+          } else if (validator.status == "pending_queued") {
+            // the deposit has happened, but the validator is not yet active. in this case,
+            // the effective balance must be exactly 32 ETH. otherwise, it would never be
+            // activated.
+            if (effectiveBalance.ne(maxEffectiveBalance)) {
+              throw new Error(
+                `The effective balance of ${effectiveBalance} is not equal to the maximum effective balance.`
+              );
+            }
+          } else if (validator.status.startsWith("active") || validator.status.startsWith("exited")) {
+            if (validator.status.endsWith("slashed")) {
+              // [8, 16]
+              if (effectiveBalance.gt(ejectionBalance)) {
+                throw new Error(
+                  `The effective balance of ${effectiveBalance} is greater than the ejection balance.`
+                );
+              } else if (effectiveBalance.lt(ejectionBalance.div(2))) {
+                throw new Error(
+                  `The effective balance of ${effectiveBalance} is less than half the ejection balance.`
+                );
+              }
+            } else {
+              // [16, 32], of which 32 is already checked.
+              if (effectiveBalance.lt(ejectionBalance)) {
+                throw new Error(
+                  `The effective balance of ${effectiveBalance} is less than the ejection balance.`
+                );
+              }
+            }
+          } else {
+            // beacon chain withdrawal, may or may not have landed on the execution layer.
+            // we will need to record this in state nevertheless, because withdrawal of the execution layer ETH
+            // must be permitted.
+            if (!effectiveBalance.isZero()) {
+              throw new Error(
+                `The effective balance of ${effectiveBalance} is not zero for a withdrawal status.`
+              );
+            }
+          }
+          nst_version++;
+          const validatorInfo = {
+            validator_pubkey: pubKeys[k],
+            version: nst_version,
+            deposit_amount: effectiveBalance.div('1e9'),
+          };
+          validatorInfos.push(validatorInfo);
+          totalEffectiveBalance = totalEffectiveBalance.plus(effectiveBalance);
+          let new_balance = {
+            round_id: 0,
+            block: height,
+            index: 0,
+            balance: 0,
+            // since we are only considering the total amount after slashing and refunds,
+            // it is always a deposit.
+            change: "ACTION_DEPOSIT"
+          };
+          if (balances.length > 0) {
+            new_balance = balances[balances.length - 1];
+            new_balance.index += 1;
+          }
+          new_balance.balance = Number(new Decimal(new_balance.balance)
+            .plus(new Decimal(web3.utils.fromWei(effectiveBalance.toFixed(), "gwei")))
+            .toFixed());
+          balances.push(new_balance);
+        }
+        //staker_infos.validator_list = validatorInfos;
+      const staker_info = {
+          staker_addr: stakerAddress.toLowerCase(),
+          staker_index: staker_index_counter,
+          validator_list: validatorInfos,
+          balance_list: [], // filled later.
+          withdraw_version: 0,
+        };
+        staker_index_counter += 1;
+        total_deposit_amount = total_deposit_amount.plus(totalEffectiveBalance.div('1e9'));
+        // now we have the totalEffectiveBalance across all validator pubkeys for this staker
+        // we will compare it with the depositValue. ideally, they should be equal. however,
+        // a deposit proof may not have been submitted or the validator might have been
+        // slashed, causing a deviation. it is also possible for a validator to have exited
+        // from the beacon chain (without attempting to submit a proof), causing a deviation.
+        if (totalEffectiveBalance.eq(depositValue)) {
+          // (1) they are equal; do nothing
+        } else if (totalEffectiveBalance.gt(depositValue)) {
+          // (2) totalEffectiveBalance > depositValue; add spare as deposit but not withdrawable
+          depositValue = totalEffectiveBalance;
+        } else {
+          // (3) lower effective balance means that the Ethereum validator was either downtime
+          // penalised or slashed. we follow the logic enshrined in update_native_restaking_balance.go
+          // store this value before making any adjustments to calculate the slash proportion accurately.
+          // An example case wherein not all the 32 ETH is staked to an Imuachain validator.
+          // Effective balance = 29 ETH
+          // Deposited 32, of which 2 is free and 30 is delegated. So withdrawable is 2.
+          // DepositValue = 32
+          // WithdrawableValue = 2
+          // TotalDelegated = 30
+          let totalDelegated = depositValue.minus(withdrawableValue);
+          // SlashFromWithdrawable = 32 - 29 = 3
+          let slashFromWithdrawable = depositValue.minus(totalEffectiveBalance);
+          // PendingSlashAmount = 3 - 2 = 1
+          let pendingSlashAmount = slashFromWithdrawable.minus(withdrawableValue);
+          if (pendingSlashAmount.gt(ZERO_DECIMAL)) {
+            // SlashFromWithdrawable = 2
+            slashFromWithdrawable = withdrawableValue;
+          } else {
+            pendingSlashAmount = ZERO_DECIMAL;
+          }
+          // DepositValue = 30
+          depositValue = depositValue.minus(slashFromWithdrawable);
+          // WithdrawableValue = 0
+          withdrawableValue = withdrawableValue.minus(slashFromWithdrawable);
+          // we don't have any undelegations, so we will skip that step.
+          if (pendingSlashAmount.gt(ZERO_DECIMAL)) {
+            // slash across all delegations, propotionately.
+            // let's look at an example.
+            // effective balance = 16 ETH at the time of generate.mjs
+            // originally, deposit value = 32 ETH, withdrawable value = 8 ETH
+            // slash from withdrawable = 16 ETH
+            // pending slash amount = 8 ETH
+            // slash from withdrawable = 8 ETH
+            // deposit value = 24 ETH, withdrawable value = 0 ETH
+            // we still have to slash 8 ETH of total delegated 24 ETH, across all operators
+            // to which delegations exist. so, 1/3 needs to be slashed. it should be saved
+            // and applied to staker_asset and operator_asset etc.
+            // in addition, we will apply it to the depositValue here too.
+            // total delegated was originally 24 ETH. so, 8 ETH (=1/3) needs to be slashed.
+            // the slashing needs to be applied to
+            // -- staker + asset + {each validator to which that combination is delegated}
+            // it should be applied to the delegated value against each validator,
+            // and then it will flow automatically(?) to the share.
+            // SlashProportion = 1/9, so we will need to handle truncation.
+            let slashProportion = pendingSlashAmount.div(totalDelegated);
+            if (slashProportion.greaterThan(ONE_DECIMAL)) {
+              slashProportion = ONE_DECIMAL;
+            }
+            depositValue = totalDelegated.minus(pendingSlashAmount);
+            // a certain subset of the validators is impacted by this above slashing.
+            // our goal is to find that subset and save it such that it can be applied
+            // to the delegated value below.
+            let impactedValidators = [];
+            let impactedValidatorsCount =
+              await myContract.methods.getValidatorsCountForStakerToken(stakerAddress, tokenAddress).call();
+
+            for (let k = 0; k < impactedValidatorsCount; k++) {
+              let impactedValidator =
+                await myContract.methods.stakerToTokenToValidators(stakerAddress, tokenAddress, k).call();
+              impactedValidators.push(impactedValidator);
+            }
+            if ((impactedValidators.length > 0) && (!slashProportion.isZero())) {
+              slashProportions.push({
+                staker: stakerAddress,
+                token: tokenAddress,
+                proportion: slashProportion,
+                impacted_validators: impactedValidators
+              });
+            }
+          }
+        }
+        staker_info.balance_list = balances;
+        if (!totalEffectiveBalance.isZero()) {
+          staker_infos.push(staker_info);
+        }
+      }
+      const depositByStakerForAsset = {
+        asset_id: tokenAddress.toLowerCase() + clientChainSuffix,
+        info: {
+          // adjusted for slashing by ETH beacon chain
+          total_deposit_amount: depositValue.toFixed(),
+          withdrawable_amount: withdrawableValue.toFixed(),
+          pending_undelegation_amount: "0",
+        }
+      };
+      depositsByStaker.push(depositByStakerForAsset);
+    }
+    // sort for determinism
+    depositsByStaker.sort((a, b) => {
+      // the asset_id is guaranteed to be unique, so no further sorting is needed.
+      if (a.asset_id < b.asset_id) {
+        return -1;
+      }
+      if (a.asset_id > b.asset_id) {
+        return 1;
+      }
+      return 0;
+    });
+    const depositsByStakerWrapped = {
+      staker: stakerAddress.toLowerCase() + clientChainSuffix,
+      deposits: depositsByStaker
+    };
+    deposits.push(depositsByStakerWrapped);
+    // break;
+  }
+
+  // read the registered validators, and everything about them, in batches
+  // before the operator_assets, operators / val_set and delegation_states sections.
+  const validatorCount = await myContract.methods.getValidatorsCount().call();
+  await myContract.prefetch(range(validatorCount).map((i) => ['registeredValidators', i]));
+  const validatorEthAddresses = [];
+  for (let i = 0; i < validatorCount; i++) {
+    validatorEthAddresses.push(await myContract.methods.registeredValidators(i).call());
+  }
+  await myContract.prefetch(validatorEthAddresses.map((ethAddress) => ['ethToImAddress', ethAddress]));
+  const validatorImAddresses = [];
+  for (let i = 0; i < validatorCount; i++) {
+    validatorImAddresses.push(await myContract.methods.ethToImAddress(validatorEthAddresses[i]).call());
+  }
+  await myContract.prefetch(validatorImAddresses.flatMap((imAddress, i) => [
+    ['validators', imAddress],
+    ...tokenAddresses.flatMap((tokenAddress) => [
+      ['delegationsByValidator', imAddress, tokenAddress],
+      ['delegations', validatorEthAddresses[i], imAddress, tokenAddress],
+      ...depositorAddresses.map(
+        (stakerAddress) => ['delegations', stakerAddress, imAddress, tokenAddress]
+      ),
+    ]),
+  ]));
+
+  // x/assets: assets state of the operators. an operator registered on several
+  // client chains gets a single entry, see updateGenesisFile.
+  for (let i = 0; i < validatorCount; i++) {
+    const validatorEthAddress = validatorEthAddresses[i];
+    const validatorImAddress = validatorImAddresses[i];
+    const assetsByOperator = [];
+    for (let j = 0; j < supportedTokensCount; j++) {
+      const tokenAddress = tokenAddresses[j];
+      let matchingEntries = slashProportions.filter(
+        (element) => element.token === tokenAddress && element.impacted_validators.includes(validatorImAddress)
+      );
+      let totalSlashing = ZERO_DECIMAL;
+      let selfSlashing = ZERO_DECIMAL;
+      for (let k = 0; k < matchingEntries.length; k++) {
+        let matchingEntry = matchingEntries[k];
+        let delegation = await myContract.methods.delegations(
+          matchingEntry.staker, validatorImAddress, tokenAddress
+        ).call();
+        if (delegation > 0) {
+          let slashing = new Decimal(delegation.toString()).mul(matchingEntry.proportion);
+          totalSlashing = totalSlashing.plus(slashing);
+          if (matchingEntry.staker == validatorEthAddress) {
+            selfSlashing = slashing;
+          }
+        }
+      }
+      const delegationValue = new Decimal((await myContract.methods.delegationsByValidator(
+        validatorImAddress, tokenAddress
+      ).call()).toString()).minus(totalSlashing).truncated();
+      const selfDelegation = new Decimal((await myContract.methods.delegations(
+        validatorEthAddress, validatorImAddress, tokenAddress
+      ).call()).toString()).minus(selfSlashing).truncated();
+
+      const assetsByOperatorForAsset = {
+        asset_id: tokenAddress.toLowerCase() + clientChainSuffix,
+        info: {
+          total_amount: delegationValue.toFixed(),
+          pending_undelegation_amount: "0",
+          total_share: delegationValue.toFixed(),
+          operator_share: selfDelegation.toFixed(),
+        }
+      };
+      assetsByOperator.push(assetsByOperatorForAsset);
+      // break;
+    }
+    if (!context.operatorAssets.has(validatorImAddress)) {
+      context.operatorAssets.set(validatorImAddress, []);
+    }
+    context.operatorAssets.get(validatorImAddress).push(...assetsByOperator);
+  }
+
+  // x/operator: operators (operator.go) and x/dogfood: val_set (validators.go)
+  const associations = genesisJSON.app_state.delegation.associations;
+  const operator_asset_usd_values = genesisJSON.app_state.operator.operator_asset_usd_values;
+  const operatorsCount = validatorCount;
+  for (let i = 0; i < operatorsCount; i++) {
+    // operators
+    const opAddressHex = validatorEthAddresses[i];
+    const opAddressIm = validatorImAddresses[i];
+    if (!isValidBech32(opAddressIm)) {
+      console.log(`Skipping operator with invalid bech32 address: ${opAddressIm}`);
+      continue;
+    }
+    const operatorInfo = await myContract.methods.validators(opAddressIm).call();
+    const earningInfo = {
+      lz_client_chain_id: clientChainInfo.layer_zero_chain_id,
+      client_chain_earning_addr: opAddressHex,
+    };
+    const commission = {
+      commission_rates: {
+        rate: new Decimal(
+          operatorInfo.commission.rate.toString()
+        ).div('1e18').toFixed(),
+        max_rate: new Decimal(
+          operatorInfo.commission.maxRate.toString()
+        ).div('1e18').toFixed(),
+        max_change_rate: new Decimal(
+          operatorInfo.commission.maxChangeRate.toString()
+        ).div('1e18').toFixed(),
+      },
+      update_time: context.spawnDate,
+    };
+    let operator = context.operators.get(opAddressIm);
+    if (!operator) {
+      operator = {
+        consensus_key: operatorInfo.consensusPublicKey,
+        operator_info: {
+          earnings_addr: opAddressIm,
+          // approve_addr set to opAddressIm
+          approve_addr: opAddressIm,
+          operator_meta_info: operatorInfo.name,
+          client_chain_earnings_addr: {
+            earning_info_list: [earningInfo]
+          },
+          commission: commission,
+        },
+        self_usd_value: ZERO_DECIMAL,
+        total_usd_value: ZERO_DECIMAL,
+      };
+      context.operators.set(opAddressIm, operator);
+    } else {
+      // the operator is registered on more than one Bootstrap contract. it is a single
+      // validator, so the consensus key must match. the name and commission of the
+      // first client chain are used.
+      if (operator.consensus_key !== operatorInfo.consensusPublicKey) {
+        throw new Error(
+          `The operator ${opAddressIm} uses different consensus keys on different client chains.`
+        );
+      }
+      if (
+        operator.operator_info.operator_meta_info !== operatorInfo.name ||
+        JSON.stringify(operator.operator_info.commission) !== JSON.stringify(commission)
+      ) {
+        console.log(
+          `The operator ${opAddressIm} has a different name or commission on ${chain.bootstrapAddress}, ` +
+          'using the first one.'
+        );
+      }
+      operator.operator_info.client_chain_earnings_addr.earning_info_list.push(earningInfo);
+    }
+    // dogfood: val_set
+    // TODO: once the oracle module is set up, move away from this solution
+    // and instead, load the asset prices into the oracle module genesis
+    // and let the dogfood module pull the vote power from the rest of the system
+    // at genesis.
+    // NOTE: This TODO has been partially addressed by adding prices_list to oracle genesis state.
+    let amount = ZERO_DECIMAL;
+    let totalAmount = ZERO_DECIMAL;
+    for (let j = 0; j < supportedTokensCount; j++) {
+      const tokenAddress = tokenAddresses[j];
+      let selfDelegationAmount = new Decimal((await myContract.methods.delegations(
+        opAddressHex, opAddressIm, tokenAddress
+      ).call()).toString());
+      let matchingEntries = slashProportions.filter(
+        (element) => element.token === tokenAddress && element.impacted_validators.includes(opAddressIm)
+      );
+      let totalSlashing = ZERO_DECIMAL;
+      let selfSlashing = ZERO_DECIMAL;
+      for (let k = 0; k < matchingEntries.length; k++) {
+        let matchingEntry = matchingEntries[k];
+        let delegation = await myContract.methods.delegations(
+          matchingEntry.staker, opAddressIm, tokenAddress
+        ).call();
+        if (delegation > 0) {
+          let slashing = new Decimal(delegation.toString()).mul(matchingEntry.proportion);
+          totalSlashing = totalSlashing.plus(slashing);
+          if (matchingEntry.staker == opAddressHex) {
+            selfSlashing = slashing;
+          }
+        }
+      }
+      selfDelegationAmount = selfDelegationAmount.minus(selfSlashing).truncated();
+      amount = amount.plus(
+        selfDelegationAmount.
+        div('1e' + decimals[j]).
+        mul(exchangeRates[j].toFixed())
+      );
+      const perTokenDelegation = new Decimal((await myContract.methods.delegationsByValidator(
+        opAddressIm, tokenAddress
+      ).call()).toString()).minus(totalSlashing).truncated();
+
+      const usdValuePerToken = perTokenDelegation.
+        div('1e' + decimals[j]).mul(exchangeRates[j].toFixed());
+      // set the asset USD value for operator
+      const assetId = tokenAddress.toLowerCase() + clientChainSuffix;
+      const assetUsdValuekey = getJoinedStoreKey(dogfoodEpochID, opAddressIm, assetId);
+      operator_asset_usd_values.push({
+        key: assetUsdValuekey,
+        value: {
+          amount: usdValuePerToken.toFixed(),
+        },
+      });
+
+      totalAmount = totalAmount.plus(
+        usdValuePerToken
+      );
+      // break;
+    }
+    // the USD values are summed across the client chains.
+    operator.self_usd_value = operator.self_usd_value.plus(amount);
+    operator.total_usd_value = operator.total_usd_value.plus(totalAmount);
+    let stakerId = opAddressHex.toLowerCase() + clientChainSuffix;
+    let association = {
+      staker_id: stakerId,
+      operator: opAddressIm,
+    };
+    associations.push(association);
+  }
+
+  // iterate over all stakers, then all assets, then all operators
+  const delegation_states = genesisJSON.app_state.delegation.delegation_states;
+  const stakerListMap = context.stakerListMap;
+  for (let i = 0; i < depositorsCount; i++) {
+    const staker = depositorAddresses[i];
+    const stakerId = staker.toLowerCase() + clientChainSuffix;
+
+    for (let j = 0; j < supportedTokensCount; j++) {
+      const tokenAddress = tokenAddresses[j];
+      const assetId = tokenAddress.toLowerCase() + clientChainSuffix;
+
+      for (let k = 0; k < operatorsCount; k++) {
+        const operator = validatorImAddresses[k];
+        if (!isValidBech32(operator)) {
+          console.log(`Skipping operator with invalid bech32 address: ${operator}`);
+          continue;
+        }
+        let matchingEntries = slashProportions.filter(
+          (element) => element.token === tokenAddress && element.impacted_validators.includes(operator)
+        );
+        let totalSlashing = ZERO_DECIMAL;
+
+        for (let k = 0; k < matchingEntries.length; k++) {
+          let matchingEntry = matchingEntries[k];
+          let delegation = await myContract.methods.delegations(
+            matchingEntry.staker, operator, tokenAddress
+          ).call();
+          if (delegation > 0) {
+            let slashing = new Decimal(delegation.toString()).mul(matchingEntry.proportion);
+            totalSlashing = totalSlashing.plus(slashing);
+          }
+        }
+        const amount = new Decimal((await myContract.methods.delegations(
+          staker, operator, tokenAddress
+        ).call()).toString()).minus(totalSlashing).truncated();
+        if (amount.gt(ZERO_DECIMAL)) {
+          const key = getJoinedStoreKey(stakerId, assetId, operator);
+          delegation_states.push({
+            key: key,
+            states: {
+              undelegatable_share: amount.toFixed(),
+              wait_undelegation_amount: "0"
+            },
+          });
+
+          //map key
+          const mapKey = getJoinedStoreKey(operator, assetId);
+          if (!stakerListMap.has(mapKey)) {
+            stakerListMap.set(mapKey, []);
+          }
+          stakerListMap.get(mapKey).push(stakerId);
+        }
+      }
+      // break;
+    }
+    // break;
+  }
+
+  // x/oracle - native restaking for ETH
+  if (staker_infos.length > 0) {
+    context.stakerInfosAssets.push({
+      chain_id: clientChainInfo.layer_zero_chain_id,
+      staker_infos: staker_infos,
+      nst_version_info: {
+        version: {
+          version: nst_version,
+          deposit_amount: total_deposit_amount,
+        },
+        feed_version: {
+          version: nst_version,
+          deposit_amount: total_deposit_amount,
+        },
+        withdraw_version: 0,
+        feed_withdraw_version: 0,
+      }
+    });
+  }
+
+  // x/oracle - chains: the chainId in tokens is the index in the chains array, so
+  // the profiles must list the chains they share in the same order.
+  profile.oracle.chains.forEach((oracleChain, i) => {
+    if (i >= context.oracleChains.length) {
+      context.oracleChains.push(oracleChain);
+    } else if (context.oracleChains[i].name !== oracleChain.name) {
+      throw new Error(
+        `The oracle chains of the ${profile.name} profile do not match those of the other profiles.`
+      );
+    }
+  });
+}
+
+async function updateGenesisFile() {
+  try {
+    let snapshot, genesisData;
+    const chains = [];
+    if (snapshotReplayPath) {
+      snapshot = await GenesisSnapshot.load(snapshotReplayPath);
+      console.log(
+        `Replaying snapshot ${snapshotReplayPath} of ${snapshot.chains.length} client chain(s).`
+      );
+      genesisData = snapshot.getInput('base_genesis');
+      for (const chainSnapshot of snapshot.chains) {
+        chains.push(await replayClientChain(chainSnapshot));
+      }
+    } else {
+      // Read and parse the ABI from abi.json
+      const abiPath = 'out/Bootstrap.sol/Bootstrap.json';
+      const contractABI = JSON.parse(await fs.readFile(abiPath, 'utf8')).abi;
+      genesisData = await fs.readFile(INTEGRATION_BASE_GENESIS_FILE_PATH, 'utf8');
+      if (snapshotCapturePath) {
+        snapshot = new GenesisSnapshot();
+        snapshot.setMeta('captured_at', new Date().toISOString());
+        snapshot.setInput('base_genesis', genesisData);
+      }
+      for (const chainConfig of await loadClientChainConfigs()) {
+        chains.push(await connectClientChain(chainConfig, contractABI, snapshot));
+      }
+    }
+    // the native chain and asset are those of Imuachain, hence common to all profiles.
+    const nativeChain = chains[0].profile.native_chain;
+    const nativeAsset = chains[0].profile.native_asset;
+    for (const chain of chains.slice(1)) {
+      if (
+        JSON.stringify(chain.profile.native_chain) !== JSON.stringify(nativeChain) ||
+        JSON.stringify(chain.profile.native_asset) !== JSON.stringify(nativeAsset)
+      ) {
+        throw new Error(
+          `The native chain or asset of the ${chain.profile.name} profile differs from ` +
+          `the one of the ${chains[0].profile.name} profile.`
+        );
+      }
+    }
 
     // Read the genesis file
-    const genesisData = await fs.readFile(INTEGRATION_BASE_GENESIS_FILE_PATH);
     const genesisJSON = jsonBig.parse(genesisData);
 
     // the initial height, when starting a new chain, is 1.
@@ -176,16 +1131,22 @@ async function updateGenesisFile() {
       height = 0;
     }
 
-    const bootstrapped = await myContract.methods.bootstrapped().call();
-    if (bootstrapped) {
-      // after bootstrapping, some information is deleted.
-      throw new Error('The contract has already been bootstrapped.');
+    // Set spawn time. with several Bootstrap contracts, the chain cannot start before
+    // the last of them is ready.
+    const spawnTimes = [];
+    for (const chain of chains) {
+      const bootstrapped = await chain.contract.methods.bootstrapped().call();
+      if (bootstrapped) {
+        // after bootstrapping, some information is deleted.
+        throw new Error(`The contract ${chain.bootstrapAddress} has already been bootstrapped.`);
+      }
+      spawnTimes.push(BigInt(await chain.contract.methods.spawnTime().call()));
     }
-
-    // Set spawn time
-    const spawnTime = await myContract.methods.spawnTime().call();
-    const spawnTimeInSeconds = spawnTime.toString();
-    const spawnDate = new Date(spawnTimeInSeconds * 1000).toISOString();
+    const spawnTimeInSeconds = spawnTimes.reduce((a, b) => (a > b ? a : b));
+    if (spawnTimes.some((spawnTime) => spawnTime !== spawnTimeInSeconds)) {
+      console.log(`The spawn times differ across client chains, using the latest ${spawnTimeInSeconds}.`);
+    }
+    const spawnDate = new Date(Number(spawnTimeInSeconds) * 1000).toISOString();
     genesisJSON.genesis_time = spawnDate;
 
     // get and validate the epoch indentifier in dogfood params.
@@ -204,25 +1165,6 @@ async function updateGenesisFile() {
     if (!genesisJSON.app_state.assets.client_chains) {
       genesisJSON.app_state.assets.client_chains = [];
     }
-    const existingChainIdIndex = genesisJSON.app_state.
-      assets.client_chains.findIndex(
-        chain =>
-        chain.layer_zero_chain_id === clientChainInfo.layer_zero_chain_id
-      );
-    if (existingChainIdIndex >= 0) {
-      // If found, raise an error
-      throw new Error(
-        `An entry with layer_zero_chain_id
-    ${clientChainInfo.layer_zero_chain_id} already exists.`
-      );
-    }
-    genesisJSON.app_state.assets.client_chains.push(clientChainInfo);
-    genesisJSON.app_state.assets.client_chains.sort(
-      (a, b) => a.layer_zero_chain_id - b.layer_zero_chain_id
-    );
-
-    const clientChainSuffix = '_0x' + clientChainInfo.layer_zero_chain_id.toString(16);
-
     // x/assets: tokens (client_chain_asset.go)
     // x/oracle
     if (!genesisJSON.app_state.assets.tokens) {
@@ -238,143 +1180,56 @@ async function updateGenesisFile() {
         'The token_feeders section is missing from the oracle params.'
       );
     }
-    const supportedTokensCount = await myContract.methods.getWhitelistedTokensCount().call();
-    if (supportedTokensCount != tokenMetaInfos.length) {
-      throw new Error(
-        `The number of tokens in the contract (${supportedTokensCount}) 
-        does not match the number of token meta infos (${tokenMetaInfos.length}).`
-      );
+    // x/assets: deposits (staker_asset.go)
+    if (!genesisJSON.app_state.assets.deposits) {
+      genesisJSON.app_state.assets.deposits = [];
     }
-    if (supportedTokensCount != tokenNamesForOracle.length) {
-      throw new Error(
-        `The number of tokens in the contract (${supportedTokensCount}) 
-        does not match the number of token names for the oracle (${tokenNamesForOracle.length}).`
-      );
+    // x/operator: operators (operator.go)
+    if (!genesisJSON.app_state.operator.operators) {
+      genesisJSON.app_state.operator.operators = [];
     }
-    const decimals = [];
-    const supportedTokens = genesisJSON.app_state.assets.tokens;
-    const assetIds = genesisJSON.app_state.dogfood.params.asset_ids;
-    // start with the initial value
-    const oracleTokens = genesisJSON.app_state.oracle.params.tokens;
-    const oracleTokenFeeders = genesisJSON.app_state.oracle.params.token_feeders;
-    let hasNst = {};
-    for (let i = 0; i < supportedTokensCount; i++) {
-      let token = await myContract.methods.getWhitelistedTokenAtIndex(i).call();
-      const deposit_amount = await myContract.methods.depositsByToken(token.tokenAddress).call();
-      const tokenCleaned = {
-        asset_basic_info: {
-          name: token.name,
-          symbol: token.symbol,
-          address: token.tokenAddress.toLowerCase(),
-          decimals: token.decimals.toString(),
-          layer_zero_chain_id: clientChainInfo.layer_zero_chain_id,
-          imua_chain_index: i.toString(), // unused
-          meta_info: tokenMetaInfos[i],
-        },
-        staking_total_amount: deposit_amount.toString(),
-      };
-
-      supportedTokens.push(tokenCleaned);
-      decimals.push(token.decimals);
-      assetIds.push(token.tokenAddress.toLowerCase() + clientChainSuffix);
-      let oracleToken;
-      const oracleTokenFeeder = {
-        token_id: oracleTokens.length.toString(),
-        start_round_id: "1",
-        start_base_block: (height + 20).toString(),
-        interval: "30",
-        end_block: "0",
-      };
-      if (tokenNamesForOracle[i].toLowerCase().startsWith('nst')) {
-        if (token.tokenAddress != VIRTUAL_STAKED_ETH_ADDR) {
-          throw new Error('Oracle name refers to NST token but this is LST');
-        }
-        if (TokenMappingChainIDsForOracle[tokenNamesForOracle[i]] == null) {
-          throw new Error(`Missing chain_id mapping for ${tokenNamesForOracle[i]}`);
-        }
-        oracleToken = {
-          name: tokenNamesForOracle[i],
-          chain_id: TokenMappingChainIDsForOracle[tokenNamesForOracle[i]],
-          contract_address: '',
-          active: true,
-          asset_id: "NST" + clientChainSuffix,
-          decimal: 9,
-        };
-        oracleTokenFeeder.rule_id = "3";
-      } else {
-        if (TokenMappingChainIDsForOracle[tokenNamesForOracle[i]] == null) {
-          throw new Error(`Missing chain_id mapping for ${tokenNamesForOracle[i]}`);
-       	}
-        if (token.tokenAddress == VIRTUAL_STAKED_ETH_ADDR) {
-          throw new Error('Oracle name refers to LST token but this is NST');
-        }
-        oracleToken = {
-          name: tokenNamesForOracle[i],
-          chain_id: TokenMappingChainIDsForOracle[tokenNamesForOracle[i]],
-          contract_address: token.tokenAddress,
-          active: true,
-          asset_id: token.tokenAddress.toLowerCase() + clientChainSuffix,
-          decimal: 8,
-        };
-        oracleTokenFeeder.rule_id = "2";
-      }
-      // check that the same token name exists already. if so, append to it.
-      let found = false;
-      for (let j = 0; j < oracleTokens.length; j++) {
-        if (oracleTokens[j].name == oracleToken.name) {
-          oracleTokens[j].asset_id += "," + oracleToken.asset_id;
-          found = true;
-          break;
-        }
-      }
-      if (!found) {
-        oracleTokens.push(oracleToken);
-        oracleTokenFeeders.push(oracleTokenFeeder);
-      }
-      if (oracleToken.name.toLowerCase().startsWith('nst')) {
-        if (hasNst.status) {
-          throw new Error('Multiple NST tokens found.');
-        }
-        hasNst = {
-          // only used for tracking multiple NST tokens
-          status: true,
-          asset_id: token.tokenAddress.toLowerCase() + clientChainSuffix,
-          remainder: oracleToken.name.slice(3),
-        };
-      }
+    // x/dogfood: val_set (validators.go)
+    if (!genesisJSON.app_state.dogfood) {
+      throw new Error('The dogfood section is missing from the genesis file.');
     }
-    // bind nstETH asset_id to the ETH token, if nstETH is found.
-    let found = false;
-    if (hasNst.status) {
-      genesisJSON.app_state.oracle.params.tokens = oracleTokens.map((token) => {
-        if (token.name === hasNst.remainder) {
-          found = true;
-          token.asset_id += "," + hasNst.asset_id;
-        }
-        return token;
-      });
-      if (!found) {
-        // add `ETH` manually, if `nstETH` exists but not `ETH` in the oracle tokens.
-        // the former in `tokens` is to get the validator effective balance from beacon, denominated in ETH.
-        // the latter in `tokens` is to get the price of ETH in USD.
-        genesisJSON.app_state.oracle.params.tokens.push({
-          name: hasNst.remainder,
-          chain_id: TokenMappingChainIDsForOracle[hasNst.remainder],
-          contract_address: VIRTUAL_STAKED_ETH_ADDR,
-          active: true,
-          asset_id: hasNst.asset_id,
-          decimal: 8,
-        });
-        genesisJSON.app_state.oracle.params.token_feeders.push({
-          token_id: (Number(supportedTokensCount) + 1).toString(),
-          rule_id: "2",
-          start_round_id: "1",
-          start_base_block: (height + 20).toString(),
-          interval: "30",
-          end_block: "0",
-        });
-      }
+    if (!genesisJSON.app_state.dogfood.val_set) {
+      genesisJSON.app_state.dogfood.val_set = [];
+    }
+    // x/delegation: associations
+    if (!genesisJSON.app_state.delegation.associations) {
+      genesisJSON.app_state.delegation.associations = [];
     }
+    // x/feedistribution: set the correct AVS address for dogfood.
+    const chain_id_without_revision = getChainIDWithoutPrevision(genesisJSON.chain_id);
+    const dogfoodAddr = generateAVSAddr(chain_id_without_revision);
+    if (!genesisJSON.app_state.feedistribution?.all_avs_reward_assets?.length) {
+      throw new Error('all_avs_reward_assets is missing or empty in feedistribution params');
+    }
+    genesisJSON.app_state.feedistribution.all_avs_reward_assets[0].avs = dogfoodAddr;
+
+    const context = {
+      height,
+      dogfoodEpochID,
+      spawnDate,
+      // operator address => operator_info, consensus key and USD values
+      operators: new Map(),
+      // operator address => assets_state
+      operatorAssets: new Map(),
+      // operator/asset_id => staker ids
+      stakerListMap: new Map(),
+      stakerInfosAssets: [],
+      oracleChains: [],
+      tokenNameToExchangeRate: new Map(),
+      // a replay uses the prices of the snapshot, whatever the price source.
+      priceProvider: snapshotReplayPath
+        ? createReplayPriceProvider(process.env, snapshot.hasInput('prices') ? snapshot.getInput('prices') : null)
+        : createPriceProvider(),
+    };
+    for (const chain of chains) {
+      await addClientChain(genesisJSON, context, chain);
+    }
+
+    const supportedTokens = genesisJSON.app_state.assets.tokens;
     supportedTokens.sort((a, b) => {
       if (a.asset_basic_info.symbol < b.asset_basic_info.symbol) {
         return -1;
@@ -385,283 +1240,8 @@ async function updateGenesisFile() {
       return 0;
     });
     genesisJSON.app_state.assets.tokens = supportedTokens;
-    // do not sort x/oracle params since the order is related for
-    // the token objects and the token feeders.
 
-    // x/assets: deposits (staker_asset.go)
-    if (!genesisJSON.app_state.assets.deposits) {
-      genesisJSON.app_state.assets.deposits = [];
-    }
-    const depositorsCount = await myContract.methods.getDepositorsCount().call();
     const deposits = genesisJSON.app_state.assets.deposits;
-    const nativeTokenDepositors = [];
-    const staker_infos = [];
-    let slashProportions = [];
-    let staker_index_counter = 0;
-    let nst_version = 0;
-    let total_deposit_amount = ZERO_DECIMAL;
-    for (let i = 0; i < depositorsCount; i++) {
-      const stakerAddress = await myContract.methods.depositors(i).call();
-      const depositsByStaker = [];
-      for (let j = 0; j < supportedTokensCount; j++) {
-        // do not reuse the older array since it has been sorted.
-        const tokenAddress =
-          (await myContract.methods.getWhitelistedTokenAtIndex(j).call()).tokenAddress;
-        let depositValue = new Decimal((await myContract.methods.totalDepositAmounts(
-          stakerAddress, tokenAddress
-        ).call()).toString());
-        let withdrawableValue = new Decimal((await myContract.methods.withdrawableAmounts(
-          stakerAddress, tokenAddress
-        ).call()).toString());
-        // for validator pubkey ids to be available, a deposit must have been made.
-        // hence, the depositValue > 0 condition is necessary.
-        if ((tokenAddress == VIRTUAL_STAKED_ETH_ADDR) && (depositValue > 0)) {
-          // we have to use the effective balance calculation
-          nativeTokenDepositors.push(stakerAddress.toLowerCase());
-          const pubKeyCount = await myContract.methods.getPubkeysCount(stakerAddress).call();
-          if (pubKeyCount == 0) {
-            throw new Error('No pubkeys found for the staker.');
-          }
-          const validatorInfos = [];
-          const pubKeys = [];
-          for (let k = 0; k < pubKeyCount; k++) {
-            const pubKey = await myContract.methods.stakerToPubkeyIDs(stakerAddress, k).call();
-            pubKeys.push(pubKey);
-          }
-          const validatorStates = (await api.beacon.getStateValidators(
-            { stateId: stateRoot, validatorIds: pubKeys.map(pubKey => parseInt(pubKey, 16)) }
-          )).value();
-          let totalEffectiveBalance = ZERO_DECIMAL;
-          let balances = [];
-          // remember that these validators are specific to the provided staker address.
-          // a validator is identified by its public key (or validator index), while a staker
-          // is identified by its address. each staker may have multiple validators.
-
-          for (let k = 0; k < validatorStates.length; k++) {
-            // we cannot drop validators even though they may be slashed. this is because
-            // even after slashing, the validators will retain 16 ETH of total balance.
-            // this must be allowed to be withdrawn after Imuachain is launched. since the
-            // withdrawal credentials point to the ImuaCapsule, such a withdrawal will
-            // be permitted only via ImuachainGateway, which must, correspondingly, have this validator's
-            // state recorded.
-            const validator = validatorStates[k];
-            const effectiveBalance = new Decimal(web3.utils.toWei(validator.validator.effectiveBalance.toString(), "gwei"));
-            if (effectiveBalance.eq(0)) {
-              if (!validator.status.startsWith("withdrawal")) {
-                throw new Error(
-                  `The effective balance of ${effectiveBalance} is zero for a validator that is not withdrawing.`
-                );
-              }
-            }
-            // even if max is 16, this will still hold
-            if (effectiveBalance.gt(maxEffectiveBalance)) {
-              throw new Error(
-                `The effective balance of ${effectiveBalance} is greater than the maximum effective balance ${maxEffectiveBalance}.`
-              );
-            }
-            if (validator.status == "pending_initialized") {
-              // the deposit has happened, but perhaps not enough, or churn limit is exceeded,
-              // or the simplest case, the epoch containing the deposit has not yet ended.
-              // ideally, the effective balance should be equal to the depositValue, which
-              // would sum all the deposits made to the beacon chain.
-              // however, if a proof for a deposit was not submitted to the Bootstrap contract,
-              // but a deposit was made, the effective balance > depositValue.
-              // in a live chain, either a proof submission is made, or, the price feeder
-              // performs such an update. we will handle the update here ourselves.
-              // here, if the epoch in which the deposit was made hasn't ended, the effective
-              // balance may possibly be equal to 32 ETH. hence, we cannot check any range
-              // for this case.
-            } else if (validator.status == "pending_queued") {
-              // the deposit has happened, but the validator is not yet active. in this case,
-              // the effective balance must be exactly 32 ETH. otherwise, it would never be
-              // activated.
-              if (effectiveBalance.ne(maxEffectiveBalance)) {
-                throw new Error(
-                  `The effective balance of ${effectiveBalance} is not equal to the maximum effective balance.`
-                );
-              }
-            } else if (validator.status.startsWith("active") || validator.status.startsWith("exited")) {
-              if (validator.status.endsWith("slashed")) {
-                // [8, 16]
-                if (effectiveBalance.gt(ejectionBalance)) {
-                  throw new Error(
-                    `The effective balance of ${effectiveBalance} is greater than the ejection balance.`
-                  );
-                } else if (effectiveBalance.lt(ejectionBalance.div(2))) {
-                  throw new Error(
-                    `The effective balance of ${effectiveBalance} is less than half the ejection balance.`
-                  );
-                }
-              } else {
-                // [16, 32], of which 32 is already checked.
-                if (effectiveBalance.lt(ejectionBalance)) {
-                  throw new Error(
-                    `The effective balance of ${effectiveBalance} is less than the ejection balance.`
-                  );
-                }
-              }
-            } else {
-              // beacon chain withdrawal, may or may not have landed on the execution layer.
-              // we will need to record this in state nevertheless, because withdrawal of the execution layer ETH
-              // must be permitted.
-              if (!effectiveBalance.isZero()) {
-                throw new Error(
-                  `The effective balance of ${effectiveBalance} is not zero for a withdrawal status.`
-                );
-              }
-            }
-            nst_version++;
-            const validatorInfo = {
-              validator_pubkey: pubKeys[k],
-              version: nst_version,
-              deposit_amount: effectiveBalance.div('1e9'),
-            };
-            validatorInfos.push(validatorInfo);
-            totalEffectiveBalance = totalEffectiveBalance.plus(effectiveBalance);
-            let new_balance = {
-              round_id: 0,
-              block: height,
-              index: 0,
-              balance: 0,
-              // since we are only considering the total amount after slashing and refunds,
-              // it is always a deposit.
-              change: "ACTION_DEPOSIT"
-            };
-            if (balances.length > 0) {
-              new_balance = balances[balances.length - 1];
-              new_balance.index += 1;
-            }
-            new_balance.balance = Number(new Decimal(new_balance.balance)
-              .plus(new Decimal(web3.utils.fromWei(effectiveBalance.toFixed(), "gwei")))
-              .toFixed());
-            balances.push(new_balance);
-          }
-          //staker_infos.validator_list = validatorInfos;
-        const staker_info = {
-            staker_addr: stakerAddress.toLowerCase(),
-            staker_index: staker_index_counter,
-            validator_list: validatorInfos,
-            balance_list: [], // filled later.
-            withdraw_version: 0,
-          };
-          staker_index_counter += 1;
-          total_deposit_amount = total_deposit_amount.plus(totalEffectiveBalance.div('1e9'));
-          // now we have the totalEffectiveBalance across all validator pubkeys for this staker
-          // we will compare it with the depositValue. ideally, they should be equal. however,
-          // a deposit proof may not have been submitted or the validator might have been
-          // slashed, causing a deviation. it is also possible for a validator to have exited
-          // from the beacon chain (without attempting to submit a proof), causing a deviation.
-          if (totalEffectiveBalance.eq(depositValue)) {
-            // (1) they are equal; do nothing
-          } else if (totalEffectiveBalance.gt(depositValue)) {
-            // (2) totalEffectiveBalance > depositValue; add spare as deposit but not withdrawable
-            depositValue = totalEffectiveBalance;
-          } else {
-            // (3) lower effective balance means that the Ethereum validator was either downtime
-            // penalised or slashed. we follow the logic enshrined in update_native_restaking_balance.go
-            // store this value before making any adjustments to calculate the slash proportion accurately.
-            // An example case wherein not all the 32 ETH is staked to an Imuachain validator.
-            // Effective balance = 29 ETH
-            // Deposited 32, of which 2 is free and 30 is delegated. So withdrawable is 2.
-            // DepositValue = 32
-            // WithdrawableValue = 2
-            // TotalDelegated = 30
-            let totalDelegated = depositValue.minus(withdrawableValue);
-            // SlashFromWithdrawable = 32 - 29 = 3
-            let slashFromWithdrawable = depositValue.minus(totalEffectiveBalance);
-            // PendingSlashAmount = 3 - 2 = 1
-            let pendingSlashAmount = slashFromWithdrawable.minus(withdrawableValue);
-            if (pendingSlashAmount.gt(ZERO_DECIMAL)) {
-              // SlashFromWithdrawable = 2
-              slashFromWithdrawable = withdrawableValue;
-            } else {
-              pendingSlashAmount = ZERO_DECIMAL;
-            }
-            // DepositValue = 30
-            depositValue = depositValue.minus(slashFromWithdrawable);
-            // WithdrawableValue = 0
-            withdrawableValue = withdrawableValue.minus(slashFromWithdrawable);
-            // we don't have any undelegations, so we will skip that step.
-            if (pendingSlashAmount.gt(ZERO_DECIMAL)) {
-              // slash across all delegations, propotionately.
-              // let's look at an example.
-              // effective balance = 16 ETH at the time of generate.mjs
-              // originally, deposit value = 32 ETH, withdrawable value = 8 ETH
-              // slash from withdrawable = 16 ETH
-              // pending slash amount = 8 ETH
-              // slash from withdrawable = 8 ETH
-              // deposit value = 24 ETH, withdrawable value = 0 ETH
-              // we still have to slash 8 ETH of total delegated 24 ETH, across all operators
-              // to which delegations exist. so, 1/3 needs to be slashed. it should be saved
-              // and applied to staker_asset and operator_asset etc.
-              // in addition, we will apply it to the depositValue here too.
-              // total delegated was originally 24 ETH. so, 8 ETH (=1/3) needs to be slashed.
-              // the slashing needs to be applied to
-              // -- staker + asset + {each validator to which that combination is delegated}
-              // it should be applied to the delegated value against each validator,
-              // and then it will flow automatically(?) to the share.
-              // SlashProportion = 1/9, so we will need to handle truncation.
-              let slashProportion = pendingSlashAmount.div(totalDelegated);
-              if (slashProportion.greaterThan(ONE_DECIMAL)) {
-                slashProportion = ONE_DECIMAL;
-              }
-              depositValue = totalDelegated.minus(pendingSlashAmount);
-              // a certain subset of the validators is impacted by this above slashing.
-              // our goal is to find that subset and save it such that it can be applied
-              // to the delegated value below.
-              let impactedValidators = [];
-              let impactedValidatorsCount =
-                await myContract.methods.getValidatorsCountForStakerToken(stakerAddress, tokenAddress).call();
-
-              for (let k = 0; k < impactedValidatorsCount; k++) {
-                let impactedValidator =
-                  await myContract.methods.stakerToTokenToValidators(stakerAddress, tokenAddress, k).call();
-                impactedValidators.push(impactedValidator);
-              }
-              if ((impactedValidators.length > 0) && (!slashProportion.isZero())) {
-                slashProportions.push({
-                  staker: stakerAddress,
-                  token: tokenAddress,
-                  proportion: slashProportion,
-                  impacted_validators: impactedValidators
-                });
-              }
-            }
-          }
-          staker_info.balance_list = balances;
-          if (!totalEffectiveBalance.isZero()) {
-            staker_infos.push(staker_info);
-          }
-        }
-        const depositByStakerForAsset = {
-          asset_id: tokenAddress.toLowerCase() + clientChainSuffix,
-          info: {
-            // adjusted for slashing by ETH beacon chain
-            total_deposit_amount: depositValue.toFixed(),
-            withdrawable_amount: withdrawableValue.toFixed(),
-            pending_undelegation_amount: "0",
-          }
-        };
-        depositsByStaker.push(depositByStakerForAsset);
-      }
-      // sort for determinism
-      depositsByStaker.sort((a, b) => {
-        // the asset_id is guaranteed to be unique, so no further sorting is needed.
-        if (a.asset_id < b.asset_id) {
-          return -1;
-        }
-        if (a.asset_id > b.asset_id) {
-          return 1;
-        }
-        return 0;
-      });
-      const depositsByStakerWrapped = {
-        staker: stakerAddress.toLowerCase() + clientChainSuffix,
-        deposits: depositsByStaker
-      };
-      deposits.push(depositsByStakerWrapped);
-      // break;
-    }
     // sort for determinism
     deposits.sort((a, b) => {
       // the staker_id is guaranteed to be unique, so no further sorting is needed.
@@ -676,53 +1256,8 @@ async function updateGenesisFile() {
     genesisJSON.app_state.assets.deposits = deposits;
 
     // x/assets: assets state of the operators
-    const validatorCount = await myContract.methods.getValidatorsCount().call();
     const operator_assets = genesisJSON.app_state.assets.operator_assets;
-    for (let i = 0; i < validatorCount; i++) {
-      const validatorEthAddress = await myContract.methods.registeredValidators(i).call();
-      const validatorImAddress = await myContract.methods.ethToImAddress(validatorEthAddress).call();
-      const assetsByOperator = [];
-      for (let j = 0; j < supportedTokensCount; j++) {
-        // do not reuse the older array since it has been sorted.
-        const tokenAddress =
-          (await myContract.methods.getWhitelistedTokenAtIndex(j).call()).tokenAddress;
-        let matchingEntries = slashProportions.filter(
-          (element) => element.token === tokenAddress && element.impacted_validators.includes(validatorImAddress)
-        );
-        let totalSlashing = ZERO_DECIMAL;
-        let selfSlashing = ZERO_DECIMAL;
-        for (let k = 0; k < matchingEntries.length; k++) {
-          let matchingEntry = matchingEntries[k];
-          let delegation = await myContract.methods.delegations(
-            matchingEntry.staker, validatorImAddress, tokenAddress
-          ).call();
-          if (delegation > 0) {
-            let slashing = new Decimal(delegation.toString()).mul(matchingEntry.proportion);
-            totalSlashing = totalSlashing.plus(slashing);
-            if (matchingEntry.staker == validatorEthAddress) {
-              selfSlashing = slashing;
-            }
-          }
-        }
-        const delegationValue = new Decimal((await myContract.methods.delegationsByValidator(
-          validatorImAddress, tokenAddress
-        ).call()).toString()).minus(totalSlashing).truncated();
-        const selfDelegation = new Decimal((await myContract.methods.delegations(
-          validatorEthAddress, validatorImAddress, tokenAddress
-        ).call()).toString()).minus(selfSlashing).truncated();
-
-        const assetsByOperatorForAsset = {
-          asset_id: tokenAddress.toLowerCase() + clientChainSuffix,
-          info: {
-            total_amount: delegationValue.toFixed(),
-            pending_undelegation_amount: "0",
-            total_share: delegationValue.toFixed(),
-            operator_share: selfDelegation.toFixed(),
-          }
-        };
-        assetsByOperator.push(assetsByOperatorForAsset);
-        // break;
-      }
+    context.operatorAssets.forEach((assetsByOperator, operator) => {
       // sort for determinism
       assetsByOperator.sort((a, b) => {
         // the asset_id is guaranteed to be unique, so no further sorting is needed.
@@ -734,12 +1269,11 @@ async function updateGenesisFile() {
         }
         return 0;
       });
-      const assetsByOperatorWrapped = {
-        operator: validatorImAddress,
+      operator_assets.push({
+        operator: operator,
         assets_state: assetsByOperator
-      };
-      operator_assets.push(assetsByOperatorWrapped);
-    }
+      });
+    });
     // sort for determinism
     operator_assets.sort((a, b) => {
       // the operator address is guaranteed to be unique, so no further sorting is needed.
@@ -753,24 +1287,8 @@ async function updateGenesisFile() {
     });
     genesisJSON.app_state.assets.operator_assets = operator_assets;
 
-    // x/operator: operators (operator.go)
-    if (!genesisJSON.app_state.operator.operators) {
-      genesisJSON.app_state.operator.operators = [];
-    }
-
-    // x/dogfood: val_set (validators.go)
-    if (!genesisJSON.app_state.dogfood) {
-      throw new Error('The dogfood section is missing from the genesis file.');
-    }
-    if (!genesisJSON.app_state.dogfood.val_set) {
-      genesisJSON.app_state.dogfood.val_set = [];
-    }
     // check min_self_delegation
     const minSelfDelegation = new Decimal(genesisJSON.app_state.dogfood.params.min_self_delegation);
-    // x/delegation: associations
-    if (!genesisJSON.app_state.delegation.associations) {
-      genesisJSON.app_state.delegation.associations = [];
-    }
     let validators = genesisJSON.app_state.dogfood.val_set.map((validator) => {
       return {
         public_key: validator.public_key,
@@ -781,135 +1299,25 @@ async function updateGenesisFile() {
 
     const operators = genesisJSON.app_state.operator.operators;
     const associations = genesisJSON.app_state.delegation.associations;
-    const operatorsCount = await myContract.methods.getValidatorsCount().call();
     let dogfoodUSDValue = ZERO_DECIMAL;
     const operator_records = genesisJSON.app_state.operator.operator_records;
     const opt_states = genesisJSON.app_state.operator.opt_states;
     const avs_usd_values = genesisJSON.app_state.operator.avs_usd_values;
     const operator_asset_usd_values = genesisJSON.app_state.operator.operator_asset_usd_values;
     const operator_usd_values = genesisJSON.app_state.operator.operator_usd_values;
-    const chain_id_without_revision = getChainIDWithoutPrevision(genesisJSON.chain_id);
-    const dogfoodAddr = generateAVSAddr(chain_id_without_revision);
-
-    // x/feedistribution: set the correct AVS address for dogfood.
-    if (!genesisJSON.app_state.feedistribution?.all_avs_reward_assets?.length) {
-      throw new Error('all_avs_reward_assets is missing or empty in feedistribution params');
-    }
-    genesisJSON.app_state.feedistribution.all_avs_reward_assets[0].avs = dogfoodAddr;
+    const assetIds = genesisJSON.app_state.dogfood.params.asset_ids;
 
-    for (let i = 0; i < operatorsCount; i++) {
-      // operators
-      const opAddressHex = await myContract.methods.registeredValidators(i).call();
-      const opAddressIm = await myContract.methods.ethToImAddress(
-        opAddressHex
-      ).call();
-      if (!isValidBech32(opAddressIm)) {
-        console.log(`Skipping operator with invalid bech32 address: ${opAddressIm}`);
-        continue;
-      }
-      const operatorInfo = await myContract.methods.validators(opAddressIm).call();
-      const operator_info = {
-        earnings_addr: opAddressIm,
-        // approve_addr set to opAddressIm
-        approve_addr: opAddressIm,
-        operator_meta_info: operatorInfo.name,
-        client_chain_earnings_addr: {
-          earning_info_list: [
-            {
-              lz_client_chain_id: clientChainInfo.layer_zero_chain_id,
-              client_chain_earning_addr: opAddressHex,
-            }
-          ]
-        },
-        commission: {
-          commission_rates: {
-            rate: new Decimal(
-              operatorInfo.commission.rate.toString()
-            ).div('1e18').toFixed(),
-            max_rate: new Decimal(
-              operatorInfo.commission.maxRate.toString()
-            ).div('1e18').toFixed(),
-            max_change_rate: new Decimal(
-              operatorInfo.commission.maxChangeRate.toString()
-            ).div('1e18').toFixed(),
-          },
-          update_time: spawnDate,
-        }
-      }
-      const operatorCleaned = {
+    for (const [opAddressIm, operator] of context.operators) {
+      operators.push({
         operator_address: opAddressIm,
-        operator_info: operator_info
-      }
-      operators.push(operatorCleaned);
-      // dogfood: val_set
-      // TODO: once the oracle module is set up, move away from this solution
-      // and instead, load the asset prices into the oracle module genesis
-      // and let the dogfood module pull the vote power from the rest of the system
-      // at genesis.
-      // NOTE: This TODO has been partially addressed by adding prices_list to oracle genesis state.
-      let amount = ZERO_DECIMAL;
-      let totalAmount = ZERO_DECIMAL;
-      if (exchangeRates.length != supportedTokensCount) {
-        throw new Error(
-          `The number of exchange rates (${exchangeRates.length}) 
-          does not match the number of supported tokens (${supportedTokensCount}).`
-        );
-      }
-      for (let j = 0; j < supportedTokensCount; j++) {
-        const tokenAddress =
-          (await myContract.methods.getWhitelistedTokenAtIndex(j).call()).tokenAddress;
-        let selfDelegationAmount = new Decimal((await myContract.methods.delegations(
-          opAddressHex, opAddressIm, tokenAddress
-        ).call()).toString());
-        let matchingEntries = slashProportions.filter(
-          (element) => element.token === tokenAddress && element.impacted_validators.includes(opAddressIm)
-        );
-        let totalSlashing = ZERO_DECIMAL;
-        let selfSlashing = ZERO_DECIMAL;
-        for (let k = 0; k < matchingEntries.length; k++) {
-          let matchingEntry = matchingEntries[k];
-          let delegation = await myContract.methods.delegations(
-            matchingEntry.staker, opAddressIm, tokenAddress
-          ).call();
-          if (delegation > 0) {
-            let slashing = new Decimal(delegation.toString()).mul(matchingEntry.proportion);
-            totalSlashing = totalSlashing.plus(slashing);
-            if (matchingEntry.staker == opAddressHex) {
-              selfSlashing = slashing;
-            }
-          }
-        }
-        selfDelegationAmount = selfDelegationAmount.minus(selfSlashing).truncated();
-        amount = amount.plus(
-          selfDelegationAmount.
-          div('1e' + decimals[j]).
-          mul(exchangeRates[j].toFixed())
-        );
-        const perTokenDelegation = new Decimal((await myContract.methods.delegationsByValidator(
-          opAddressIm, tokenAddress
-        ).call()).toString()).minus(totalSlashing).truncated();
-
-        const usdValuePerToken = perTokenDelegation.
-          div('1e' + decimals[j]).mul(exchangeRates[j].toFixed());
-        // set the asset USD value for operator
-        const assetId = tokenAddress.toLowerCase() + clientChainSuffix;
-        const assetUsdValuekey = getJoinedStoreKey(dogfoodEpochID, opAddressIm, assetId);
-        operator_asset_usd_values.push({
-          key: assetUsdValuekey,
-          value: {
-            amount: usdValuePerToken.toFixed(),
-          },
-        });
-
-        totalAmount = totalAmount.plus(
-          usdValuePerToken
-        );
-        // break;
-      }
+        operator_info: operator.operator_info
+      });
+      const amount = operator.self_usd_value;
+      const totalAmount = operator.total_usd_value;
       // only mark as validator if the amount is greater than min_self_delegation
       if (amount.gte(minSelfDelegation)) {
         validators.push({
-          public_key: operatorInfo.consensusPublicKey,
+          public_key: operator.consensus_key,
           power: totalAmount,  // do not convert to int yet.
         });
         // set the consensus key, opted info, and USD value for the valid operators and dogfood AVS.
@@ -917,7 +1325,7 @@ async function updateGenesisFile() {
         const chains = [];
         chains.push({
           chain_id: chain_id_without_revision,
-          consensus_key: operatorInfo.consensusPublicKey,
+          consensus_key: operator.consensus_key,
         });
         operator_records.push({
           operator_address: opAddressIm,
@@ -947,12 +1355,6 @@ async function updateGenesisFile() {
       } else {
         console.log(`Skipping operator ${opAddressIm} due to insufficient self delegation.`);
       }
-      let stakerId = opAddressHex.toLowerCase() + clientChainSuffix;
-      let association = {
-        staker_id: stakerId,
-        operator: opAddressIm,
-      };
-      associations.push(association);
     }
     // operators
     operators.sort((a, b) => {
@@ -1067,66 +1469,8 @@ async function updateGenesisFile() {
     });
     genesisJSON.app_state.delegation.associations = associations;
 
-    // iterate over all stakers, then all assets, then all operators
     const delegation_states = genesisJSON.app_state.delegation.delegation_states;
     const stakers_by_operator = genesisJSON.app_state.delegation.stakers_by_operator;
-    const stakerListMap = new Map();
-    for (let i = 0; i < depositorsCount; i++) {
-      const staker = await myContract.methods.depositors(i).call();
-      const stakerId = staker.toLowerCase() + clientChainSuffix;
-
-      for (let j = 0; j < supportedTokensCount; j++) {
-        const tokenAddress =
-          (await myContract.methods.getWhitelistedTokenAtIndex(j).call()).tokenAddress;
-        const assetId = tokenAddress.toLowerCase() + clientChainSuffix;
-
-        for (let k = 0; k < operatorsCount; k++) {
-          const operatorEth = await myContract.methods.registeredValidators(k).call();
-          const operator = await myContract.methods.ethToImAddress(operatorEth).call();
-          if (!isValidBech32(operator)) {
-            console.log(`Skipping operator with invalid bech32 address: ${operator}`);
-            continue;
-          }
-          let matchingEntries = slashProportions.filter(
-            (element) => element.token === tokenAddress && element.impacted_validators.includes(operator)
-          );
-          let totalSlashing = ZERO_DECIMAL;
-
-          for (let k = 0; k < matchingEntries.length; k++) {
-            let matchingEntry = matchingEntries[k];
-            let delegation = await myContract.methods.delegations(
-              matchingEntry.staker, operator, tokenAddress
-            ).call();
-            if (delegation > 0) {
-              let slashing = new Decimal(delegation.toString()).mul(matchingEntry.proportion);
-              totalSlashing = totalSlashing.plus(slashing);
-            }
-          }
-          const amount = new Decimal((await myContract.methods.delegations(
-            staker, operator, tokenAddress
-          ).call()).toString()).minus(totalSlashing).truncated();
-          if (amount.gt(ZERO_DECIMAL)) {
-            const key = getJoinedStoreKey(stakerId, assetId, operator);
-            delegation_states.push({
-              key: key,
-              states: {
-                undelegatable_share: amount.toFixed(),
-                wait_undelegation_amount: "0"
-              },
-            });
-
-            //map key
-            const mapKey = getJoinedStoreKey(operator, assetId);
-            if (!stakerListMap.has(mapKey)) {
-              stakerListMap.set(mapKey, []);
-            }
-            stakerListMap.get(mapKey).push(stakerId);
-          }
-        }
-        // break;
-      }
-      // break;
-    }
     delegation_states.sort((a, b) => {
       if (a.key < b.key) {
         return -1;
@@ -1137,7 +1481,7 @@ async function updateGenesisFile() {
       return 0;
     });
 
-    stakerListMap.forEach((value, key) => {
+    context.stakerListMap.forEach((value, key) => {
       stakers_by_operator.push({
         key: key,
         stakers: value,
@@ -1156,23 +1500,8 @@ async function updateGenesisFile() {
     genesisJSON.app_state.delegation.stakers_by_operator = stakers_by_operator;
 
     // x/oracle - native restaking for ETH
-    if (staker_infos.length > 0) {
-      genesisJSON.app_state.oracle.staker_infos_assets = [{
-        chain_id: clientChainInfo.layer_zero_chain_id,
-        staker_infos: staker_infos,
-        nst_version_info: {
-          version: {
-            version: nst_version,
-            deposit_amount: total_deposit_amount,
-          },
-          feed_version: {
-            version: nst_version,
-            deposit_amount: total_deposit_amount,
-          },
-          withdraw_version: 0,
-          feed_withdraw_version: 0,
-        }
-      }];
+    if (context.stakerInfosAssets.length > 0) {
+      genesisJSON.app_state.oracle.staker_infos_assets = context.stakerInfosAssets;
     }
 
     // x/oracle - chains: Set chain information for oracle state
@@ -1186,7 +1515,7 @@ async function updateGenesisFile() {
 
     // Build the chains array by appending chains in order
     // The chainId in tokens will correspond to the index in this array
-    for (const [chainName, chainInfo] of Object.entries(oracleChainInfo)) {
+    for (const chainInfo of context.oracleChains) {
       genesisJSON.app_state.oracle.params.chains.push({
         name: chainInfo.name,
         desc: chainInfo.desc
@@ -1198,15 +1527,8 @@ async function updateGenesisFile() {
       genesisJSON.app_state.oracle.prices_list = [];
     }
 
-    // Create a mapping from token names to their corresponding exchange rates
-    const tokenNameToExchangeRate = new Map();
-
-    // First, map the original supported tokens to their exchange rates
-    for (let i = 0; i < supportedTokensCount; i++) {
-      const tokenName = tokenNamesForOracle[i];
-      const exchangeRate = exchangeRates[i];
-      tokenNameToExchangeRate.set(tokenName, exchangeRate);
-    }
+    // the token names mapped to their exchange rates, across all client chains
+    const tokenNameToExchangeRate = context.tokenNameToExchangeRate;
 
     // Create price entries for each oracle token
     const finalOracleTokens = genesisJSON.app_state.oracle.params.tokens;
@@ -1282,15 +1604,26 @@ async function updateGenesisFile() {
       );
     }
 
+    assertGenesisInvariants(genesisJSON);
+
     await fs.writeFile(
       INTEGRATION_RESULT_GENESIS_FILE_PATH,
       jsonBig.stringify(genesisJSON, null, 2)
     );
     console.log('Genesis file updated successfully.');
+    const auditPath = await writePriceAudit(INTEGRATION_RESULT_GENESIS_FILE_PATH, context.priceProvider);
+    console.log(`Prices used for the genesis written to ${auditPath}.`);
+    if (snapshotCapturePath) {
+      // the quotes with their source and timestamp, for the audit sidecar of a replay.
+      snapshot.setInput('prices', { provider: context.priceProvider.name, quotes: context.priceProvider.quotes() });
+      await snapshot.save(snapshotCapturePath);
+      console.log(`Snapshot written to ${snapshotCapturePath}.`);
+    }
   } catch (error) {
     console.error(
       'Error updating genesis file:', error.message, '\nstack trace:', error.stack
     );
+    process.exitCode = 1;
   }
 };
 
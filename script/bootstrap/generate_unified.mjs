@@ -14,6 +14,7 @@
  *   - UNIFIED_GENESIS_OUTPUT: Path to output genesis file
  *   - All existing generate.mjs environment variables
  *   - All Bitcoin genesis environment variables
+ *   - All XRP and Dogecoin genesis environment variables, if enabled
  */
 
 import { promises as fs } from 'fs';
@@ -21,6 +22,8 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
 import JSONbig from 'json-bigint';
+import { assertGenesisInvariants } from './genesis_invariants.js';
+import { mergePriceAudits } from './prices.js';
 
 // Load environment variables
 dotenv.config();
@@ -67,6 +70,14 @@ const DEFAULT_CONFIG = {
       tempOutput: "genesis/temp_xrp_genesis.json",
       useTsx: true,
     },
+
+    // Dogecoin support, off unless enabled in the config file
+    doge: {
+      enabled: false,
+      script: "./doge_genesis.ts",
+      tempOutput: "genesis/temp_doge_genesis.json",
+      useTsx: true,
+    },
   },
   merge: {
     strategy: "merge", // 'merge' | 'replace' | 'append'
@@ -592,6 +603,8 @@ class GenesisStateMerger {
 class ScriptRunner {
   constructor(workingDir) {
     this.workingDir = workingDir;
+    // chain name => the genesis file it was loaded from
+    this.outputPaths = new Map();
   }
 
   /**
@@ -711,6 +724,17 @@ class ScriptRunner {
         );
       }
 
+      // For Dogecoin genesis, set the DOGE_GENESIS_OUTPUT_PATH environment variable
+      if (chainName === "Dogecoin") {
+        const oldValue = process.env.DOGE_GENESIS_OUTPUT_PATH;
+        process.env.DOGE_GENESIS_OUTPUT_PATH = resolvedOutputPath;
+        console.log(
+          `🔧 Setting DOGE_GENESIS_OUTPUT_PATH=${resolvedOutputPath} (was: ${
+            oldValue || "undefined"
+          }) for Dogecoin genesis`
+        );
+      }
+
       // Check if genesis file already exists
       if (await this.fileExists(resolvedOutputPath)) {
         const content = await fs.readFile(resolvedOutputPath, "utf8");
@@ -718,6 +742,7 @@ class ScriptRunner {
         console.log(
           `📄 Loading existing ${chainName} genesis from: ${resolvedOutputPath} ✓`
         );
+        this.outputPaths.set(chainName, resolvedOutputPath);
         return genesis;
       }
 
@@ -755,6 +780,7 @@ class ScriptRunner {
             console.log(
               `🔄 ${chainName} genesis generation completed from: ${resolvedOutputPath} ✓`
             );
+            this.outputPaths.set(chainName, resolvedOutputPath);
             return genesis;
           } catch (error) {
             if (attempt === maxAttempts - 1) throw error;
@@ -904,6 +930,29 @@ import { ${functionName} } from '${scriptPath}';
     });
   }
 
+  /**
+   * Run Dogecoin genesis generation script with retry and validation
+   * @param {Object} chainConfig - Chain configuration
+   * @returns {Object} Generated genesis state
+   */
+  async runDogeGenesis(chainConfig) {
+    return this.executeWithRetry("Dogecoin", async () => {
+      // Use absolute path to ensure consistency between read and write operations
+      const absoluteOutputPath = path.resolve(
+        process.cwd(),
+        chainConfig.tempOutput
+      );
+
+      const genesis = await this.runChainGenesis("Dogecoin", chainConfig, {
+        defaultOutputPath: absoluteOutputPath,
+        scriptFunction: "generateDogeBootstrapGenesis",
+        waitTime: 1000,
+      });
+
+      return this.validateGenesis(genesis, "Dogecoin");
+    });
+  }
+
   async fileExists(filePath) {
     try {
       await fs.access(filePath);
@@ -952,6 +1001,7 @@ class UnifiedGenesisGenerator {
       if (config.chains.evm.enabled) enabledChains.push("EVM");
       if (config.chains.bitcoin.enabled) enabledChains.push("Bitcoin");
       if (config.chains.xrp.enabled) enabledChains.push("XRP");
+      if (config.chains.doge?.enabled) enabledChains.push("Dogecoin");
 
       console.log(`📋 Generating genesis for: ${enabledChains.join(", ")}`);
 
@@ -978,6 +1028,12 @@ class UnifiedGenesisGenerator {
           config: config.chains.xrp,
           runner: this.scriptRunner.runXrpGenesis.bind(this.scriptRunner),
         },
+        {
+          name: "Dogecoin",
+          enabled: config.chains.doge?.enabled || false,
+          config: config.chains.doge,
+          runner: this.scriptRunner.runDogeGenesis.bind(this.scriptRunner),
+        },
       ];
 
       // Run enabled chains
@@ -1006,6 +1062,8 @@ class UnifiedGenesisGenerator {
 
       // Validate genesis structure
       this.validateGenesisStructure(unifiedGenesis);
+      this.checkInvariants(unifiedGenesis, config);
+      await this.mergePriceAudits([...this.scriptRunner.outputPaths.values()], config.output);
 
       // Write output
       await this.writeOutput(unifiedGenesis, config.output);
@@ -1077,6 +1135,34 @@ class UnifiedGenesisGenerator {
     }
   }
 
+  /**
+   * Check the cross-module invariants of the unified genesis, see genesis_invariants.js
+   * @param {Object} genesis - The unified genesis to check
+   * @param {Object} config - The unified genesis config
+   */
+  checkInvariants(genesis, config) {
+    // without the EVM genesis, there are no operator records to check the validators against
+    assertGenesisInvariants(genesis, { partial: !config.chains.evm?.enabled });
+  }
+
+  /**
+   * Merge the price audit sidecars of the chain genesis files, see prices.js. This fails
+   * if the generators priced a token differently.
+   * @param {Array<string>} genesisPaths - The chain genesis files that were merged
+   * @param {Object} outputConfig - The output config
+   */
+  async mergePriceAudits(genesisPaths, outputConfig) {
+    const resolvedPath = path.isAbsolute(outputConfig.path)
+      ? outputConfig.path
+      : path.resolve(outputConfig.path);
+    const auditPath = await mergePriceAudits(genesisPaths, resolvedPath);
+    if (auditPath) {
+      console.log(`✅ Prices used for the genesis written to: ${auditPath}`);
+    } else {
+      console.warn("⚠ No price audit found next to the chain genesis files");
+    }
+  }
+
   async writeOutput(genesis, outputConfig) {
     const content = outputConfig.pretty
       ? JSON.stringify(genesis, null, 2)
@@ -1101,6 +1187,7 @@ class UnifiedGenesisGenerator {
       console.log("🔄 Loading existing JSON files for merge...");
 
       const genesisStates = [];
+      const genesisPaths = [];
 
       // Define chain loaders for existing files
       const chainLoaders = [
@@ -1122,6 +1209,12 @@ class UnifiedGenesisGenerator {
           envPathKey: "XRP_GENESIS_PATH",
           defaultPath: config.chains.xrp?.tempOutput,
         },
+        {
+          name: "Dogecoin",
+          enabled: config.chains.doge?.enabled || false,
+          envPathKey: "DOGE_GENESIS_PATH",
+          defaultPath: config.chains.doge?.tempOutput,
+        },
       ];
 
       // Load existing files for enabled chains
@@ -1134,6 +1227,7 @@ class UnifiedGenesisGenerator {
             const content = await fs.readFile(resolvedPath, 'utf8');
             const genesis = JSON.parse(content);
             genesisStates.push(genesis);
+            genesisPaths.push(resolvedPath);
             console.log(`📄 Loading ${chain.name} genesis from: ${resolvedPath} ✓`);
           } else {
             console.warn(`⚠ ${chain.name} genesis file not found: ${resolvedPath}`);
@@ -1148,6 +1242,8 @@ class UnifiedGenesisGenerator {
       // Merge genesis states
       console.log("🔄 Merging existing genesis files...");
       const unifiedGenesis = this.merger.merge(genesisStates);
+      this.checkInvariants(unifiedGenesis, config);
+      await this.mergePriceAudits(genesisPaths, config.output);
 
       // Write output
       await this.writeOutput(unifiedGenesis, config.output);
@@ -1190,7 +1286,8 @@ Environment Variables:
   UNIFIED_GENESIS_CONFIG    Path to configuration file
   UNIFIED_GENESIS_OUTPUT    Path to output genesis file
 
-  Plus all environment variables used by generate.mjs and bitcoin_genesis.ts
+  Plus all environment variables used by generate.mjs and bitcoin_genesis.ts, and by
+  xrp_genesis.ts and doge_genesis.ts if those chains are enabled
 
 Examples:
   # Generate with default configuration
@@ -0,0 +1,360 @@
+import fs from 'fs';
+import Decimal from 'decimal.js';
+import { FeeDistributionState, GenesisState } from './types';
+
+/**
+ * Genesis diff
+ *
+ * Compares two genesis files (BTC, XRP, EVM or unified) module by module, and reports
+ * what changed in terms of stakers, deposits, delegations, operators, validator power
+ * and oracle tokens, rather than as a line based JSON diff.
+ *
+ * Usage:
+ *   ts-node script/bootstrap/genesis_diff.ts <old genesis> <new genesis> [--format=text|json] [--modules=assets,oracle]
+ */
+
+export const GENESIS_DIFF_MODULES = [
+  'assets',
+  'delegation',
+  'operator',
+  'dogfood',
+  'oracle',
+  'feedistribution',
+] as const;
+
+export type GenesisModule = (typeof GENESIS_DIFF_MODULES)[number];
+
+export type ChangeKind = 'added' | 'removed' | 'changed';
+
+export interface GenesisChange {
+  kind: ChangeKind;
+  // what changed, e.g. 'staker', 'delegation' or 'validator power'
+  subject: string;
+  // the key of the entry, e.g. the staker id or the validator public key
+  key: string;
+  before?: string;
+  after?: string;
+  // after - before, for amounts
+  delta?: string;
+}
+
+export interface ModuleDiff {
+  module: GenesisModule;
+  changes: GenesisChange[];
+}
+
+export interface GenesisDiff {
+  before: { chain_id: string; genesis_time: string };
+  after: { chain_id: string; genesis_time: string };
+  modules: ModuleDiff[];
+}
+
+type Entries = Map<string, string>;
+
+// amounts are integer strings for the chain state, and decimal strings for the USD values.
+function amountDelta(before: string, after: string): string | undefined {
+  try {
+    const delta = new Decimal(after).minus(new Decimal(before));
+    return delta.isPositive() && !delta.isZero() ? `+${delta.toFixed()}` : delta.toFixed();
+  } catch {
+    return undefined;
+  }
+}
+
+// stable representation of a value, for the entries which are compared as a whole.
+function stringify(value: unknown): string {
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function toEntries<T>(items: T[] | undefined, key: (item: T) => string, value: (item: T) => unknown): Entries {
+  const entries: Entries = new Map();
+  for (const item of items || []) {
+    entries.set(key(item), stringify(value(item)));
+  }
+  return entries;
+}
+
+/**
+ * Compare two keyed collections and report the added, removed and changed entries.
+ * @param subject - Name of the entries, for the report
+ * @param before - The entries of the old genesis
+ * @param after - The entries of the new genesis
+ * @param isAmount - Whether the values are amounts, to report their delta
+ * @returns The changes, sorted by key
+ */
+export function diffEntries(subject: string, before: Entries, after: Entries, isAmount: boolean = false): GenesisChange[] {
+  const changes: GenesisChange[] = [];
+  const keys = [...new Set([...before.keys(), ...after.keys()])].sort();
+  for (const key of keys) {
+    const oldValue = before.get(key);
+    const newValue = after.get(key);
+    if (oldValue === undefined && newValue !== undefined) {
+      changes.push({ kind: 'added', subject, key, after: newValue });
+    } else if (oldValue !== undefined && newValue === undefined) {
+      changes.push({ kind: 'removed', subject, key, before: oldValue });
+    } else if (oldValue !== newValue) {
+      const change: GenesisChange = { kind: 'changed', subject, key, before: oldValue, after: newValue };
+      if (isAmount) {
+        change.delta = amountDelta(oldValue as string, newValue as string);
+      }
+      changes.push(change);
+    }
+  }
+  return changes;
+}
+
+function diffAssets(before: GenesisState, after: GenesisState): GenesisChange[] {
+  const a = before.app_state.assets || ({} as GenesisState['app_state']['assets']);
+  const b = after.app_state.assets || ({} as GenesisState['app_state']['assets']);
+  const chainEntries = (state: typeof a) =>
+    toEntries(state.client_chains, (chain) => chain.layer_zero_chain_id.toString(), (chain) => chain.name);
+  const tokenId = (token: (typeof a.tokens)[number]) =>
+    `${token.asset_basic_info.address.toLowerCase()}_0x${token.asset_basic_info.layer_zero_chain_id.toString(16)}`;
+  const stakerEntries = (state: typeof a) =>
+    toEntries(state.deposits, (deposit) => deposit.staker, (deposit) => deposit.deposits.length);
+  const depositEntries = (state: typeof a) => {
+    const entries: Entries = new Map();
+    for (const deposit of state.deposits || []) {
+      for (const asset of deposit.deposits) {
+        entries.set(`${deposit.staker}/${asset.asset_id}`, asset.info.total_deposit_amount);
+      }
+    }
+    return entries;
+  };
+  const operatorAssetEntries = (state: typeof a) => {
+    const entries: Entries = new Map();
+    for (const operator of state.operator_assets || []) {
+      for (const asset of operator.assets_state) {
+        entries.set(`${operator.operator}/${asset.asset_id}`, asset.info.total_amount);
+      }
+    }
+    return entries;
+  };
+  return [
+    ...diffEntries('client chain', chainEntries(a), chainEntries(b)),
+    ...diffEntries('token', toEntries(a.tokens, tokenId, (token) => token.asset_basic_info.symbol),
+      toEntries(b.tokens, tokenId, (token) => token.asset_basic_info.symbol)),
+    ...diffEntries('token staking total', toEntries(a.tokens, tokenId, (token) => token.staking_total_amount),
+      toEntries(b.tokens, tokenId, (token) => token.staking_total_amount), true),
+    // the value is the number of assets deposited, so only additions and removals are reported here
+    ...diffEntries('staker', stakerEntries(a), stakerEntries(b)).filter((change) => change.kind !== 'changed'),
+    ...diffEntries('deposit', depositEntries(a), depositEntries(b), true),
+    ...diffEntries('operator stake', operatorAssetEntries(a), operatorAssetEntries(b), true),
+  ];
+}
+
+function diffDelegation(before: GenesisState, after: GenesisState): GenesisChange[] {
+  const a = before.app_state.delegation || ({} as GenesisState['app_state']['delegation']);
+  const b = after.app_state.delegation || ({} as GenesisState['app_state']['delegation']);
+  const delegationEntries = (state: typeof a) =>
+    toEntries(state.delegation_states, (entry) => entry.key, (entry) => entry.states.undelegatable_share);
+  const stakerEntries = (state: typeof a) => {
+    const entries: Entries = new Map();
+    for (const entry of state.stakers_by_operator || []) {
+      for (const staker of entry.stakers) {
+        entries.set(`${entry.key}/${staker}`, staker);
+      }
+    }
+    return entries;
+  };
+  return [
+    ...diffEntries('association', toEntries(a.associations, (entry) => entry.staker_id, (entry) => entry.operator),
+      toEntries(b.associations, (entry) => entry.staker_id, (entry) => entry.operator)),
+    ...diffEntries('delegation', delegationEntries(a), delegationEntries(b), true),
+    ...diffEntries('staker by operator', stakerEntries(a), stakerEntries(b)),
+  ];
+}
+
+function diffOperator(before: GenesisState, after: GenesisState): GenesisChange[] {
+  const a = before.app_state.operator || ({} as GenesisState['app_state']['operator']);
+  const b = after.app_state.operator || ({} as GenesisState['app_state']['operator']);
+  const operatorEntries = (state: typeof a) =>
+    toEntries(state.operators, (entry) => entry.operator_address, (entry) => entry.operator_info.operator_meta_info);
+  const commissionEntries = (state: typeof a) =>
+    toEntries(state.operators, (entry) => entry.operator_address,
+      (entry) => entry.operator_info.commission.commission_rates);
+  const consensusKeyEntries = (state: typeof a) => {
+    const entries: Entries = new Map();
+    for (const record of state.operator_records || []) {
+      for (const chain of record.chains) {
+        entries.set(`${record.operator_address}/${chain.chain_id}`, chain.consensus_key);
+      }
+    }
+    return entries;
+  };
+  const usdEntries = (state: typeof a) =>
+    toEntries(state.operator_usd_values, (entry) => entry.key, (entry) => entry.opted_usd_value.total_usd_value);
+  const selfUsdEntries = (state: typeof a) =>
+    toEntries(state.operator_usd_values, (entry) => entry.key, (entry) => entry.opted_usd_value.self_usd_value);
+  return [
+    // the name may change too, so it is reported as a change of the same operator
+    ...diffEntries('operator', operatorEntries(a), operatorEntries(b)),
+    ...diffEntries('commission', commissionEntries(a), commissionEntries(b))
+      .filter((change) => change.kind === 'changed'),
+    ...diffEntries('consensus key', consensusKeyEntries(a), consensusKeyEntries(b)),
+    ...diffEntries('opt in', toEntries(a.opt_states, (entry) => entry.key, (entry) => entry.opt_info),
+      toEntries(b.opt_states, (entry) => entry.key, (entry) => entry.opt_info)),
+    ...diffEntries('operator usd value', usdEntries(a), usdEntries(b), true),
+    ...diffEntries('operator self usd value', selfUsdEntries(a), selfUsdEntries(b), true),
+    ...diffEntries('operator asset usd value',
+      toEntries(a.operator_asset_usd_values, (entry) => entry.key, (entry) => entry.value.amount),
+      toEntries(b.operator_asset_usd_values, (entry) => entry.key, (entry) => entry.value.amount), true),
+    ...diffEntries('avs usd value',
+      toEntries(a.avs_usd_values, (entry) => entry.avs_addr, (entry) => entry.value.amount),
+      toEntries(b.avs_usd_values, (entry) => entry.avs_addr, (entry) => entry.value.amount), true),
+  ];
+}
+
+function diffDogfood(before: GenesisState, after: GenesisState): GenesisChange[] {
+  const a = before.app_state.dogfood || ({} as GenesisState['app_state']['dogfood']);
+  const b = after.app_state.dogfood || ({} as GenesisState['app_state']['dogfood']);
+  const single = (value: string | number | undefined): Entries =>
+    value === undefined ? new Map() : new Map([['', value.toString()]]);
+  return [
+    ...diffEntries('validator power', toEntries(a.val_set, (validator) => validator.public_key, (validator) => validator.power),
+      toEntries(b.val_set, (validator) => validator.public_key, (validator) => validator.power), true),
+    ...diffEntries('last total power', single(a.last_total_power), single(b.last_total_power), true),
+    ...diffEntries('asset id', toEntries(a.params?.asset_ids, (id) => id, (id) => id),
+      toEntries(b.params?.asset_ids, (id) => id, (id) => id)),
+    ...diffEntries('max validators', single(a.params?.max_validators), single(b.params?.max_validators)),
+  ];
+}
+
+function diffOracle(before: GenesisState, after: GenesisState): GenesisChange[] {
+  const a = before.app_state.oracle || ({} as GenesisState['app_state']['oracle']);
+  const b = after.app_state.oracle || ({} as GenesisState['app_state']['oracle']);
+  // tokens and feeders are linked by their index, which is the token id.
+  const tokenEntries = (state: typeof a) =>
+    toEntries(state.params?.tokens?.map((token, i) => ({ token, i })), ({ i }) => i.toString(), ({ token }) => token);
+  const feederEntries = (state: typeof a) =>
+    toEntries(state.params?.token_feeders?.map((feeder, i) => ({ feeder, i })), ({ i }) => i.toString(),
+      ({ feeder }) => feeder);
+  const priceEntries = (state: typeof a) =>
+    toEntries(state.prices_list, (entry) => entry.token_id, (entry) => entry.price_list.map((price) => price.price).join(','));
+  const stakerInfoEntries = (state: typeof a) =>
+    toEntries(state.staker_infos_assets as unknown as { chain_id?: number; asset_id?: string; staker_infos: unknown[] }[],
+      (entry) => (entry.chain_id ?? entry.asset_id ?? '').toString(), (entry) => entry.staker_infos.length);
+  return [
+    ...diffEntries('oracle chain', toEntries(a.params?.chains, (chain) => chain.name, (chain) => chain.desc),
+      toEntries(b.params?.chains, (chain) => chain.name, (chain) => chain.desc)),
+    ...diffEntries('oracle token', tokenEntries(a), tokenEntries(b)),
+    ...diffEntries('token feeder', feederEntries(a), feederEntries(b)),
+    ...diffEntries('price', priceEntries(a), priceEntries(b), true),
+    ...diffEntries('native restaking stakers', stakerInfoEntries(a), stakerInfoEntries(b), true),
+  ];
+}
+
+function diffFeeDistribution(before: GenesisState, after: GenesisState): GenesisChange[] {
+  const a = before.app_state.feedistribution || ({} as FeeDistributionState);
+  const b = after.app_state.feedistribution || ({} as FeeDistributionState);
+  const sectionEntries = (state: typeof a) =>
+    toEntries(Object.keys(state).filter((key) => key !== 'all_avs_reward_assets'), (key) => key, (key) => state[key]);
+  return [
+    ...diffEntries('avs reward assets', toEntries(a.all_avs_reward_assets, (entry) => entry.avs, (entry) => entry),
+      toEntries(b.all_avs_reward_assets, (entry) => entry.avs, (entry) => entry)),
+    ...diffEntries('feedistribution', sectionEntries(a), sectionEntries(b)),
+  ];
+}
+
+const MODULE_DIFFS: Record<GenesisModule, (before: GenesisState, after: GenesisState) => GenesisChange[]> = {
+  assets: diffAssets,
+  delegation: diffDelegation,
+  operator: diffOperator,
+  dogfood: diffDogfood,
+  oracle: diffOracle,
+  feedistribution: diffFeeDistribution,
+};
+
+/**
+ * Compare two genesis states module by module.
+ * @param before - The old genesis
+ * @param after - The new genesis
+ * @param modules - The modules to compare, all of them by default
+ * @returns The changes, grouped by module
+ */
+export function diffGenesis(
+  before: GenesisState,
+  after: GenesisState,
+  modules: readonly GenesisModule[] = GENESIS_DIFF_MODULES
+): GenesisDiff {
+  for (const [name, genesis] of [['old', before], ['new', after]] as const) {
+    if (!genesis || typeof genesis !== 'object' || !genesis.app_state) {
+      throw new Error(`Invalid ${name} genesis: missing app_state`);
+    }
+  }
+  return {
+    before: { chain_id: before.chain_id, genesis_time: before.genesis_time },
+    after: { chain_id: after.chain_id, genesis_time: after.genesis_time },
+    modules: modules.map((module) => ({ module, changes: MODULE_DIFFS[module](before, after) })),
+  };
+}
+
+const KIND_SYMBOLS: Record<ChangeKind, string> = { added: '+', removed: '-', changed: '~' };
+
+/**
+ * Render a diff for humans, one line per change.
+ * @param diff - The diff to render
+ * @returns The report
+ */
+export function formatGenesisDiff(diff: GenesisDiff): string {
+  const lines: string[] = [];
+  if (diff.before.chain_id !== diff.after.chain_id || diff.before.genesis_time !== diff.after.genesis_time) {
+    lines.push(`chain: ${diff.before.chain_id} @ ${diff.before.genesis_time} -> ${diff.after.chain_id} @ ${diff.after.genesis_time}`);
+  }
+  for (const { module, changes } of diff.modules) {
+    lines.push(`== ${module} (${changes.length === 0 ? 'no changes' : `${changes.length} changes`}) ==`);
+    for (const change of changes) {
+      const key = change.key ? ` ${change.key}` : '';
+      if (change.kind !== 'changed') {
+        // for sets, like the asset ids, the value is the key itself
+        const value = change.kind === 'added' ? change.after : change.before;
+        const suffix = value === change.key ? '' : `: ${value}`;
+        lines.push(`  ${KIND_SYMBOLS[change.kind]} ${change.subject}${key}${suffix}`);
+      } else {
+        const delta = change.delta ? ` (${change.delta})` : '';
+        lines.push(`  ${KIND_SYMBOLS[change.kind]} ${change.subject}${key}: ${change.before} -> ${change.after}${delta}`);
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+function readGenesis(filePath: string): GenesisState {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8')) as GenesisState;
+  } catch (error: any) {
+    throw new Error(`Failed to read genesis file ${filePath}: ${error.message}`);
+  }
+}
+
+function main(): void {
+  const args = process.argv.slice(2);
+  const files = args.filter((arg) => !arg.startsWith('--'));
+  const format = args.find((arg) => arg.startsWith('--format='))?.split('=')[1] || 'text';
+  const modulesArg = args.find((arg) => arg.startsWith('--modules='))?.split('=')[1];
+
+  if (files.length !== 2 || !['text', 'json'].includes(format)) {
+    console.error(`Usage:
+  ts-node script/bootstrap/genesis_diff.ts <old genesis> <new genesis> [--format=text|json] [--modules=${GENESIS_DIFF_MODULES.join(',')}]`);
+    process.exit(1);
+  }
+  const modules = modulesArg ? (modulesArg.split(',') as GenesisModule[]) : GENESIS_DIFF_MODULES;
+  const unknown = modules.filter((module) => !GENESIS_DIFF_MODULES.includes(module));
+  if (unknown.length > 0) {
+    console.error(`Unknown modules: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+
+  const diff = diffGenesis(readGenesis(files[0]), readGenesis(files[1]), modules);
+  console.log(format === 'json' ? JSON.stringify(diff, null, 2) : formatGenesisDiff(diff));
+}
+
+// Run main function if script is executed directly
+if (require.main === module) {
+  try {
+    main();
+  } catch (error: any) {
+    console.error('Genesis diff failed:', error.message);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,32 @@
+// Type declarations for genesis_invariants.js
+
+export interface GenesisInvariantViolation {
+  invariant: string;
+  message: string;
+}
+
+export interface GenesisInvariant {
+  name: string;
+  description: string;
+  // whether the invariant also applies to the BTC and XRP fragments
+  partial: boolean;
+  check(genesis: any): string[];
+}
+
+export interface GenesisInvariantOptions {
+  partial?: boolean;
+}
+
+export declare const INVARIANTS: GenesisInvariant[];
+
+export declare class GenesisInvariantError extends Error {
+  violations: GenesisInvariantViolation[];
+  constructor(violations: GenesisInvariantViolation[]);
+}
+
+export declare function checkGenesisInvariants(
+  genesis: any,
+  options?: GenesisInvariantOptions
+): GenesisInvariantViolation[];
+
+export declare function assertGenesisInvariants(genesis: any, options?: GenesisInvariantOptions): void;
@@ -0,0 +1,295 @@
+/**
+ * Genesis invariants
+ *
+ * Cross-module consistency checks for a generated genesis, run before it is written by
+ * generate.mjs, bitcoin_genesis.ts and xrp_genesis.ts, and after the merge in
+ * generate_unified.mjs. The BTC and XRP generators produce fragments without operator
+ * records, which are checked in partial mode, i.e., without the invariants that need
+ * the full x/operator state.
+ *
+ * Usage:
+ *   node script/bootstrap/genesis_invariants.js <genesis> [--partial]
+ */
+
+const fs = require('fs');
+const { keccak256, toUtf8Bytes } = require('ethers');
+
+// opted_out_height of an operator which has not opted out
+const DEFAULT_OPTED_OUT_HEIGHT = '18446744073709551615';
+
+class GenesisInvariantError extends Error {
+  /**
+   * @param {Array<{invariant: string, message: string}>} violations - The violated invariants
+   */
+  constructor(violations) {
+    super(
+      `Genesis invariants violated (${violations.length}):\n  ` +
+      violations.map(({ invariant, message }) => `[${invariant}] ${message}`).join('\n  ')
+    );
+    this.name = 'GenesisInvariantError';
+    this.violations = violations;
+  }
+}
+
+// amounts may be strings, numbers, bigints (json-bigint) or Decimals (generate.mjs). the
+// latter are printed with toFixed, since their toString switches to exponential notation.
+function toAmount(value, location, errors) {
+  let text = '';
+  if (value !== undefined && value !== null) {
+    text = typeof value === 'object' && typeof value.toFixed === 'function' ? value.toFixed() : value.toString();
+  }
+  if (!/^\d+$/.test(text)) {
+    errors.push(`${location} is not an integer amount: ${text || 'missing'}`);
+    return 0n;
+  }
+  return BigInt(text);
+}
+
+function assetIdOf(token) {
+  const info = token.asset_basic_info;
+  return `${info.address.toLowerCase()}_0x${Number(info.layer_zero_chain_id).toString(16)}`;
+}
+
+// the AVS address of dogfood, as computed by generate.mjs from the chain id without revision.
+function dogfoodAvsAddress(chainId) {
+  const hash = keccak256(toUtf8Bytes('chain-id-prefix' + chainId.split('-')[0]));
+  return '0x' + hash.slice(-40);
+}
+
+function addTo(map, key, amount) {
+  map.set(key, (map.get(key) || 0n) + amount);
+}
+
+const INVARIANTS = [
+  {
+    name: 'deposits-match-staking-total',
+    description: 'the deposits of every asset sum up to its staking_total_amount',
+    partial: true,
+    check(genesis) {
+      const errors = [];
+      const { tokens = [], deposits = [] } = genesis.app_state.assets || {};
+      const totals = new Map();
+      for (const deposit of deposits) {
+        for (const { asset_id: assetId, info } of deposit.deposits || []) {
+          addTo(totals, assetId, toAmount(info.total_deposit_amount, `deposit ${deposit.staker}/${assetId}`, errors));
+        }
+      }
+      for (const token of tokens) {
+        const assetId = assetIdOf(token);
+        const stakingTotal = toAmount(token.staking_total_amount, `token ${assetId}`, errors);
+        const depositTotal = totals.get(assetId) || 0n;
+        if (stakingTotal !== depositTotal) {
+          errors.push(`${assetId}: staking_total_amount ${stakingTotal} != sum of deposits ${depositTotal}`);
+        }
+      }
+      return errors;
+    },
+  },
+  {
+    name: 'operator-assets-match-delegations',
+    description: 'the operator_assets total_amount equals the sum of its delegation_states',
+    partial: true,
+    check(genesis) {
+      const errors = [];
+      const operatorAssets = (genesis.app_state.assets || {}).operator_assets || [];
+      const delegationStates = (genesis.app_state.delegation || {}).delegation_states || [];
+      // key: staker_id/asset_id/operator
+      const delegated = new Map();
+      for (const { key, states } of delegationStates) {
+        const [, assetId, operator] = key.split('/');
+        addTo(delegated, `${operator}/${assetId}`, toAmount(states.undelegatable_share, `delegation ${key}`, errors));
+      }
+      const seen = new Set();
+      for (const { operator, assets_state: assetsState = [] } of operatorAssets) {
+        for (const { asset_id: assetId, info } of assetsState) {
+          const key = `${operator}/${assetId}`;
+          seen.add(key);
+          const total = toAmount(info.total_amount, `operator asset ${key}`, errors);
+          const sum = delegated.get(key) || 0n;
+          if (total !== sum) {
+            errors.push(`${key}: total_amount ${total} != sum of delegation_states ${sum}`);
+          }
+        }
+      }
+      for (const [key, sum] of delegated) {
+        if (!seen.has(key) && sum !== 0n) {
+          errors.push(`${key}: delegated ${sum} without an operator_assets entry`);
+        }
+      }
+      return errors;
+    },
+  },
+  {
+    name: 'stakers-by-operator-match-delegations',
+    description: 'stakers_by_operator lists exactly the stakers of the delegation_states keys',
+    partial: true,
+    check(genesis) {
+      const errors = [];
+      const { delegation_states: delegationStates = [], stakers_by_operator: stakersByOperator = [] } =
+        genesis.app_state.delegation || {};
+      const expected = new Set();
+      for (const { key } of delegationStates) {
+        const [stakerId, assetId, operator] = key.split('/');
+        expected.add(`${operator}/${assetId}/${stakerId}`);
+      }
+      const actual = new Set();
+      for (const { key, stakers = [] } of stakersByOperator) {
+        for (const stakerId of stakers) {
+          const entry = `${key}/${stakerId}`;
+          if (actual.has(entry)) {
+            errors.push(`${key}: staker ${stakerId} is listed twice`);
+          }
+          actual.add(entry);
+        }
+      }
+      for (const entry of expected) {
+        if (!actual.has(entry)) {
+          errors.push(`${entry}: delegation without a stakers_by_operator entry`);
+        }
+      }
+      for (const entry of actual) {
+        if (!expected.has(entry)) {
+          errors.push(`${entry}: stakers_by_operator entry without a delegation`);
+        }
+      }
+      return errors;
+    },
+  },
+  {
+    name: 'total-power',
+    description: 'last_total_power equals the sum of the val_set powers',
+    partial: true,
+    check(genesis) {
+      const errors = [];
+      const { val_set: valSet = [], last_total_power: lastTotalPower } = genesis.app_state.dogfood || {};
+      const sum = valSet.reduce(
+        (total, validator) => total + toAmount(validator.power, `validator ${validator.public_key}`, errors), 0n
+      );
+      const total = toAmount(lastTotalPower, 'last_total_power', errors);
+      if (total !== sum) {
+        errors.push(`last_total_power ${total} != sum of val_set powers ${sum}`);
+      }
+      return errors;
+    },
+  },
+  {
+    name: 'validators-opted-in',
+    description: 'every val_set key belongs to an operator record which is opted in to dogfood',
+    // the BTC and XRP fragments have no x/operator records
+    partial: false,
+    check(genesis) {
+      const errors = [];
+      const { operator_records: records = [], opt_states: optStates = [] } = genesis.app_state.operator || {};
+      const chainId = genesis.chain_id.split('-')[0];
+      const avsAddress = dogfoodAvsAddress(genesis.chain_id);
+      const operatorsByKey = new Map();
+      for (const record of records) {
+        for (const chain of record.chains || []) {
+          if (chain.chain_id === chainId) {
+            operatorsByKey.set(chain.consensus_key, record.operator_address);
+          }
+        }
+      }
+      const optedIn = new Set(
+        optStates
+          .filter(({ opt_info: optInfo }) => String(optInfo.opted_out_height) === DEFAULT_OPTED_OUT_HEIGHT)
+          .map(({ key }) => key)
+      );
+      for (const { public_key: publicKey } of (genesis.app_state.dogfood || {}).val_set || []) {
+        const operator = operatorsByKey.get(publicKey);
+        if (!operator) {
+          errors.push(`validator ${publicKey} has no operator record for ${chainId}`);
+        } else if (!optedIn.has(`${operator}/${avsAddress}`)) {
+          errors.push(`validator ${publicKey} (${operator}) is not opted in to ${avsAddress}`);
+        }
+      }
+      return errors;
+    },
+  },
+  {
+    name: 'dogfood-assets-known',
+    description: 'every dogfood asset_id exists in assets.tokens and in the oracle tokens',
+    partial: true,
+    check(genesis) {
+      const errors = [];
+      const assetIds = ((genesis.app_state.dogfood || {}).params || {}).asset_ids || [];
+      const tokenIds = new Set(((genesis.app_state.assets || {}).tokens || []).map(assetIdOf));
+      const oracleIds = new Set();
+      for (const token of ((genesis.app_state.oracle || {}).params || {}).tokens || []) {
+        for (const assetId of (token.asset_id || '').split(',')) {
+          oracleIds.add(assetId.toLowerCase());
+        }
+      }
+      for (const assetId of assetIds) {
+        if (!tokenIds.has(assetId.toLowerCase())) {
+          errors.push(`dogfood asset ${assetId} is missing from assets.tokens`);
+        }
+        if (!oracleIds.has(assetId.toLowerCase())) {
+          errors.push(`dogfood asset ${assetId} is missing from the oracle tokens`);
+        }
+      }
+      return errors;
+    },
+  },
+];
+
+/**
+ * Run the invariants against a genesis.
+ * @param {Object} genesis - The genesis, as written to disk
+ * @param {Object} options - Options
+ * @param {boolean} options.partial - Skip the invariants which need the full genesis
+ * @returns {Array<{invariant: string, message: string}>} The violations, if any
+ */
+function checkGenesisInvariants(genesis, options = {}) {
+  if (!genesis || !genesis.app_state) {
+    return [{ invariant: 'structure', message: 'the genesis has no app_state' }];
+  }
+  const violations = [];
+  for (const invariant of INVARIANTS) {
+    if (options.partial && !invariant.partial) {
+      continue;
+    }
+    for (const message of invariant.check(genesis)) {
+      violations.push({ invariant: invariant.name, message });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Run the invariants against a genesis and throw if any of them is violated.
+ * @param {Object} genesis - The genesis, as written to disk
+ * @param {Object} options - See checkGenesisInvariants
+ */
+function assertGenesisInvariants(genesis, options = {}) {
+  const violations = checkGenesisInvariants(genesis, options);
+  if (violations.length > 0) {
+    throw new GenesisInvariantError(violations);
+  }
+  const count = INVARIANTS.filter((invariant) => !options.partial || invariant.partial).length;
+  console.log(`✅ All ${count} genesis invariants hold${options.partial ? ' (partial)' : ''}`);
+}
+
+module.exports = {
+  INVARIANTS,
+  GenesisInvariantError,
+  checkGenesisInvariants,
+  assertGenesisInvariants,
+};
+
+// Run the checks if this script is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const files = args.filter((arg) => !arg.startsWith('--'));
+  if (files.length !== 1) {
+    console.error('Usage: node script/bootstrap/genesis_invariants.js <genesis> [--partial]');
+    process.exit(1);
+  }
+  try {
+    const genesis = JSON.parse(fs.readFileSync(files[0], 'utf8'));
+    assertGenesisInvariants(genesis, { partial: args.includes('--partial') });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
@@ -8,13 +8,21 @@ dotenv.config();
 
 // Import UTXOGateway ABI - adjust path as needed
 import utxoGatewayAbi from '../../out/UTXOGateway.sol/UTXOGateway.json';
+import {
+  SignerMode,
+  UnsignedTransactionBatch,
+  resolveSignerMode,
+  unsignedTransactionsPathFor,
+} from './external_signer';
 
 /**
  * Bootstrap historical data in batches to avoid gas limit issues
  * This script splits large bootstrap datasets into manageable chunks
  */
 const BATCH_SIZE = 250; // Maximum entries per batch
-const DELAY_BETWEEN_BATCHES = 2000; // 2 seconds delay between batches
+const DEFAULT_GAS_SHARE = 0.5; // Share of the block gas limit a batch may use
+const DEFAULT_CONFIRMATIONS = 1; // Confirmations to wait for before the next batch
+const GAS_LIMIT_BUFFER = 120n; // Gas limit of a batch, in percent of its estimate
 
 /**
  * Client Chain IDs enum matching the contract
@@ -23,71 +31,480 @@ enum ClientChainID {
   NONE = 0,
   BITCOIN = 1,
   XRPL = 2,
+  DOGE = 3,
 }
 
 /**
- * Bootstrap entry interface matching the Solidity struct
+ * Bootstrap entry interface matching the Solidity struct, with the format of the client address
+ * recorded by the genesis generators, which is not sent
  */
 interface BootstrapEntry {
   clientTxId: string;
   clientAddress: string;
   imuachainAddress: string;
+  clientAddressEncoding?: string;
+  clientScriptType?: string;
 }
 
 /**
- * Execute bootstrap in batches for a given client chain
+ * Progress of an import, written after every batch so that an interrupted import can be resumed
+ */
+interface BootstrapCheckpoint {
+  version: number;
+  clientChainId: number;
+  contractAddress: string;
+  dataHash: string; // keccak256 of the bootstrap data, to detect a changed data file
+  totalEntries: number;
+  initialNonce: string; // inbound nonce before the first batch
+  batches: CheckpointBatch[];
+}
+
+interface CheckpointBatch {
+  startIndex: number; // first entry of the batch
+  endIndex: number; // entry after the last one of the batch
+  txHash: string | null; // null if the entries were found on chain, imported by a run which was not checkpointed
+  blockNumber: number | null;
+  nonceBefore: string | null;
+  nonceAfter: string;
+}
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * How batches are sized and confirmed
+ */
+interface BatchOptions {
+  maxBatchSize?: number; // upper bound of entries per batch, BATCH_SIZE by default
+  gasShare?: number; // share of the block gas limit the gas estimate of a batch may use, DEFAULT_GAS_SHARE by default
+  confirmations?: number; // confirmations to wait for, DEFAULT_CONFIRMATIONS by default
+}
+
+/**
+ * An entry whose address binding is not registered by the import, because one of its addresses is
+ * already bound to another address, on chain or by an earlier entry. The contract skips such
+ * bindings silently, so they are reported but do not fail the dry run.
+ */
+interface BindingConflict {
+  index: number;
+  clientAddress: string;
+  imuachainAddress: string;
+  reason: string;
+}
+
+interface DryRunBatch {
+  startIndex: number;
+  endIndex: number;
+  gasEstimate: string | null;
+  error: string | null; // revert reason of the simulated call
+}
+
+/**
+ * An entry whose state on chain disagrees with the bootstrap data
+ */
+interface ReconciliationMismatch {
+  index: number;
+  clientTxId: string;
+  clientAddress: string;
+  imuachainAddress: string;
+  processed: boolean;
+  boundImuachainAddress: string; // getImuachainAddress(clientAddress), the zero address if unbound
+  boundClientAddress: string; // getClientAddress(imuachainAddress), 0x if unbound
+  issues: string[];
+}
+
+/**
+ * Comparison of the bootstrap data with the state of the gateway after an import
+ */
+interface ReconciliationReport {
+  version: number;
+  generatedAt: string;
+  clientChainId: number;
+  contractAddress: string;
+  dataFile: string;
+  dataHash: string;
+  blockNumber: number; // block the state was read at
+  inboundNonce: string;
+  totalEntries: number;
+  matchingEntries: number;
+  mismatches: ReconciliationMismatch[];
+  ok: boolean;
+}
+
+const RECONCILIATION_REPORT_VERSION = 1;
+
+/**
+ * Outcome of simulating an import without sending anything
+ */
+interface DryRunReport {
+  clientChainId: number;
+  from: string; // account the calls are simulated from, the import reverts for any but the owner
+  totalEntries: number;
+  resumeIndex: number; // entries before it are already on chain and are skipped by the import
+  processedEntries: number[]; // entries after resumeIndex which are already processed, the import reverts on them
+  duplicateEntries: number[]; // entries whose clientTxId appears earlier in the data
+  bindingConflicts: BindingConflict[];
+  batches: DryRunBatch[];
+  totalGas: string;
+  currentNonce: string;
+  expectedNonce: string;
+  ok: boolean;
+}
+
+/**
+ * Get the default checkpoint path of a bootstrap data file, e.g. btc_bootstrap_data.checkpoint.json
+ * @param dataFilePath - Path to the bootstrap data file
+ */
+function checkpointPathFor(dataFilePath: string): string {
+  const parsed = path.parse(dataFilePath);
+  return path.join(parsed.dir, `${parsed.name}.checkpoint.json`);
+}
+
+/**
+ * Get the default reconciliation report path of a bootstrap data file, e.g. btc_bootstrap_data.reconciliation.json
+ * @param dataFilePath - Path to the bootstrap data file
+ */
+function reconciliationReportPathFor(dataFilePath: string): string {
+  const parsed = path.parse(dataFilePath);
+  return path.join(parsed.dir, `${parsed.name}.reconciliation.json`);
+}
+
+/**
+ * Hash the bootstrap data, so that a checkpoint is only used with the data it was written for
+ * @param bootstrapData - Array of bootstrap entries
+ */
+function hashBootstrapData(bootstrapData: BootstrapEntry[]): string {
+  return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(bootstrapData)));
+}
+
+/**
+ * Load the checkpoint of an earlier import of the same data, if any
+ * @param checkpointPath - Path to the checkpoint file
+ * @param expected - What the checkpoint must have been written for
+ * @returns - The checkpoint, or null if there is none
+ */
+async function loadCheckpoint(
+  checkpointPath: string,
+  expected: Pick<BootstrapCheckpoint, 'clientChainId' | 'contractAddress' | 'dataHash' | 'totalEntries'>
+): Promise<BootstrapCheckpoint | null> {
+  if (!fs.existsSync(checkpointPath)) {
+    return null;
+  }
+  const checkpoint = JSON.parse(await fs.promises.readFile(checkpointPath, 'utf8')) as BootstrapCheckpoint;
+  if (checkpoint.version !== CHECKPOINT_VERSION) {
+    throw new Error(`Unsupported checkpoint version ${checkpoint.version} in ${checkpointPath}, expected ${CHECKPOINT_VERSION}`);
+  }
+  if (
+    checkpoint.clientChainId !== expected.clientChainId ||
+    checkpoint.contractAddress.toLowerCase() !== expected.contractAddress.toLowerCase() ||
+    checkpoint.dataHash !== expected.dataHash ||
+    checkpoint.totalEntries !== expected.totalEntries
+  ) {
+    throw new Error(
+      `Checkpoint ${checkpointPath} belongs to another import (chain, contract or bootstrap data differ). ` +
+      'Use the original data file, or remove the checkpoint to start over.'
+    );
+  }
+  return checkpoint;
+}
+
+/**
+ * Write the checkpoint, replacing the previous one atomically
+ * @param checkpointPath - Path to the checkpoint file
+ * @param checkpoint - The checkpoint
+ */
+async function saveCheckpoint(checkpointPath: string, checkpoint: BootstrapCheckpoint): Promise<void> {
+  const tempPath = `${checkpointPath}.tmp`;
+  await fs.promises.writeFile(tempPath, JSON.stringify(checkpoint, null, 2));
+  await fs.promises.rename(tempPath, checkpointPath);
+}
+
+/**
+ * Find the first entry which is not on chain yet. Batches are imported in order and atomically,
+ * so the entries already on chain are a prefix of the data.
+ * @param gateway - UTXOGateway contract
+ * @param clientChainId - Client chain ID
+ * @param bootstrapData - Array of bootstrap entries
+ * @param startIndex - Index up to which the entries are known to be imported, e.g. from the checkpoint
+ * @returns - Index of the first unprocessed entry, or the number of entries if all are processed
+ */
+async function findResumeIndex(
+  gateway: ethers.Contract,
+  clientChainId: ClientChainID,
+  bootstrapData: BootstrapEntry[],
+  startIndex: number = 0
+): Promise<number> {
+  if (startIndex > 0 && !(await gateway.isStakeMsgProcessed(clientChainId, bootstrapData[startIndex - 1].clientTxId))) {
+    throw new Error(
+      `Entry ${startIndex - 1} is recorded as imported in the checkpoint, but it is not processed on chain. ` +
+      'Is the checkpoint from another deployment?'
+    );
+  }
+  let index = startIndex;
+  while (index < bootstrapData.length && (await gateway.isStakeMsgProcessed(clientChainId, bootstrapData[index].clientTxId))) {
+    index++;
+  }
+  return index;
+}
+
+/**
+ * Check whether a failed estimate or transaction ran out of gas, or would not fit in a block
+ * @param error - Error thrown by ethers
+ * @param gasLimit - Gas limit of the transaction, to recognize a mined transaction which used all of it
+ */
+function isOutOfGasError(error: any, gasLimit?: bigint): boolean {
+  if (gasLimit !== undefined && error.receipt && error.receipt.gasUsed >= gasLimit) {
+    return true;
+  }
+  const message = `${error.shortMessage || ''} ${error.message || ''} ${error.info?.error?.message || ''}`;
+  return /out of gas|gas limit|gas required exceeds|intrinsic gas too high/i.test(message);
+}
+
+/**
+ * Get the share of the block gas limit a batch may use
+ * @param provider - Provider of the chain
+ * @param gasShare - Share of the block gas limit, between 0 and 1
+ */
+async function getGasBudget(provider: ethers.Provider, gasShare: number): Promise<bigint> {
+  if (!(gasShare > 0 && gasShare <= 1)) {
+    throw new Error(`Invalid gas share ${gasShare}, expected a number in (0, 1]`);
+  }
+  const block = await provider.getBlock('latest');
+  if (!block) {
+    throw new Error('Failed to get the latest block');
+  }
+  return (block.gasLimit * BigInt(Math.round(gasShare * 10000))) / 10000n;
+}
+
+/**
+ * Find the largest batch starting at startIndex whose gas estimate fits in the budget. Gas grows
+ * with the number of entries, so the size is found by binary search on estimateGas, which
+ * starts from the size hint to save estimates when the entries are alike.
+ * @param gateway - UTXOGateway contract
+ * @param clientChainId - Client chain ID
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param startIndex - First entry of the batch
+ * @param maxBatchSize - Upper bound of entries per batch
+ * @param gasBudget - Largest gas estimate a batch may have
+ * @param sizeHint - Size to try first, e.g. the size of the previous batch
+ * @param overrides - Overrides of the estimates, e.g. the account to estimate from
+ * @returns - Size of the batch and its gas estimate
+ */
+async function findBatchSize(
+  gateway: ethers.Contract,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  startIndex: number,
+  maxBatchSize: number,
+  gasBudget: bigint,
+  sizeHint?: number,
+  overrides: ethers.Overrides = {}
+): Promise<{ size: number; gasEstimate: bigint }> {
+  const estimates = new Map<number, bigint>();
+  const fits = async (size: number): Promise<boolean> => {
+    try {
+      const batch = allBootstrapData.slice(startIndex, startIndex + size);
+      const gasEstimate: bigint = await gateway.bootstrapHistoricalData.estimateGas(clientChainId, batch, overrides);
+      estimates.set(size, gasEstimate);
+      return gasEstimate <= gasBudget;
+    } catch (error: any) {
+      if (isOutOfGasError(error)) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  // Largest size known to fit, and largest size which may fit
+  let low = 0;
+  let high = Math.min(maxBatchSize, allBootstrapData.length - startIndex);
+  const guess = Math.min(sizeHint || high, high);
+  if (await fits(guess)) {
+    low = guess;
+  } else {
+    high = guess - 1;
+  }
+  while (low < high) {
+    const size = Math.floor((low + high + 1) / 2);
+    if (await fits(size)) {
+      low = size;
+    } else {
+      high = size - 1;
+    }
+  }
+
+  if (low === 0) {
+    throw new Error(`Entry ${startIndex + 1} alone exceeds the gas budget of ${gasBudget.toString()}`);
+  }
+  return { size: low, gasEstimate: estimates.get(low)! };
+}
+
+/**
+ * Execute bootstrap in batches for a given client chain. Progress is checkpointed after every
+ * batch, and the entries which are already on chain are skipped, so that a failed or killed
+ * import continues from the first unprocessed entry when it is run again.
  * @param contractAddress - UTXOGateway contract address
- * @param clientChainId - Client chain ID (1 for Bitcoin, 2 for XRPL)
+ * @param clientChainId - Client chain ID (1 for Bitcoin, 2 for XRPL, 3 for Dogecoin)
  * @param allBootstrapData - Complete bootstrap data array
  * @param signer - Ethereum signer (contract owner)
+ * @param checkpointPath - Path to the checkpoint file; no checkpoint is written if omitted
+ * @param options - How batches are sized and confirmed
  */
 async function bootstrapInBatches(
   contractAddress: string,
   clientChainId: ClientChainID,
   allBootstrapData: BootstrapEntry[],
-  signer: ethers.Signer
+  signer: ethers.Signer,
+  checkpointPath?: string,
+  options: BatchOptions = {}
 ): Promise<boolean> {
   // Get contract instance using direct ethers instantiation
   const gateway = new ethers.Contract(contractAddress, utxoGatewayAbi.abi, signer);
+  return importInBatches(
+    gateway, contractAddress, clientChainId, allBootstrapData, signer.provider!, checkpointPath, options
+  );
+}
+
+/**
+ * Import the bootstrap data through a gateway contract, see bootstrapInBatches. A batch which
+ * runs out of gas when it is sent is retried with half of its entries.
+ * @param gateway - UTXOGateway contract, connected to the signer of the owner
+ * @param contractAddress - Its address, recorded in the checkpoint
+ * @param clientChainId - Client chain ID
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param provider - Provider of the chain, for the block gas limit
+ * @param checkpointPath - Path to the checkpoint file; no checkpoint is written if omitted
+ * @param options - How batches are sized and confirmed
+ */
+async function importInBatches(
+  gateway: ethers.Contract,
+  contractAddress: string,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  provider: ethers.Provider,
+  checkpointPath?: string,
+  options: BatchOptions = {}
+): Promise<boolean> {
+  // tx.wait(0) does not wait for the transaction to be mined, and may return no receipt
+  const confirmations = options.confirmations ?? DEFAULT_CONFIRMATIONS;
+  if (!Number.isInteger(confirmations) || confirmations < 1) {
+    throw new Error(`Invalid confirmations ${confirmations}, expected a positive integer`);
+  }
 
   // Check initial nonce
-  const initialNonce = await gateway.inboundNonce(clientChainId);
-  const totalBatches = Math.ceil(allBootstrapData.length / BATCH_SIZE);
+  const resumeNonce: bigint = await gateway.inboundNonce(clientChainId);
 
-  console.log(`🚀 Bootstrap Start: ${totalBatches} batches, initial nonce: ${initialNonce.toString()}\n`);
+  // Resume after the batches of an earlier run, and the entries it imported without checkpointing them
+  const dataHash = hashBootstrapData(allBootstrapData);
+  let checkpoint = checkpointPath
+    ? await loadCheckpoint(checkpointPath, {
+      clientChainId,
+      contractAddress,
+      dataHash,
+      totalEntries: allBootstrapData.length,
+    })
+    : null;
+  const checkpointedIndex = checkpoint && checkpoint.batches.length > 0
+    ? checkpoint.batches[checkpoint.batches.length - 1].endIndex
+    : 0;
+  const resumeIndex = await findResumeIndex(gateway, clientChainId, allBootstrapData, checkpointedIndex);
 
-  let processedEntries = 0;
+  if (!checkpoint) {
+    checkpoint = {
+      version: CHECKPOINT_VERSION,
+      clientChainId,
+      contractAddress,
+      dataHash,
+      totalEntries: allBootstrapData.length,
+      initialNonce: (resumeNonce - BigInt(resumeIndex)).toString(),
+      batches: [],
+    };
+  }
+  if (resumeIndex > checkpointedIndex) {
+    console.log(`Found entries ${checkpointedIndex + 1}-${resumeIndex} already on chain, skipping them`);
+    checkpoint.batches.push({
+      startIndex: checkpointedIndex,
+      endIndex: resumeIndex,
+      txHash: null,
+      blockNumber: null,
+      nonceBefore: null,
+      nonceAfter: resumeNonce.toString(),
+    });
+  }
+  if (checkpointPath) {
+    await saveCheckpoint(checkpointPath, checkpoint);
+  }
 
-  for (let batchIndex = 0; batchIndex < totalBatches; batchIndex++) {
-    const startIndex = batchIndex * BATCH_SIZE;
-    const endIndex = Math.min(startIndex + BATCH_SIZE, allBootstrapData.length);
-    const batch = allBootstrapData.slice(startIndex, endIndex);
+  const remainingData = allBootstrapData.slice(resumeIndex);
+  const gasBudget = await getGasBudget(provider, options.gasShare ?? DEFAULT_GAS_SHARE);
+  let maxBatchSize = options.maxBatchSize ?? BATCH_SIZE;
+
+  if (resumeIndex > 0) {
+    console.log(`Resuming from entry ${resumeIndex + 1}/${allBootstrapData.length}`);
+  }
+  console.log(`🚀 Bootstrap Start: ${remainingData.length} entries, gas budget per batch: ${gasBudget.toString()}, initial nonce: ${resumeNonce.toString()}\n`);
 
-    console.log(`[Batch ${batchIndex + 1}/${totalBatches}] Processing entries ${startIndex + 1}-${endIndex} (${batch.length} entries)`);
+  let processedEntries = resumeIndex;
+  let batchNumber = 0;
+  let batchSize: number | undefined;
+
+  while (processedEntries < allBootstrapData.length) {
+    const startIndex = processedEntries;
+    batchNumber++;
 
     try {
-      // Get current nonce and estimate gas
+      // Size the batch to the gas budget and get the current nonce
+      const sizing = await findBatchSize(gateway, clientChainId, allBootstrapData, startIndex, maxBatchSize, gasBudget, batchSize);
+      batchSize = sizing.size;
+      const endIndex = startIndex + sizing.size;
+      const batch = allBootstrapData.slice(startIndex, endIndex);
       const currentNonce = await gateway.inboundNonce(clientChainId);
-      const gasEstimate = await gateway.bootstrapHistoricalData.estimateGas(clientChainId, batch);
-
-      console.log(`[Batch ${batchIndex + 1}] Pre-call - Nonce: ${currentNonce.toString()} | Gas Estimate: ${gasEstimate.toString()}`);
 
-      // Execute bootstrap batch
-      const tx = await gateway.bootstrapHistoricalData(clientChainId, batch, {
-        gasLimit: Math.floor(Number(gasEstimate) * 1.2), // 20% buffer
-      });
+      console.log(`[Batch ${batchNumber}] Processing entries ${startIndex + 1}-${endIndex} (${batch.length} entries)`);
+      console.log(`[Batch ${batchNumber}] Pre-call - Nonce: ${currentNonce.toString()} | Gas Estimate: ${sizing.gasEstimate.toString()}`);
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
-      processedEntries += batch.length;
+      // Execute bootstrap batch and wait for its confirmations
+      const gasLimit = (sizing.gasEstimate * GAS_LIMIT_BUFFER) / 100n;
+      let tx: ethers.ContractTransactionResponse;
+      let receipt: ethers.ContractTransactionReceipt;
+      try {
+        tx = await gateway.bootstrapHistoricalData(clientChainId, batch, { gasLimit });
+        const mined = await tx.wait(confirmations);
+        if (!mined) {
+          throw new Error(`No receipt for ${tx.hash} after ${confirmations} confirmations`);
+        }
+        receipt = mined;
+      } catch (error: any) {
+        // The estimate was too low, retry with half of the batch
+        if (batch.length === 1 || !isOutOfGasError(error, gasLimit)) {
+          throw error;
+        }
+        maxBatchSize = Math.floor(batch.length / 2);
+        batchSize = maxBatchSize;
+        console.warn(`[Batch ${batchNumber}] Out of gas with ${batch.length} entries, retrying with at most ${maxBatchSize}`);
+        batchNumber--;
+        continue;
+      }
+      processedEntries = endIndex;
 
       // Verify nonce increment
       const newNonce = await gateway.inboundNonce(clientChainId);
 
-      console.log(`[Batch ${batchIndex + 1}] Success - TX: ${tx.hash} | Block: ${receipt!.blockNumber} | Gas Used: ${receipt!.gasUsed.toString()} | New Nonce: ${newNonce.toString()}`);
+      console.log(`[Batch ${batchNumber}] Success - TX: ${tx.hash} | Block: ${receipt.blockNumber} | Gas Used: ${receipt.gasUsed.toString()} | New Nonce: ${newNonce.toString()}`);
+
+      checkpoint.batches.push({
+        startIndex,
+        endIndex,
+        txHash: tx.hash,
+        blockNumber: receipt.blockNumber,
+        nonceBefore: currentNonce.toString(),
+        nonceAfter: newNonce.toString(),
+      });
+      if (checkpointPath) {
+        await saveCheckpoint(checkpointPath, checkpoint);
+      }
 
       // Check for bootstrap events (optional detailed logging)
-      const bootstrapEvents = receipt!.logs.filter((log: any) => {
+      const bootstrapEvents = receipt.logs.filter((log: any) => {
         try {
           const decoded = gateway.interface.parseLog(log);
           return decoded!.name === 'BootstrapCompleted';
@@ -98,40 +515,37 @@ async function bootstrapInBatches(
 
       if (bootstrapEvents.length > 0) {
         const event = gateway.interface.parseLog(bootstrapEvents[0]);
-        console.log(`[Batch ${batchIndex + 1}] Event - Entries: ${event!.args.entriesCount} | Final Nonce: ${event!.args.finalNonce}`);
+        console.log(`[Batch ${batchNumber}] Event - Entries: ${event!.args.entriesCount} | Final Nonce: ${event!.args.finalNonce}`);
       }
 
       console.log(`[Progress] ${processedEntries}/${allBootstrapData.length} entries processed (${((processedEntries / allBootstrapData.length) * 100).toFixed(1)}%)\n`);
     } catch (error: any) {
-      console.error(`Error processing batch ${batchIndex + 1}:`, error.message);
+      console.error(`Error processing batch ${batchNumber}:`, error.message);
+      if (checkpointPath) {
+        console.error(`Progress is saved in ${checkpointPath}, run the import again to resume from entry ${startIndex + 1}.`);
+      }
 
       // Check for specific error types and provide guidance
       if (error.message.includes('TxTagAlreadyProcessed')) {
         console.error('Error: Some transactions already processed. Check for duplicate clientTxIds.');
         return false;
-      } else if (error.message.includes('out of gas') || error.message.includes('gas limit')) {
-        console.error('Error: Gas limit exceeded. Consider reducing BATCH_SIZE.');
+      } else if (isOutOfGasError(error)) {
+        console.error('Error: Gas limit exceeded by a single entry. Consider raising the gas share.');
         return false;
       }
 
       throw error; // Re-throw for other errors
     }
-
-    // Add delay between batches to avoid nonce issues
-    if (batchIndex < totalBatches - 1) {
-      console.log(`[Delay] Waiting ${DELAY_BETWEEN_BATCHES}ms before next batch...`);
-      await new Promise((resolve) => setTimeout(resolve, DELAY_BETWEEN_BATCHES));
-    }
   }
 
   // Final verification
   const finalNonce = await gateway.inboundNonce(clientChainId);
-  const expectedNonce = initialNonce + BigInt(allBootstrapData.length);
+  const expectedNonce = resumeNonce + BigInt(remainingData.length);
 
   const verificationResult = finalNonce === expectedNonce ? '✅ Bootstrap verification successful!' : '❌ Bootstrap verification failed - nonce mismatch!';
 
   console.log(`=== Bootstrap Complete ===
-Initial Nonce: ${initialNonce.toString()} | Final Nonce: ${finalNonce.toString()} | Expected: ${expectedNonce.toString()}
+Initial Nonce: ${checkpoint.initialNonce} | Resumed At: ${resumeNonce.toString()} | Final Nonce: ${finalNonce.toString()} | Expected: ${expectedNonce.toString()}
 Total Processed: ${processedEntries}/${allBootstrapData.length} entries
 ${verificationResult}
 ==========================\n`);
@@ -139,6 +553,424 @@ ${verificationResult}
   return finalNonce === expectedNonce;
 }
 
+/**
+ * Describe a failed contract call by the custom error it reverted with, if it is known to the ABI
+ * @param error - Error thrown by ethers
+ */
+function describeCallError(error: any): string {
+  if (error.revert) {
+    return `${error.revert.name}(${error.revert.args.join(', ')})`;
+  }
+  return error.shortMessage || error.message;
+}
+
+/**
+ * Simulate an import against the current state of the gateway. Every batch is executed with
+ * staticCall and its gas estimated, the entries are checked for clientTxIds which are already
+ * processed and for addresses which are already bound. Nothing is sent.
+ *
+ * The batches are simulated independently, each against the current state, so the checks of
+ * clientTxIds and bindings across batches are done here rather than by the simulated calls.
+ * @param gateway - UTXOGateway contract
+ * @param clientChainId - Client chain ID
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param from - Account to simulate the calls from, normally the owner of the gateway
+ * @param gasBudget - Largest gas estimate a batch may have, see findBatchSize
+ * @param maxBatchSize - Upper bound of entries per batch
+ * @returns - The dry run report
+ */
+async function simulateBootstrap(
+  gateway: ethers.Contract,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  from: string,
+  gasBudget: bigint,
+  maxBatchSize: number = BATCH_SIZE
+): Promise<DryRunReport> {
+  const currentNonce: bigint = await gateway.inboundNonce(clientChainId);
+
+  // The import skips the entries which are already on chain, as when resuming
+  const resumeIndex = await findResumeIndex(gateway, clientChainId, allBootstrapData);
+  const remainingData = allBootstrapData.slice(resumeIndex);
+
+  const processedEntries: number[] = [];
+  const duplicateEntries: number[] = [];
+  const seenTxIds = new Set(allBootstrapData.slice(0, resumeIndex).map((entry) => entry.clientTxId.toLowerCase()));
+  for (let i = resumeIndex; i < allBootstrapData.length; i++) {
+    const clientTxId = allBootstrapData[i].clientTxId.toLowerCase();
+    if (seenTxIds.has(clientTxId)) {
+      duplicateEntries.push(i);
+    } else if (await gateway.isStakeMsgProcessed(clientChainId, clientTxId)) {
+      processedEntries.push(i);
+    }
+    seenTxIds.add(clientTxId);
+  }
+
+  // Replay the registrations of the contract, starting from the bindings on chain
+  const bindingConflicts: BindingConflict[] = [];
+  const inbound = new Map<string, string>(); // client address => imuachain address
+  const outbound = new Map<string, string>(); // imuachain address => client address
+  for (let i = resumeIndex; i < allBootstrapData.length; i++) {
+    const clientAddress = allBootstrapData[i].clientAddress.toLowerCase();
+    const imuachainAddress = allBootstrapData[i].imuachainAddress.toLowerCase();
+    if (!inbound.has(clientAddress)) {
+      inbound.set(clientAddress, (await gateway.getImuachainAddress(clientChainId, clientAddress)).toLowerCase());
+    }
+    if (!outbound.has(imuachainAddress)) {
+      outbound.set(imuachainAddress, ethers.hexlify(await gateway.getClientAddress(clientChainId, imuachainAddress)).toLowerCase());
+    }
+    const boundImuachainAddress = inbound.get(clientAddress)!;
+    const boundClientAddress = outbound.get(imuachainAddress)!;
+
+    if (boundImuachainAddress === ethers.ZeroAddress && boundClientAddress === '0x') {
+      inbound.set(clientAddress, imuachainAddress);
+      outbound.set(imuachainAddress, clientAddress);
+      continue;
+    }
+    const reasons: string[] = [];
+    if (boundImuachainAddress !== ethers.ZeroAddress && boundImuachainAddress !== imuachainAddress) {
+      reasons.push(`client address is bound to ${boundImuachainAddress}`);
+    }
+    if (boundClientAddress !== '0x' && boundClientAddress !== clientAddress) {
+      reasons.push(`imuachain address is bound to ${boundClientAddress}`);
+    }
+    if (reasons.length > 0) {
+      bindingConflicts.push({ index: i, clientAddress, imuachainAddress, reason: reasons.join(', ') });
+    }
+  }
+
+  // Size the batches as the import does
+  const batches: DryRunBatch[] = [];
+  let totalGas = 0n;
+  let startIndex = resumeIndex;
+  let batchSize: number | undefined;
+  while (startIndex < allBootstrapData.length) {
+    try {
+      const sizing = await findBatchSize(gateway, clientChainId, allBootstrapData, startIndex, maxBatchSize, gasBudget, batchSize, { from });
+      batchSize = sizing.size;
+      const batch = allBootstrapData.slice(startIndex, startIndex + batchSize);
+      await gateway.bootstrapHistoricalData.staticCall(clientChainId, batch, { from });
+      totalGas += sizing.gasEstimate;
+      batches.push({ startIndex, endIndex: startIndex + batchSize, gasEstimate: sizing.gasEstimate.toString(), error: null });
+    } catch (error: any) {
+      // A batch which reverts cannot be sized, continue at the size of the previous one
+      batchSize = Math.min(batchSize || maxBatchSize, allBootstrapData.length - startIndex);
+      batches.push({ startIndex, endIndex: startIndex + batchSize, gasEstimate: null, error: describeCallError(error) });
+    }
+    startIndex += batchSize;
+  }
+
+  return {
+    clientChainId,
+    from,
+    totalEntries: allBootstrapData.length,
+    resumeIndex,
+    processedEntries,
+    duplicateEntries,
+    bindingConflicts,
+    batches,
+    totalGas: totalGas.toString(),
+    currentNonce: currentNonce.toString(),
+    expectedNonce: (currentNonce + BigInt(remainingData.length)).toString(),
+    ok: processedEntries.length === 0 && duplicateEntries.length === 0 && batches.every((batch) => batch.error === null),
+  };
+}
+
+/**
+ * Simulate the import of a client chain, see simulateBootstrap, and print the report
+ * @param contractAddress - UTXOGateway contract address
+ * @param clientChainId - Client chain ID (1 for Bitcoin, 2 for XRPL, 3 for Dogecoin)
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param runner - Signer of the owner, or a provider
+ * @param from - Account to simulate the calls from; defaults to the signer, or to the owner of the gateway
+ * @param options - How batches are sized
+ * @returns - True if the import would succeed
+ */
+async function dryRunBootstrap(
+  contractAddress: string,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  runner: ethers.Signer | ethers.Provider,
+  from?: string,
+  options: BatchOptions = {}
+): Promise<boolean> {
+  const gateway = new ethers.Contract(contractAddress, utxoGatewayAbi.abi, runner);
+  const caller = from || ('getAddress' in runner ? await runner.getAddress() : await gateway.owner());
+  const provider = 'getAddress' in runner ? runner.provider! : runner;
+  const gasBudget = await getGasBudget(provider, options.gasShare ?? DEFAULT_GAS_SHARE);
+
+  console.log(`🔍 Dry Run: simulating ${allBootstrapData.length} entries from ${caller}, nothing is sent\n`);
+  const report = await simulateBootstrap(
+    gateway, clientChainId, allBootstrapData, caller, gasBudget, options.maxBatchSize ?? BATCH_SIZE
+  );
+  printDryRunReport(report);
+  return report.ok;
+}
+
+/**
+ * Print a dry run report
+ * @param report - The dry run report
+ */
+function printDryRunReport(report: DryRunReport): void {
+  if (report.resumeIndex > 0) {
+    console.log(`Entries 1-${report.resumeIndex} are already on chain and would be skipped`);
+  }
+  for (const index of report.duplicateEntries) {
+    console.error(`❌ Entry ${index + 1}: clientTxId appears earlier in the data`);
+  }
+  for (const index of report.processedEntries) {
+    console.error(`❌ Entry ${index + 1}: clientTxId is already processed`);
+  }
+  for (const conflict of report.bindingConflicts) {
+    console.warn(`⚠️  Entry ${conflict.index + 1}: binding ${conflict.clientAddress} => ${conflict.imuachainAddress} would not be registered, ${conflict.reason}`);
+  }
+
+  report.batches.forEach((batch, i) => {
+    const entries = `entries ${batch.startIndex + 1}-${batch.endIndex}`;
+    if (batch.error) {
+      console.error(`[Batch ${i + 1}/${report.batches.length}] ❌ ${entries} | Reverts: ${batch.error}`);
+    } else {
+      console.log(`[Batch ${i + 1}/${report.batches.length}] ${entries} | Gas Estimate: ${batch.gasEstimate}`);
+    }
+  });
+
+  const result = report.ok ? '✅ Dry run successful, the import would succeed' : '❌ Dry run failed, the import would revert';
+
+  console.log(`=== Dry Run Complete ===
+Batches: ${report.batches.length} | Total Gas: ${report.totalGas}
+Current Nonce: ${report.currentNonce} | Expected Final Nonce: ${report.expectedNonce}
+Binding Conflicts: ${report.bindingConflicts.length}
+${result}
+========================\n`);
+}
+
+/**
+ * Get the path of one of several files, e.g. btc_bootstrap_data.safe-tx.2.json
+ * @param filePath - Path of the output
+ * @param part - Number of the file, from 1
+ * @param parts - Number of files
+ */
+function partPathFor(filePath: string, part: number, parts: number): string {
+  if (parts === 1) {
+    return filePath;
+  }
+  const parsed = path.parse(filePath);
+  return path.join(parsed.dir, `${parsed.name}.${part}${parsed.ext}`);
+}
+
+/**
+ * Write the import as unsigned transactions for a Safe or an external signer, instead of
+ * signing it locally. The batches are sized as the import sizes them, estimated from the owner.
+ * A Safe executes all transactions of a Transaction Builder batch in one transaction, so every
+ * import batch gets a Safe batch of its own; the JSON-RPC requests are written to one file.
+ * @param contractAddress - UTXOGateway contract address
+ * @param clientChainId - Client chain ID (1 for Bitcoin, 2 for XRPL, 3 for Dogecoin)
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param provider - Provider of the chain
+ * @param mode - safe or rpc
+ * @param outputPath - Path to write the transactions to
+ * @param from - The owner, i.e. the Safe or the account of the external signer; read from the gateway if omitted
+ * @param options - How batches are sized
+ * @returns - The paths written
+ */
+async function writeUnsignedBootstrap(
+  contractAddress: string,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  provider: ethers.Provider,
+  mode: SignerMode,
+  outputPath: string,
+  from?: string,
+  options: BatchOptions = {}
+): Promise<string[]> {
+  const gateway = new ethers.Contract(contractAddress, utxoGatewayAbi.abi, provider);
+  const owner: string = from || (await gateway.owner());
+  const { chainId } = await provider.getNetwork();
+  const gasBudget = await getGasBudget(provider, options.gasShare ?? DEFAULT_GAS_SHARE);
+  const maxBatchSize = options.maxBatchSize ?? BATCH_SIZE;
+
+  // The entries already on chain are skipped, as when resuming
+  const resumeIndex = await findResumeIndex(gateway, clientChainId, allBootstrapData);
+  const currentNonce: bigint = await gateway.inboundNonce(clientChainId);
+  console.log(`✍️  Unsigned Transactions: ${allBootstrapData.length - resumeIndex} entries from ${owner}, nothing is sent\n`);
+
+  const calls: { startIndex: number; endIndex: number; gasEstimate: bigint }[] = [];
+  let startIndex = resumeIndex;
+  let batchSize: number | undefined;
+  while (startIndex < allBootstrapData.length) {
+    const sizing = await findBatchSize(
+      gateway, clientChainId, allBootstrapData, startIndex, maxBatchSize, gasBudget, batchSize, { from: owner }
+    );
+    batchSize = sizing.size;
+    calls.push({ startIndex, endIndex: startIndex + batchSize, gasEstimate: sizing.gasEstimate });
+    startIndex += batchSize;
+  }
+
+  const newBatch = (name: string) => new UnsignedTransactionBatch({
+    chainId,
+    from: owner,
+    name,
+    description: `Bootstrap of ${allBootstrapData.length} entries of client chain ${clientChainId} into ${contractAddress}`,
+  });
+  const addCall = (batch: UnsignedTransactionBatch, call: (typeof calls)[number]) => batch.add({
+    to: contractAddress,
+    data: gateway.interface.encodeFunctionData('bootstrapHistoricalData', [
+      clientChainId,
+      allBootstrapData.slice(call.startIndex, call.endIndex),
+    ]),
+    gasLimit: (call.gasEstimate * GAS_LIMIT_BUFFER) / 100n,
+    description: `bootstrapHistoricalData of entries ${call.startIndex + 1}-${call.endIndex}`,
+  });
+
+  const paths: string[] = [];
+  if (mode === 'safe') {
+    for (let i = 0; i < calls.length; i++) {
+      const batch = newBatch(`Bootstrap ${i + 1}/${calls.length}`);
+      addCall(batch, calls[i]);
+      paths.push(await batch.write('safe', partPathFor(outputPath, i + 1, calls.length)));
+    }
+  } else if (calls.length > 0) {
+    const batch = newBatch('Bootstrap');
+    calls.forEach((call) => addCall(batch, call));
+    paths.push(await batch.write(mode, outputPath, { nonce: await provider.getTransactionCount(owner, 'pending') }));
+  }
+
+  console.log(`=== Unsigned Transactions Complete ===
+Transactions: ${calls.length} | Files: ${paths.length}
+Current Nonce: ${currentNonce.toString()} | Expected Final Nonce: ${(currentNonce + BigInt(allBootstrapData.length - resumeIndex)).toString()}
+Sign and execute them in order, then run the import with --verify
+======================================\n`);
+
+  return paths;
+}
+
+/**
+ * Check every entry of the bootstrap data against the gateway: its clientTxId must be processed,
+ * and its client address and imuachain address must be bound to each other in both directions.
+ * @param gateway - UTXOGateway contract
+ * @param clientChainId - Client chain ID
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param blockTag - Block to read the state at, so that all entries are checked against the same state
+ * @returns - The entries which disagree with the state on chain
+ */
+async function reconcileBootstrap(
+  gateway: ethers.Contract,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  blockTag: ethers.BlockTag = 'latest'
+): Promise<ReconciliationMismatch[]> {
+  const overrides = { blockTag };
+  // Addresses repeat across the entries of a staker, look each of them up once
+  const inbound = new Map<string, string>();
+  const outbound = new Map<string, string>();
+
+  const mismatches: ReconciliationMismatch[] = [];
+  for (let index = 0; index < allBootstrapData.length; index++) {
+    const entry = allBootstrapData[index];
+    const clientAddress = entry.clientAddress.toLowerCase();
+    const imuachainAddress = entry.imuachainAddress.toLowerCase();
+
+    const processed: boolean = await gateway.isStakeMsgProcessed(clientChainId, entry.clientTxId, overrides);
+    if (!inbound.has(clientAddress)) {
+      inbound.set(clientAddress, (await gateway.getImuachainAddress(clientChainId, clientAddress, overrides)).toLowerCase());
+    }
+    if (!outbound.has(imuachainAddress)) {
+      outbound.set(
+        imuachainAddress,
+        ethers.hexlify(await gateway.getClientAddress(clientChainId, imuachainAddress, overrides)).toLowerCase()
+      );
+    }
+    const boundImuachainAddress = inbound.get(clientAddress)!;
+    const boundClientAddress = outbound.get(imuachainAddress)!;
+
+    const issues: string[] = [];
+    if (!processed) {
+      issues.push('clientTxId is not processed');
+    }
+    if (boundImuachainAddress === ethers.ZeroAddress) {
+      issues.push('client address is not bound');
+    } else if (boundImuachainAddress !== imuachainAddress) {
+      issues.push(`client address is bound to ${boundImuachainAddress}`);
+    }
+    if (boundClientAddress === '0x') {
+      issues.push('imuachain address is not bound');
+    } else if (boundClientAddress !== clientAddress) {
+      issues.push(`imuachain address is bound to ${boundClientAddress}`);
+    }
+
+    if (issues.length > 0) {
+      mismatches.push({
+        index,
+        clientTxId: entry.clientTxId,
+        clientAddress: entry.clientAddress,
+        imuachainAddress: entry.imuachainAddress,
+        processed,
+        boundImuachainAddress,
+        boundClientAddress,
+        issues,
+      });
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Reconcile the bootstrap data of a client chain with the gateway, see reconcileBootstrap, and
+ * write the report for the launch checklist
+ * @param contractAddress - UTXOGateway contract address
+ * @param clientChainId - Client chain ID (1 for Bitcoin, 2 for XRPL, 3 for Dogecoin)
+ * @param allBootstrapData - Complete bootstrap data array
+ * @param provider - Provider of the chain
+ * @param dataFilePath - Path to the bootstrap data file, recorded in the report
+ * @param reportPath - Path to write the report to
+ * @returns - The report
+ */
+async function verifyBootstrap(
+  contractAddress: string,
+  clientChainId: ClientChainID,
+  allBootstrapData: BootstrapEntry[],
+  provider: ethers.Provider,
+  dataFilePath: string,
+  reportPath: string
+): Promise<ReconciliationReport> {
+  const gateway = new ethers.Contract(contractAddress, utxoGatewayAbi.abi, provider);
+  const blockNumber = await provider.getBlockNumber();
+
+  console.log(`🔍 Verification: checking ${allBootstrapData.length} entries at block ${blockNumber}\n`);
+  const mismatches = await reconcileBootstrap(gateway, clientChainId, allBootstrapData, blockNumber);
+  const inboundNonce: bigint = await gateway.inboundNonce(clientChainId, { blockTag: blockNumber });
+
+  const report: ReconciliationReport = {
+    version: RECONCILIATION_REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    clientChainId,
+    contractAddress,
+    dataFile: path.basename(dataFilePath),
+    dataHash: hashBootstrapData(allBootstrapData),
+    blockNumber,
+    inboundNonce: inboundNonce.toString(),
+    totalEntries: allBootstrapData.length,
+    matchingEntries: allBootstrapData.length - mismatches.length,
+    mismatches,
+    ok: mismatches.length === 0,
+  };
+  await fs.promises.writeFile(reportPath, JSON.stringify(report, null, 2));
+
+  for (const mismatch of mismatches) {
+    console.error(`❌ Entry ${mismatch.index + 1} (${mismatch.clientTxId}): ${mismatch.issues.join(', ')}`);
+  }
+  const result = report.ok ? '✅ All entries match the gateway state' : `❌ ${mismatches.length} entries disagree with the gateway state`;
+
+  console.log(`=== Verification Complete ===
+Block: ${blockNumber} | Inbound Nonce: ${report.inboundNonce}
+Matching Entries: ${report.matchingEntries}/${report.totalEntries}
+Report: ${reportPath}
+${result}
+=============================\n`);
+
+  return report;
+}
+
 /**
  * Get client chain configuration from command line arguments
  */
@@ -161,18 +993,68 @@ function getClientChainConfig(): { chainId: ClientChainID; dataFile: string; cha
         dataFile: 'xrp_bootstrap_data.json',
         chainName: 'XRPL'
       };
+    case 'doge':
+    case 'dogecoin':
+      return {
+        chainId: ClientChainID.DOGE,
+        dataFile: 'doge_bootstrap_data.json',
+        chainName: 'Dogecoin'
+      };
     default:
       console.error(`Invalid or missing chain argument. Usage:
   npm run bootstrap:btc   # For Bitcoin
   npm run bootstrap:xrp   # For XRPL
+  npm run bootstrap:doge  # For Dogecoin
 
 Or use:
   ts-node script/bootstrap/importBootstrapData.ts --chain=btc
-  ts-node script/bootstrap/importBootstrapData.ts --chain=xrp`);
+  ts-node script/bootstrap/importBootstrapData.ts --chain=xrp
+  ts-node script/bootstrap/importBootstrapData.ts --chain=doge
+
+Options:
+  --checkpoint=<path>  Progress file, defaults to genesis/<data file>.checkpoint.json
+  --dry-run            Simulate the import and report the gas and final nonce, nothing is sent
+  --from=<address>     Account to simulate from in a dry run, or the owner the unsigned transactions
+                       are for; defaults to the signer or the owner
+  --signer=<mode>      local (default) to sign with PRIVATE_KEY, safe to write Safe Transaction Builder
+                       batches, or rpc to write eth_signTransaction requests for an external signer
+  --output=<path>      Unsigned transactions of --signer, defaults to genesis/<data file>.<format>.json
+  --max-batch-size=<n> Upper bound of entries per batch, defaults to ${BATCH_SIZE}
+  --gas-share=<share>  Share of the block gas limit a batch may use, defaults to ${DEFAULT_GAS_SHARE}
+  --confirmations=<n>  Confirmations to wait for after each batch, defaults to ${DEFAULT_CONFIRMATIONS}
+  --verify             Check every entry against the gateway after the import and write a report
+  --report=<path>      Report of --verify, defaults to genesis/<data file>.reconciliation.json`);
       process.exit(1);
   }
 }
 
+/**
+ * Get the batch sizing and confirmation options from command line arguments
+ * @param args - Command line arguments
+ */
+function getBatchOptions(args: string[]): BatchOptions {
+  const option = (name: string): number | undefined => {
+    const value = args.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+    if (value === undefined) {
+      return undefined;
+    }
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new Error(`Invalid --${name}=${value}`);
+    }
+    return number;
+  };
+  const maxBatchSize = option('max-batch-size');
+  const confirmations = option('confirmations');
+  if (maxBatchSize !== undefined && (!Number.isInteger(maxBatchSize) || maxBatchSize === 0)) {
+    throw new Error(`Invalid --max-batch-size=${maxBatchSize}, expected a positive integer`);
+  }
+  if (confirmations !== undefined && (!Number.isInteger(confirmations) || confirmations === 0)) {
+    throw new Error(`Invalid --confirmations=${confirmations}, expected a positive integer`);
+  }
+  return { maxBatchSize, gasShare: option('gas-share'), confirmations };
+}
+
 /**
  * Main function to load and import bootstrap data
  */
@@ -185,9 +1067,15 @@ async function main(): Promise<void> {
     const rpcUrl = process.env.RPC_URL || 'http://localhost:8546';
     const privateKey = process.env.PRIVATE_KEY;
     const contractAddress = process.env.UTXO_GATEWAY_CONTRACT_ADDRESS;
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const verify = args.includes('--verify');
+    const signerMode = resolveSignerMode(args.find((arg) => arg.startsWith('--signer='))?.slice('--signer='.length));
+    const from = args.find((arg) => arg.startsWith('--from='))?.slice('--from='.length);
 
-
-    if (!privateKey) {
+    // A dry run needs no key, the calls are simulated from the owner, verification only reads,
+    // and the transactions for a Safe or an external signer are signed elsewhere
+    if (!privateKey && !dryRun && !verify && signerMode === 'local') {
       console.error('PRIVATE_KEY environment variable not set\nPlease set your private key before running this script');
       process.exit(1);
     }
@@ -198,24 +1086,76 @@ async function main(): Promise<void> {
     }
 
     const provider = new ethers.JsonRpcProvider(rpcUrl);
-    const signer = new ethers.Wallet(privateKey, provider);
+    const signer = privateKey ? new ethers.Wallet(privateKey, provider) : undefined;
 
     // Load and validate bootstrap data for the specified chain
-    const bootstrapData = await loadBootstrapData(path.resolve(process.cwd(), `genesis/${dataFile}`));
+    const dataFilePath = path.resolve(process.cwd(), `genesis/${dataFile}`);
+    const bootstrapData = await loadBootstrapData(dataFilePath);
     if (!validateBootstrapData(bootstrapData)) {
       console.error('Bootstrap data validation failed!');
       process.exit(1);
     }
 
+    // Progress is kept next to the data file, unless another path is given
+    const checkpointArg = args.find((arg) => arg.startsWith('--checkpoint='));
+    const checkpointPath = checkpointArg
+      ? path.resolve(process.cwd(), checkpointArg.slice('--checkpoint='.length))
+      : checkpointPathFor(dataFilePath);
+
+    // The reconciliation report is written next to the data file, unless another path is given
+    const reportArg = args.find((arg) => arg.startsWith('--report='));
+    const reportPath = reportArg
+      ? path.resolve(process.cwd(), reportArg.slice('--report='.length))
+      : reconciliationReportPathFor(dataFilePath);
+
+    // The unsigned transactions are written next to the data file, unless another path is given
+    const outputArg = args.find((arg) => arg.startsWith('--output='));
+    const outputPath = outputArg
+      ? path.resolve(process.cwd(), outputArg.slice('--output='.length))
+      : unsignedTransactionsPathFor(dataFilePath, signerMode);
+
+    let mode = `Checkpoint: ${checkpointPath}`;
+    if (verify) {
+      mode = `Mode: verification | Report: ${reportPath}`;
+    } else if (dryRun) {
+      mode = 'Mode: dry run';
+    } else if (signerMode !== 'local') {
+      mode = `Mode: ${signerMode} signer | Output: ${outputPath}`;
+    }
+
     // Initialize and display configuration
     console.log(`=== Bootstrap Configuration ===
 Chain: ${chainName} (ID: ${chainId}) | Data File: ${dataFile}
 Contract: ${contractAddress}
 Bootstrap Entries: ${bootstrapData.length}
+${mode}
 =============================\n`);
 
+    if (verify) {
+      const report = await verifyBootstrap(contractAddress, chainId, bootstrapData, provider, dataFilePath, reportPath);
+      if (!report.ok) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    const batchOptions = getBatchOptions(args);
+
+    if (dryRun) {
+      const success = await dryRunBootstrap(contractAddress, chainId, bootstrapData, signer || provider, from, batchOptions);
+      if (!success) {
+        process.exit(1);
+      }
+      return;
+    }
+
+    if (signerMode !== 'local') {
+      await writeUnsignedBootstrap(contractAddress, chainId, bootstrapData, provider, signerMode, outputPath, from, batchOptions);
+      return;
+    }
+
     // Execute bootstrap for the specified chain
-    const success = await bootstrapInBatches(contractAddress, chainId, bootstrapData, signer);
+    const success = await bootstrapInBatches(contractAddress, chainId, bootstrapData, signer!, checkpointPath, batchOptions);
 
     if (success) {
       console.log(`${chainName} bootstrap process completed successfully!`);
@@ -279,6 +1219,13 @@ function validateBootstrapData(bootstrapData: BootstrapEntry[]): boolean {
       return false;
     }
 
+    // The withdrawals pay to the UTF-8 address in clientAddress; the files written before the
+    // encoding was recorded use it too
+    if (entry.clientAddressEncoding !== undefined && entry.clientAddressEncoding !== 'utf8-address') {
+      console.error(`Unsupported clientAddressEncoding at index ${i}: ${entry.clientAddressEncoding}`);
+      return false;
+    }
+
     // Validate imuachainAddress format (20 bytes hex)
     if (!/^0x[a-fA-F0-9]{40}$/.test(entry.imuachainAddress)) {
       console.error(`Invalid imuachainAddress format at index ${i}: ${entry.imuachainAddress}`);
@@ -291,12 +1238,35 @@ function validateBootstrapData(bootstrapData: BootstrapEntry[]): boolean {
 }
 
 // Export functions for use in other scripts
-export { bootstrapInBatches, loadBootstrapData, validateBootstrapData, ClientChainID, BATCH_SIZE };
+export {
+  bootstrapInBatches,
+  importInBatches,
+  getBatchOptions,
+  loadBootstrapData,
+  validateBootstrapData,
+  checkpointPathFor,
+  reconciliationReportPathFor,
+  hashBootstrapData,
+  loadCheckpoint,
+  saveCheckpoint,
+  findResumeIndex,
+  simulateBootstrap,
+  dryRunBootstrap,
+  findBatchSize,
+  isOutOfGasError,
+  reconcileBootstrap,
+  verifyBootstrap,
+  writeUnsignedBootstrap,
+  ClientChainID,
+  BATCH_SIZE,
+};
 
 // Run main function if script is executed directly
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,187 @@
+/**
+ * Batched contract reads for generate.mjs
+ *
+ * The Bootstrap contract is read once per depositor, token and validator, which
+ * means thousands of `eth_call` round trips for a real bootstrap. The reader here
+ * groups those reads into Multicall3 `aggregate3` batches, run with bounded
+ * concurrency, and caches the decoded results. It exposes the same
+ * `methods.<name>(...args).call()` surface as a web3 contract, so the rest of the
+ * script does not need to know whether a read was batched or not.
+ *
+ * If no Multicall3 contract is deployed on the client chain (e.g. a fresh anvil
+ * node), the batches fall back to plain `eth_call`s with the same concurrency.
+ */
+
+import { callKey } from './snapshot.mjs';
+import { runWithConcurrency } from './concurrency.js';
+
+// deployed at the same address on almost every EVM chain, see https://www.multicall3.com
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+export const DEFAULT_BATCH_SIZE = 500;
+export const DEFAULT_CONCURRENCY = 4;
+
+// shared with the UTXO generators, see concurrency.js
+export { runWithConcurrency };
+
+const MULTICALL3_ABI = [
+  {
+    inputs: [
+      {
+        components: [
+          { internalType: 'address', name: 'target', type: 'address' },
+          { internalType: 'bool', name: 'allowFailure', type: 'bool' },
+          { internalType: 'bytes', name: 'callData', type: 'bytes' },
+        ],
+        internalType: 'struct Multicall3.Call3[]',
+        name: 'calls',
+        type: 'tuple[]',
+      },
+    ],
+    name: 'aggregate3',
+    outputs: [
+      {
+        components: [
+          { internalType: 'bool', name: 'success', type: 'bool' },
+          { internalType: 'bytes', name: 'returnData', type: 'bytes' },
+        ],
+        internalType: 'struct Multicall3.Result[]',
+        name: 'returnData',
+        type: 'tuple[]',
+      },
+    ],
+    stateMutability: 'payable',
+    type: 'function',
+  },
+];
+
+/**
+ * Split an array into chunks of at most `size` items.
+ * @param {Array} items - The items to split
+ * @param {number} size - The maximum chunk size
+ * @returns {Array<Array>} The chunks
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * A caching, batching reader in front of a web3 contract.
+ */
+export class BatchedContractReader {
+  /**
+   * @param {Object} web3 - The web3 instance connected to the client chain
+   * @param {Object} contract - The web3 contract instance
+   * @param {Object} options - Batching options
+   * @param {string} options.multicallAddress - Address of the Multicall3 contract
+   * @param {number} options.batchSize - Number of calls per multicall
+   * @param {number} options.concurrency - Number of multicalls in flight
+   */
+  constructor(web3, contract, options = {}) {
+    this.web3 = web3;
+    this.contract = contract;
+    this.multicallAddress = options.multicallAddress || MULTICALL3_ADDRESS;
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+    if (!Number.isInteger(this.batchSize) || this.batchSize <= 0) {
+      throw new Error(`Invalid multicall batch size ${options.batchSize}.`);
+    }
+    if (!Number.isInteger(this.concurrency) || this.concurrency <= 0) {
+      throw new Error(`Invalid multicall concurrency ${options.concurrency}.`);
+    }
+    this.cache = new Map();
+    this.multicall = null;
+    this.multicallAvailable = null;
+
+    this.methods = new Proxy({}, {
+      get: (_, name) => (...args) => ({
+        call: async () => {
+          const key = callKey(name, args);
+          if (this.cache.has(key)) {
+            return this.cache.get(key);
+          }
+          const result = await this.contract.methods[name](...args).call();
+          this.cache.set(key, result);
+          return result;
+        },
+      }),
+    });
+  }
+
+  /**
+   * Check once whether Multicall3 is deployed on the client chain.
+   * @returns {Promise<boolean>} True if multicall batches can be used
+   */
+  async isMulticallAvailable() {
+    if (this.multicallAvailable === null) {
+      const code = await this.web3.eth.getCode(this.multicallAddress);
+      this.multicallAvailable = code !== '0x' && code !== '0x0';
+      if (this.multicallAvailable) {
+        this.multicall = new this.web3.eth.Contract(MULTICALL3_ABI, this.multicallAddress);
+      } else {
+        console.log(
+          `No Multicall3 found at ${this.multicallAddress}, falling back to individual calls.`
+        );
+      }
+    }
+    return this.multicallAvailable;
+  }
+
+  /**
+   * Decode the return data of a call the same way web3 does for `.call()`.
+   * @param {string} name - The method name
+   * @param {string} returnData - The ABI encoded return data
+   * @returns {*} The decoded result
+   */
+  decodeResult(name, returnData) {
+    const abiItem = this.contract.options.jsonInterface.find(
+      (item) => item.type === 'function' && item.name === name
+    );
+    const decoded = this.web3.eth.abi.decodeParameters(abiItem.outputs, returnData);
+    return decoded.__length__ === 1 ? decoded[0] : decoded;
+  }
+
+  /**
+   * Read a list of calls in batches and cache their results. Calls which fail
+   * within a multicall are left out of the cache, so that a later `.call()`
+   * surfaces the actual error.
+   * @param {Array<Array>} calls - Each call is `[methodName, ...args]`
+   */
+  async prefetch(calls) {
+    const pending = [];
+    const seen = new Set();
+    for (const [name, ...args] of calls) {
+      const key = callKey(name, args);
+      if (!this.cache.has(key) && !seen.has(key)) {
+        seen.add(key);
+        pending.push({ key, name, args });
+      }
+    }
+    if (pending.length === 0) {
+      return;
+    }
+    const useMulticall = await this.isMulticallAvailable();
+    const batches = chunk(pending, this.batchSize);
+    await runWithConcurrency(batches.map((batch) => async () => {
+      if (!useMulticall) {
+        for (const { key, name, args } of batch) {
+          this.cache.set(key, await this.contract.methods[name](...args).call());
+        }
+        return;
+      }
+      const results = await this.multicall.methods.aggregate3(batch.map(({ name, args }) => ({
+        target: this.contract.options.address,
+        allowFailure: true,
+        callData: this.contract.methods[name](...args).encodeABI(),
+      }))).call();
+      batch.forEach(({ key, name }, i) => {
+        if (results[i].success) {
+          this.cache.set(key, this.decodeResult(name, results[i].returnData));
+        }
+      });
+    }), this.concurrency);
+  }
+}
@@ -0,0 +1,41 @@
+// Type declarations for op_return.js
+
+export interface StakeDelegation {
+  validatorAddress: string;
+  basisPoints: number;
+}
+
+export interface StakePayloadFields {
+  version?: 0 | 1;
+  imuachainAddress: string;
+  validatorAddress?: string;
+  delegations?: StakeDelegation[];
+  memo?: string;
+}
+
+export interface StakePayload {
+  version: 0 | 1;
+  imuachainAddress: string; // lowercase hex, 0x...
+  validatorAddress?: string; // not checked for v0
+  delegations?: StakeDelegation[];
+  memo?: string;
+  // the optional fields of a type this version does not know, with their value in hex
+  unknownFields?: Array<{ type: number; value: string }>;
+}
+
+export declare const MAX_PAYLOAD_SIZE: number;
+export declare const PAYLOAD_MAGIC: Buffer;
+export declare const FIELD_TYPES: {
+  IMUACHAIN_ADDRESS: number;
+  VALIDATOR: number;
+  DELEGATION: number;
+  MEMO: number;
+};
+export declare const TOTAL_BASIS_POINTS: number;
+
+export declare function encodeStakePayload(stake: StakePayloadFields): Buffer;
+export declare function decodeStakePayload(payload: Buffer | Uint8Array): StakePayload;
+export declare function payloadFromScript(scriptPubKey: string): Buffer;
+export declare function scriptFromPayload(payload: Buffer): Buffer;
+export declare function encodeStakeScript(stake: StakePayloadFields): Buffer;
+export declare function decodeStakeScript(scriptPubKey: string): StakePayload;
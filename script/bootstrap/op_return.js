@@ -0,0 +1,342 @@
+/**
+ * OP_RETURN stake payloads
+ *
+ * Encoder and decoder of the OP_RETURN payload of the Bitcoin stake transactions, shared by
+ * bitcoin_genesis.ts and the BitcoinClient of the tests. Two formats are accepted:
+ *
+ *   v0: <20-byte Imuachain address>[<41-byte validator address as UTF-8>], the fixed layout of
+ *       the transactions sent so far, i.e. a deposit (20 bytes) or a stake (61 bytes).
+ *   v1: "IMUA" <version byte 0x01> followed by TLV fields, <type> <length> <value>, in
+ *       ascending order of their type:
+ *
+ *       0x01 Imuachain address  20 bytes, required
+ *       0x02 validator          20 bytes, the data of the im1... bech32 address
+ *       0x03 delegation         20 bytes of validator + uint16 (big-endian) basis points;
+ *                               repeated for a split, which must add up to 10000, and not
+ *                               combined with 0x02
+ *       0x04 memo               1 to 32 bytes of UTF-8, e.g. a referral code
+ *
+ *       A payload without a validator or delegations is a deposit only. The fields of an
+ *       unknown type are rejected below 0x80, and skipped (but kept) from 0x80, so that
+ *       optional fields can be added without a new version.
+ *
+ * A payload which starts with "IMUA" is always read as versioned, so an Imuachain address
+ * starting with 0x494d5541 has to be staked with v1.
+ */
+
+const { fromBech32, toBech32 } = require('@cosmjs/encoding');
+
+const OP_RETURN = 0x6a;
+const OP_PUSHDATA1 = 0x4c;
+
+// the payload of the OP_RETURN outputs relayed by default (-datacarriersize)
+const MAX_PAYLOAD_SIZE = 80;
+
+const PAYLOAD_MAGIC = Buffer.from('IMUA', 'ascii');
+
+const FIELD_TYPES = {
+  IMUACHAIN_ADDRESS: 0x01,
+  VALIDATOR: 0x02,
+  DELEGATION: 0x03,
+  MEMO: 0x04,
+};
+
+const ADDRESS_SIZE = 20;
+const V0_VALIDATOR_SIZE = 41;
+const MAX_MEMO_SIZE = 32;
+const TOTAL_BASIS_POINTS = 10000;
+const VALIDATOR_PREFIX = 'im';
+
+/**
+ * Check an Imuachain address, with or without 0x.
+ * @param {string} address - The address
+ * @returns {Buffer} Its 20 bytes
+ */
+function imuachainAddressBytes(address) {
+  const hex = typeof address === 'string' ? address.replace(/^0x/i, '') : '';
+  if (!/^[0-9a-fA-F]{40}$/.test(hex)) {
+    throw new Error(`Invalid Imuachain address ${address}`);
+  }
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Check a validator address.
+ * @param {string} address - The im1... bech32 address
+ * @returns {Buffer} Its 20 bytes of data
+ */
+function validatorBytes(address) {
+  let decoded;
+  try {
+    decoded = fromBech32(address);
+  } catch {
+    throw new Error(`Invalid validator address ${address}`);
+  }
+  // the re-encoding rejects the uppercase addresses, which v0 would carry as they are
+  if (decoded.prefix !== VALIDATOR_PREFIX || decoded.data.length !== ADDRESS_SIZE
+    || toBech32(decoded.prefix, decoded.data) !== address) {
+    throw new Error(`Invalid validator address ${address}`);
+  }
+  return Buffer.from(decoded.data);
+}
+
+function decodeUtf8(bytes, name) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    throw new Error(`The ${name} is not valid UTF-8`);
+  }
+}
+
+/**
+ * Encode a stake payload.
+ * @param {Object} stake - The fields of the payload
+ * @param {number} [stake.version] - 0 or 1 (default: 1)
+ * @param {string} stake.imuachainAddress - The Imuachain address, 0x...
+ * @param {string} [stake.validatorAddress] - The validator to delegate to, im1...
+ * @param {Array<{validatorAddress: string, basisPoints: number}>} [stake.delegations] - A split of
+ *   the stake between validators (v1)
+ * @param {string} [stake.memo] - A memo or referral code (v1)
+ * @returns {Buffer} The payload
+ */
+function encodeStakePayload({ version = 1, imuachainAddress, validatorAddress, delegations, memo }) {
+  const address = imuachainAddressBytes(imuachainAddress);
+  if (version === 0) {
+    if (delegations !== undefined || memo !== undefined) {
+      throw new Error('Delegation splits and memos need a v1 payload');
+    }
+    if (address.subarray(0, PAYLOAD_MAGIC.length).equals(PAYLOAD_MAGIC)) {
+      throw new Error(`${imuachainAddress} would be read as a v1 payload`);
+    }
+    if (validatorAddress === undefined) {
+      return address;
+    }
+    validatorBytes(validatorAddress);
+    return Buffer.concat([address, Buffer.from(validatorAddress, 'utf8')]);
+  }
+  if (version !== 1) {
+    throw new Error(`Unknown OP_RETURN payload version ${version}`);
+  }
+
+  const fields = [[FIELD_TYPES.IMUACHAIN_ADDRESS, address]];
+  if (validatorAddress !== undefined) {
+    if (delegations !== undefined) {
+      throw new Error('A payload has either a validator or delegations');
+    }
+    fields.push([FIELD_TYPES.VALIDATOR, validatorBytes(validatorAddress)]);
+  }
+  if (delegations !== undefined) {
+    checkDelegations(delegations);
+    for (const { validatorAddress: validator, basisPoints } of delegations) {
+      const value = Buffer.alloc(ADDRESS_SIZE + 2);
+      validatorBytes(validator).copy(value);
+      value.writeUInt16BE(basisPoints, ADDRESS_SIZE);
+      fields.push([FIELD_TYPES.DELEGATION, value]);
+    }
+  }
+  if (memo !== undefined) {
+    const value = Buffer.from(memo, 'utf8');
+    if (value.length === 0 || value.length > MAX_MEMO_SIZE) {
+      throw new Error(`The memo must have 1 to ${MAX_MEMO_SIZE} bytes`);
+    }
+    fields.push([FIELD_TYPES.MEMO, value]);
+  }
+
+  const payload = Buffer.concat([
+    PAYLOAD_MAGIC,
+    Buffer.from([version]),
+    ...fields.map(([type, value]) => Buffer.concat([Buffer.from([type, value.length]), value])),
+  ]);
+  if (payload.length > MAX_PAYLOAD_SIZE) {
+    throw new Error(`The payload has ${payload.length} bytes, more than the ${MAX_PAYLOAD_SIZE} relayed by default`);
+  }
+  return payload;
+}
+
+function checkDelegations(delegations) {
+  if (!Array.isArray(delegations) || delegations.length === 0) {
+    throw new Error('The delegations must be a non-empty array');
+  }
+  const validators = new Set();
+  let total = 0;
+  for (const { validatorAddress, basisPoints } of delegations) {
+    if (!Number.isInteger(basisPoints) || basisPoints <= 0 || basisPoints > TOTAL_BASIS_POINTS) {
+      throw new Error(`Invalid delegation share of ${basisPoints} basis points`);
+    }
+    if (validators.has(validatorAddress)) {
+      throw new Error(`Duplicate delegation to ${validatorAddress}`);
+    }
+    validators.add(validatorAddress);
+    total += basisPoints;
+  }
+  if (total !== TOTAL_BASIS_POINTS) {
+    throw new Error(`The delegations add up to ${total} basis points, not ${TOTAL_BASIS_POINTS}`);
+  }
+}
+
+/**
+ * Decode a stake payload.
+ * @param {Buffer|Uint8Array} payload - The payload
+ * @returns {Object} { version, imuachainAddress, validatorAddress?, delegations?, memo?,
+ *   unknownFields? }, with the Imuachain address in lowercase hex
+ */
+function decodeStakePayload(payload) {
+  const bytes = Buffer.from(payload);
+  if (bytes.subarray(0, PAYLOAD_MAGIC.length).equals(PAYLOAD_MAGIC)) {
+    return decodeVersionedPayload(bytes);
+  }
+
+  if (bytes.length !== ADDRESS_SIZE && bytes.length !== ADDRESS_SIZE + V0_VALIDATOR_SIZE) {
+    throw new Error(`Invalid OP_RETURN payload length ${bytes.length}`);
+  }
+  const stake = { version: 0, imuachainAddress: '0x' + bytes.subarray(0, ADDRESS_SIZE).toString('hex') };
+  if (bytes.length > ADDRESS_SIZE) {
+    // checked by the caller, which reports the invalid addresses
+    stake.validatorAddress = decodeUtf8(bytes.subarray(ADDRESS_SIZE), 'validator address');
+  }
+  return stake;
+}
+
+function decodeVersionedPayload(bytes) {
+  const version = bytes[PAYLOAD_MAGIC.length];
+  if (version !== 1) {
+    throw new Error(`Unknown OP_RETURN payload version ${version}`);
+  }
+
+  const stake = { version };
+  let offset = PAYLOAD_MAGIC.length + 1;
+  let lastType = 0;
+  while (offset < bytes.length) {
+    if (offset + 2 > bytes.length) {
+      throw new Error(`Truncated field at byte ${offset}`);
+    }
+    const type = bytes[offset];
+    const length = bytes[offset + 1];
+    const value = bytes.subarray(offset + 2, offset + 2 + length);
+    if (value.length !== length) {
+      throw new Error(`Truncated field of type ${type} at byte ${offset}`);
+    }
+    if (type < lastType || (type === lastType && type !== FIELD_TYPES.DELEGATION)) {
+      throw new Error(`Field of type ${type} out of order or repeated`);
+    }
+    lastType = type;
+    offset += 2 + length;
+
+    switch (type) {
+      case FIELD_TYPES.IMUACHAIN_ADDRESS:
+        if (length !== ADDRESS_SIZE) {
+          throw new Error(`Invalid Imuachain address length ${length}`);
+        }
+        stake.imuachainAddress = '0x' + value.toString('hex');
+        break;
+      case FIELD_TYPES.VALIDATOR:
+        if (length !== ADDRESS_SIZE) {
+          throw new Error(`Invalid validator length ${length}`);
+        }
+        stake.validatorAddress = toBech32(VALIDATOR_PREFIX, value);
+        break;
+      case FIELD_TYPES.DELEGATION:
+        if (length !== ADDRESS_SIZE + 2) {
+          throw new Error(`Invalid delegation length ${length}`);
+        }
+        stake.delegations = stake.delegations || [];
+        stake.delegations.push({
+          validatorAddress: toBech32(VALIDATOR_PREFIX, value.subarray(0, ADDRESS_SIZE)),
+          basisPoints: value.readUInt16BE(ADDRESS_SIZE),
+        });
+        break;
+      case FIELD_TYPES.MEMO:
+        if (length === 0 || length > MAX_MEMO_SIZE) {
+          throw new Error(`Invalid memo length ${length}`);
+        }
+        stake.memo = decodeUtf8(value, 'memo');
+        break;
+      default:
+        if (type < 0x80) {
+          throw new Error(`Unknown required field of type ${type}`);
+        }
+        stake.unknownFields = stake.unknownFields || [];
+        stake.unknownFields.push({ type, value: value.toString('hex') });
+    }
+  }
+
+  if (stake.imuachainAddress === undefined) {
+    throw new Error('The payload has no Imuachain address');
+  }
+  if (stake.validatorAddress !== undefined && stake.delegations !== undefined) {
+    throw new Error('A payload has either a validator or delegations');
+  }
+  if (stake.delegations !== undefined) {
+    checkDelegations(stake.delegations);
+  }
+  return stake;
+}
+
+/**
+ * Extract the payload of an OP_RETURN script, which must push it with a single push.
+ * @param {string} scriptPubKey - The script, in hex
+ * @returns {Buffer} The payload
+ */
+function payloadFromScript(scriptPubKey) {
+  const script = Buffer.from(scriptPubKey, 'hex');
+  if (script.length < 2 || script.toString('hex') !== scriptPubKey.toLowerCase() || script[0] !== OP_RETURN) {
+    throw new Error('Not an OP_RETURN script');
+  }
+  let start = 2;
+  let length = script[1];
+  if (length === OP_PUSHDATA1) {
+    start = 3;
+    length = script[2];
+    // the pushes of up to 75 bytes must use their own opcode
+    if (length === undefined || length <= 0x4b) {
+      throw new Error('Non-minimal OP_RETURN push');
+    }
+  } else if (length === 0 || length > 0x4b) {
+    throw new Error('Unsupported OP_RETURN push');
+  }
+  if (script.length !== start + length) {
+    throw new Error(`OP_RETURN push of ${length} bytes has ${script.length - start}`);
+  }
+  return script.subarray(start);
+}
+
+/**
+ * Build the OP_RETURN script of a payload.
+ * @param {Buffer} payload - The payload
+ * @returns {Buffer} The script
+ */
+function scriptFromPayload(payload) {
+  const push = payload.length <= 0x4b ? [payload.length] : [OP_PUSHDATA1, payload.length];
+  return Buffer.concat([Buffer.from([OP_RETURN, ...push]), payload]);
+}
+
+/**
+ * Decode the stake of an OP_RETURN script.
+ * @param {string} scriptPubKey - The script, in hex
+ * @returns {Object} The stake, see decodeStakePayload
+ */
+function decodeStakeScript(scriptPubKey) {
+  return decodeStakePayload(payloadFromScript(scriptPubKey));
+}
+
+/**
+ * Encode the OP_RETURN script of a stake.
+ * @param {Object} stake - The fields of the payload, see encodeStakePayload
+ * @returns {Buffer} The script
+ */
+function encodeStakeScript(stake) {
+  return scriptFromPayload(encodeStakePayload(stake));
+}
+
+module.exports = {
+  MAX_PAYLOAD_SIZE,
+  PAYLOAD_MAGIC,
+  FIELD_TYPES,
+  TOTAL_BASIS_POINTS,
+  encodeStakePayload,
+  decodeStakePayload,
+  payloadFromScript,
+  scriptFromPayload,
+  encodeStakeScript,
+  decodeStakeScript,
+};
@@ -0,0 +1,61 @@
+// Type declarations for prices.js
+
+export interface PriceQuote {
+  symbol: string;
+  price: string;
+  source: string;
+  timestamp: string;
+}
+
+export interface ConfiguredPrice {
+  price: string | number;
+  source: string;
+}
+
+export declare abstract class PriceProvider {
+  name: string;
+  constructor(name: string);
+  getPrice(symbol: string, configured?: ConfiguredPrice | null): Promise<PriceQuote>;
+  quotes(): PriceQuote[];
+  protected abstract fetchPrice(symbol: string, configured: ConfiguredPrice | null): Promise<PriceQuote>;
+}
+
+export declare class EnvPriceProvider extends PriceProvider {
+  constructor();
+  protected fetchPrice(symbol: string, configured: ConfiguredPrice | null): Promise<PriceQuote>;
+}
+
+export declare class FilePriceProvider extends PriceProvider {
+  filePath: string;
+  constructor(filePath: string);
+  protected fetchPrice(symbol: string): Promise<PriceQuote>;
+}
+
+export declare class SnapshotPriceProvider extends PriceProvider {
+  filePath: string;
+  inner: PriceProvider | null;
+  constructor(filePath: string, inner?: PriceProvider | null);
+  protected fetchPrice(symbol: string, configured: ConfiguredPrice | null): Promise<PriceQuote>;
+}
+
+export interface RecordedPrices {
+  provider: string;
+  quotes: PriceQuote[];
+}
+
+export declare class RecordedPriceProvider extends PriceProvider {
+  constructor(name: string, quotes: PriceQuote[]);
+  protected fetchPrice(symbol: string): Promise<PriceQuote>;
+}
+
+export declare function createPriceProvider(env?: Record<string, string | undefined>): PriceProvider;
+export declare function createReplayPriceProvider(
+  env?: Record<string, string | undefined>,
+  recorded?: RecordedPrices | null
+): PriceProvider;
+
+export declare function priceAuditPath(genesisPath: string): string;
+
+export declare function writePriceAudit(genesisPath: string, provider: PriceProvider): Promise<string>;
+
+export declare function mergePriceAudits(genesisPaths: string[], outputPath: string): Promise<string | null>;
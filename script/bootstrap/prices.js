@@ -0,0 +1,330 @@
+/**
+ * Genesis price providers
+ *
+ * The USD prices behind the oracle prices_list and the vote power of every generator
+ * (generate.mjs, bitcoin_genesis.ts and xrp_genesis.ts) come from a price provider,
+ * selected via the environment, so that all of them use the same prices:
+ * - GENESIS_PRICE_SOURCE=env (the default): the prices each generator is configured with,
+ *   i.e., INTEGRATION_EXCHANGE_RATES (or the client chains file), BTC_PRICE_USD and
+ *   XRP_PRICE_USD.
+ * - GENESIS_PRICE_SOURCE=file:<path>: a static JSON file of
+ *   { "prices": { "<symbol>": "<price>" | { "price", "source", "timestamp" } } }.
+ * - GENESIS_PRICE_SNAPSHOT=<path>: wraps either of the above. Prices which are in the
+ *   snapshot are replayed, with their original source and timestamp; the others are
+ *   fetched from the wrapped provider and recorded into the snapshot.
+ *
+ * The symbols are the oracle token names, e.g. ETH, BTC or XRP. Every price that was
+ * used ends up in an audit sidecar next to the genesis, see writePriceAudit.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Decimal = require('decimal.js');
+
+const PRICE_SNAPSHOT_VERSION = 1;
+
+/**
+ * Validate a price and bring it into plain notation.
+ * @param {string|number} price - The USD price
+ * @param {string} symbol - The symbol, for the error message
+ * @param {string} source - Where the price comes from, for the error message
+ * @returns {string} The price
+ */
+function normalizePrice(price, symbol, source) {
+  let value;
+  try {
+    value = new Decimal(price);
+  } catch {
+    throw new Error(`Invalid price of ${symbol} from ${source}: ${price}`);
+  }
+  if (!value.isFinite() || value.isNegative()) {
+    throw new Error(`Invalid price of ${symbol} from ${source}: ${price}`);
+  }
+  return value.toFixed();
+}
+
+/**
+ * Common base of the providers, which remembers the quotes it served for the audit.
+ */
+class PriceProvider {
+  constructor(name) {
+    this.name = name;
+    this.served = new Map();
+  }
+
+  /**
+   * Get the USD price of a token.
+   * @param {string} symbol - The oracle token name, e.g. ETH
+   * @param {Object} configured - The price the generator is configured with, if any
+   * @param {string} configured.price - The price
+   * @param {string} configured.source - Where it comes from, e.g. BTC_PRICE_USD
+   * @returns {Promise<Object>} The quote: { symbol, price, source, timestamp }
+   */
+  async getPrice(symbol, configured = null) {
+    const quote = await this.fetchPrice(symbol, configured);
+    const served = this.served.get(symbol);
+    if (served && served.price !== quote.price) {
+      throw new Error(
+        `The price of ${symbol} from ${quote.source} (${quote.price}) ` +
+        `differs from the one used before, from ${served.source} (${served.price}).`
+      );
+    }
+    if (!served) {
+      this.served.set(symbol, quote);
+    }
+    return quote;
+  }
+
+  /**
+   * @returns {Array<Object>} The quotes served so far, sorted by symbol
+   */
+  quotes() {
+    return [...this.served.values()].sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+}
+
+/**
+ * The prices each generator is configured with, i.e., the behavior before providers.
+ */
+class EnvPriceProvider extends PriceProvider {
+  constructor() {
+    super('env');
+  }
+
+  async fetchPrice(symbol, configured) {
+    if (!configured || configured.price === undefined || configured.price === '') {
+      throw new Error(`No price is configured for ${symbol}.`);
+    }
+    return {
+      symbol,
+      price: normalizePrice(configured.price, symbol, configured.source),
+      source: `env:${configured.source}`,
+      timestamp: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Prices from a static JSON file; the configured prices are ignored.
+ */
+class FilePriceProvider extends PriceProvider {
+  constructor(filePath) {
+    super('file');
+    this.filePath = filePath;
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!data.prices || typeof data.prices !== 'object') {
+      throw new Error(`The price file ${filePath} has no prices.`);
+    }
+    const modified = fs.statSync(filePath).mtime.toISOString();
+    this.prices = new Map();
+    for (const [symbol, entry] of Object.entries(data.prices)) {
+      const { price, source, timestamp } = typeof entry === 'object' ? entry : { price: entry };
+      this.prices.set(symbol, {
+        symbol,
+        price: normalizePrice(price, symbol, filePath),
+        source: source ? `file:${filePath} (${source})` : `file:${filePath}`,
+        timestamp: timestamp || modified,
+      });
+    }
+  }
+
+  async fetchPrice(symbol) {
+    if (!this.prices.has(symbol)) {
+      throw new Error(`The price file ${this.filePath} has no price for ${symbol}.`);
+    }
+    return this.prices.get(symbol);
+  }
+}
+
+/**
+ * Replays the prices recorded in a snapshot file, and records the missing ones from
+ * the wrapped provider. The file is written whenever a price is recorded, so that the
+ * generators which run after this one see it as well.
+ */
+class SnapshotPriceProvider extends PriceProvider {
+  constructor(filePath, inner = null) {
+    super(inner ? `snapshot+${inner.name}` : 'snapshot');
+    this.filePath = filePath;
+    this.inner = inner;
+    this.recorded = {};
+    if (fs.existsSync(filePath)) {
+      const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      if (data.version !== PRICE_SNAPSHOT_VERSION) {
+        throw new Error(
+          `Unsupported price snapshot version ${data.version} in ${filePath}, ` +
+          `expected ${PRICE_SNAPSHOT_VERSION}.`
+        );
+      }
+      this.recorded = data.prices || {};
+    }
+  }
+
+  async fetchPrice(symbol, configured) {
+    if (this.recorded[symbol]) {
+      return { symbol, ...this.recorded[symbol] };
+    }
+    if (!this.inner) {
+      throw new Error(`The price snapshot ${this.filePath} has no price for ${symbol}.`);
+    }
+    const { price, source, timestamp } = await this.inner.getPrice(symbol, configured);
+    this.recorded[symbol] = { price, source, timestamp };
+    await fs.promises.writeFile(
+      this.filePath,
+      JSON.stringify({ version: PRICE_SNAPSHOT_VERSION, prices: this.recorded }, null, 2)
+    );
+    return { symbol, price, source, timestamp };
+  }
+}
+
+/**
+ * Serves the quotes a generate.mjs snapshot recorded, under the name of the provider they
+ * came from, so that a replay writes the same audit sidecar as the capture.
+ */
+class RecordedPriceProvider extends PriceProvider {
+  constructor(name, quotes) {
+    super(name);
+    this.recorded = new Map();
+    for (const { symbol, price, source, timestamp } of quotes) {
+      this.recorded.set(symbol, { symbol, price: normalizePrice(price, symbol, source), source, timestamp });
+    }
+  }
+
+  async fetchPrice(symbol) {
+    if (!this.recorded.has(symbol)) {
+      throw new Error(`The snapshot has no price for ${symbol}.`);
+    }
+    return this.recorded.get(symbol);
+  }
+}
+
+/**
+ * Create the price provider selected via GENESIS_PRICE_SOURCE and GENESIS_PRICE_SNAPSHOT.
+ * @param {Object} env - The environment to read the selection from
+ * @returns {PriceProvider} The price provider
+ */
+function createPriceProvider(env = process.env) {
+  const priceSource = env.GENESIS_PRICE_SOURCE || 'env';
+  let provider;
+  if (priceSource === 'env') {
+    provider = new EnvPriceProvider();
+  } else if (priceSource.startsWith('file:')) {
+    provider = new FilePriceProvider(priceSource.slice('file:'.length));
+  } else {
+    throw new Error(`Unknown GENESIS_PRICE_SOURCE ${priceSource}, expected env or file:<path>.`);
+  }
+  if (env.GENESIS_PRICE_SNAPSHOT) {
+    provider = new SnapshotPriceProvider(env.GENESIS_PRICE_SNAPSHOT, provider);
+  }
+  return provider;
+}
+
+/**
+ * Create the price provider of a generate.mjs snapshot replay, which serves the quotes recorded
+ * in the snapshot, with their source and timestamp, so that the genesis and its audit sidecar
+ * are rebuilt as they were. The snapshots captured before the quotes were recorded replay their
+ * exchange rates as configured prices. Another price source would change the genesis, and is
+ * rejected.
+ * @param {Object} env - The environment to check for a conflicting selection
+ * @param {Object} [recorded] - The prices of the snapshot: { provider, quotes }
+ * @returns {PriceProvider} The price provider
+ */
+function createReplayPriceProvider(env = process.env, recorded = null) {
+  if (env.GENESIS_PRICE_SOURCE && env.GENESIS_PRICE_SOURCE !== 'env') {
+    throw new Error(
+      `GENESIS_PRICE_SOURCE ${env.GENESIS_PRICE_SOURCE} cannot be used to replay a snapshot, ` +
+      'which uses the exchange rates it recorded.'
+    );
+  }
+  if (env.GENESIS_PRICE_SNAPSHOT) {
+    throw new Error(
+      'GENESIS_PRICE_SNAPSHOT cannot be used to replay a snapshot, which uses the exchange rates it recorded.'
+    );
+  }
+  return recorded ? new RecordedPriceProvider(recorded.provider, recorded.quotes) : new EnvPriceProvider();
+}
+
+/**
+ * The path of the audit sidecar of a genesis, e.g. genesis.prices.json for genesis.json.
+ * @param {string} genesisPath - The path of the genesis
+ * @returns {string} The path of its audit sidecar
+ */
+function priceAuditPath(genesisPath) {
+  const parsed = path.parse(genesisPath);
+  return path.join(parsed.dir, `${parsed.name}.prices.json`);
+}
+
+/**
+ * Write the prices used for a genesis, and their provenance, next to it.
+ * @param {string} genesisPath - The path of the genesis
+ * @param {PriceProvider} provider - The provider the prices came from
+ * @returns {Promise<string>} The path of the audit sidecar
+ */
+async function writePriceAudit(genesisPath, provider) {
+  const auditPath = priceAuditPath(genesisPath);
+  const audit = {
+    genesis: path.basename(genesisPath),
+    provider: provider.name,
+    prices: provider.quotes(),
+  };
+  await fs.promises.writeFile(auditPath, JSON.stringify(audit, null, 2));
+  return auditPath;
+}
+
+/**
+ * Merge the audit sidecars of the genesis files that were merged into one, and write
+ * the result next to it. A token which was priced differently by two generators fails
+ * the merge, since their oracle prices and vote power would not be consistent.
+ * @param {Array<string>} genesisPaths - The paths of the merged genesis files
+ * @param {string} outputPath - The path of the merged genesis
+ * @returns {Promise<string|null>} The path of the audit sidecar, if any input had one
+ */
+async function mergePriceAudits(genesisPaths, outputPath) {
+  const prices = new Map();
+  const providers = new Set();
+  let found = false;
+  for (const genesisPath of genesisPaths) {
+    const auditPath = priceAuditPath(genesisPath);
+    if (!fs.existsSync(auditPath)) {
+      continue;
+    }
+    found = true;
+    const audit = JSON.parse(await fs.promises.readFile(auditPath, 'utf8'));
+    providers.add(audit.provider);
+    for (const quote of audit.prices) {
+      const existing = prices.get(quote.symbol);
+      if (existing && existing.price !== quote.price) {
+        throw new Error(
+          `The price of ${quote.symbol} differs between ${existing.genesis} (${existing.price}) ` +
+          `and ${audit.genesis} (${quote.price}).`
+        );
+      }
+      if (!existing) {
+        prices.set(quote.symbol, { ...quote, genesis: audit.genesis });
+      }
+    }
+  }
+  if (!found) {
+    return null;
+  }
+  const auditPath = priceAuditPath(outputPath);
+  const audit = {
+    genesis: path.basename(outputPath),
+    provider: [...providers].join(','),
+    prices: [...prices.values()].sort((a, b) => a.symbol.localeCompare(b.symbol)),
+  };
+  await fs.promises.writeFile(auditPath, JSON.stringify(audit, null, 2));
+  return auditPath;
+}
+
+module.exports = {
+  PriceProvider,
+  EnvPriceProvider,
+  FilePriceProvider,
+  SnapshotPriceProvider,
+  RecordedPriceProvider,
+  createPriceProvider,
+  createReplayPriceProvider,
+  priceAuditPath,
+  writePriceAudit,
+  mergePriceAudits,
+};
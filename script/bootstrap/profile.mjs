@@ -0,0 +1,206 @@
+/**
+ * Genesis profiles for generate.mjs
+ *
+ * A profile carries the network specific constants of an EVM genesis: the client
+ * chain, the whitelisted tokens (in the order of the Bootstrap contract) with their
+ * meta info and oracle names, the oracle chains and the native chain and asset.
+ * Profiles are JSON files validated against profiles/profile.schema.json, and the
+ * bundled ones live next to it.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PROFILES_DIR = path.join(__dirname, 'profiles');
+export const DEFAULT_PROFILE_PATH = path.join(PROFILES_DIR, 'holesky.json');
+const SCHEMA_PATH = path.join(PROFILES_DIR, 'profile.schema.json');
+
+const VIRTUAL_STAKED_ETH_ADDR = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+
+function typeOf(value) {
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (value === null) {
+    return 'null';
+  }
+  if (Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON schema used by profile.schema.json,
+ * i.e., type, enum, required, properties, additionalProperties, items, minItems,
+ * minLength, pattern, minimum and local $ref.
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The (sub)schema
+ * @param {Object} root - The root schema, to resolve $ref
+ * @param {string} location - Path of the value, for error messages
+ * @returns {Array<string>} The validation errors, if any
+ */
+export function validateAgainstSchema(value, schema, root = schema, location = 'profile') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/')
+      .reduce((node, key) => node[key], root);
+    return validateAgainstSchema(value, target, root, location);
+  }
+  const actualType = typeOf(value);
+  if (schema.type) {
+    const matches = schema.type === 'number'
+      ? actualType === 'number' || actualType === 'integer'
+      : actualType === schema.type;
+    if (!matches) {
+      return [`${location} must be of type ${schema.type}, got ${actualType}`];
+    }
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location} must be one of ${schema.enum.join(', ')}`);
+  }
+  if (actualType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${location} must not be shorter than ${schema.minLength}`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${location} must match ${schema.pattern}`);
+    }
+  }
+  if ((actualType === 'integer' || actualType === 'number') &&
+    schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${location} must not be less than ${schema.minimum}`);
+  }
+  if (actualType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${location} must have at least ${schema.minItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateAgainstSchema(item, schema.items, root, `${location}[${i}]`));
+      });
+    }
+  }
+  if (actualType === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${location}.${key} is required`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(item, properties[key], root, `${location}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(
+          item, schema.additionalProperties, root, `${location}.${key}`
+        ));
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Checks which a schema cannot express, like the consistency of the token list
+ * with the oracle mapping.
+ * @param {Object} profile - A profile which already passed the schema
+ * @returns {Array<string>} The validation errors, if any
+ */
+export function validateProfileSemantics(profile) {
+  const errors = [];
+  const seen = new Set();
+  profile.tokens.forEach((token, i) => {
+    const address = token.address.toLowerCase();
+    if (seen.has(address)) {
+      errors.push(`profile.tokens[${i}].address ${token.address} is duplicated`);
+    }
+    seen.add(address);
+    if (profile.oracle.token_chain_ids[token.oracle_name] == null) {
+      errors.push(`profile.oracle.token_chain_ids is missing ${token.oracle_name}`);
+    }
+    const isNst = token.oracle_name.toLowerCase().startsWith('nst');
+    const isVirtual = address === VIRTUAL_STAKED_ETH_ADDR.toLowerCase();
+    if (isNst !== isVirtual) {
+      errors.push(
+        `profile.tokens[${i}] oracle name ${token.oracle_name} does not match the ` +
+        `${isVirtual ? 'NST' : 'LST'} token ${token.address}`
+      );
+    }
+  });
+  if (profile.tokens.filter((token) => token.oracle_name.toLowerCase().startsWith('nst')).length > 1) {
+    errors.push('profile.tokens has more than one NST token');
+  }
+  const chainNames = profile.oracle.chains.map((chain) => chain.name);
+  if (new Set(chainNames).size !== chainNames.length) {
+    errors.push('profile.oracle.chains has duplicate names');
+  }
+  if (profile.native_asset.asset_basic_info.layer_zero_chain_id !== profile.native_chain.layer_zero_chain_id) {
+    errors.push('profile.native_asset must be on profile.native_chain');
+  }
+  if (profile.client_chain.layer_zero_chain_id === profile.native_chain.layer_zero_chain_id) {
+    errors.push('profile.client_chain must not use the layer_zero_chain_id of the native chain');
+  }
+  return errors;
+}
+
+/**
+ * Load a profile file and validate it.
+ * @param {string} filePath - Path to the profile
+ * @returns {Promise<Object>} The validated profile
+ */
+export async function loadProfile(filePath = DEFAULT_PROFILE_PATH) {
+  let profile;
+  try {
+    profile = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read the genesis profile ${filePath}: ${error.message}`);
+  }
+  await validateProfile(profile, filePath);
+  return profile;
+}
+
+/**
+ * Validate a profile against the schema and the semantic checks, and throw with
+ * every problem found, if any.
+ * @param {Object} profile - The profile to validate
+ * @param {string} source - Where the profile came from, for error messages
+ */
+export async function validateProfile(profile, source = 'profile') {
+  const schema = JSON.parse(await fs.readFile(SCHEMA_PATH, 'utf8'));
+  let errors = validateAgainstSchema(profile, schema);
+  if (errors.length === 0) {
+    errors = validateProfileSemantics(profile);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid genesis profile ${source}:\n  ${errors.join('\n  ')}`);
+  }
+}
+
+/**
+ * Cross-check the profile tokens against the tokens whitelisted in the Bootstrap
+ * contract, by count and by address.
+ * @param {Object} profile - The genesis profile
+ * @param {Array<string>} tokenAddresses - The whitelisted token addresses, in order
+ */
+export function checkProfileTokens(profile, tokenAddresses) {
+  if (tokenAddresses.length !== profile.tokens.length) {
+    throw new Error(
+      `The number of tokens in the contract (${tokenAddresses.length}) does not match ` +
+      `the number of tokens in the ${profile.name} profile (${profile.tokens.length}).`
+    );
+  }
+  tokenAddresses.forEach((tokenAddress, i) => {
+    if (tokenAddress.toLowerCase() !== profile.tokens[i].address.toLowerCase()) {
+      throw new Error(
+        `The token at index ${i} in the contract (${tokenAddress}) does not match ` +
+        `the token in the ${profile.name} profile (${profile.tokens[i].address}).`
+      );
+    }
+  });
+}
@@ -0,0 +1,309 @@
+/**
+ * Genesis snapshot capture and replay
+ *
+ * generate.mjs reads the Bootstrap contract (via web3) and the beacon node
+ * (via @lodestar/api) of each client chain many times. In capture mode, every
+ * such read is recorded, together with the base genesis, the profiles, the
+ * exchange rates and the price quotes, into a single versioned snapshot file. In replay mode, the same
+ * reads are served from that file, so that the EVM genesis can be rebuilt offline,
+ * byte for byte.
+ *
+ * The recorders and replayers mimic the small surface of web3 and lodestar that
+ * generate.mjs uses, i.e., `contract.methods.<name>(...args).call()` and
+ * `api.<namespace>.<method>(args).value()`.
+ */
+
+import { promises as fs } from 'fs';
+
+// version 1 covered a single client chain, and is still accepted.
+export const SNAPSHOT_VERSION = 2;
+
+// tags used to preserve the JS types which JSON cannot represent natively.
+const BIGINT_TAG = '__bigint__';
+const BYTES_TAG = '__bytes__';
+const NUMBER_TAG = '__number__';
+
+/**
+ * Encode a value returned by web3 or lodestar into a JSON-safe form.
+ * @param {*} value - The value to encode
+ * @returns {*} The JSON-safe value
+ */
+export function encodeValue(value) {
+  if (typeof value === 'bigint') {
+    return { [BIGINT_TAG]: value.toString() };
+  }
+  if (typeof value === 'number' && !Number.isFinite(value)) {
+    // lodestar reports FAR_FUTURE_EPOCH as Infinity
+    return { [NUMBER_TAG]: value.toString() };
+  }
+  if (value instanceof Uint8Array) {
+    return { [BYTES_TAG]: '0x' + Buffer.from(value).toString('hex') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(encodeValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = encodeValue(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Decode a value produced by `encodeValue` back into its original JS types.
+ * @param {*} value - The JSON-safe value
+ * @returns {*} The decoded value
+ */
+export function decodeValue(value) {
+  if (Array.isArray(value)) {
+    return value.map(decodeValue);
+  }
+  if (value !== null && typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+      if (keys[0] === BIGINT_TAG) {
+        return BigInt(value[BIGINT_TAG]);
+      }
+      if (keys[0] === BYTES_TAG) {
+        return new Uint8Array(Buffer.from(value[BYTES_TAG].slice(2), 'hex'));
+      }
+      if (keys[0] === NUMBER_TAG) {
+        return Number(value[NUMBER_TAG]);
+      }
+    }
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = decodeValue(item);
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Build the key under which a read is stored, e.g. `depositors(0)`.
+ * @param {string} method - The contract or beacon method name
+ * @param {Array} args - The arguments passed to the method
+ * @returns {string} The snapshot key
+ */
+export function callKey(method, args) {
+  return `${method}(${args.map((arg) => JSON.stringify(encodeValue(arg))).join(',')})`;
+}
+
+/**
+ * Metadata and inputs, shared by the snapshot and each of its chains.
+ */
+class SnapshotSection {
+  constructor(data) {
+    this.data = data;
+  }
+
+  setMeta(key, value) {
+    this.data.meta[key] = encodeValue(value);
+  }
+
+  setInput(key, value) {
+    this.data.inputs[key] = value;
+  }
+
+  hasInput(key) {
+    return this.data.inputs[key] !== undefined;
+  }
+
+  getInput(key) {
+    if (!this.hasInput(key)) {
+      throw new Error(`The input ${key} is missing from the snapshot.`);
+    }
+    return this.data.inputs[key];
+  }
+}
+
+/**
+ * The reads made against one client chain, i.e., one Bootstrap contract and its
+ * beacon node.
+ */
+export class ChainSnapshot extends SnapshotSection {
+  constructor(data = null) {
+    super(data || { meta: {}, inputs: {}, contract: {}, beacon: {} });
+  }
+
+  record(section, key, value) {
+    this.data[section][key] = encodeValue(value);
+  }
+
+  lookup(section, key) {
+    if (!Object.prototype.hasOwnProperty.call(this.data[section], key)) {
+      throw new Error(`The ${section} read ${key} is missing from the snapshot.`);
+    }
+    return decodeValue(this.data[section][key]);
+  }
+}
+
+/**
+ * Convert a version 1 snapshot, which covered a single client chain, to the
+ * current layout.
+ * @param {Object} data - The version 1 snapshot
+ * @returns {Object} The same snapshot in the current layout
+ */
+function migrateFromV1(data) {
+  const { base_genesis: baseGenesis, ...chainInputs } = data.inputs || {};
+  const { captured_at: capturedAt, ...chainMeta } = data.meta || {};
+  return {
+    version: SNAPSHOT_VERSION,
+    meta: { captured_at: capturedAt },
+    inputs: { base_genesis: baseGenesis },
+    chains: [{
+      meta: chainMeta,
+      inputs: chainInputs,
+      contract: data.contract,
+      beacon: data.beacon,
+    }],
+  };
+}
+
+/**
+ * A versioned container for everything generate.mjs reads: the shared inputs
+ * (like the base genesis) and one section per client chain.
+ */
+export class GenesisSnapshot extends SnapshotSection {
+  constructor(data = null) {
+    super(data || {
+      version: SNAPSHOT_VERSION,
+      meta: {},
+      inputs: {},
+      chains: [],
+    });
+    this.chains = this.data.chains.map((chain) => new ChainSnapshot(chain));
+  }
+
+  /**
+   * Load and validate a snapshot file
+   * @param {string} filePath - Path to the snapshot file
+   * @returns {Promise<GenesisSnapshot>} The loaded snapshot
+   */
+  static async load(filePath) {
+    let data = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    if (data.version === 1) {
+      data = migrateFromV1(data);
+    }
+    if (data.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Unsupported snapshot version ${data.version} in ${filePath}, expected ${SNAPSHOT_VERSION}.`
+      );
+    }
+    for (const section of ['meta', 'inputs']) {
+      if (!data[section] || typeof data[section] !== 'object') {
+        throw new Error(`The ${section} section is missing from the snapshot ${filePath}.`);
+      }
+    }
+    if (!Array.isArray(data.chains) || data.chains.length === 0) {
+      throw new Error(`The snapshot ${filePath} does not contain any chain.`);
+    }
+    data.chains.forEach((chain, i) => {
+      for (const section of ['meta', 'inputs', 'contract', 'beacon']) {
+        if (!chain[section] || typeof chain[section] !== 'object') {
+          throw new Error(`The ${section} section of chain ${i} is missing from the snapshot ${filePath}.`);
+        }
+      }
+    });
+    return new GenesisSnapshot(data);
+  }
+
+  /**
+   * Write the snapshot to disk
+   * @param {string} filePath - Path to the snapshot file
+   */
+  async save(filePath) {
+    await fs.writeFile(filePath, JSON.stringify(this.data, null, 2));
+  }
+
+  /**
+   * Start recording a new client chain
+   * @returns {ChainSnapshot} The section to record the chain into
+   */
+  addChain() {
+    const chain = new ChainSnapshot();
+    this.data.chains.push(chain.data);
+    this.chains.push(chain);
+    return chain;
+  }
+}
+
+/**
+ * Wrap a web3 contract so that every `.call()` is recorded into the snapshot.
+ * @param {Object} contract - The web3 contract instance
+ * @param {ChainSnapshot} snapshot - The chain section to record into
+ * @returns {Object} An object exposing `methods` like the web3 contract
+ */
+export function recordContract(contract, snapshot) {
+  const methods = new Proxy({}, {
+    get: (_, name) => (...args) => ({
+      call: async () => {
+        const result = await contract.methods[name](...args).call();
+        snapshot.record('contract', callKey(name, args), result);
+        return result;
+      },
+    }),
+  });
+  // batched readers (see multicall.mjs) warm their cache through prefetch. only the
+  // reads which are actually made are recorded.
+  const prefetch = async (calls) => {
+    if (contract.prefetch) {
+      await contract.prefetch(calls);
+    }
+  };
+  return { methods, prefetch };
+}
+
+/**
+ * Serve contract reads from the snapshot instead of the RPC.
+ * @param {ChainSnapshot} snapshot - The chain section to replay from
+ * @returns {Object} An object exposing `methods` like the web3 contract
+ */
+export function replayContract(snapshot) {
+  const methods = new Proxy({}, {
+    get: (_, name) => (...args) => ({
+      call: async () => snapshot.lookup('contract', callKey(name, args)),
+    }),
+  });
+  // nothing to warm up, every read is already in the snapshot.
+  const prefetch = async () => {};
+  return { methods, prefetch };
+}
+
+/**
+ * Wrap a lodestar API client so that every response is recorded into the snapshot.
+ * @param {Object} api - The lodestar API client
+ * @param {ChainSnapshot} snapshot - The chain section to record into
+ * @returns {Object} An object exposing the same namespaces as the client
+ */
+export function recordBeacon(api, snapshot) {
+  return new Proxy({}, {
+    get: (_, namespace) => new Proxy({}, {
+      get: (__, name) => async (...args) => {
+        const value = (await api[namespace][name](...args)).value();
+        snapshot.record('beacon', callKey(`${namespace}.${name}`, args), value);
+        return { value: () => value };
+      },
+    }),
+  });
+}
+
+/**
+ * Serve beacon reads from the snapshot instead of the beacon node.
+ * @param {ChainSnapshot} snapshot - The chain section to replay from
+ * @returns {Object} An object exposing the same namespaces as the client
+ */
+export function replayBeacon(snapshot) {
+  return new Proxy({}, {
+    get: (_, namespace) => new Proxy({}, {
+      get: (__, name) => async (...args) => {
+        const value = snapshot.lookup('beacon', callKey(`${namespace}.${name}`, args));
+        return { value: () => value };
+      },
+    }),
+  });
+}
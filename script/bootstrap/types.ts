@@ -32,6 +32,7 @@ export interface AppState {
   operator: OperatorState;
   dogfood: DogfoodState;
   oracle: OracleState;
+  feedistribution?: FeeDistributionState;
   // Add other modules as needed
 }
 
@@ -204,9 +205,69 @@ export interface PriceInfo {
 }
 
 export interface OperatorState {
+  operators?: OperatorEntry[];
+  operator_records?: OperatorRecord[];
+  opt_states?: OptState[];
+  avs_usd_values?: AvsUsdValue[];
+  operator_usd_values?: OperatorUsdValue[];
   operator_asset_usd_values: OperatorAssetUsdValue[];
 }
 
+export interface OperatorEntry {
+  operator_address: string;
+  operator_info: {
+    earnings_addr: string;
+    approve_addr: string;
+    operator_meta_info: string;
+    client_chain_earnings_addr: {
+      earning_info_list: {
+        lz_client_chain_id: number;
+        client_chain_earning_addr: string;
+      }[];
+    };
+    commission: {
+      commission_rates: {
+        rate: string;
+        max_rate: string;
+        max_change_rate: string;
+      };
+      update_time: string;
+    };
+  };
+}
+
+export interface OperatorRecord {
+  operator_address: string;
+  chains: {
+    chain_id: string;
+    consensus_key: string;
+  }[];
+}
+
+export interface OptState {
+  key: string;
+  opt_info: {
+    opted_in_height: number | string;
+    opted_out_height: string;
+  };
+}
+
+export interface AvsUsdValue {
+  avs_addr: string;
+  value: {
+    amount: string;
+  };
+}
+
+export interface OperatorUsdValue {
+  key: string;
+  opted_usd_value: {
+    self_usd_value: string;
+    total_usd_value: string;
+    active_usd_value: string;
+  };
+}
+
 export interface OperatorAssetUsdValue {
   key: string;
   value: {
@@ -214,9 +275,22 @@ export interface OperatorAssetUsdValue {
   };
 }
 
+export interface FeeDistributionState {
+  params?: Record<string, unknown>;
+  all_avs_reward_assets?: {
+    avs: string;
+    [key: string]: unknown;
+  }[];
+  [key: string]: unknown;
+}
+
 // Bootstrap data entry for UTXOGateway import
 export interface BootstrapEntry {
   clientTxId: string;
   clientAddress: string;
   imuachainAddress: string;
+  // Not sent to the gateway: how clientAddress encodes the sender (utf8-address), and the script
+  // type it spends from (e.g. p2tr), which the withdrawals must pay back to
+  clientAddressEncoding?: string;
+  clientScriptType?: string;
 }
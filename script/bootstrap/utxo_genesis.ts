@@ -0,0 +1,746 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import config from './config';
+import { parseAmount, sumAmounts, toUsdValue, formatUsdValue, toVotePower, toOraclePrice } from './amounts';
+import { assertGenesisInvariants } from './genesis_invariants';
+import { PriceProvider, createPriceProvider, writePriceAudit } from './prices';
+import {
+  GenesisState,
+  AppState,
+  AssetsState,
+  DelegationState,
+  OperatorState,
+  OperatorAssetUsdValue,
+  DogfoodState,
+  Validator,
+  OracleState,
+  ClientChain,
+  Token,
+  BootstrapEntry,
+} from './types';
+
+/**
+ * Shared genesis generation for the UTXO-style client chains (Bitcoin, XRP Ledger)
+ *
+ * Every chain stakes the same way during bootstrap: a transfer to the vault carries the
+ * imuachain address of the staker and the validator to delegate to. What differs is how the
+ * transactions are fetched and how the payload is encoded, so each chain only implements the
+ * adapter methods of UTXOGenesisGenerator, and describes its assets with a UTXOChainSpec.
+ * The binding rules, the ordering and the genesis state are the same for all of them.
+ */
+
+export interface BootstrapStake {
+  txid: string; // Client chain transaction id, without 0x
+  blockHeight: number; // Block height, or ledger index
+  txIndex: number; // Index of the transaction within its block or ledger
+  senderAddress: string; // Client chain sender address (normalized to lowercase)
+  senderScriptType?: string; // The script the sender spends from, e.g. p2tr, if the chain has scripts
+  stakerAddress: string; // First imuachain address bound to the sender
+  imuachainAddress: string;
+  validatorAddress: string;
+  amount: bigint; // in the smallest unit of the chain, e.g. satoshis or drops
+  timestamp: number; // Unix timestamp of the block
+}
+
+// The stake carried by a transaction, as decoded by the chain adapter
+export interface ParsedStake {
+  senderAddress: string; // normalized to lowercase
+  senderScriptType?: string;
+  imuachainAddress: string; // lowercase hex
+  validatorAddress: string;
+  amount: bigint;
+  timestamp: number;
+}
+
+// The position of a transaction in the chain, which decides the order of the bindings
+export interface TxPosition {
+  height: number;
+  index: number;
+}
+
+// The block the genesis is pinned to, given by its height or hash
+export interface CutoffSpec {
+  height?: number;
+  hash?: string;
+}
+
+// The block the genesis is pinned to, as found on chain
+export interface ChainCutoff {
+  height: number;
+  hash?: string;
+  time?: number; // Unix timestamp of the block
+}
+
+// Describes the client chain and its virtual token in the genesis
+export interface UTXOChainSpec {
+  chain: {
+    NAME: string;
+    META_INFO: string;
+    FINALIZATION_BLOCKS: number;
+    LAYER_ZERO_CHAIN_ID: number;
+    ADDRESS_LENGTH: number;
+  };
+  token: {
+    VIRTUAL_ADDRESS: string;
+    NAME: string;
+    SYMBOL: string;
+    DECIMALS: number;
+    CHAIN_ID: number;
+    META_INFO: string;
+  };
+  gatewayAddress: string;
+  oracle: {
+    tokenId: string; // token ID in the oracle system
+    chainName: string;
+    chainDesc: string;
+    decimals: number;
+  };
+  // the configured USD price and the environment variable it comes from
+  price: { price: string; source: string };
+  bootstrapDataFile: string; // written next to the genesis, for the gateway import
+  outputPathEnv: string; // overrides config.genesisOutputPath
+}
+
+/**
+ * Base of the chain genesis generators: validates the vault transactions in chain order and
+ * binds senders to imuachain addresses. The chain adapters implement the abstract methods.
+ */
+export abstract class UTXOGenesisGenerator<T> {
+  protected readonly vaultAddress: string;
+  protected readonly minConfirmations: number;
+  protected readonly minAmount: number; // in the smallest unit of the chain
+  protected readonly bootstrapContract: ethers.Contract;
+  protected addressMappings: Map<string, string> = new Map(); // sender -> imuachain
+  protected reverseMappings: Map<string, string> = new Map(); // imuachain -> sender (for bidirectional 1-1 binding)
+  protected validatorInfoCache: Map<string, any> = new Map(); // validator address -> validator info
+  private cutoffSpec?: CutoffSpec;
+  private cutoff?: ChainCutoff;
+
+  constructor(vaultAddress: string, bootstrapContract: ethers.Contract, minConfirmations: number, minAmount: number) {
+    this.vaultAddress = vaultAddress;
+    this.bootstrapContract = bootstrapContract;
+    this.minConfirmations = minConfirmations;
+    this.minAmount = minAmount;
+  }
+
+  // Fetch the transactions which were sent to or from the vault
+  protected abstract fetchTransactions(): Promise<T[]>;
+
+  // Get the height of the chain tip, to count the confirmations
+  protected abstract getCurrentHeight(): Promise<number>;
+
+  protected abstract getTxId(tx: T): string;
+
+  protected abstract getPosition(tx: T): TxPosition;
+
+  // Apply the chain rules and decode the payload; null if the tx is not a valid stake
+  protected abstract parseStake(tx: T): ParsedStake | null;
+
+  // Release the connections of the adapter, if any
+  protected async close(): Promise<void> {}
+
+  // Find the block of the cutoff on chain; the chains which can look up their blocks override it
+  protected async resolveCutoff(spec: CutoffSpec): Promise<ChainCutoff> {
+    if (spec.hash !== undefined || spec.height === undefined) {
+      throw new Error(`${this.constructor.name} can only pin the genesis to a height`);
+    }
+    return { height: spec.height };
+  }
+
+  /**
+   * Pin the genesis to a block, e.g. the last one before the spawn time of Bootstrap. Only the
+   * transactions up to it are read, and they are confirmed relative to it instead of the tip, so
+   * that runs made at different times, or after a reorg above it, produce the same genesis.
+   * @param spec - The height or the hash of the block, or both to check that they match
+   */
+  public setCutoff(spec: CutoffSpec): void {
+    if (spec.height === undefined && spec.hash === undefined) {
+      throw new Error('The cutoff needs a height or a hash');
+    }
+    if (spec.height !== undefined && (!Number.isInteger(spec.height) || spec.height < 0)) {
+      throw new Error(`Invalid cutoff height ${spec.height}`);
+    }
+    this.cutoffSpec = spec;
+  }
+
+  // The block the last stakes were pinned to, if any
+  public getCutoff(): ChainCutoff | undefined {
+    return this.cutoff;
+  }
+
+  protected async isValidatorRegistered(validatorAddr: string): Promise<boolean> {
+    try {
+      // Check if we already have cached info for this validator
+      if (!this.validatorInfoCache.has(validatorAddr)) {
+        const validatorInfo = await this.bootstrapContract.validators(validatorAddr);
+        this.validatorInfoCache.set(validatorAddr, validatorInfo);
+      }
+
+      const validatorInfo = this.validatorInfoCache.get(validatorAddr);
+      return validatorInfo && validatorInfo.name && validatorInfo.name.length > 0;
+    } catch (error: any) {
+      if (error.code === 'ECONNREFUSED' || error.message?.includes('JsonRpcProvider')) {
+        console.warn(`⚠️ RPC connection failed for validator ${validatorAddr}, assuming not registered`);
+        return false; // Assume not registered when RPC is unavailable
+      }
+      console.error(`Error checking validator registration for ${validatorAddr}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Record the binding of a sender to an imuachain address:
+   * - The same sender may use different imuachain addresses, but only the first one is kept as
+   *   its staker address (first-wins).
+   * - Different senders must not bind to the same imuachain address (global uniqueness).
+   */
+  private bindAddresses(txid: string, senderAddress: string, imuachainAddress: string): boolean {
+    if (this.reverseMappings.has(imuachainAddress)) {
+      const existingSender = this.reverseMappings.get(imuachainAddress);
+      if (existingSender !== senderAddress) {
+        console.log(
+          `Rejecting tx ${txid}: Imuachain address ${imuachainAddress} already bound to a different sender (${existingSender} vs ${senderAddress})`
+        );
+        return false;
+      }
+    }
+
+    if (!this.addressMappings.has(senderAddress)) {
+      this.addressMappings.set(senderAddress, imuachainAddress);
+      console.log(`Recorded initial staker binding: ${senderAddress} -> ${imuachainAddress} in tx ${txid}`);
+    }
+    if (!this.reverseMappings.has(imuachainAddress)) {
+      this.reverseMappings.set(imuachainAddress, senderAddress);
+    }
+    return true;
+  }
+
+  private async validateTransaction(tx: T): Promise<ParsedStake | null> {
+    const txid = this.getTxId(tx);
+    const parsed = this.parseStake(tx);
+    if (!parsed) {
+      return null;
+    }
+
+    const isRegistered = await this.isValidatorRegistered(parsed.validatorAddress);
+    if (!isRegistered) {
+      console.log(`Validator ${parsed.validatorAddress} not registered in tx ${txid}`);
+      return null;
+    }
+
+    if (!this.bindAddresses(txid, parsed.senderAddress, parsed.imuachainAddress)) {
+      return null;
+    }
+    return parsed;
+  }
+
+  public async generateGenesisStakes(): Promise<BootstrapStake[]> {
+    try {
+      console.log(`Fetching transactions for vault address ${this.vaultAddress}...`);
+      const transactions = await this.fetchTransactions();
+
+      let currentHeight = await this.getCurrentHeight();
+      console.log(`Found ${transactions.length} transactions, current height: ${currentHeight}`);
+
+      if (this.cutoffSpec) {
+        this.cutoff = await this.resolveCutoff(this.cutoffSpec);
+        if (this.cutoff.height > currentHeight) {
+          throw new Error(`The cutoff height ${this.cutoff.height} is above the current height ${currentHeight}`);
+        }
+        console.log(`Pinned to block ${this.cutoff.height}${this.cutoff.hash ? ` (${this.cutoff.hash})` : ''}`);
+        currentHeight = this.cutoff.height;
+      }
+
+      // Sort transactions first to ensure earliest transactions are processed first; with a
+      // cutoff, the ones after it do not exist for the genesis, not even for the bindings
+      const sortedTxs = transactions
+        .map((tx) => ({ tx, position: this.getPosition(tx) }))
+        .filter(({ position }) => !this.cutoff || position.height <= this.cutoff.height)
+        .sort((a, b) => a.position.height - b.position.height || a.position.index - b.position.index);
+
+      // Process transactions sequentially to preserve earliest address mappings. Transactions
+      // without enough confirmations still bind their addresses, so that the bindings do not
+      // depend on the height at which the genesis is generated.
+      const stakes: BootstrapStake[] = [];
+      for (const { tx, position } of sortedTxs) {
+        const parsed = await this.validateTransaction(tx);
+        if (
+          !parsed ||
+          position.height > currentHeight ||
+          currentHeight - position.height + 1 < this.minConfirmations
+        ) {
+          continue;
+        }
+
+        // Use the consistent imuachain address from our validated mapping
+        // This ensures we use the first (earliest) imuachain address for each sender
+        const stakerAddress = this.addressMappings.get(parsed.senderAddress)!;
+        stakes.push({
+          txid: this.getTxId(tx),
+          blockHeight: position.height,
+          txIndex: position.index,
+          senderAddress: parsed.senderAddress,
+          ...(parsed.senderScriptType ? { senderScriptType: parsed.senderScriptType } : {}),
+          stakerAddress: stakerAddress,
+          imuachainAddress: stakerAddress,
+          validatorAddress: parsed.validatorAddress,
+          amount: parsed.amount,
+          timestamp: parsed.timestamp,
+        });
+      }
+
+      console.log(`Found ${stakes.length} valid transactions with ${this.minConfirmations}+ confirmations.`);
+      return stakes;
+    } finally {
+      await this.close();
+    }
+  }
+
+  public getMinConfirmations(): number {
+    return this.minConfirmations;
+  }
+
+  // Where the transactions were read from, for the adapters which have several backends
+  public getSource(): { backend: string; mode?: string } | undefined {
+    return undefined;
+  }
+
+  // Get cached validator info (public method for use in genesis generation)
+  public getValidatorInfo(validatorAddr: string): any {
+    return this.validatorInfoCache.get(validatorAddr);
+  }
+}
+
+/**
+ * Generate the genesis state of a chain from its bootstrap stakes.
+ * @param spec - The chain and its virtual token
+ * @param stakes - The stakes, sorted by position
+ * @param generator - Used to look up the consensus keys of the validators
+ * @param priceProvider - Provides the USD price of the token
+ */
+export async function generateUTXOGenesisState(
+  spec: UTXOChainSpec,
+  stakes: BootstrapStake[],
+  generator?: UTXOGenesisGenerator<unknown>,
+  priceProvider: PriceProvider = createPriceProvider()
+): Promise<GenesisState> {
+  const { chain, token } = spec;
+
+  // Validate the amounts, which callers may still pass as numbers
+  stakes = stakes.map((stake) => ({ ...stake, amount: parseAmount(stake.amount, `amount of tx ${stake.txid}`) }));
+
+  // Calculate total staked amount
+  const totalStaked = sumAmounts(stakes.map((stake) => stake.amount));
+
+  // The same price is used for the vote power, the USD values and the oracle
+  const { price: priceUsd } = await priceProvider.getPrice(token.SYMBOL, spec.price);
+
+  // The time of the cutoff block if the stakes are pinned to one, so that the genesis is reproducible
+  const cutoffTime = generator?.getCutoff()?.time;
+  const genesisTime = new Date(cutoffTime !== undefined ? cutoffTime * 1000 : Date.now()).toISOString();
+
+  const chainIdSuffix = '_0x' + chain.LAYER_ZERO_CHAIN_ID.toString(16);
+  const assetId = token.VIRTUAL_ADDRESS.toLowerCase() + chainIdSuffix;
+
+  // Group stakes by validator
+  const validatorStakes = new Map<string, BootstrapStake[]>();
+  stakes.forEach((stake) => {
+    if (!validatorStakes.has(stake.validatorAddress)) {
+      validatorStakes.set(stake.validatorAddress, []);
+    }
+    validatorStakes.get(stake.validatorAddress)!.push(stake);
+  });
+
+  const clientChain: ClientChain = {
+    name: chain.NAME,
+    meta_info: chain.META_INFO,
+    finalization_blocks: chain.FINALIZATION_BLOCKS,
+    layer_zero_chain_id: chain.LAYER_ZERO_CHAIN_ID,
+    address_length: chain.ADDRESS_LENGTH,
+  };
+
+  const virtualToken: Token = {
+    asset_basic_info: {
+      name: token.NAME,
+      symbol: token.SYMBOL,
+      address: token.VIRTUAL_ADDRESS.toLowerCase(),
+      decimals: token.DECIMALS.toString(),
+      layer_zero_chain_id: chain.LAYER_ZERO_CHAIN_ID,
+      imua_chain_index: '0',
+      meta_info: token.META_INFO,
+    },
+    staking_total_amount: totalStaked.toString(),
+  };
+
+  // Group deposits by staker_id (using imuachainAddress as staker)
+  const depositsByStaker = new Map<string, Map<string, bigint>>();
+
+  for (const stake of stakes) {
+    const stakerId = stake.imuachainAddress.toLowerCase() + chainIdSuffix;
+
+    if (!depositsByStaker.has(stakerId)) {
+      depositsByStaker.set(stakerId, new Map<string, bigint>());
+    }
+
+    const stakerDeposits = depositsByStaker.get(stakerId)!;
+    const currentAmount = stakerDeposits.get(assetId) || 0n;
+    stakerDeposits.set(assetId, currentAmount + stake.amount);
+  }
+
+  // Generate deposits array
+  const deposits = Array.from(depositsByStaker.entries()).map(([stakerId, assetMap]) => ({
+    staker: stakerId,
+    deposits: Array.from(assetMap.entries()).map(([assetId, amount]) => ({
+      asset_id: assetId,
+      info: {
+        total_deposit_amount: amount.toString(),
+        withdrawable_amount: '0', // All stakes must be delegated
+        pending_undelegation_amount: '0',
+      },
+    })),
+  }));
+
+  // Generate assets state
+  const assetsState: AssetsState = {
+    params: {
+      gateways: [spec.gatewayAddress],
+    },
+    client_chains: [clientChain],
+    tokens: [virtualToken],
+    deposits: deposits,
+    operator_assets: [],
+  };
+
+  // Generate operator assets
+  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
+    const totalAmount = sumAmounts(validatorStakeList.map((stake) => stake.amount));
+
+    assetsState.operator_assets.push({
+      operator: validator,
+      assets_state: [
+        {
+          asset_id: assetId,
+          info: {
+            total_amount: totalAmount.toString(),
+            pending_undelegation_amount: '0',
+            total_share: totalAmount.toString(),
+            operator_share: '0', // Operators don't have their own stake in bootstrap
+          },
+        },
+      ],
+    });
+  }
+
+  // Generate delegation state - skip associations as they don't exist for UTXO chains
+  const delegationState: DelegationState = {
+    associations: [],
+    delegation_states: [],
+    stakers_by_operator: [],
+  };
+
+  // Map to collect stakers by operator
+  const stakersByOperator = new Map<string, Set<string>>();
+
+  for (const stake of stakes) {
+    const stakerId = stake.imuachainAddress.toLowerCase() + chainIdSuffix;
+
+    // Add delegation state
+    const key = `${stakerId}/${assetId}/${stake.validatorAddress}`;
+
+    // Check if the key already exist, if exist, then add up the amount, otherwise create a new entry
+    const existingState = delegationState.delegation_states.find((state) => state.key === key);
+    if (existingState) {
+      existingState.states.undelegatable_share = (BigInt(existingState.states.undelegatable_share) + stake.amount).toString();
+    } else {
+      // Create new delegation state entry
+      delegationState.delegation_states.push({
+        key: key,
+        states: {
+          undelegatable_share: stake.amount.toString(),
+          wait_undelegation_amount: '0',
+        },
+      });
+    }
+
+    // Collect stakers by operator
+    const mapKey = `${stake.validatorAddress}/${assetId}`;
+    if (!stakersByOperator.has(mapKey)) {
+      stakersByOperator.set(mapKey, new Set());
+    }
+    stakersByOperator.get(mapKey)!.add(stakerId);
+  }
+
+  // Convert stakers by operator map to array
+  for (const [key, stakers] of stakersByOperator.entries()) {
+    delegationState.stakers_by_operator.push({
+      key: key,
+      stakers: Array.from(stakers),
+    });
+  }
+
+  // Sort arrays for deterministic output
+  delegationState.delegation_states.sort((a, b) => a.key.localeCompare(b.key));
+  delegationState.stakers_by_operator.sort((a, b) => a.key.localeCompare(b.key));
+
+  // Calculate validator power based on stake and token price
+  let validators: Validator[] = [];
+  let totalPower = 0n;
+
+  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
+    const totalStake = sumAmounts(validatorStakeList.map((stake) => stake.amount));
+    // Calculate power: the USD value of totalStake, truncated to an integer
+    const power = toVotePower(toUsdValue(totalStake, token.DECIMALS, priceUsd));
+
+    // Get cached validator info to retrieve consensus public key
+    let publicKey = validator; // fallback to validator address
+    if (generator) {
+      const validatorInfo = generator.getValidatorInfo(validator);
+      if (validatorInfo && validatorInfo.consensusPublicKey) {
+        publicKey = validatorInfo.consensusPublicKey;
+      } else {
+        console.warn(`No consensus public key found for validator ${validator}, using validator address`);
+      }
+    }
+
+    validators.push({
+      power: power.toString(),
+      public_key: publicKey,
+    });
+
+    totalPower += power;
+  }
+
+  // Sort validators by power (descending)
+  validators.sort((a, b) => {
+    const powerA = BigInt(a.power);
+    const powerB = BigInt(b.power);
+    if (powerA === powerB) {
+      return a.public_key.localeCompare(b.public_key);
+    }
+    return powerB > powerA ? 1 : -1;
+  });
+
+  // Limit to max validators
+  validators = validators.slice(0, config.maxValidators);
+
+  // Recalculate total power after limiting validators
+  totalPower = validators.reduce((sum, validator) => sum + BigInt(validator.power), 0n);
+
+  // Generate operator state
+  const operatorAssetUsdValues: OperatorAssetUsdValue[] = [];
+  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
+    const totalStake = sumAmounts(validatorStakeList.map((stake) => stake.amount));
+    // Calculate USD value of totalStake, with 18 decimals
+    const usdValue = toUsdValue(totalStake, token.DECIMALS, priceUsd);
+
+    // epoch=day :epoch/validator/asset_id
+    const key = `day/${validator}/${assetId}`;
+    operatorAssetUsdValues.push({
+      key: key,
+      value: {
+        amount: formatUsdValue(usdValue),
+      },
+    });
+  }
+
+  const operatorState: OperatorState = {
+    operator_asset_usd_values: operatorAssetUsdValues,
+  };
+
+  // Generate dogfood state
+  const dogfoodState: DogfoodState = {
+    params: {
+      asset_ids: [assetId],
+      max_validators: config.maxValidators,
+    },
+    val_set: validators,
+    last_total_power: totalPower.toString(),
+  };
+
+  // Generate oracle state
+  const oraclePrice = toOraclePrice(priceUsd, spec.oracle.decimals);
+
+  const oracleState: OracleState = {
+    params: {
+      chains: [
+        {
+          name: spec.oracle.chainName,
+          desc: spec.oracle.chainDesc,
+        },
+      ],
+      tokens: [
+        {
+          name: token.SYMBOL,
+          chain_id: token.CHAIN_ID,
+          contract_address: token.VIRTUAL_ADDRESS.toLowerCase(),
+          active: true,
+          asset_id: assetId,
+          decimal: spec.oracle.decimals,
+        },
+      ],
+      token_feeders: [
+        {
+          token_id: spec.oracle.tokenId,
+          start_round_id: '1',
+          start_base_block: '20', // Start from genesis block
+          interval: '30', // 30 blocks interval for price updates
+          end_block: '0', // 0 means no end block (perpetual)
+          rule_id: '2', // Rule ID for the price feed
+        },
+      ],
+    },
+    prices_list: [
+      {
+        next_round_id: '1',
+        price_list: [
+          {
+            decimal: spec.oracle.decimals,
+            price: oraclePrice,
+            round_id: '0', // Genesis price round
+          },
+        ],
+        token_id: spec.oracle.tokenId,
+      },
+    ],
+  };
+
+  // Combine all states into app state
+  const appState: AppState = {
+    assets: assetsState,
+    delegation: delegationState,
+    operator: operatorState,
+    dogfood: dogfoodState,
+    oracle: oracleState,
+  };
+
+  // Construct the full genesis state
+  const genesisState: GenesisState = {
+    genesis_time: genesisTime,
+    chain_id: 'imua-1',
+    initial_height: '1',
+    consensus_params: {
+      block: {
+        max_bytes: '22020096',
+        max_gas: '-1',
+      },
+      evidence: {
+        max_age_num_blocks: '100000',
+        max_age_duration: '172800000000000',
+        max_bytes: '1048576',
+      },
+      validator: {
+        pub_key_types: ['ed25519'],
+      },
+      version: {
+        app: '0',
+      },
+    },
+    app_hash: '',
+    app_state: appState,
+  };
+
+  return genesisState;
+}
+
+// clientAddress holds the UTF-8 bytes of the sender address, as the gateway pays the withdrawals to
+export const CLIENT_ADDRESS_ENCODING = 'utf8-address';
+
+/**
+ * Export the stakes for the import into the gateway, next to the genesis.
+ * @param spec - The chain, which names the file
+ * @param stakes - The stakes
+ * @param resolvedGenesisPath - The path of the genesis; defaults to the genesis directory
+ */
+export async function exportUTXOBootstrapData(
+  spec: UTXOChainSpec,
+  stakes: BootstrapStake[],
+  resolvedGenesisPath?: string
+): Promise<void> {
+  const bootstrapData: BootstrapEntry[] = stakes.map((stake) => ({
+    clientTxId: `0x${stake.txid}`, // Ensure 0x prefix
+    clientAddress: ethers.hexlify(ethers.toUtf8Bytes(stake.senderAddress)), // sender address as UTF-8 bytes
+    imuachainAddress: stake.imuachainAddress,
+    clientAddressEncoding: CLIENT_ADDRESS_ENCODING,
+    ...(stake.senderScriptType ? { clientScriptType: stake.senderScriptType } : {}),
+  }));
+
+  // Use project root's genesis directory
+  const genesisDir = resolvedGenesisPath
+    ? path.dirname(resolvedGenesisPath)
+    : path.join(__dirname, '../../genesis');
+  const bootstrapDataPath = path.join(genesisDir, spec.bootstrapDataFile);
+
+  // Ensure directory exists
+  await fs.promises.mkdir(path.dirname(bootstrapDataPath), { recursive: true });
+  await fs.promises.writeFile(bootstrapDataPath, JSON.stringify(bootstrapData, null, 2));
+  console.log(`Exported ${bootstrapData.length} ${spec.token.SYMBOL} bootstrap entries to ${bootstrapDataPath}`);
+}
+
+/**
+ * Write the block the genesis is pinned to next to it, e.g. genesis.cutoff.json for genesis.json.
+ * @param genesisPath - The path of the genesis
+ * @param spec - The chain
+ * @param cutoff - The cutoff block
+ * @param generator - The generator, for its confirmation depth and source
+ * @returns The path of the file
+ */
+export async function writeCutoff(
+  genesisPath: string,
+  spec: UTXOChainSpec,
+  cutoff: ChainCutoff,
+  generator: UTXOGenesisGenerator<unknown>
+): Promise<string> {
+  const parsed = path.parse(genesisPath);
+  const cutoffPath = path.join(parsed.dir, `${parsed.name}.cutoff.json`);
+  const record = {
+    genesis: parsed.base,
+    chain: spec.chain.NAME,
+    height: cutoff.height,
+    hash: cutoff.hash ?? null,
+    time: cutoff.time ?? null,
+    minConfirmations: generator.getMinConfirmations(),
+    source: generator.getSource() ?? null,
+  };
+  await fs.promises.writeFile(cutoffPath, JSON.stringify(record, null, 2));
+  return cutoffPath;
+}
+
+/**
+ * Generate the genesis of a chain and write it, with its bootstrap data and price audit, and
+ * its cutoff block if it is pinned to one.
+ * @param spec - The chain and its virtual token
+ * @param generator - The generator of the chain
+ */
+export async function generateUTXOBootstrapGenesis(
+  spec: UTXOChainSpec,
+  generator: UTXOGenesisGenerator<unknown>
+): Promise<void> {
+  const stakes = await generator.generateGenesisStakes();
+  const priceProvider = createPriceProvider();
+  const genesisState = await generateUTXOGenesisState(spec, stakes, generator, priceProvider);
+  // the fragment has no operator records, those come from the EVM genesis
+  assertGenesisInvariants(genesisState, { partial: true });
+
+  // Use environment variable if set, otherwise fall back to config
+  const outputPath = process.env[spec.outputPathEnv] || config.genesisOutputPath;
+  const resolvedPath = path.isAbsolute(outputPath) ? outputPath : path.resolve(outputPath);
+  await fs.promises.mkdir(path.dirname(resolvedPath), { recursive: true });
+
+  // Export bootstrap data for the gateway (using resolved path for consistency)
+  await exportUTXOBootstrapData(spec, stakes, resolvedPath);
+
+  // Export genesis state
+  await fs.promises.writeFile(resolvedPath, JSON.stringify(genesisState, null, 2));
+  const auditPath = await writePriceAudit(resolvedPath, priceProvider);
+  console.log(`Prices used for the genesis written to ${auditPath}`);
+  const cutoff = generator.getCutoff();
+  if (cutoff) {
+    const cutoffPath = await writeCutoff(resolvedPath, spec, cutoff, generator);
+    console.log(`Cutoff block of the genesis written to ${cutoffPath}`);
+  }
+
+  console.log(
+    `Generated ${spec.chain.NAME} genesis state with ${stakes.length} valid stakes - Written to ${resolvedPath}`
+  );
+}
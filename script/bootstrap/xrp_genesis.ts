@@ -1,38 +1,40 @@
 import { Client } from "xrpl";
 import { decodeAccountID } from "ripple-address-codec";
-import fs from "fs";
-import path from "path";
 import { ethers } from "ethers";
 import { fromBech32 } from "@cosmjs/encoding";
 import config from "./config";
+import { parseAmount } from "./amounts";
+import { PriceProvider, createPriceProvider } from "./prices";
 import bootstrapAbi from "../../out/Bootstrap.sol/Bootstrap.json";
 import { XRP_CONFIG, XRP_CHAIN_CONFIG } from "./config";
+import { GenesisState } from "./types";
 import {
-  GenesisState,
-  AppState,
-  AssetsState,
-  DelegationState,
-  OperatorState,
-  OperatorAssetUsdValue,
-  DogfoodState,
-  Validator,
-  OracleState,
-  ClientChain,
-  Token,
-  BootstrapEntry,
-} from "./types";
-
-interface BootstrapStake {
-  hash: string; // XRP transaction hash
-  ledgerIndex: number; // Ledger sequence number
-  transactionIndex: number; // Transaction index in ledger
-  xrpAddress: string; // XRP sender address (Account field)
-  stakerAddress: string; // Staker address (imuachainAddress)
-  imuachainAddress: string; // Corresponding Imuachain address
-  validatorAddress: string; // Target validator address
-  amount: number; // Stake amount in drops (1 XRP = 1,000,000 drops)
-  timestamp: number; // Transaction timestamp
-}
+  BootstrapStake,
+  ParsedStake,
+  TxPosition,
+  UTXOChainSpec,
+  UTXOGenesisGenerator,
+  generateUTXOGenesisState,
+  exportUTXOBootstrapData,
+  generateUTXOBootstrapGenesis,
+} from "./utxo_genesis";
+
+export type { BootstrapStake };
+
+export const XRP_GENESIS_SPEC: UTXOChainSpec = {
+  chain: XRP_CHAIN_CONFIG,
+  token: XRP_CONFIG,
+  gatewayAddress: "0x0000000000000000000000000000000000000902", // XRP Gateway address
+  oracle: {
+    tokenId: "5", // XRP token ID in oracle system
+    chainName: "XRP Ledger",
+    chainDesc: "XRP Ledger blockchain",
+    decimals: 8,
+  },
+  price: { price: config.xrpPriceUsd, source: "XRP_PRICE_USD" },
+  bootstrapDataFile: "xrp_bootstrap_data.json",
+  outputPathEnv: "XRP_GENESIS_OUTPUT_PATH",
+};
 
 interface ParsedMemoData {
   imuachainAddress: string;
@@ -81,15 +83,8 @@ interface XRPTransaction {
  * XRP Genesis Generator Class
  * Uses XRPL client to fetch transaction data from XRP network and generate genesis state
  */
-export class XRPGenesisGenerator {
-  private readonly vaultAddress: string;
+export class XRPGenesisGenerator extends UTXOGenesisGenerator<XRPTransaction> {
   private readonly client: Client;
-  private readonly minConfirmations: number;
-  private readonly minAmount: number; // in drops (1 XRP = 1,000,000 drops)
-  private readonly bootstrapContract: ethers.Contract;
-  private addressMappings: Map<string, string> = new Map(); // xrp -> imuachain
-  private reverseMappings: Map<string, string> = new Map(); // imuachain -> xrp (enforce uniqueness across senders)
-  private validatorInfoCache: Map<string, any> = new Map(); // validator address -> validator info
 
   constructor(
     vaultAddress: string,
@@ -98,11 +93,8 @@ export class XRPGenesisGenerator {
     minConfirmations: number = 6,
     minAmount: number = 50000000 // 50 XRP minimum
   ) {
-    this.vaultAddress = vaultAddress;
+    super(vaultAddress, bootstrapContract, minConfirmations, minAmount);
     this.client = new Client(rpcUrl);
-    this.bootstrapContract = bootstrapContract;
-    this.minConfirmations = minConfirmations;
-    this.minAmount = minAmount;
 
     // Validate configuration
     if (!this.vaultAddress) {
@@ -119,7 +111,7 @@ export class XRPGenesisGenerator {
   /**
    * Get current ledger index from XRPL
    */
-  private async getCurrentLedgerIndex(): Promise<number> {
+  protected async getCurrentHeight(): Promise<number> {
     try {
       if (!this.client.isConnected()) {
         await this.client.connect();
@@ -197,7 +189,7 @@ export class XRPGenesisGenerator {
   /**
    * Get all transactions for the vault address
    */
-  private async getVaultTransactions(): Promise<XRPTransaction[]> {
+  protected async fetchTransactions(): Promise<XRPTransaction[]> {
     const allTxs: XRPTransaction[] = [];
     let marker: any = undefined;
 
@@ -276,41 +268,6 @@ export class XRPGenesisGenerator {
     return allTxs;
   }
 
-  /**
-   * Check if validator is registered in the bootstrap contract
-   */
-  private async isValidatorRegistered(validatorAddr: string): Promise<boolean> {
-    try {
-      // Check if we already have cached info for this validator
-      if (!this.validatorInfoCache.has(validatorAddr)) {
-        const validatorInfo = await this.bootstrapContract.validators(
-          validatorAddr
-        );
-        this.validatorInfoCache.set(validatorAddr, validatorInfo);
-      }
-
-      const validatorInfo = this.validatorInfoCache.get(validatorAddr);
-      return (
-        validatorInfo && validatorInfo.name && validatorInfo.name.length > 0
-      );
-    } catch (error: any) {
-      if (
-        error.code === "ECONNREFUSED" ||
-        error.message.includes("JsonRpcProvider")
-      ) {
-        console.warn(
-          `⚠️ RPC connection failed for validator ${validatorAddr}, assuming not registered`
-        );
-        return false; // Assume not registered when RPC is unavailable
-      }
-      console.error(
-        `Error checking validator registration for ${validatorAddr}:`,
-        error
-      );
-      return false;
-    }
-  }
-
   /**
    * Validate validator address format (bech32 with 'im' prefix)
    */
@@ -452,16 +409,14 @@ export class XRPGenesisGenerator {
   }
 
   /**
-   * Validate if transaction is a valid bootstrap stake and parse memo data once
+   * Validate if transaction is a valid bootstrap stake and parse its memo data
    * Implements the same validation rules as monitor.xrp.ts
    */
-  private async isValidBootstrapTransaction(
-    tx: XRPTransaction
-  ): Promise<{ isValid: boolean; memoData?: ParsedMemoData }> {
+  protected parseStake(tx: XRPTransaction): ParsedStake | null {
     // Must be validated
     if (!tx.validated) {
       console.log(`Transaction ${tx.hash} is not validated`);
-      return { isValid: false };
+      return null;
     }
 
     // Must be a Payment transaction
@@ -469,7 +424,7 @@ export class XRPGenesisGenerator {
       console.log(
         `Invalid transaction type in tx ${tx.hash}: ${tx.tx.TransactionType}`
       );
-      return { isValid: false };
+      return null;
     }
 
     // Must be successful
@@ -477,19 +432,19 @@ export class XRPGenesisGenerator {
       console.log(
         `Transaction ${tx.hash} failed with result: ${tx.meta.TransactionResult}`
       );
-      return { isValid: false };
+      return null;
     }
 
     // Must be sent to our vault address
     if (tx.tx.Destination !== this.vaultAddress) {
       console.log(`Invalid destination in tx ${tx.hash}: ${tx.tx.Destination}`);
-      return { isValid: false };
+      return null;
     }
 
     // Must not be from vault address (no self-transfers)
     if (tx.tx.Account === this.vaultAddress) {
       console.log(`Self-transfer detected in tx ${tx.hash}`);
-      return { isValid: false };
+      return null;
     }
 
     // Check DestinationTag (must be 9999)
@@ -497,155 +452,66 @@ export class XRPGenesisGenerator {
       console.log(
         `Invalid DestinationTag in tx ${tx.hash}: ${tx.tx.DestinationTag}`
       );
-      return { isValid: false };
+      return null;
     }
 
     // Must be XRP payment (not token)
     if (typeof tx.tx.Amount !== "string") {
       console.log(`Non-XRP payment in tx ${tx.hash}`);
-      return { isValid: false };
+      return null;
     }
 
     // Check the minimum amount
-    const amount = parseInt(tx.tx.Amount);
-    if (amount < this.minAmount) {
+    let amount: bigint;
+    try {
+      amount = parseAmount(tx.tx.Amount, `amount of tx ${tx.hash}`);
+    } catch (error) {
+      console.log((error as Error).message);
+      return null;
+    }
+    if (amount < BigInt(this.minAmount)) {
       console.log(
         `Amount ${amount} below minimum ${this.minAmount} in tx ${tx.hash}`
       );
-      return { isValid: false };
+      return null;
     }
 
     // Must have memo with validator info
     if (!tx.tx.Memos || tx.tx.Memos.length === 0) {
       console.log(`No memos found in tx ${tx.hash}`);
-      return { isValid: false };
+      return null;
     }
 
     // Parse and validate memo data (only once)
     const memoData = this.parseMemoData(tx.tx.Memos);
     if (!memoData) {
       console.log(`Invalid memo format in tx ${tx.hash}`);
-      return { isValid: false };
-    }
-
-    // Check if the validator is registered
-    const isRegistered = await this.isValidatorRegistered(
-      memoData.validatorAddress
-    );
-    if (!isRegistered) {
-      console.log(
-        `Validator ${memoData.validatorAddress} not registered in tx ${tx.hash}`
-      );
-      return { isValid: false };
-    }
-
-    // Address binding rules aligned with BTC:
-    // - Same sender can appear with different imuachain addresses, but we only keep the first binding as final staker address (first-wins)
-    // - Different senders cannot bind to the same imuachain address (global uniqueness)
-    const senderAddress = tx.tx.Account.toLowerCase();
-    const imuachainAddress = memoData.imuachainAddress.toLowerCase();
-
-    // Enforce reverse uniqueness: one imuachain address must not be used by different senders
-    if (this.reverseMappings.has(imuachainAddress)) {
-      const existingSender = this.reverseMappings.get(imuachainAddress);
-      if (existingSender !== senderAddress) {
-        console.log(
-          `Imuachain address ${imuachainAddress} already bound to different XRP address (${existingSender} vs ${senderAddress}) in tx ${tx.hash}`
-        );
-        return { isValid: false };
-      }
-    }
-
-    // Forward mapping: record first binding only (first-wins)
-    if (!this.addressMappings.has(senderAddress)) {
-      this.addressMappings.set(senderAddress, imuachainAddress);
-      console.log(`Recorded initial staker binding: ${senderAddress} -> ${imuachainAddress} in tx ${tx.hash}`);
-    }
-    // Track reverse mapping to enforce global uniqueness
-    if (!this.reverseMappings.has(imuachainAddress)) {
-      this.reverseMappings.set(imuachainAddress, senderAddress);
+      return null;
     }
 
-    return { isValid: true, memoData };
+    return {
+      senderAddress: tx.tx.Account.toLowerCase(),
+      imuachainAddress: memoData.imuachainAddress.toLowerCase(),
+      validatorAddress: memoData.validatorAddress,
+      amount: amount,
+      // XRPL timestamp is Ripple epoch; convert to Unix epoch
+      timestamp: tx.date > 0 ? tx.date + 946684800 : 0,
+    };
   }
 
-  /**
-   * Generate bootstrap stakes from XRP transactions
-   */
-  public async generateGenesisStakes(): Promise<BootstrapStake[]> {
-    const transactions = await this.getVaultTransactions();
-    const currentLedgerIndex = await this.getCurrentLedgerIndex();
-    console.log(
-      `Fetching transactions for vault address ${this.vaultAddress}... Found ${transactions.length} transactions. Current ledger index: ${currentLedgerIndex}`
-    );
-
-    // Sort transactions by time order first (ledger_index, then transaction_index)
-    const sortedTransactions = transactions.sort((a, b) => {
-      if (a.ledger_index !== b.ledger_index) {
-        return a.ledger_index - b.ledger_index;
-      }
-      return a.meta.TransactionIndex - b.meta.TransactionIndex;
-    });
-
-    // Filter and validate transactions, preserving parsed memo data
-    const validTxs = [];
-    for (const tx of sortedTransactions) {
-      const validationResult = await this.isValidBootstrapTransaction(tx);
-
-      if (
-        validationResult.isValid &&
-        tx.ledger_index <= currentLedgerIndex &&
-        currentLedgerIndex - tx.ledger_index + 1 >= this.minConfirmations
-      ) {
-        validTxs.push({
-          tx,
-          memoData: validationResult.memoData!,
-        });
-      }
-    }
-
-    console.log(
-      `Found ${validTxs.length} valid transactions with ${this.minConfirmations}+ confirmations.`
-    );
-
-    // Convert to BootstrapStake objects using precomputed memo data
-    const stakes: BootstrapStake[] = [];
-    for (const { tx, memoData } of validTxs) {
-      const amount = parseInt(tx.tx.Amount as string);
-
-      // Use the consistent imuachain address from validated mapping (first binding per sender)
-      const sender = tx.tx.Account.toLowerCase();
-      const consistentImuachainAddress = this.addressMappings.get(sender);
-      if (!consistentImuachainAddress) {
-        console.error(`Error: No mapping found for XRP address ${sender} in tx ${tx.hash}`);
-        continue;
-      }
+  protected getTxId(tx: XRPTransaction): string {
+    return tx.hash;
+  }
 
-      stakes.push({
-        hash: tx.hash,
-        ledgerIndex: tx.ledger_index,
-        transactionIndex: tx.meta.TransactionIndex,
-        xrpAddress: sender, // XRP sender address
-        stakerAddress: consistentImuachainAddress, // Use first-bound imuachain address as staker
-        imuachainAddress: consistentImuachainAddress,
-        validatorAddress: memoData.validatorAddress,
-        amount: amount,
-        // XRPL timestamp is Ripple epoch; convert to Unix epoch
-        timestamp: tx.date > 0 ? tx.date + 946684800 : 0,
-      });
-    }
+  protected getPosition(tx: XRPTransaction): TxPosition {
+    return { height: tx.ledger_index, index: tx.meta.TransactionIndex };
+  }
 
-    // Disconnect client when done
+  // Disconnect client when done
+  protected async close(): Promise<void> {
     if (this.client.isConnected()) {
       await this.client.disconnect();
     }
-
-    return stakes;
-  }
-
-  // Get cached validator info (public method for use in genesis generation)
-  public getValidatorInfo(validatorAddr: string): any {
-    return this.validatorInfoCache.get(validatorAddr);
   }
 }
 
@@ -654,384 +520,22 @@ export class XRPGenesisGenerator {
  */
 export async function generateXRPGenesisState(
   stakes: BootstrapStake[],
-  generator?: XRPGenesisGenerator
+  generator?: XRPGenesisGenerator,
+  priceProvider: PriceProvider = createPriceProvider()
 ): Promise<GenesisState> {
-  // Calculate total staked amount
-  const totalStaked = stakes.reduce((sum, stake) => sum + stake.amount, 0);
-
-  // Current timestamp
-  const genesisTime = new Date().toISOString();
-
-  // Asset ID for XRP
-  const xrpAssetId =
-    XRP_CONFIG.VIRTUAL_ADDRESS.toLowerCase() +
-    "_0x" +
-    XRP_CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID.toString(16);
-
-  // Group stakes by validator
-  const validatorStakes = new Map<string, BootstrapStake[]>();
-  stakes.forEach((stake) => {
-    if (!validatorStakes.has(stake.validatorAddress)) {
-      validatorStakes.set(stake.validatorAddress, []);
-    }
-    validatorStakes.get(stake.validatorAddress)!.push(stake);
-  });
-
-  // Create XRP client chain
-  const xrpChain: ClientChain = {
-    name: XRP_CHAIN_CONFIG.NAME,
-    meta_info: XRP_CHAIN_CONFIG.META_INFO,
-    finalization_blocks: XRP_CHAIN_CONFIG.FINALIZATION_BLOCKS,
-    layer_zero_chain_id: XRP_CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID,
-    address_length: XRP_CHAIN_CONFIG.ADDRESS_LENGTH,
-  };
-
-  // Create XRP token
-  const xrpToken: Token = {
-    asset_basic_info: {
-      name: XRP_CONFIG.NAME,
-      symbol: XRP_CONFIG.SYMBOL,
-      address: XRP_CONFIG.VIRTUAL_ADDRESS.toLowerCase(),
-      decimals: XRP_CONFIG.DECIMALS.toString(),
-      layer_zero_chain_id: XRP_CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID,
-      imua_chain_index: "0",
-      meta_info: XRP_CONFIG.META_INFO,
-    },
-    staking_total_amount: totalStaked.toString(),
-  };
-
-  // Group deposits by staker_id (using imuachainAddress as staker)
-  const depositsByStaker = new Map<string, Map<string, number>>();
-
-  for (const stake of stakes) {
-    const stakerId =
-      stake.imuachainAddress.toLowerCase() +
-      "_0x" +
-      XRP_CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID.toString(16);
-
-    if (!depositsByStaker.has(stakerId)) {
-      depositsByStaker.set(stakerId, new Map<string, number>());
-    }
-
-    const stakerDeposits = depositsByStaker.get(stakerId)!;
-    const currentAmount = stakerDeposits.get(xrpAssetId) || 0;
-    stakerDeposits.set(xrpAssetId, currentAmount + stake.amount);
-  }
-
-  // Generate deposits array
-  const deposits = Array.from(depositsByStaker.entries()).map(
-    ([stakerId, assetMap]) => ({
-      staker: stakerId,
-      deposits: Array.from(assetMap.entries()).map(([assetId, amount]) => ({
-        asset_id: assetId,
-        info: {
-          total_deposit_amount: amount.toString(),
-          withdrawable_amount: "0", // All stakes must be delegated
-          pending_undelegation_amount: "0",
-        },
-      })),
-    })
-  );
-
-  // Generate assets state
-  const assetsState: AssetsState = {
-    params: {
-      gateways: [
-        "0x0000000000000000000000000000000000000902", // XRP Gateway address
-      ],
-    },
-    client_chains: [xrpChain],
-    tokens: [xrpToken],
-    deposits: deposits,
-    operator_assets: [],
-  };
-
-  // Generate operator assets
-  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
-    const totalAmount = validatorStakeList.reduce(
-      (sum, stake) => sum + stake.amount,
-      0
-    );
-
-    assetsState.operator_assets.push({
-      operator: validator,
-      assets_state: [
-        {
-          asset_id: xrpAssetId,
-          info: {
-            total_amount: totalAmount.toString(),
-            pending_undelegation_amount: "0",
-            total_share: totalAmount.toString(),
-            operator_share: "0", // Operators don't have their own stake in bootstrap
-          },
-        },
-      ],
-    });
-  }
-
-  // Generate delegation state
-  const delegationState: DelegationState = {
-    associations: [], // No associations for XRP
-    delegation_states: [],
-    stakers_by_operator: [],
-  };
-
-  // Map to collect stakers by operator
-  const stakersByOperator = new Map<string, Set<string>>();
-
-  for (const stake of stakes) {
-    const stakerId =
-      stake.imuachainAddress.toLowerCase() +
-      "_0x" +
-      XRP_CHAIN_CONFIG.LAYER_ZERO_CHAIN_ID.toString(16);
-
-    // Add delegation state
-    const key = `${stakerId}/${xrpAssetId}/${stake.validatorAddress}`;
-    // Check if the key already exist, if exist, then add up the amount, otherwise create a new entry
-    const existingState = delegationState.delegation_states.find((state) => state.key === key);
-    if (existingState) {
-      existingState.states.undelegatable_share = (BigInt(existingState.states.undelegatable_share) + BigInt(stake.amount)).toString();
-    }
-    else {
-      // Create new delegation state entry
-      delegationState.delegation_states.push({
-        key: key,
-        states: {
-          undelegatable_share: stake.amount.toString(),
-          wait_undelegation_amount: "0",
-        },
-      });
-    }
-
-    // Collect stakers by operator
-    const mapKey = `${stake.validatorAddress}/${xrpAssetId}`;
-    if (!stakersByOperator.has(mapKey)) {
-      stakersByOperator.set(mapKey, new Set());
-    }
-    stakersByOperator.get(mapKey)!.add(stakerId);
-  }
-
-  // Convert stakers by operator map to array
-  for (const [key, stakers] of stakersByOperator.entries()) {
-    delegationState.stakers_by_operator.push({
-      key: key,
-      stakers: Array.from(stakers),
-    });
-  }
-
-  // Sort arrays for deterministic output
-  delegationState.delegation_states.sort((a, b) => a.key.localeCompare(b.key));
-  delegationState.stakers_by_operator.sort((a, b) =>
-    a.key.localeCompare(b.key)
-  );
-
-  // Calculate validator power based on stake and XRP price
-  let validators: Validator[] = [];
-  let totalPower = 0;
-
-  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
-    const totalStake = validatorStakeList.reduce(
-      (sum, stake) => sum + stake.amount,
-      0
-    );
-    // Convert XRP drops to XRP (1 XRP = 1,000,000 drops)
-    const xrpAmount = totalStake / 1000000;
-    // Convert XRP to USD value and then to power units(USD value is the power)
-    const usdValue = xrpAmount * config.xrpPriceUsd;
-    const power = Math.floor(usdValue);
-
-    // Get cached validator info to retrieve consensus public key
-    let publicKey = validator; // fallback to validator address
-    if (generator) {
-      const validatorInfo = generator.getValidatorInfo(validator);
-      if (validatorInfo && validatorInfo.consensusPublicKey) {
-        publicKey = validatorInfo.consensusPublicKey;
-      } else {
-        console.warn(
-          `No consensus public key found for validator ${validator}, using validator address`
-        );
-      }
-    }
-
-    validators.push({
-      power: power.toString(),
-      public_key: publicKey,
-    });
-
-    totalPower += power;
-  }
-
-  // Sort validators by power (descending)
-  validators.sort((a, b) => {
-    const powerA = BigInt(a.power);
-    const powerB = BigInt(b.power);
-    if (powerA === powerB) {
-      return a.public_key.localeCompare(b.public_key);
-    }
-    return powerB > powerA ? 1 : -1;
-  });
-
-  // Limit to max validators
-  validators = validators.slice(0, config.maxValidators);
-
-  // Recalculate total power after limiting validators
-  totalPower = validators.reduce(
-    (sum, validator) => sum + parseInt(validator.power),
-    0
-  );
-  // Generate operator state
-  const operatorAssetUsdValues: OperatorAssetUsdValue[] = [];
-  for (const [validator, validatorStakeList] of validatorStakes.entries()) {
-    const totalStake = validatorStakeList.reduce((sum, stake) => sum + stake.amount, 0);
-
-    // Convert XRP drops to XRP (1 XRP = 1,000,000 drops)
-    const xrpAmount = totalStake / 1000000;
-    // Convert XRP to USD value and then to power units(USD value is the power)
-    const usdValue = Math.floor(xrpAmount * config.xrpPriceUsd);
-    // epoch=day :epoch/validator/asset_id
-    const key = `day/${validator}/${xrpAssetId}`;
-    operatorAssetUsdValues.push({
-      key: key,
-      value: {
-        amount: usdValue.toString(),
-      },
-    });
-  }
-
-  const operatorState: OperatorState = {
-    operator_asset_usd_values: operatorAssetUsdValues,
-  };
-  // Generate dogfood state
-  const dogfoodState: DogfoodState = {
-    params: {
-      asset_ids: [xrpAssetId],
-      max_validators: config.maxValidators,
-    },
-    val_set: validators,
-    last_total_power: totalPower.toString(),
-  };
-
-  // Generate oracle state
-  const oracleTokenId = "5"; // XRP token ID in oracle system
-  const currentXrpPriceWithDecimals = Math.floor(
-    config.xrpPriceUsd * Math.pow(10, 8)
-  ).toString(); // Convert to price with 8 decimals
-
-  const oracleState: OracleState = {
-    params: {
-      chains: [
-        {
-          name: "XRP Ledger",
-          desc: "XRP Ledger blockchain"
-        }
-      ],
-      tokens: [
-        {
-          name: XRP_CONFIG.SYMBOL,
-          chain_id: XRP_CONFIG.CHAIN_ID,
-          contract_address: XRP_CONFIG.VIRTUAL_ADDRESS.toLowerCase(),
-          active: true,
-          asset_id: xrpAssetId,
-          decimal: 8,
-        },
-      ],
-      token_feeders: [
-        {
-          token_id: oracleTokenId,
-          start_round_id: "1",
-          start_base_block: "20", // Start from genesis block
-          interval: "30", // 30 blocks interval for price updates
-          end_block: "0", // 0 means no end block (perpetual)
-          rule_id: "2", // Rule ID for XRP price feed
-        },
-      ],
-    },
-    prices_list: [
-      {
-        next_round_id: "1",
-        price_list: [
-          {
-            decimal: 8,
-            price: currentXrpPriceWithDecimals,
-            round_id: "0", // Genesis price round
-          },
-        ],
-        token_id: oracleTokenId,
-      },
-    ],
-  };
-
-  // Combine all states into app state
-  const appState: AppState = {
-    assets: assetsState,
-    delegation: delegationState,
-    operator: operatorState,
-    dogfood: dogfoodState,
-    oracle: oracleState,
-  };
-
-  // Construct the full genesis state
-  const genesisState: GenesisState = {
-    genesis_time: genesisTime,
-    chain_id: "imua-1",
-    initial_height: "1",
-    consensus_params: {
-      block: {
-        max_bytes: "22020096",
-        max_gas: "-1",
-      },
-      evidence: {
-        max_age_num_blocks: "100000",
-        max_age_duration: "172800000000000",
-        max_bytes: "1048576",
-      },
-      validator: {
-        pub_key_types: ["ed25519"],
-      },
-      version: {
-        app: "0",
-      },
-    },
-    app_hash: "",
-    app_state: appState,
-  };
-
-  return genesisState;
+  return generateUTXOGenesisState(XRP_GENESIS_SPEC, stakes, generator, priceProvider);
 }
 
-/**
- * Main function to generate XRP bootstrap genesis
- */
-
 /**
  * Export XRP bootstrap data for UTXOGateway import
- * Similar to exportBootstrapData in bitcoin_genesis.ts
  */
 export async function exportXRPBootstrapData(stakes: BootstrapStake[], resolvedGenesisPath?: string): Promise<void> {
-  // Convert stakes to bootstrap entries
-  const bootstrapData: BootstrapEntry[] = stakes.map((stake) => {
-    // Convert XRP address to UTF-8 bytes format
-    const clientAddressBytes = ethers.hexlify(ethers.toUtf8Bytes(stake.xrpAddress));
-
-    return {
-      clientTxId: `0x${stake.hash}`, // Ensure 0x prefix for XRP transaction hash
-      clientAddress: clientAddressBytes, // XRP address as UTF-8 bytes
-      imuachainAddress: stake.imuachainAddress,
-    };
-  });
-
-  // Use project root's genesis directory
-  const genesisDir = resolvedGenesisPath
-    ? path.dirname(resolvedGenesisPath)
-    : path.join(__dirname, '../../genesis');
-  const bootstrapDataPath = path.join(genesisDir, 'xrp_bootstrap_data.json');
-
-  // Ensure directory exists
-  await fs.promises.mkdir(path.dirname(bootstrapDataPath), { recursive: true });
-  await fs.promises.writeFile(bootstrapDataPath, JSON.stringify(bootstrapData, null, 2));
-  console.log(`Exported ${bootstrapData.length} XRP bootstrap entries to ${bootstrapDataPath}`);
+  await exportUTXOBootstrapData(XRP_GENESIS_SPEC, stakes, resolvedGenesisPath);
 }
 
+/**
+ * Main function to generate XRP bootstrap genesis
+ */
 export async function generateXRPBootstrapGenesis(): Promise<void> {
   const provider = new ethers.JsonRpcProvider(config.rpcUrl);
   const bootstrapContract = new ethers.Contract(
@@ -1048,27 +552,5 @@ export async function generateXRPBootstrapGenesis(): Promise<void> {
     config.xrpMinAmount // in drops
   );
 
-  const stakes = await generator.generateGenesisStakes();
-  const genesisState = await generateXRPGenesisState(stakes, generator);
-
-  const outputPath =
-    process.env.XRP_GENESIS_OUTPUT_PATH || config.genesisOutputPath;
-  const resolvedPath = path.isAbsolute(outputPath)
-    ? outputPath
-    : path.resolve(outputPath);
-  const dir = path.dirname(resolvedPath);
-  await fs.promises.mkdir(dir, { recursive: true });
-
-  // Export bootstrap data for XRPGateway (using resolved path for consistency)
-  await exportXRPBootstrapData(stakes, resolvedPath);
-
-  // Export genesis state
-  await fs.promises.writeFile(
-    resolvedPath,
-    JSON.stringify(genesisState, null, 2)
-  );
-
-  console.log(
-    `Generated XRP genesis state with ${stakes.length} valid stakes - Written to ${resolvedPath}`
-  );
+  await generateUTXOBootstrapGenesis(XRP_GENESIS_SPEC, generator);
 }
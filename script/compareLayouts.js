@@ -1,7 +1,35 @@
+/**
+ * Storage layout comparison
+ *
+ * Checks that the storage layout of a contract can be upgraded to another one, with
+ * @openzeppelin/upgrades-core. Each side of a comparison is a layout source:
+ * - a JSON file, as written by `forge inspect --json <contract> storage-layout` or `cast storage --json`;
+ * - a contract name (or <path>.sol:<name>), whose layout is read from the build-info in out/,
+ *   so `forge build` must have run with the storageLayout extra output (see foundry.toml);
+ * - a contract at a git ref or tag, e.g. UTXOGateway@v1.0.0, compiled in a temporary worktree
+ *   with the submodules pinned at that ref.
+ *
+ *   node script/compareLayouts.js [--config=<path>] [--pair=<before>,<after>]...
+ *     [--contract=<name>[,<name>...] --base=<git ref>] [--out=<dir>] [--shared-libs]
+ *
+ * --contract with --base compares each contract at the ref with the compiled one, e.g.
+ * --contract=UTXOGateway,CustomProxyAdmin --base=main. The config file is JSON:
+ * { "pairs": [{ "before": "ImuaCapsule@main", "after": "ImuaCapsule", "mustExist": true }] }.
+ * Without any pair, the layout files exported by the CI in the current directory are compared.
+ * --shared-libs compiles the refs with the lib/ of the checkout instead of checking out their
+ * submodules, which is faster and offline, but misses the layout changes of the libraries.
+ */
+
 const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
 const { getStorageUpgradeReport } = require('@openzeppelin/upgrades-core');
 
-// Mapping of deployed and compiled file names
+const REPO_ROOT = path.join(__dirname, '..');
+const OUT_DIR = path.join(REPO_ROOT, 'out');
+
+// Mapping of deployed and compiled file names, as exported by the CI
 const fileMappings = [
   { before: 'Bootstrap.deployed.json', after: 'Bootstrap.compiled.json', mustExist: true },
   { before: 'ClientChainGateway.deployed.json', after: 'ClientChainGateway.compiled.json', mustExist: true },
@@ -12,40 +40,250 @@ const fileMappings = [
   { before: 'Bootstrap.compiled.json', after: 'ClientChainGateway.compiled.json', mustExist: true },
 ];
 
-// Loop through each mapping, load JSON files, and run the comparison
-fileMappings.forEach(({ before, after, mustExist }) => {
-  console.log(`🔍 Comparing ${before} and ${after}...`);
+/**
+ * Parse a layout source.
+ * @param {string} spec - A JSON file, a contract, or a contract at a git ref (<contract>@<ref>)
+ * @returns {Object} The source: { kind: 'file', path }, { kind: 'compiled', contract } or
+ * { kind: 'git', contract, ref }
+ */
+function parseSource(spec) {
+  if (spec.endsWith('.json')) {
+    return { kind: 'file', path: spec };
+  }
+  const at = spec.indexOf('@');
+  if (at > 0) {
+    return { kind: 'git', contract: spec.slice(0, at), ref: spec.slice(at + 1) };
+  }
+  return { kind: 'compiled', contract: spec };
+}
 
-  try {
-    // Ensure files exist
-    const beforeExists = fs.existsSync(before);
-    const afterExists = fs.existsSync(after);
+/**
+ * Split a contract into its source path, if given, and its name.
+ * @param {string} contract - <name> or <path>.sol:<name>
+ * @returns {Object} { sourcePath, name }
+ */
+function splitContract(contract) {
+  const colon = contract.lastIndexOf(':');
+  return colon < 0
+    ? { sourcePath: null, name: contract }
+    : { sourcePath: contract.slice(0, colon), name: contract.slice(colon + 1) };
+}
 
-    if (!beforeExists || !afterExists) {
-      if (mustExist) {
-        throw new Error(`❌ Required file(s) missing: ${beforeExists ? '' : before} ${afterExists ? '' : after}`);
-      }
-      console.log(`⚠️ Skipping: Missing file(s): ${beforeExists ? '' : before} ${afterExists ? '' : after}`);
-      return;
+/**
+ * Find a compiled contract in the Foundry build-info.
+ * @param {string} outDir - The out/ directory
+ * @param {string} contract - <name> or <path>.sol:<name>
+ * @returns {Object} The contract: { buildInfoPath, buildInfo, sourcePath, name }
+ */
+function findCompiledContract(outDir, contract) {
+  const { sourcePath, name } = splitContract(contract);
+  const buildInfoDir = path.join(outDir, 'build-info');
+  const buildInfos = fs.existsSync(buildInfoDir)
+    ? fs.readdirSync(buildInfoDir)
+      .filter((file) => file.endsWith('.json'))
+      .map((file) => path.join(buildInfoDir, file))
+      .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs)
+    : [];
+
+  // The most recent build wins; contracts of src/ are preferred to those of lib/ of the same name
+  for (const buildInfoPath of buildInfos) {
+    const buildInfo = JSON.parse(fs.readFileSync(buildInfoPath, 'utf8'));
+    const contracts = buildInfo.output?.contracts ?? {};
+    const sources = Object.keys(contracts)
+      .filter((source) => contracts[source][name] && (!sourcePath || source === sourcePath))
+      .sort((a, b) => Number(b.startsWith('src/')) - Number(a.startsWith('src/')));
+    if (sources.length > 0) {
+      return { buildInfoPath, buildInfo, sourcePath: sources[0], name };
     }
+  }
+  throw new Error(`${contract} is not compiled in ${buildInfoDir}, run forge build.`);
+}
 
-    // Load the JSON files
-    const deployedData = JSON.parse(fs.readFileSync(before, 'utf8'));
-    const compiledData = JSON.parse(fs.readFileSync(after, 'utf8'));
+/**
+ * Read the storage layout of a compiled contract from the Foundry build-info.
+ * @param {string} outDir - The out/ directory
+ * @param {string} contract - <name> or <path>.sol:<name>
+ * @returns {Object} The layout: { storage, types }
+ */
+function loadCompiledLayout(outDir, contract) {
+  const { buildInfoPath, buildInfo, sourcePath, name } = findCompiledContract(outDir, contract);
+  const { storageLayout } = buildInfo.output.contracts[sourcePath][name];
+  if (!storageLayout) {
+    throw new Error(`${buildInfoPath} has no storage layout, build with the storageLayout extra output.`);
+  }
+  return storageLayout;
+}
 
-    // Run the storage upgrade comparison
-    const report = getStorageUpgradeReport(deployedData, compiledData, { unsafeAllowCustomTypes: true });
+/**
+ * Compile the storage layout of a contract at a git ref, in a temporary worktree where the
+ * submodules are checked out at the commits the ref pins, so that the inherited layouts of the
+ * libraries are those of the ref too.
+ * @param {string} ref - The git ref or tag
+ * @param {string} contract - <name> or <path>.sol:<name>
+ * @param {string} [repoRoot] - The repository
+ * @param {boolean} [sharedLibs] - Use the lib/ of the repository instead of the submodules of the ref
+ * @returns {Object} The layout: { storage, types }
+ */
+function loadLayoutAtRef(ref, contract, repoRoot = REPO_ROOT, sharedLibs = false) {
+  const { sourcePath, name } = splitContract(contract);
+  const git = (...args) => execFileSync('git', args, { cwd: repoRoot, encoding: 'utf8' });
 
-    // Print the report if issues are found
-    if (!report.ok) {
-      console.log(`⚠️ Issues found in ${before} and ${after}:`);
-      console.log(report.explain());
-      process.exitCode = 1;
+  let source = sourcePath;
+  if (!source) {
+    const matches = git('ls-tree', '-r', '--name-only', ref, 'src')
+      .split('\n')
+      .filter((file) => path.basename(file) === `${name}.sol`);
+    if (matches.length !== 1) {
+      throw new Error(`Found ${matches.length} sources of ${name} at ${ref}, give it as <path>.sol:${name}.`);
+    }
+    source = matches[0];
+  }
+
+  let worktree = null;
+  let added = false;
+  try {
+    worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'layout-'));
+    git('worktree', 'add', '--detach', worktree, ref);
+    added = true;
+    if (sharedLibs) {
+      fs.rmSync(path.join(worktree, 'lib'), { recursive: true, force: true });
+      fs.symlinkSync(path.join(repoRoot, 'lib'), path.join(worktree, 'lib'));
     } else {
-      console.log(`✅ No issues detected between ${before} and ${after}.`);
+      execFileSync('git', ['submodule', 'update', '--init', '--recursive'], { cwd: worktree, stdio: 'ignore' });
+    }
+    const output = execFileSync('forge', ['inspect', '--json', `${source}:${name}`, 'storage-layout'], {
+      cwd: worktree,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+    });
+    return JSON.parse(output);
+  } finally {
+    if (added) {
+      git('worktree', 'remove', '--force', worktree);
+    }
+    if (worktree) {
+      fs.rmSync(worktree, { recursive: true, force: true });
     }
-  } catch (error) {
-    console.error(`❌ Error processing ${before} and ${after}: ${error.message}`);
-    process.exitCode = 1;
   }
-});
+}
+
+/**
+ * Load the layout of a source.
+ * @param {string} spec - The source, see parseSource
+ * @param {Object} options - { outDir, repoRoot, sharedLibs }, see loadLayoutAtRef
+ * @returns {Object|null} The layout, null if it is a missing file
+ */
+function loadLayout(spec, { outDir = OUT_DIR, repoRoot = REPO_ROOT, sharedLibs = false } = {}) {
+  const source = parseSource(spec);
+  switch (source.kind) {
+  case 'file':
+    return fs.existsSync(source.path) ? JSON.parse(fs.readFileSync(source.path, 'utf8')) : null;
+  case 'git':
+    return loadLayoutAtRef(source.ref, source.contract, repoRoot, sharedLibs);
+  default:
+    return loadCompiledLayout(outDir, source.contract);
+  }
+}
+
+/**
+ * Collect the pairs to compare from the command line and the config file.
+ * @param {Array<string>} argv - The command line arguments
+ * @returns {Array<Object>} The pairs: { before, after, mustExist }
+ */
+function pairsFromArgs(argv) {
+  const values = (name) => argv.filter((arg) => arg.startsWith(`--${name}=`)).map((arg) => arg.slice(name.length + 3));
+  const pairs = [];
+
+  const [configPath] = values('config');
+  if (configPath) {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    if (!Array.isArray(config.pairs)) {
+      throw new Error(`${configPath} has no pairs.`);
+    }
+    pairs.push(...config.pairs.map(({ before, after, mustExist = true }) => ({ before, after, mustExist })));
+  }
+
+  for (const pair of values('pair')) {
+    const [before, after, ...rest] = pair.split(',');
+    if (!before || !after || rest.length > 0) {
+      throw new Error(`Invalid pair ${pair}, expected --pair=<before>,<after>.`);
+    }
+    pairs.push({ before, after, mustExist: true });
+  }
+
+  const [contracts] = values('contract');
+  const [base] = values('base');
+  if (contracts || base) {
+    if (!contracts || !base) {
+      throw new Error('--contract and --base go together, e.g. --contract=UTXOGateway --base=main.');
+    }
+    pairs.push(...contracts.split(',').map((contract) => ({ before: `${contract}@${base}`, after: contract, mustExist: true })));
+  }
+
+  return pairs.length > 0 ? pairs : fileMappings;
+}
+
+/**
+ * Compare the layouts of a pair.
+ * @param {Object} pair - { before, after, mustExist }
+ * @param {Object} [options] - See loadLayout
+ * @returns {Object} The result: { ok, skipped, explanation }
+ */
+function comparePair({ before, after, mustExist }, options = {}) {
+  const deployedData = loadLayout(before, options);
+  const compiledData = loadLayout(after, options);
+  if (!deployedData || !compiledData) {
+    const missing = [deployedData ? null : before, compiledData ? null : after].filter(Boolean).join(' ');
+    if (mustExist) {
+      throw new Error(`Required file(s) missing: ${missing}`);
+    }
+    return { ok: true, skipped: true, explanation: `Missing file(s): ${missing}` };
+  }
+
+  const report = getStorageUpgradeReport(deployedData, compiledData, { unsafeAllowCustomTypes: true });
+  return { ok: report.ok, skipped: false, explanation: report.ok ? '' : report.explain() };
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const outDir = argv.find((arg) => arg.startsWith('--out='))?.slice('--out='.length) || OUT_DIR;
+  const sharedLibs = argv.includes('--shared-libs');
+
+  // Loop through each pair, load the layouts, and run the comparison
+  pairsFromArgs(argv).forEach((pair) => {
+    const { before, after } = pair;
+    console.log(`🔍 Comparing ${before} and ${after}...`);
+
+    try {
+      const { ok, skipped, explanation } = comparePair(pair, { outDir, sharedLibs });
+      if (skipped) {
+        console.log(`⚠️ Skipping: ${explanation}`);
+      } else if (!ok) {
+        console.log(`⚠️ Issues found in ${before} and ${after}:`);
+        console.log(explanation);
+        process.exitCode = 1;
+      } else {
+        console.log(`✅ No issues detected between ${before} and ${after}.`);
+      }
+    } catch (error) {
+      console.error(`❌ Error processing ${before} and ${after}: ${error.message}`);
+      process.exitCode = 1;
+    }
+  });
+}
+
+module.exports = {
+  fileMappings,
+  parseSource,
+  findCompiledContract,
+  loadCompiledLayout,
+  loadLayoutAtRef,
+  loadLayout,
+  pairsFromArgs,
+  comparePair,
+};
+
+// Only run if script is run directly
+if (require.main === module) {
+  main();
+}
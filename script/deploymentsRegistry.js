@@ -0,0 +1,557 @@
+/**
+ * Deployments registry
+ *
+ * script/deployments/registry.json records, for every network, the contracts deployed on it:
+ * the proxy (if any), the implementation, the proxy admin, the deployer, the transaction and
+ * block of the deployment or of the upgrade which set the implementation, and the hash of the
+ * build artifact. Replaced deployments are kept in the history of each contract, oldest first.
+ *
+ * deployedContracts.json, which the Foundry scripts and the CI read and write, is a view of the
+ * registry: `export` regenerates it and `import` records what a Foundry script has written to it.
+ *
+ * The files of the Bootstrap-only launch (scripts 7 to 14) stay out of it:
+ * deployedBootstrapOnly.json and deployedImuachainGatewayOnly.json, which scripts 8, 9, 11, 12 and
+ * 14 read, and the outputs of scripts 12 and 14, redeployClientChainGateway.json and
+ * correctBootstrapErrors.json. They record a second set of contracts on the networks of
+ * deployedContracts.json, e.g. another bootstrap on sepolia, which a network of the registry,
+ * one deployment per contract, cannot hold next to the first.
+ *
+ *   node script/deploymentsRegistry.js list [--network=<name>]
+ *   node script/deploymentsRegistry.js diff --network=<name> [--rpc=<url>]
+ *   node script/deploymentsRegistry.js export [--output=<path>]
+ *   node script/deploymentsRegistry.js import [--input=<path>]
+ *
+ * diff compares the registry with the chain: the code of every contract and the EIP-1967
+ * implementation and admin slots of every proxy. The RPC is --rpc, or RPC_URL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const REGISTRY_PATH = path.join(__dirname, 'deployments/registry.json');
+const DEPLOYED_CONTRACTS_PATH = path.join(__dirname, 'deployments/deployedContracts.json');
+const REGISTRY_VERSION = 1;
+
+// bytes32(uint256(keccak256('eip1967.proxy.implementation')) - 1) and the same for the admin
+const EIP1967_IMPLEMENTATION_SLOT = '0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc';
+const EIP1967_ADMIN_SLOT = '0xb53127684a568b3173ae13b9f8a6016e243e63b6e8ee1178d6a717850b5d6103';
+
+// The registry networks of the hardhat networks which are not named after them; the others,
+// e.g. imuachain_localnet, have a network of their own
+const HARDHAT_NETWORKS = {
+  imuachain_testnet: 'imuachain',
+};
+
+// In deployedContracts.json, the implementation of a proxy is recorded as <name>Logic
+const LEGACY_LOGIC_SUFFIX = 'Logic';
+
+// The fields of a deployment, and whether they are addresses, hashes or anything else
+const DEPLOYMENT_FIELDS = {
+  proxy: 'address',
+  implementation: 'address',
+  admin: 'address',
+  deployer: 'address',
+  txHash: 'hash',
+  blockNumber: 'block',
+  artifactHash: 'hash',
+  timestamp: 'string',
+  metadata: 'object',
+};
+
+/**
+ * Check a value of a deployment field.
+ * @param {string} kind - See DEPLOYMENT_FIELDS
+ * @param {*} value - The value, null when it is not known
+ * @returns {boolean} Whether it is valid
+ */
+function isValidField(kind, value) {
+  if (value === null) {
+    return true;
+  }
+  switch (kind) {
+  case 'address':
+    return typeof value === 'string' && ethers.isAddress(value);
+  case 'hash':
+    return typeof value === 'string' && ethers.isHexString(value, 32);
+  case 'block':
+    return Number.isSafeInteger(value) && value >= 0;
+  case 'string':
+    return typeof value === 'string';
+  default:
+    return typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+/**
+ * Check a deployment against the schema.
+ * @param {*} deployment - The deployment
+ * @param {string} where - Its location, for the errors
+ * @param {boolean} withHistory - Whether it is a current deployment, which has a history
+ * @returns {Array<string>} The errors
+ */
+function validateDeployment(deployment, where, withHistory) {
+  if (typeof deployment !== 'object' || deployment === null || Array.isArray(deployment)) {
+    return [`${where} is not an object`];
+  }
+  const errors = [];
+  for (const key of Object.keys(deployment)) {
+    if (!(key in DEPLOYMENT_FIELDS) && !(withHistory && key === 'history')) {
+      errors.push(`${where} has an unknown field ${key}`);
+    }
+  }
+  for (const [key, kind] of Object.entries(DEPLOYMENT_FIELDS)) {
+    if (!(key in deployment)) {
+      errors.push(`${where}.${key} is missing`);
+    } else if (!isValidField(kind, deployment[key])) {
+      errors.push(`${where}.${key} is not a valid ${kind}: ${JSON.stringify(deployment[key])}`);
+    }
+  }
+  if (deployment.implementation === null) {
+    errors.push(`${where}.implementation is missing`);
+  }
+  if (withHistory) {
+    if (!Array.isArray(deployment.history)) {
+      errors.push(`${where}.history is not an array`);
+    } else {
+      deployment.history.forEach((previous, i) => {
+        errors.push(...validateDeployment(previous, `${where}.history[${i}]`, false));
+      });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Check the content of a registry against the schema.
+ * @param {*} data - The content of registry.json
+ * @returns {Array<string>} The errors, empty if it is valid
+ */
+function validateRegistry(data) {
+  if (typeof data !== 'object' || data === null) {
+    return ['the registry is not an object'];
+  }
+  const errors = [];
+  if (data.version !== REGISTRY_VERSION) {
+    errors.push(`unsupported registry version ${data.version}, expected ${REGISTRY_VERSION}`);
+  }
+  if (typeof data.networks !== 'object' || data.networks === null) {
+    return [...errors, 'networks is not an object'];
+  }
+  for (const [network, record] of Object.entries(data.networks)) {
+    const { chainId = null, contracts = null } = record ?? {};
+    if (chainId !== null && !Number.isSafeInteger(chainId)) {
+      errors.push(`${network}.chainId is not a chain id: ${JSON.stringify(chainId)}`);
+    }
+    if (typeof contracts !== 'object' || contracts === null) {
+      errors.push(`${network}.contracts is not an object`);
+      continue;
+    }
+    for (const [name, deployment] of Object.entries(contracts)) {
+      errors.push(...validateDeployment(deployment, `${network}.${name}`, true));
+    }
+  }
+  return errors;
+}
+
+/**
+ * The hash recorded for a build artifact: keccak256 of its creation bytecode.
+ * @param {string|Object} artifact - The bytecode, or a Foundry or hardhat artifact
+ * @returns {string} The hash
+ */
+function artifactHash(artifact) {
+  const bytecode = typeof artifact === 'string' ? artifact : artifact.bytecode?.object ?? artifact.bytecode;
+  if (!ethers.isHexString(bytecode) || bytecode === '0x') {
+    throw new Error('The artifact has no bytecode.');
+  }
+  return ethers.keccak256(bytecode);
+}
+
+/**
+ * The deployed contracts of every network, loaded from and saved to registry.json.
+ */
+class DeploymentsRegistry {
+  /**
+   * @param {Object} [data] - The content of registry.json
+   * @param {string} [filePath] - Where it is saved to
+   */
+  constructor(data = { version: REGISTRY_VERSION, networks: {} }, filePath = REGISTRY_PATH) {
+    const errors = validateRegistry(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid deployments registry:\n  ${errors.join('\n  ')}`);
+    }
+    this.data = data;
+    this.filePath = filePath;
+  }
+
+  /**
+   * @param {string} [filePath] - The registry file
+   * @returns {DeploymentsRegistry} The registry, empty if the file does not exist
+   */
+  static load(filePath = REGISTRY_PATH) {
+    if (!fs.existsSync(filePath)) {
+      return new DeploymentsRegistry(undefined, filePath);
+    }
+    return new DeploymentsRegistry(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+  }
+
+  /**
+   * @param {string} [filePath] - Where to save the registry, where it was loaded from by default
+   */
+  save(filePath = this.filePath) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, `${JSON.stringify(this.data, null, 2)}\n`);
+  }
+
+  /**
+   * @returns {Array<string>} The networks, in the order they were recorded
+   */
+  networks() {
+    return Object.keys(this.data.networks);
+  }
+
+  /**
+   * @param {string} network - The network
+   * @returns {number|null} Its chain id, if it is known
+   */
+  chainId(network) {
+    return this.data.networks[network]?.chainId ?? null;
+  }
+
+  /**
+   * @param {string} network - The network
+   * @returns {Object} The deployments of the network by contract name
+   */
+  contracts(network) {
+    return this.data.networks[network]?.contracts ?? {};
+  }
+
+  /**
+   * @param {string} network - The network
+   * @param {string} name - The contract, e.g. utxoGateway
+   * @returns {Object|null} Its deployment
+   */
+  get(network, name) {
+    return this.contracts(network)[name] ?? null;
+  }
+
+  /**
+   * @param {string} network - The network
+   * @param {string} name - The contract
+   * @returns {string|null} The address it is called at: the proxy, or the contract itself
+   */
+  address(network, name) {
+    const deployment = this.get(network, name);
+    return deployment ? deployment.proxy ?? deployment.implementation : null;
+  }
+
+  /**
+   * Record the chain id of a network. A network which is known to be on another chain is
+   * refused, so that a deployment on another chain does not replace its contracts.
+   * @param {string} network - The network
+   * @param {number|bigint} chainId - Its chain id
+   */
+  setChainId(network, chainId) {
+    const recorded = this.chainId(network);
+    if (recorded !== null && recorded !== Number(chainId)) {
+      throw new Error(`${network} is chain ${recorded} in the registry, not chain ${chainId}.`);
+    }
+    this.network(network).chainId = Number(chainId);
+  }
+
+  /**
+   * Record a deployment. If the contract was deployed with another proxy or implementation,
+   * the previous deployment is moved to its history; otherwise the fields given are updated.
+   * @param {string} network - The network
+   * @param {string} name - The contract
+   * @param {Object} fields - The fields of the deployment, see DEPLOYMENT_FIELDS
+   * @returns {Object} The deployment recorded
+   */
+  record(network, name, fields) {
+    const contracts = this.network(network).contracts;
+    const previous = contracts[name];
+    const normalized = Object.fromEntries(Object.entries(fields).map(([key, value]) => [
+      key,
+      DEPLOYMENT_FIELDS[key] === 'address' && typeof value === 'string' ? ethers.getAddress(value) : value,
+    ]));
+
+    const unchanged = (key) => !(key in normalized) || normalized[key] === previous[key];
+
+    let deployment;
+    if (previous && unchanged('proxy') && unchanged('implementation')) {
+      deployment = { ...previous, ...normalized, history: previous.history };
+    } else {
+      const { history = [], ...replaced } = previous ?? {};
+      deployment = {
+        proxy: null,
+        implementation: null,
+        admin: null,
+        deployer: null,
+        txHash: null,
+        blockNumber: null,
+        artifactHash: null,
+        timestamp: new Date().toISOString(),
+        metadata: null,
+        ...normalized,
+        history: previous ? [...history, replaced] : [],
+      };
+    }
+
+    const errors = validateDeployment(deployment, `${network}.${name}`, true);
+    if (errors.length > 0) {
+      throw new Error(`Invalid deployment:\n  ${errors.join('\n  ')}`);
+    }
+    contracts[name] = deployment;
+    return deployment;
+  }
+
+  /**
+   * @returns {Object} The registry in the format of deployedContracts.json: the addresses of
+   * every network by contract name, with the implementation of a proxy as <name>Logic
+   */
+  toLegacy() {
+    const legacy = {};
+    for (const network of this.networks()) {
+      const addresses = {};
+      for (const [name, { proxy, implementation }] of Object.entries(this.contracts(network))) {
+        if (proxy) {
+          addresses[name] = proxy;
+          addresses[`${name}${LEGACY_LOGIC_SUFFIX}`] = implementation;
+        } else {
+          addresses[name] = implementation;
+        }
+      }
+      legacy[network] = Object.fromEntries(Object.entries(addresses).sort(([a], [b]) => a.localeCompare(b)));
+    }
+    return legacy;
+  }
+
+  /**
+   * Write the registry in the format of deployedContracts.json.
+   * @param {string} [filePath] - Where to write it to
+   */
+  exportLegacy(filePath = DEPLOYED_CONTRACTS_PATH) {
+    fs.writeFileSync(filePath, `${JSON.stringify(this.toLegacy(), null, 2)}\n`);
+  }
+
+  /**
+   * Record the addresses of deployedContracts.json, e.g. after a Foundry script has deployed
+   * or upgraded a contract. A key with a <key>Logic sibling is a proxy, and the admin of the
+   * proxies is the proxyAdmin (or imuachainProxyAdmin) of the network.
+   * @param {Object} legacy - The content of deployedContracts.json
+   * @returns {Array<string>} The contracts recorded or changed, as <network>.<name>
+   */
+  importLegacy(legacy) {
+    const changed = [];
+    for (const [network, addresses] of Object.entries(legacy)) {
+      const admin = addresses.proxyAdmin ?? addresses.imuachainProxyAdmin ?? null;
+      for (const [name, address] of Object.entries(addresses)) {
+        const proxied = addresses[`${name}${LEGACY_LOGIC_SUFFIX}`];
+        if (name.endsWith(LEGACY_LOGIC_SUFFIX) && addresses[name.slice(0, -LEGACY_LOGIC_SUFFIX.length)]) {
+          continue;
+        }
+        const fields = proxied
+          ? { proxy: address, implementation: proxied }
+          : { proxy: null, implementation: address };
+        const previous = this.get(network, name);
+        if (previous && previous.proxy === (fields.proxy && ethers.getAddress(fields.proxy))
+          && previous.implementation === ethers.getAddress(fields.implementation)) {
+          continue;
+        }
+        this.record(network, name, proxied ? { ...fields, admin: previous?.admin ?? admin } : fields);
+        changed.push(`${network}.${name}`);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Record the addresses of a deployedContracts.json file, if it exists. The scripts which
+   * read the registry start with it, so that a Foundry deployment which was not imported yet
+   * is neither missed by their lookups nor reverted by their export.
+   * @param {string} [filePath] - The file
+   * @returns {Array<string>} The contracts recorded or changed, as <network>.<name>
+   */
+  importLegacyFile(filePath = DEPLOYED_CONTRACTS_PATH) {
+    if (!fs.existsSync(filePath)) {
+      return [];
+    }
+    return this.importLegacy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+
+  /**
+   * @param {string} network - The network
+   * @returns {Object} The record of the network, created if needed
+   */
+  network(network) {
+    if (!this.data.networks[network]) {
+      this.data.networks[network] = { chainId: null, contracts: {} };
+    }
+    return this.data.networks[network];
+  }
+}
+
+/**
+ * The registry network of a hardhat network, see HARDHAT_NETWORKS.
+ * @param {string} hardhatNetwork - The name of the hardhat network
+ * @returns {string} The network in the registry
+ */
+function registryNetworkFor(hardhatNetwork) {
+  return HARDHAT_NETWORKS[hardhatNetwork] ?? hardhatNetwork;
+}
+
+/**
+ * Read an address from a storage slot.
+ * @param {ethers.Provider} provider - The provider
+ * @param {string} address - The contract
+ * @param {string} slot - The slot
+ * @param {string|number} blockTag - The block to read at
+ * @returns {Promise<string|null>} The address, null if the slot is empty
+ */
+async function readAddressSlot(provider, address, slot, blockTag) {
+  const value = await provider.getStorage(address, slot, blockTag);
+  const stored = ethers.getAddress(ethers.dataSlice(ethers.zeroPadValue(value, 32), 12));
+  return stored === ethers.ZeroAddress ? null : stored;
+}
+
+/**
+ * Compare the registry with the chain: every contract must have code, and every proxy must
+ * point to the implementation and the admin recorded.
+ * @param {DeploymentsRegistry} registry - The registry
+ * @param {string} network - The network the provider is connected to
+ * @param {ethers.Provider} provider - The provider
+ * @param {string|number} [blockTag] - The block to compare at
+ * @returns {Promise<Array<Object>>} The contracts which differ: { name, address, issues }
+ */
+async function diffNetwork(registry, network, provider, blockTag = 'latest') {
+  const expectedChainId = registry.chainId(network);
+  if (expectedChainId !== null) {
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== BigInt(expectedChainId)) {
+      throw new Error(`The provider is connected to chain ${chainId}, but ${network} is chain ${expectedChainId}.`);
+    }
+  }
+
+  const differences = [];
+  for (const [name, deployment] of Object.entries(registry.contracts(network))) {
+    const issues = [];
+    if ((await provider.getCode(deployment.implementation, blockTag)) === '0x') {
+      issues.push(`no code at implementation ${deployment.implementation}`);
+    }
+    if (deployment.proxy) {
+      if ((await provider.getCode(deployment.proxy, blockTag)) === '0x') {
+        issues.push(`no code at proxy ${deployment.proxy}`);
+      } else {
+        const implementation = await readAddressSlot(provider, deployment.proxy, EIP1967_IMPLEMENTATION_SLOT, blockTag);
+        if (implementation !== deployment.implementation) {
+          issues.push(`implementation is ${implementation ?? 'not set'} on chain, ${deployment.implementation} in the registry`);
+        }
+        const admin = await readAddressSlot(provider, deployment.proxy, EIP1967_ADMIN_SLOT, blockTag);
+        if (deployment.admin && admin !== deployment.admin) {
+          issues.push(`admin is ${admin ?? 'not set'} on chain, ${deployment.admin} in the registry`);
+        }
+      }
+    }
+    if (issues.length > 0) {
+      differences.push({ name, address: registry.address(network, name), issues });
+    }
+  }
+  return differences;
+}
+
+/**
+ * Get an option of the command line, e.g. --network=<name>.
+ * @param {Array<string>} argv - The command line arguments
+ * @param {string} name - The option
+ * @returns {string|undefined} Its value
+ */
+function getOption(argv, name) {
+  return argv.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const [command] = argv.filter((arg) => !arg.startsWith('--'));
+  const registry = DeploymentsRegistry.load();
+
+  switch (command) {
+  case 'list': {
+    const network = getOption(argv, 'network');
+    for (const name of network ? [network] : registry.networks()) {
+      const chainId = registry.chainId(name);
+      console.log(`${name}${chainId === null ? '' : ` (chain ${chainId})`}`);
+      for (const [contract, deployment] of Object.entries(registry.contracts(name))) {
+        const proxy = deployment.proxy ? ` proxy ${deployment.proxy} admin ${deployment.admin ?? 'unknown'}` : '';
+        const block = deployment.blockNumber === null ? '' : ` at block ${deployment.blockNumber}`;
+        const upgrades = deployment.history.length > 0 ? `, ${deployment.history.length} previous` : '';
+        console.log(`  ${contract}: ${deployment.implementation}${proxy}${block}${upgrades}`);
+      }
+    }
+    break;
+  }
+  case 'diff': {
+    const network = getOption(argv, 'network');
+    const rpcUrl = getOption(argv, 'rpc') || process.env.RPC_URL;
+    if (!network || !rpcUrl) {
+      throw new Error('diff needs --network=<name> and --rpc=<url> (or RPC_URL).');
+    }
+    const differences = await diffNetwork(registry, network, new ethers.JsonRpcProvider(rpcUrl));
+    if (differences.length === 0) {
+      console.log(`✅ The ${Object.keys(registry.contracts(network)).length} contracts of ${network} match the chain.`);
+      break;
+    }
+    for (const { name, address, issues } of differences) {
+      console.log(`❌ ${name} (${address}):`);
+      issues.forEach((issue) => console.log(`   - ${issue}`));
+    }
+    process.exitCode = 1;
+    break;
+  }
+  case 'export': {
+    const outputPath = getOption(argv, 'output') || DEPLOYED_CONTRACTS_PATH;
+    registry.exportLegacy(outputPath);
+    console.log(`Exported the registry to ${outputPath}`);
+    break;
+  }
+  case 'import': {
+    const inputPath = getOption(argv, 'input') || DEPLOYED_CONTRACTS_PATH;
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`${inputPath} does not exist.`);
+    }
+    const changed = registry.importLegacyFile(inputPath);
+    registry.save();
+    console.log(changed.length > 0 ? `Recorded ${changed.join(', ')}` : `${inputPath} matches the registry.`);
+    break;
+  }
+  default:
+    console.error(`Usage: node script/deploymentsRegistry.js <command>
+
+Commands:
+  list [--network=<name>]               List the deployments
+  diff --network=<name> [--rpc=<url>]   Compare a network with the chain (code and EIP-1967 slots)
+  export [--output=<path>]              Write the registry as deployedContracts.json
+  import [--input=<path>]               Record the addresses of deployedContracts.json`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  DEPLOYED_CONTRACTS_PATH,
+  EIP1967_IMPLEMENTATION_SLOT,
+  EIP1967_ADMIN_SLOT,
+  HARDHAT_NETWORKS,
+  validateRegistry,
+  artifactHash,
+  registryNetworkFor,
+  DeploymentsRegistry,
+  diffNetwork,
+};
+
+// Only run if script is run directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -1,29 +1,33 @@
-const { ethers } = require("hardhat");
-const fs = require('fs');
+const { ethers, network } = require("hardhat");
 const path = require('path');
 const { assert } = require("console");
+const {
+  UNSIGNED_TRANSACTIONS_DIR,
+  UnsignedTransactionBatch,
+  signerOptionsFromEnv,
+  unsignedTransactionsPathFor,
+} = require('../bootstrap/external_signer.js');
+const { DeploymentsRegistry, DEPLOYED_CONTRACTS_PATH, REGISTRY_PATH, registryNetworkFor } = require('../deploymentsRegistry.js');
 
 const ASSETS_PRECOMPILE_ADDRESS = "0x0000000000000000000000000000000000000804";
-const DEPLOYED_CONTRACTS_PATH = path.join(__dirname, '../deployments/deployedContracts.json');
 
 async function main() {
   console.log("Running fix for authorized gateways...");
   
-  // 1. Read both gateway addresses from deployedContracts.json
-  let deployedContracts = {};
-  if (fs.existsSync(DEPLOYED_CONTRACTS_PATH)) {
-    deployedContracts = JSON.parse(fs.readFileSync(DEPLOYED_CONTRACTS_PATH, 'utf8'));
-  } else {
-    console.error("Cannot find json file of deployed contracts");
-    process.exit(1);
+  // 1. Read both gateway addresses from the deployments registry
+  const registry = DeploymentsRegistry.load();
+  // Record what the Foundry scripts wrote to deployedContracts.json since the last import, before any lookup
+  const imported = registry.importLegacyFile();
+  if (imported.length > 0) {
+    console.log(`Recorded from ${DEPLOYED_CONTRACTS_PATH}: ${imported.join(', ')}`);
   }
-
-  // Get both gateway addresses
-  const imuachainGateway = deployedContracts.imuachain?.imuachainGateway;
-  const utxoGateway = deployedContracts.imuachain?.utxoGateway;
+  const registryNetwork = registryNetworkFor(network.name);
+  registry.setChainId(registryNetwork, (await ethers.provider.getNetwork()).chainId);
+  const imuachainGateway = registry.address(registryNetwork, "imuachainGateway");
+  const utxoGateway = registry.address(registryNetwork, "utxoGateway");
 
   if (!imuachainGateway || !utxoGateway) {
-    console.error("Missing gateway addresses in deployedContracts.json");
+    console.error(`Missing gateway addresses in ${REGISTRY_PATH}`);
     console.log("imuachainGateway:", imuachainGateway);
     console.log("utxoGateway:", utxoGateway);
     process.exit(1);
@@ -35,12 +39,30 @@ async function main() {
 
   // 2. Set both gateways as authorized
   try {
+    // Connect to the Assets precompile
+    const assetsPrecompile = await ethers.getContractAt("IAssets", ASSETS_PRECOMPILE_ADDRESS);
+
+    // With SIGNER_MODE=safe or rpc, the transaction is written for the Safe or the external signer
+    const signer = signerOptionsFromEnv();
+    if (signer.mode !== 'local') {
+      const batch = new UnsignedTransactionBatch({
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        from: signer.from,
+        name: "Authorize gateways",
+        description: "Authorize imuachainGateway and utxoGateway in the Assets precompile",
+      });
+      await batch.addCall(assetsPrecompile, "updateAuthorizedGateways", [[imuachainGateway, utxoGateway]]);
+      await batch.write(
+        signer.mode,
+        signer.outputPath || unsignedTransactionsPathFor(path.join(UNSIGNED_TRANSACTIONS_DIR, `authorized-gateways-${network.name}`), signer.mode)
+      );
+      console.log("\nThe gateways are authorized once the transaction is executed.");
+      return;
+    }
+
     const [deployer] = await ethers.getSigners();
     console.log("Using account:", deployer.address);
 
-    // Connect to the Assets precompile
-    const assetsPrecompile = await ethers.getContractAt("IAssets", ASSETS_PRECOMPILE_ADDRESS);
-    
     // Update authorized gateways to include both gateways
     console.log("Authorizing both gateways...");
     const authTx = await assetsPrecompile.connect(deployer).updateAuthorizedGateways([
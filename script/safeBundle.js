@@ -0,0 +1,306 @@
+/**
+ * Safe Transaction Builder bundles for governance actions
+ *
+ * The owner actions of docs/contracts-owner-manual.md are executed by the Safe which owns the
+ * contracts. This command ABI-encodes one of them for a contract of the deployments registry
+ * (script/deployments/registry.json, or a deployedContracts.json given with --deployments) and writes a Safe Transaction Builder batch, with a
+ * summary for the signers and the decoded call, to be imported into the Safe app:
+ *
+ *   node script/safeBundle.js <action> [arguments...] --safe=<address>
+ *     [--network=<name>] [--contract=<name>] [--chain-id=<id>] [--output=<path>] [--deployments=<path>]
+ *
+ * --network and --contract select the deployment when the action applies to several of them,
+ * e.g. pause. Array arguments are comma separated, e.g. addWitnesses 0x1...,0x2...
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  UNSIGNED_TRANSACTIONS_DIR,
+  UnsignedTransactionBatch,
+  decodeCall,
+  formatCall,
+} = require('./bootstrap/external_signer.js');
+const { DeploymentsRegistry } = require('./deploymentsRegistry.js');
+
+// Ignored by git, so that the bundles are not committed with the deployments
+const BUNDLES_DIR = path.join(UNSIGNED_TRANSACTIONS_DIR, 'safe-bundles');
+
+// Chain ids of the networks of deployedContracts.json; others need --chain-id unless the registry knows it
+const CHAIN_IDS = {
+  mainnet: 1,
+  sepolia: 11155111,
+  holesky: 17000,
+};
+
+// Limits enforced by UTXOGateway, checked here so that a bundle does not revert after signing
+const MAX_BRIDGE_FEE_RATE = 1000n;
+const MIN_REQUIRED_PROOFS = 1n;
+const MAX_REQUIRED_PROOFS = 10n;
+
+/**
+ * The governance actions: the function called, the deployments it can be called on and
+ * the summary shown to the signers.
+ */
+const ACTIONS = {
+  pause: {
+    signature: 'function pause()',
+    contracts: ['bootstrap', 'imuachainGateway', 'utxoGateway'],
+    summary: () => 'Pause the contract, disabling all user-facing functions',
+  },
+  unpause: {
+    signature: 'function unpause()',
+    contracts: ['bootstrap', 'imuachainGateway', 'utxoGateway'],
+    summary: () => 'Unpause the contract, re-enabling all user-facing functions',
+  },
+  addWhitelistTokens: {
+    signature: 'function addWhitelistTokens(address[] tokens, uint256[] tvlLimits)',
+    contracts: ['bootstrap'],
+    validate: ([tokens, tvlLimits]) => {
+      if (tokens.length === 0 || tokens.length !== tvlLimits.length) {
+        throw new Error('tokens and tvlLimits must be non-empty and of the same length');
+      }
+    },
+    summary: ([tokens, tvlLimits]) =>
+      `Whitelist ${tokens.length} tokens: ${tokens.map((token, i) => `${token} with a TVL limit of ${tvlLimits[i]}`).join(', ')}`,
+  },
+  updateTvlLimit: {
+    signature: 'function updateTvlLimit(address token, uint256 tvlLimit)',
+    contracts: ['bootstrap'],
+    summary: ([token, tvlLimit]) => `Set the TVL limit of ${token} to ${tvlLimit}`,
+  },
+  setPeer: {
+    signature: 'function setPeer(uint32 eid, bytes32 peer)',
+    contracts: ['imuachainGateway', 'bootstrap'],
+    summary: ([eid, peer]) => `Set the LayerZero peer of endpoint ${eid} to ${peer}`,
+  },
+  registerOrUpdateClientChain: {
+    signature:
+      'function registerOrUpdateClientChain(uint32 clientChainId, bytes32 peer, uint8 addressLength, ' +
+      'string name, string metaInfo, string signatureType)',
+    contracts: ['imuachainGateway'],
+    summary: ([clientChainId, peer, addressLength, name]) =>
+      `Register or update client chain ${clientChainId} (${name}, ${addressLength} byte addresses) with the peer ${peer}`,
+  },
+  addWitnesses: {
+    signature: 'function addWitnesses(address[] witnesses)',
+    contracts: ['utxoGateway'],
+    validate: ([witnesses]) => {
+      if (witnesses.length === 0) {
+        throw new Error('witnesses must not be empty');
+      }
+    },
+    summary: ([witnesses]) => `Authorize ${witnesses.length} witnesses: ${witnesses.join(', ')}`,
+  },
+  updateRequiredProofs: {
+    signature: 'function updateRequiredProofs(uint256 newRequiredProofs)',
+    contracts: ['utxoGateway'],
+    validate: ([proofs]) => {
+      if (proofs < MIN_REQUIRED_PROOFS || proofs > MAX_REQUIRED_PROOFS) {
+        throw new Error(`newRequiredProofs must be between ${MIN_REQUIRED_PROOFS} and ${MAX_REQUIRED_PROOFS}`);
+      }
+    },
+    summary: ([proofs]) => `Require ${proofs} witness proofs for a stake message`,
+  },
+  updateBridgeFeeRate: {
+    signature: 'function updateBridgeFeeRate(uint256 bridgeFeeRate)',
+    contracts: ['utxoGateway'],
+    validate: ([rate]) => {
+      if (rate > MAX_BRIDGE_FEE_RATE) {
+        throw new Error(`bridgeFeeRate must be at most ${MAX_BRIDGE_FEE_RATE} (10%)`);
+      }
+    },
+    summary: ([rate]) => `Set the bridge fee rate to ${rate} basis points (${Number(rate) / 100}%)`,
+  },
+};
+
+/**
+ * Parse a command line argument of a function parameter.
+ * @param {ethers.ParamType} param - The parameter
+ * @param {string} raw - The argument, comma separated for arrays
+ * @returns {*} The value to encode
+ */
+function parseArgument(param, raw) {
+  if (param.baseType === 'array') {
+    return raw === '' ? [] : raw.split(',').map((item) => parseArgument(param.arrayChildren, item.trim()));
+  }
+  try {
+    if (param.type === 'address') {
+      return ethers.getAddress(raw);
+    }
+    if (/^u?int\d*$/.test(param.type)) {
+      return BigInt(raw);
+    }
+    if (param.type === 'bool') {
+      if (raw !== 'true' && raw !== 'false') {
+        throw new Error('expected true or false');
+      }
+      return raw === 'true';
+    }
+    if (param.type === 'bytes32') {
+      // Peers are given as addresses, left-padded to 32 bytes as LayerZero expects
+      return ethers.isHexString(raw, 20) ? ethers.zeroPadValue(raw, 32) : ethers.hexlify(ethers.getBytes(raw, param.name));
+    }
+    return raw;
+  } catch (error) {
+    throw new Error(`Invalid ${param.name} (${param.type}): ${raw}`);
+  }
+}
+
+/**
+ * Find the deployment an action is for.
+ * @param {Object} deployments - The content of deployedContracts.json
+ * @param {string} actionName - The action
+ * @param {Object} [selection] - The deployment chosen on the command line
+ * @param {string} [selection.network] - e.g. imuachain or sepolia
+ * @param {string} [selection.contract] - e.g. utxoGateway
+ * @returns {Object} The deployment: { network, contract, address }
+ */
+function resolveTarget(deployments, actionName, { network, contract } = {}) {
+  const action = ACTIONS[actionName];
+  if (contract && !action.contracts.includes(contract)) {
+    throw new Error(`${actionName} is not an action of ${contract}, only of ${action.contracts.join(', ')}.`);
+  }
+  const matches = [];
+  for (const [name, contracts] of Object.entries(deployments)) {
+    if (network && name !== network) {
+      continue;
+    }
+    for (const key of contract ? [contract] : action.contracts) {
+      if (contracts[key]) {
+        matches.push({ network: name, contract: key, address: ethers.getAddress(contracts[key]) });
+      }
+    }
+  }
+  if (matches.length === 0) {
+    throw new Error(`No deployment of ${(contract ? [contract] : action.contracts).join(' or ')} found${network ? ` on ${network}` : ''}.`);
+  }
+  if (matches.length > 1) {
+    const found = matches.map((match) => `${match.network}/${match.contract}`).join(', ');
+    throw new Error(`${actionName} applies to ${found}, choose one with --network and --contract.`);
+  }
+  return matches[0];
+}
+
+/**
+ * Build the Safe batch of a governance action.
+ * @param {Object} options - The bundle options
+ * @param {string} options.action - The action, see ACTIONS
+ * @param {Array<string>} options.args - Its command line arguments
+ * @param {string} options.safe - The Safe which owns the contract
+ * @param {Object} options.deployments - The content of deployedContracts.json
+ * @param {string} [options.network] - The network of the deployment
+ * @param {string} [options.contract] - The deployment
+ * @param {number|bigint} [options.chainId] - The chain id, known for the networks of chainIds
+ * @param {Object} [options.chainIds] - The chain ids of the networks
+ * @returns {Object} The bundle: { batch, target, summary }
+ */
+function buildGovernanceBundle({ action: actionName, args, safe, deployments, network, contract, chainId, chainIds = CHAIN_IDS }) {
+  const action = ACTIONS[actionName];
+  if (!action) {
+    throw new Error(`Unknown action ${actionName}, expected one of ${Object.keys(ACTIONS).join(', ')}.`);
+  }
+  const contractInterface = new ethers.Interface([action.signature]);
+  const fragment = contractInterface.getFunction(actionName);
+  if (args.length !== fragment.inputs.length) {
+    const usage = fragment.inputs.map((param) => `<${param.name}>`).join(' ');
+    throw new Error(`${actionName} takes ${fragment.inputs.length} arguments: ${actionName} ${usage}`.trim());
+  }
+  const values = fragment.inputs.map((param, i) => parseArgument(param, args[i]));
+  if (action.validate) {
+    action.validate(values);
+  }
+
+  const target = resolveTarget(deployments, actionName, { network, contract });
+  const resolvedChainId = chainId ?? chainIds[target.network];
+  if (resolvedChainId === undefined) {
+    throw new Error(`The chain id of ${target.network} is not known, set it with --chain-id.`);
+  }
+
+  const call = decodeCall(fragment, values);
+  const summary = `${action.summary(values)} on ${target.contract} ${target.address} (${target.network}).`;
+  const batch = new UnsignedTransactionBatch({
+    chainId: resolvedChainId,
+    from: safe,
+    name: `${actionName} on ${target.contract} (${target.network})`,
+    description: `${summary} Call: ${formatCall(call)}`,
+  });
+  batch.add({
+    to: target.address,
+    data: contractInterface.encodeFunctionData(fragment, values),
+    description: formatCall(call),
+    call,
+  });
+  return { batch, target, summary };
+}
+
+/**
+ * Get an option of the command line, e.g. --safe=<address>.
+ * @param {Array<string>} argv - The command line arguments
+ * @param {string} name - The option
+ * @returns {string|undefined} Its value
+ */
+function getOption(argv, name) {
+  return argv.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const [action, ...args] = argv.filter((arg) => !arg.startsWith('--'));
+  if (!action) {
+    console.error(`Usage: node script/safeBundle.js <action> [arguments...] --safe=<address>
+  [--network=<name>] [--contract=<name>] [--chain-id=<id>] [--output=<path>] [--deployments=<path>]
+
+Actions:
+${Object.entries(ACTIONS).map(([name, { signature, contracts }]) => `  ${signature.slice('function '.length)} on ${contracts.join(', ')}`).join('\n')}`);
+    process.exit(1);
+  }
+
+  const safe = getOption(argv, 'safe') || process.env.SIGNER_ADDRESS;
+  if (!safe) {
+    throw new Error('The Safe is not set, use --safe=<address> or SIGNER_ADDRESS.');
+  }
+  const deploymentsPath = getOption(argv, 'deployments');
+  const registry = DeploymentsRegistry.load();
+  const chainId = getOption(argv, 'chain-id');
+  const chainIds = { ...CHAIN_IDS };
+  for (const name of registry.networks()) {
+    chainIds[name] = registry.chainId(name) ?? chainIds[name];
+  }
+
+  const { batch, target, summary } = buildGovernanceBundle({
+    action,
+    args,
+    safe,
+    deployments: deploymentsPath ? JSON.parse(fs.readFileSync(deploymentsPath, 'utf8')) : registry.toLegacy(),
+    network: getOption(argv, 'network'),
+    contract: getOption(argv, 'contract'),
+    chainId: chainId === undefined ? undefined : BigInt(chainId),
+    chainIds,
+  });
+
+  const outputPath = getOption(argv, 'output') || path.join(BUNDLES_DIR, `${action}-${target.contract}-${target.network}.safe-tx.json`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+
+  console.log(`📝 ${summary}\n`);
+  await batch.write('safe', outputPath);
+  console.log(`\nImport ${outputPath} into the Transaction Builder of Safe ${batch.from} on chain ${batch.chainId}.`);
+}
+
+module.exports = {
+  ACTIONS,
+  parseArgument,
+  resolveTarget,
+  buildGovernanceBundle,
+};
+
+// Only run if script is run directly
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
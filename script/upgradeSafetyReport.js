@@ -0,0 +1,265 @@
+/**
+ * Upgrade safety report
+ *
+ * Runs the validations of @openzeppelin/upgrades-core on the upgradeable contracts compiled in
+ * out/ (constructors, immutables, selfdestruct and delegatecall, missing or duplicate
+ * initializer calls, ...), and compares their storage layout with a reference, as
+ * compareLayouts.js does. The errors which are safe by design are allowed, with the reason, in
+ * script/upgrade-safety.json:
+ *
+ *   {
+ *     "contracts": {
+ *       "UTXOGateway": {
+ *         "reference": "UTXOGateway@main",
+ *         "allow": [{ "kind": "constructor", "names": ["UTXOGateway"], "reason": "..." }]
+ *       }
+ *     }
+ *   }
+ *
+ * An allowance may list the names of the variables (or contracts, for constructors) it covers in
+ * "names"; without them it covers every error of its kind. The report does not check the
+ * reasons, so the constructor allowances must list their contracts, and a constructor added to
+ * another contract of the inheritance chain is reported as an error. The reference is a layout source of
+ * compareLayouts.js, and --base=<git ref> uses <contract>@<ref> for every contract instead.
+ *
+ *   node script/upgradeSafetyReport.js [--config=<path>] [--base=<git ref>] [--out=<dir>]
+ *     [--json=<path>] [--markdown=<path>]
+ *
+ * The report is written as JSON and as Markdown, for the reviewers of the upgrade, and the
+ * command exits with 1 if any contract has an error which is not allowed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  UpgradeableContractErrorReport,
+  getContractVersion,
+  getErrors,
+  solcInputOutputDecoder,
+  validate,
+} = require('@openzeppelin/upgrades-core');
+const { comparePair, findCompiledContract } = require('./compareLayouts.js');
+
+const CONFIG_PATH = path.join(__dirname, 'upgrade-safety.json');
+const OUT_DIR = path.join(__dirname, '../out');
+const REPORT_VERSION = 1;
+
+/**
+ * Load and check the config.
+ * @param {string} configPath - The config file
+ * @returns {Object} The contracts to report on: { <name>: { reference, allow } }
+ */
+function loadConfig(configPath) {
+  const { contracts } = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  if (typeof contracts !== 'object' || contracts === null) {
+    throw new Error(`${configPath} has no contracts.`);
+  }
+  for (const [name, { allow = [] }] of Object.entries(contracts)) {
+    allow.forEach(({ kind, names, reason }, i) => {
+      if (typeof kind !== 'string' || typeof reason !== 'string' || reason.trim() === '') {
+        throw new Error(`${name}.allow[${i}] needs a kind and a reason.`);
+      }
+      if (names !== undefined && !Array.isArray(names)) {
+        throw new Error(`${name}.allow[${i}].names is not an array.`);
+      }
+      if (kind === 'constructor' && names === undefined) {
+        throw new Error(`${name}.allow[${i}] allows constructors, and must list their contracts in names.`);
+      }
+    });
+  }
+  return contracts;
+}
+
+/**
+ * Run the upgrades-core validations on a compiled contract.
+ * @param {Object} buildInfo - The Foundry build-info it was compiled in
+ * @param {string} fullName - Its fully qualified name, <path>.sol:<name>
+ * @returns {Array<Object>} The validation errors
+ */
+function validateContract(buildInfo, fullName) {
+  const decodeSrc = solcInputOutputDecoder(buildInfo.input, buildInfo.output);
+  const runData = validate(buildInfo.output, decodeSrc, buildInfo.solcVersion, buildInfo.input);
+  // the contracts are behind transparent proxies or beacons, which do not need upgradeTo
+  return getErrors(runData, getContractVersion(runData, fullName), { kind: 'transparent' });
+}
+
+/**
+ * The name an allowance matches an error by: the variable, library or type, or the contract
+ * of a constructor.
+ * @param {Object} error - The validation error
+ * @returns {string|undefined} The name
+ */
+function errorName(error) {
+  return error.name ?? error.contract;
+}
+
+/**
+ * Separate the errors allowed by the config from the real ones.
+ * @param {Array<Object>} errors - The validation errors
+ * @param {Array<Object>} allow - The allowances of the contract
+ * @returns {Object} { errors, allowed, unusedAllowances }, the errors with their description
+ */
+function classifyErrors(errors, allow = []) {
+  const used = new Set();
+  const result = { errors: [], allowed: [], unusedAllowances: [] };
+  for (const error of errors) {
+    const entry = {
+      kind: error.kind,
+      name: errorName(error) ?? null,
+      src: error.src,
+      description: new UpgradeableContractErrorReport([error]).explain(false),
+    };
+    const allowance = allow.find(({ kind, names }) => kind === error.kind && (!names || names.includes(entry.name)));
+    if (allowance) {
+      used.add(allowance);
+      result.allowed.push({ ...entry, reason: allowance.reason });
+    } else {
+      result.errors.push(entry);
+    }
+  }
+  result.unusedAllowances = allow.filter((allowance) => !used.has(allowance));
+  return result;
+}
+
+/**
+ * Report on the upgrade safety of a contract.
+ * @param {string} contract - The contract, <name> or <path>.sol:<name>
+ * @param {Object} settings - Its settings in the config: { reference, allow }
+ * @param {Object} [options] - The report options
+ * @param {string} [options.outDir] - The Foundry out/ directory
+ * @param {string} [options.base] - The git ref to compare the layout with, instead of the reference
+ * @returns {Object} The report of the contract
+ */
+function reportContract(contract, { reference = null, allow = [] }, { outDir = OUT_DIR, base } = {}) {
+  const { buildInfo, sourcePath, name } = findCompiledContract(outDir, contract);
+  const fullName = `${sourcePath}:${name}`;
+  const { errors, allowed, unusedAllowances } = classifyErrors(validateContract(buildInfo, fullName), allow);
+
+  const layoutReference = base ? `${contract}@${base}` : reference;
+  let storageLayout = null;
+  if (layoutReference) {
+    try {
+      storageLayout = comparePair({ before: layoutReference, after: contract, mustExist: true }, { outDir });
+    } catch (error) {
+      storageLayout = { ok: false, skipped: false, explanation: error.message };
+    }
+  }
+
+  return {
+    contract: fullName,
+    reference: layoutReference,
+    ok: errors.length === 0 && (storageLayout?.ok ?? true),
+    errors,
+    allowed,
+    unusedAllowances,
+    storageLayout,
+  };
+}
+
+/**
+ * Render a report as Markdown.
+ * @param {Object} report - The report, see main
+ * @returns {string} The Markdown
+ */
+function renderMarkdown(report) {
+  const lines = [
+    '# Upgrade safety report',
+    '',
+    `${report.ok ? '✅ All contracts are upgrade safe.' : '❌ Some contracts are not upgrade safe.'} Generated at ${report.generatedAt}.`,
+    '',
+    '| Contract | Layout reference | Result | Errors | Allowed |',
+    '| --- | --- | --- | --- | --- |',
+    ...report.contracts.map((contract) =>
+      `| \`${contract.contract}\` | ${contract.reference ? `\`${contract.reference}\`` : '-'} | ${contract.ok ? 'ok' : 'failed'} | ${contract.errors.length} | ${contract.allowed.length} |`),
+  ];
+
+  for (const contract of report.contracts) {
+    lines.push('', `## ${contract.contract}`);
+    if (contract.errors.length > 0) {
+      lines.push('', '### Errors', '');
+      contract.errors.forEach(({ kind, description }) => lines.push(`- \`${kind}\`: ${description.split('\n')[0]}`));
+    }
+    if (contract.allowed.length > 0) {
+      lines.push('', '### Allowed', '');
+      contract.allowed.forEach(({ kind, name, reason }) => lines.push(`- \`${kind}\`${name ? ` \`${name}\`` : ''}: ${reason}`));
+    }
+    if (contract.unusedAllowances.length > 0) {
+      lines.push('', '### Unused allowances', '');
+      contract.unusedAllowances.forEach(({ kind, names }) => lines.push(`- \`${kind}\`${names ? ` ${names.map((name) => `\`${name}\``).join(', ')}` : ''}`));
+    }
+    lines.push('', '### Storage layout', '');
+    if (!contract.storageLayout) {
+      lines.push('No reference to compare with.');
+    } else if (contract.storageLayout.ok) {
+      lines.push(`Compatible with \`${contract.reference}\`.`);
+    } else {
+      lines.push(`Incompatible with \`${contract.reference}\`:`, '', '```text', contract.storageLayout.explanation, '```');
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Get an option of the command line, e.g. --base=<git ref>.
+ * @param {Array<string>} argv - The command line arguments
+ * @param {string} name - The option
+ * @returns {string|undefined} Its value
+ */
+function getOption(argv, name) {
+  return argv.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+}
+
+function main() {
+  const argv = process.argv.slice(2);
+  const contracts = loadConfig(getOption(argv, 'config') || CONFIG_PATH);
+  const options = { outDir: getOption(argv, 'out') || OUT_DIR, base: getOption(argv, 'base') };
+
+  const reports = Object.entries(contracts).map(([contract, settings]) => {
+    console.log(`🔍 Validating ${contract}...`);
+    try {
+      return reportContract(contract, settings, options);
+    } catch (error) {
+      return {
+        contract,
+        reference: null,
+        ok: false,
+        errors: [{ kind: 'report', name: null, src: null, description: error.message }],
+        allowed: [],
+        unusedAllowances: [],
+        storageLayout: null,
+      };
+    }
+  });
+  const report = {
+    version: REPORT_VERSION,
+    generatedAt: new Date().toISOString(),
+    ok: reports.every(({ ok }) => ok),
+    contracts: reports,
+  };
+
+  const jsonPath = getOption(argv, 'json') || 'upgrade-safety-report.json';
+  const markdownPath = getOption(argv, 'markdown') || 'upgrade-safety-report.md';
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(markdownPath, renderMarkdown(report));
+
+  reports.forEach(({ contract, ok, errors, allowed }) => {
+    console.log(`${ok ? '✅' : '❌'} ${contract}: ${errors.length} errors, ${allowed.length} allowed`);
+  });
+  console.log(`\nWrote ${jsonPath} and ${markdownPath}`);
+  if (!report.ok) {
+    process.exitCode = 1;
+  }
+}
+
+module.exports = {
+  loadConfig,
+  validateContract,
+  classifyErrors,
+  reportContract,
+  renderMarkdown,
+};
+
+// Only run if script is run directly
+if (require.main === module) {
+  main();
+}
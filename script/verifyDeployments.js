@@ -0,0 +1,247 @@
+/**
+ * On-chain verification of the deployments
+ *
+ * Checks the contracts of a network of the deployments registry against the chain:
+ * - every proxy points to the implementation and the admin recorded (EIP-1967 slots), and every
+ *   beacon to the implementation recorded;
+ * - the proxy admins and the beacons are owned by the expected Safe or timelock;
+ * - the runtime bytecode of every implementation is the one compiled locally in out/.
+ *
+ *   node script/verifyDeployments.js --network=<name> [--rpc=<url>] [--owner=<address,...>] [--out=<dir>]
+ *
+ * The expected owner is the multisig of the network in deployedMultisigWallets.json, unless
+ * --owner is given. The RPC is --rpc, or RPC_URL. The command exits with 1 if anything differs.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+const { DeploymentsRegistry, diffNetwork } = require('./deploymentsRegistry.js');
+
+const MULTISIG_WALLETS_PATH = path.join(__dirname, 'deployments/deployedMultisigWallets.json');
+const OUT_DIR = path.join(__dirname, '../out');
+
+// The contracts compiled in out/ which a deployment may run; the bootstrap proxy upgrades
+// itself to ClientChainGateway once the network is launched
+const CONTRACT_ARTIFACTS = {
+  bootstrap: ['Bootstrap', 'ClientChainGateway'],
+  clientGatewayLogic: ['ClientChainGateway'],
+  imuachainGateway: ['ImuachainGateway'],
+  utxoGateway: ['UTXOGateway'],
+  capsuleImplementation: ['ImuaCapsule'],
+  vaultImplementation: ['Vault'],
+  rewardVaultImplementation: ['RewardVault'],
+  capsuleBeacon: ['UpgradeableBeacon'],
+  vaultBeacon: ['UpgradeableBeacon'],
+  rewardVaultBeacon: ['UpgradeableBeacon'],
+  proxyAdmin: ['CustomProxyAdmin'],
+  imuachainProxyAdmin: ['ProxyAdmin'],
+};
+
+// The beacons, and the deployment of the implementation they point to
+const BEACONS = {
+  capsuleBeacon: 'capsuleImplementation',
+  vaultBeacon: 'vaultImplementation',
+  rewardVaultBeacon: 'rewardVaultImplementation',
+};
+
+const OWNABLE_ABI = ['function owner() view returns (address)'];
+const BEACON_ABI = ['function implementation() view returns (address)'];
+
+/**
+ * Load a Foundry artifact.
+ * @param {string} outDir - The out/ directory
+ * @param {string} contractName - The contract, e.g. UTXOGateway
+ * @returns {Object|null} The artifact, null if it has not been compiled
+ */
+function loadArtifact(outDir, contractName) {
+  const artifactPath = path.join(outDir, `${contractName}.sol`, `${contractName}.json`);
+  if (!fs.existsSync(artifactPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+}
+
+/**
+ * Hash runtime bytecode for the comparison with an artifact. The immutables and the linked
+ * libraries are set at deployment, and the metadata changes with the source paths and comments,
+ * so they are zeroed first.
+ * @param {string} code - The runtime bytecode, on chain or of the artifact
+ * @param {Object} deployedBytecode - The deployedBytecode of the artifact
+ * @returns {string} The hash
+ */
+function runtimeCodeHash(code, deployedBytecode) {
+  const bytes = ethers.getBytes(code.replace(/__\$[0-9a-fA-F]{34}\$__/g, '0'.repeat(40)));
+  const references = [
+    ...Object.values(deployedBytecode.immutableReferences ?? {}),
+    ...Object.values(deployedBytecode.linkReferences ?? {}).flatMap((libraries) => Object.values(libraries)),
+  ].flat();
+  for (const { start, length } of references) {
+    bytes.fill(0, start, start + length);
+  }
+  // the CBOR encoded metadata ends the code, followed by its length on two bytes
+  const metadataLength = bytes.length >= 2 ? ((bytes[bytes.length - 2] << 8) | bytes[bytes.length - 1]) + 2 : 0;
+  return ethers.keccak256(metadataLength <= bytes.length ? bytes.slice(0, bytes.length - metadataLength) : bytes);
+}
+
+/**
+ * Verify the deployments of a network against the chain.
+ * @param {DeploymentsRegistry} registry - The registry
+ * @param {string} network - The network the provider is connected to
+ * @param {ethers.Provider} provider - The provider
+ * @param {Object} options - The verification options
+ * @param {Array<string>} options.owners - The accounts allowed to own the proxy admins and the beacons
+ * @param {string} [options.outDir] - The Foundry out/ directory
+ * @param {string|number} [options.blockTag] - The block to verify at
+ * @returns {Promise<Array<Object>>} The contracts with findings: { name, address, issues }
+ */
+async function verifyNetwork(registry, network, provider, { owners, outDir = OUT_DIR, blockTag = 'latest' }) {
+  if (owners.length === 0) {
+    throw new Error(`No expected owner is known for ${network}, set it with --owner.`);
+  }
+  const expectedOwners = owners.map((owner) => ethers.getAddress(owner));
+  const contracts = registry.contracts(network);
+  const findings = new Map();
+  const flag = (name, issue) => {
+    findings.set(name, [...(findings.get(name) ?? []), issue]);
+  };
+
+  // The code of every contract and the EIP-1967 slots of the proxies
+  for (const { name, issues } of await diffNetwork(registry, network, provider, blockTag)) {
+    issues.forEach((issue) => flag(name, issue));
+  }
+
+  for (const [beacon, implementationName] of Object.entries(BEACONS)) {
+    if (!contracts[beacon]) {
+      continue;
+    }
+    const expected = registry.address(network, implementationName);
+    try {
+      const implementation = await new ethers.Contract(registry.address(network, beacon), BEACON_ABI, provider)
+        .implementation({ blockTag });
+      if (expected && implementation !== expected) {
+        flag(beacon, `points to ${implementation}, but ${implementationName} is ${expected} in the registry`);
+      }
+    } catch (error) {
+      flag(beacon, `implementation() failed: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  // The owners of the proxy admins and of the beacons
+  const owned = new Map();
+  for (const [name, deployment] of Object.entries(contracts)) {
+    if (deployment.proxy && deployment.admin) {
+      const adminName = Object.keys(contracts).find((other) => registry.address(network, other) === deployment.admin);
+      owned.set(deployment.admin, adminName ?? `admin of ${name}`);
+    }
+    if (name in BEACONS) {
+      owned.set(registry.address(network, name), name);
+    }
+  }
+  for (const [address, name] of owned) {
+    try {
+      const owner = await new ethers.Contract(address, OWNABLE_ABI, provider).owner({ blockTag });
+      if (!expectedOwners.includes(owner)) {
+        flag(name, `is owned by ${owner}, expected ${expectedOwners.join(' or ')}`);
+      }
+    } catch (error) {
+      flag(name, `owner() failed: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  // The runtime bytecode of the implementations against out/
+  for (const [name, deployment] of Object.entries(contracts)) {
+    const candidates = CONTRACT_ARTIFACTS[name];
+    if (!candidates) {
+      continue;
+    }
+    const artifacts = candidates.map((contractName) => loadArtifact(outDir, contractName)).filter(Boolean);
+    if (artifacts.length === 0) {
+      flag(name, `${candidates.join(' or ')} is not compiled in ${outDir}, run forge build`);
+      continue;
+    }
+    const code = await provider.getCode(deployment.implementation, blockTag);
+    if (code === '0x') {
+      continue; // already reported by the diff
+    }
+    const matches = artifacts.some(({ deployedBytecode }) =>
+      runtimeCodeHash(code, deployedBytecode) === runtimeCodeHash(deployedBytecode.object, deployedBytecode));
+    if (!matches) {
+      flag(name, `the runtime bytecode of ${deployment.implementation} differs from ${candidates.join(' or ')} in ${outDir}`);
+    }
+  }
+
+  return [...findings].map(([name, issues]) => ({ name, address: registry.address(network, name), issues }));
+}
+
+/**
+ * The expected owners of a network: the --owner option, or its multisig.
+ * @param {string} network - The network
+ * @param {string} [option] - The comma separated --owner option
+ * @returns {Array<string>} The owners
+ */
+function expectedOwnersFor(network, option) {
+  if (option) {
+    return option.split(',').filter(Boolean);
+  }
+  if (!fs.existsSync(MULTISIG_WALLETS_PATH)) {
+    return [];
+  }
+  const multisig = JSON.parse(fs.readFileSync(MULTISIG_WALLETS_PATH, 'utf8'))[network]?.multisig;
+  return multisig ? [multisig] : [];
+}
+
+/**
+ * Get an option of the command line, e.g. --network=<name>.
+ * @param {Array<string>} argv - The command line arguments
+ * @param {string} name - The option
+ * @returns {string|undefined} Its value
+ */
+function getOption(argv, name) {
+  return argv.find((arg) => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const network = getOption(argv, 'network');
+  const rpcUrl = getOption(argv, 'rpc') || process.env.RPC_URL;
+  if (!network || !rpcUrl) {
+    console.error(`Usage: node script/verifyDeployments.js --network=<name> [--rpc=<url>] [--owner=<address,...>] [--out=<dir>]
+
+The RPC defaults to RPC_URL, the owner to the multisig of the network in deployedMultisigWallets.json.`);
+    process.exit(1);
+  }
+
+  const registry = DeploymentsRegistry.load();
+  const owners = expectedOwnersFor(network, getOption(argv, 'owner'));
+  const findings = await verifyNetwork(registry, network, new ethers.JsonRpcProvider(rpcUrl), {
+    owners,
+    outDir: getOption(argv, 'out') || OUT_DIR,
+  });
+
+  if (findings.length === 0) {
+    console.log(`✅ The proxies, owners and bytecode of ${network} match, owned by ${owners.join(' or ')}.`);
+    return;
+  }
+  for (const { name, address, issues } of findings) {
+    console.log(`❌ ${name} (${address}):`);
+    issues.forEach((issue) => console.log(`   - ${issue}`));
+  }
+  process.exitCode = 1;
+}
+
+module.exports = {
+  CONTRACT_ARTIFACTS,
+  BEACONS,
+  runtimeCodeHash,
+  verifyNetwork,
+  expectedOwnersFor,
+};
+
+// Only run if script is run directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,236 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { toBech32 } = require('@cosmjs/encoding');
+
+// config.ts requires these, the generator under test does not use them
+process.env.BITCOIN_VAULT_ADDRESS = process.env.BITCOIN_VAULT_ADDRESS || 'vault';
+process.env.BITCOIN_ESPLORA_API_URL = process.env.BITCOIN_ESPLORA_API_URL || 'http://localhost';
+
+const {
+  BitcoindRpcBackend,
+  EsploraBackend,
+  FixtureBackend,
+  createBitcoinBackend,
+} = require('../../../script/bootstrap/bitcoin_backends.ts');
+const { BITCOIN_GENESIS_SPEC, GenesisGenerator, generateGenesisState } = require('../../../script/bootstrap/bitcoin_genesis.ts');
+const { writeCutoff } = require('../../../script/bootstrap/utxo_genesis.ts');
+const { EnvPriceProvider } = require('../../../script/bootstrap/prices.js');
+
+describe('Bitcoin Data Backends', function() {
+  const vault = 'bc1qvault';
+  const vaultScript = '0014' + '11'.repeat(20);
+  const senderScript = '0014' + '22'.repeat(20);
+  const validator = toBech32('im', Buffer.alloc(20, 3));
+  const imuachainAddress = '0x' + '44'.repeat(20);
+  const opReturn = '6a3d' + imuachainAddress.slice(2) + Buffer.from(validator, 'utf8').toString('hex');
+  const bootstrapContract = {
+    validators: async () => ({ name: 'val', consensusPublicKey: '0xkey' }),
+  };
+
+  function esploraTx(txid, blockHash, confirmed = true) {
+    return {
+      txid,
+      vin: [{ prevout: { scriptpubkey: senderScript, scriptpubkey_address: 'bc1qsender' } }],
+      vout: [
+        { scriptpubkey: vaultScript, scriptpubkey_type: 'v0_p2wpkh', scriptpubkey_address: vault, value: 150000000 },
+        { scriptpubkey: opReturn, scriptpubkey_type: 'op_return', value: 0 },
+      ],
+      status: confirmed
+        ? { confirmed: true, block_height: 90, block_time: 1700000000, block_hash: blockHash }
+        : { confirmed: false },
+    };
+  }
+
+  it('should fetch the txids of each block once from Esplora', async function() {
+    const requests = [];
+    const responses = {
+      [`http://esplora/api/address/${vault}/txs`]: [esploraTx('tx3', 'block1'), esploraTx('tx1', 'block1'), esploraTx('tx0', null, false)],
+      [`http://esplora/api/address/${vault}/txs/chain/tx0`]: [esploraTx('tx2', 'block2')],
+      [`http://esplora/api/address/${vault}/txs/chain/tx2`]: [],
+      'http://esplora/api/block/block1/txids': ['coinbase', 'tx1', 'other', 'tx3'],
+      'http://esplora/api/block/block2/txids': ['coinbase', 'tx2'],
+      'http://esplora/api/blocks/tip/height': 100,
+    };
+    const client = {
+      get: async (url) => {
+        requests.push(url);
+        return { data: responses[url] };
+      },
+    };
+
+    const backend = new EsploraBackend('http://esplora', {}, client);
+    const txs = await backend.fetchAddressTransactions(vault);
+    expect(txs.map(({ txid, status }) => [txid, status.txIndex])).to.deep.equal([['tx3', 3], ['tx1', 1], ['tx2', 1]]);
+    expect(requests.filter((url) => url.includes('/block/'))).to.deep.equal([
+      'http://esplora/api/block/block1/txids',
+      'http://esplora/api/block/block2/txids',
+    ]);
+    expect(await backend.getCurrentHeight()).to.equal(100);
+  });
+
+  it('should cache the block indexes on disk and retry the failed requests', async function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'esplora-'));
+    const cachePath = path.join(dir, 'cache', 'esplora-btc.json');
+    const requests = [];
+    let failures = 2;
+    const client = {
+      get: async (url) => {
+        requests.push(url);
+        if (url.includes('/block/') && failures-- > 0) {
+          throw Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: {} } });
+        }
+        if (url.endsWith('/txs')) {
+          return { data: [esploraTx('tx1', 'block1'), esploraTx('tx2', 'block2')] };
+        }
+        return { data: url.includes('/block/') ? ['coinbase', 'tx1', 'tx2'] : [] };
+      },
+    };
+
+    try {
+      const options = { cachePath, concurrency: 1, retries: 2, retryDelayMs: 1 };
+      const first = await new EsploraBackend('http://esplora', options, client).fetchAddressTransactions(vault);
+      expect(first.map(({ status }) => status.txIndex)).to.deep.equal([1, 2]);
+      expect(requests.filter((url) => url.includes('/block/'))).to.have.lengthOf(4);
+      expect(JSON.parse(fs.readFileSync(cachePath, 'utf8'))).to.deep.equal({
+        version: 1,
+        blocks: { block1: { tx1: 1 }, block2: { tx2: 2 } },
+      });
+
+      // a re-run only fetches the address pages
+      requests.length = 0;
+      const second = await new EsploraBackend('http://esplora', options, client).fetchAddressTransactions(vault);
+      expect(second.map(({ status }) => status.txIndex)).to.deep.equal([1, 2]);
+      expect(requests.every((url) => url.includes('/address/'))).to.equal(true);
+
+      // client errors are not retried
+      const notFound = { get: async () => {
+        throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404, headers: {} } });
+      } };
+      try {
+        await new EsploraBackend('http://esplora', { retryDelayMs: 1 }, notFound).getCurrentHeight();
+        expect.fail('the request should have rejected');
+      } catch (error) {
+        expect(error.message).to.equal('Request failed with status code 404');
+      }
+      expect(() => new EsploraBackend('http://esplora', { concurrency: 0 })).to.throw('Invalid Esplora concurrency 0');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should read the vault transactions from bitcoind', async function() {
+    const calls = [];
+    const rawTx = {
+      txid: 'tx1',
+      vin: [{
+        scriptSig: { asm: '', hex: '' },
+        prevout: { scriptPubKey: { hex: senderScript, type: 'witness_v0_keyhash', address: 'bc1qsender' } },
+      }],
+      vout: [
+        { value: 1.5, scriptPubKey: { hex: vaultScript, type: 'witness_v0_keyhash', address: vault } },
+        { value: 0, scriptPubKey: { hex: opReturn, type: 'nulldata' } },
+      ],
+    };
+    const results = {
+      scantxoutset: { success: true, unspents: [{ txid: 'tx1', vout: 0, height: 90 }] },
+      getblockhash: 'block90',
+      getblock: { height: 90, time: 1700000000, tx: ['coinbase', 'tx1'] },
+      getrawtransaction: rawTx,
+      listsinceblock: { transactions: [{ txid: 'tx1', blockhash: 'block90', confirmations: 11 }, { txid: 'tx4', confirmations: 0 }] },
+    };
+    const client = {
+      post: async (url, { method, params }) => {
+        calls.push([url, method, params]);
+        return { data: { result: results[method], error: null } };
+      },
+    };
+
+    const expected = {
+      txid: 'tx1',
+      vin: [{ prevout: { scriptpubkey: senderScript, scriptpubkey_address: 'bc1qsender' }, scriptsig: '' }],
+      vout: [
+        { scriptpubkey: vaultScript, scriptpubkey_type: 'v0_p2wpkh', scriptpubkey_address: vault, value: 150000000 },
+        { scriptpubkey: opReturn, scriptpubkey_type: 'op_return', scriptpubkey_address: undefined, value: 0 },
+      ],
+      status: { confirmed: true, block_height: 90, block_time: 1700000000, block_hash: 'block90', txIndex: 1 },
+    };
+    // the spent stakes are missed without a wallet, so the scan must be opted into
+    expect(() => new BitcoindRpcBackend({ url: 'http://node' }, client)).to.throw('BITCOIN_RPC_WALLET not set');
+    const scanner = new BitcoindRpcBackend({ url: 'http://node', utxoScan: true }, client);
+    expect(new GenesisGenerator(vault, scanner, bootstrapContract).getSource()).to.deep.equal({ backend: 'bitcoind', mode: 'utxo-scan' });
+    const scanned = await scanner.fetchAddressTransactions(vault);
+    expect(scanned).to.deep.equal([expected]);
+    expect(calls.map(([, method]) => method)).to.deep.equal(['scantxoutset', 'getblockhash', 'getblock', 'getrawtransaction']);
+    expect(calls[0][2]).to.deep.equal(['start', [`addr(${vault})`]]);
+    expect(calls[3][2]).to.deep.equal(['tx1', 2, 'block90']);
+
+    calls.length = 0;
+    const listed = await new BitcoindRpcBackend({ url: 'http://node/', wallet: 'vault' }, client).fetchAddressTransactions(vault);
+    expect(listed).to.deep.equal([expected]);
+    expect(calls[0].slice(0, 2)).to.deep.equal(['http://node/wallet/vault', 'listsinceblock']);
+
+    const failing = {
+      post: async () => {
+        throw Object.assign(new Error('Request failed with status code 500'), {
+          response: { data: { result: null, error: { code: -8, message: 'Block not found' } } },
+        });
+      },
+    };
+    try {
+      await new BitcoindRpcBackend({ url: 'http://node', wallet: 'vault' }, failing).getCurrentHeight();
+      expect.fail('the call should have rejected');
+    } catch (error) {
+      expect(error.message).to.equal('getblockcount failed: Block not found (code -8)');
+    }
+  });
+
+  it('should generate the stakes from a fixture', async function() {
+    const fixture = {
+      height: 100,
+      transactions: [
+        { ...esploraTx('tx2', 'block1'), status: { confirmed: true, block_height: 90, block_time: 1700000000, txIndex: 2 } },
+        { ...esploraTx('tx1', 'block1'), status: { confirmed: true, block_height: 90, block_time: 1700000000, txIndex: 1 } },
+        esploraTx('tx0', null, false),
+      ],
+    };
+    const generator = new GenesisGenerator(vault, new FixtureBackend(fixture), bootstrapContract, 6, 546);
+    const stakes = await generator.generateGenesisStakes();
+    expect(stakes.map(({ txid, txIndex }) => [txid, txIndex])).to.deep.equal([['tx1', 1], ['tx2', 2]]);
+    expect(stakes[0]).to.include({ senderAddress: 'bc1qsender', imuachainAddress, validatorAddress: validator, amount: 150000000n });
+
+    // pinned to the block of the first stake, where the second has a single confirmation
+    fixture.blocks = [{ hash: 'block90', height: 90, time: 1700000000 }, { hash: 'block91', height: 91, time: 1700000600 }];
+    const pinned = new GenesisGenerator(vault, new FixtureBackend(fixture), bootstrapContract, 2, 546);
+    pinned.setCutoff({ hash: 'block91' });
+    expect(await pinned.generateGenesisStakes()).to.have.lengthOf(2);
+    expect(pinned.getCutoff()).to.deep.equal({ height: 91, hash: 'block91', time: 1700000600 });
+    const genesis = await generateGenesisState(await pinned.generateGenesisStakes(), pinned, new EnvPriceProvider());
+    expect(genesis.genesis_time).to.equal('2023-11-14T22:23:20.000Z');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cutoff-'));
+    const cutoffPath = await writeCutoff(path.join(dir, 'genesis.json'), BITCOIN_GENESIS_SPEC, pinned.getCutoff(), pinned);
+    expect(JSON.parse(fs.readFileSync(cutoffPath, 'utf8'))).to.include({ height: 91, minConfirmations: 2 })
+      .and.to.have.deep.property('source', { backend: 'fixture' });
+    fs.rmSync(dir, { recursive: true });
+    pinned.setCutoff({ height: 90, hash: 'block91' });
+    try {
+      await pinned.generateGenesisStakes();
+      expect.fail('generation should have rejected');
+    } catch (error) {
+      expect(error.message).to.equal('The cutoff block block91 is at height 91, not 90');
+    }
+    pinned.setCutoff({ height: 90 });
+    expect(await pinned.generateGenesisStakes()).to.have.lengthOf(0);
+
+    delete fixture.transactions[0].status.txIndex;
+    try {
+      await new FixtureBackend(fixture).fetchAddressTransactions(vault);
+      expect.fail('the fixture should have been rejected');
+    } catch (error) {
+      expect(error.message).to.equal('Transaction tx2 of the fixture has no txIndex');
+    }
+    expect(() => createBitcoinBackend({ backend: 'bitcoind' })).to.throw('BITCOIN_RPC_URL not set');
+    expect(() => createBitcoinBackend({ backend: 'electrum' })).to.throw('Unknown BITCOIN_BACKEND electrum');
+  });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { toBech32 } = require('@cosmjs/encoding');
+const { address: addressUtils, networks, payments } = require('bitcoinjs-lib');
+
+// config.ts requires these, the generator under test does not use them
+process.env.BITCOIN_VAULT_ADDRESS = process.env.BITCOIN_VAULT_ADDRESS || 'vault';
+process.env.BITCOIN_ESPLORA_API_URL = process.env.BITCOIN_ESPLORA_API_URL || 'http://localhost';
+
+const { FixtureBackend } = require('../../../script/bootstrap/bitcoin_backends.ts');
+const { GenesisGenerator, classifyInputScript, exportBootstrapData } = require('../../../script/bootstrap/bitcoin_genesis.ts');
+
+describe('Bitcoin Sender Attribution', function() {
+  const network = networks.bitcoin;
+  const vault = payments.p2wpkh({ hash: Buffer.alloc(20, 1), network });
+  const p2pkh = payments.p2pkh({ hash: Buffer.alloc(20, 2), network });
+  const p2wpkh = payments.p2wpkh({ hash: Buffer.alloc(20, 3), network });
+  const nested = payments.p2sh({ redeem: payments.p2wpkh({ hash: Buffer.alloc(20, 4), network }), network });
+  const p2wsh = payments.p2wsh({ hash: Buffer.alloc(32, 5), network });
+  const taprootScript = '5120' + '06'.repeat(32);
+  const taprootAddress = addressUtils.toBech32(Buffer.alloc(32, 6), 1, 'bc');
+  const validator = toBech32('im', Buffer.alloc(20, 7));
+  const opReturn = (fill) => '6a3d' + fill.repeat(20) + Buffer.from(validator, 'utf8').toString('hex');
+  const bootstrapContract = {
+    validators: async () => ({ name: 'val', consensusPublicKey: '0xkey' }),
+  };
+
+  // An input of the API, which gives the address of the prevout
+  const input = (payment, scriptsig) => ({
+    prevout: { scriptpubkey: payment.output.toString('hex'), scriptpubkey_address: payment.address },
+    ...(scriptsig ? { scriptsig } : {}),
+  });
+
+  function stakeTx(txid, index, inputs, fill) {
+    return {
+      txid,
+      vin: inputs,
+      vout: [
+        { scriptpubkey: vault.output.toString('hex'), scriptpubkey_type: 'v0_p2wpkh', scriptpubkey_address: vault.address, value: 100000 },
+        { scriptpubkey: opReturn(fill), scriptpubkey_type: 'op_return', value: 0 },
+      ],
+      status: { confirmed: true, block_height: 90, block_time: 1700000000, txIndex: index },
+    };
+  }
+
+  it('should classify the scripts the senders spend from', function() {
+    const nestedScriptSig = '16' + nested.redeem.output.toString('hex');
+    expect(classifyInputScript(p2pkh.output.toString('hex'))).to.equal('p2pkh');
+    expect(classifyInputScript(nested.output.toString('hex'))).to.equal('p2sh');
+    expect(classifyInputScript(nested.output.toString('hex'), nestedScriptSig)).to.equal('p2sh-p2wpkh');
+    expect(classifyInputScript(p2wpkh.output.toString('hex'))).to.equal('p2wpkh');
+    expect(classifyInputScript(p2wsh.output.toString('hex'))).to.equal('p2wsh');
+    expect(classifyInputScript(taprootScript)).to.equal('p2tr');
+    // a bare public key has no address to pay the withdrawals to
+    expect(classifyInputScript('21' + '02'.repeat(33) + 'ac')).to.equal(null);
+  });
+
+  it('should attribute the stakes with the sender policy and record the script types', async function() {
+    const nestedInput = input(nested, '16' + nested.redeem.output.toString('hex'));
+    const taprootInput = { prevout: { scriptpubkey: taprootScript, scriptpubkey_address: taprootAddress.toUpperCase() } };
+    const transactions = [
+      stakeTx('aa'.repeat(32), 1, [input(p2pkh), input(p2pkh)], '11'),
+      stakeTx('bb'.repeat(32), 2, [nestedInput], '22'),
+      stakeTx('cc'.repeat(32), 3, [taprootInput, input(p2wsh)], '33'), // funded by two parties
+      stakeTx('dd'.repeat(32), 4, [input(p2wsh)], '44'),
+    ];
+    const stakesWith = async (policy) => {
+      const generator = new GenesisGenerator(vault.address, new FixtureBackend({ height: 100, transactions }), bootstrapContract, 6, 546);
+      generator.setSenderPolicy(policy);
+      return generator.generateGenesisStakes();
+    };
+
+    const stakes = await stakesWith('first-input');
+    expect(stakes.map(({ senderAddress, senderScriptType }) => [senderAddress, senderScriptType])).to.deep.equal([
+      [p2pkh.address, 'p2pkh'], // base58 keeps its case
+      [nested.address, 'p2sh-p2wpkh'],
+      [taprootAddress, 'p2tr'], // bech32m is lowercased
+      [p2wsh.address, 'p2wsh'],
+    ]);
+    expect((await stakesWith('strict')).map(({ txid }) => txid.slice(0, 2))).to.deep.equal(['aa', 'bb', 'dd']);
+    expect(() => new GenesisGenerator(vault.address, 'http://esplora', bootstrapContract).setSenderPolicy('largest-input'))
+      .to.throw('Unknown sender policy largest-input, expected first-input or strict');
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'genesis-'));
+    try {
+      await exportBootstrapData(stakes, path.join(dir, 'genesis.json'));
+      const entries = JSON.parse(fs.readFileSync(path.join(dir, 'btc_bootstrap_data.json'), 'utf8'));
+      expect(entries[1]).to.deep.equal({
+        clientTxId: '0x' + 'bb'.repeat(32),
+        clientAddress: '0x' + Buffer.from(nested.address, 'utf8').toString('hex'),
+        imuachainAddress: '0x' + '22'.repeat(20),
+        clientAddressEncoding: 'utf8-address',
+        clientScriptType: 'p2sh-p2wpkh',
+      });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should encode taproot senders from the scripts with the network params', async function() {
+    const params = { name: 'Bitcoin', network, caseSensitiveAddresses: false };
+    // the API does not always give the address of taproot prevouts
+    const transactions = [stakeTx('ee'.repeat(32), 1, [{ prevout: { scriptpubkey: taprootScript } }], '55')];
+    const generator = new GenesisGenerator(
+      vault.address, new FixtureBackend({ height: 100, transactions }), bootstrapContract, 6, 546, params
+    );
+    const [stake] = await generator.generateGenesisStakes();
+    expect(stake).to.include({ senderAddress: taprootAddress, senderScriptType: 'p2tr' });
+  });
+});
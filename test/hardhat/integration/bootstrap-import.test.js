@@ -0,0 +1,297 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const {
+  ClientChainID,
+  checkpointPathFor,
+  hashBootstrapData,
+  loadCheckpoint,
+  saveCheckpoint,
+  findResumeIndex,
+  simulateBootstrap,
+  findBatchSize,
+  importInBatches,
+  getBatchOptions,
+  reconcileBootstrap,
+} = require('../../../script/bootstrap/importBootstrapData.ts');
+
+describe('Bootstrap Import', function() {
+  const dir = path.join(os.tmpdir(), `bootstrap-import-${process.pid}`);
+  const entries = [1, 2, 3, 4, 5].map((i) => ({
+    clientTxId: '0x' + String(i).repeat(64),
+    clientAddress: '0x' + Buffer.from(`tb1sender${i}`).toString('hex'),
+    imuachainAddress: '0x' + String(i).repeat(40),
+  }));
+  const contractAddress = '0x' + 'ab'.repeat(20);
+
+  // A gateway on which the given entries are processed
+  function gatewayWith(processedCount) {
+    const processed = new Set(entries.slice(0, processedCount).map((entry) => entry.clientTxId));
+    return {
+      isStakeMsgProcessed: async (clientChainId, clientTxId) => {
+        expect(clientChainId).to.equal(ClientChainID.BITCOIN);
+        return processed.has(clientTxId);
+      },
+    };
+  }
+
+  beforeEach(function() {
+    fs.mkdirSync(dir, { recursive: true });
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should keep the checkpoint next to the data file', function() {
+    expect(checkpointPathFor('/genesis/btc_bootstrap_data.json')).to.equal('/genesis/btc_bootstrap_data.checkpoint.json');
+  });
+
+  it('should only load a checkpoint of the same import', async function() {
+    const checkpointPath = path.join(dir, 'checkpoint.json');
+    const expected = {
+      clientChainId: ClientChainID.BITCOIN,
+      contractAddress,
+      dataHash: hashBootstrapData(entries),
+      totalEntries: entries.length,
+    };
+    expect(await loadCheckpoint(checkpointPath, expected)).to.equal(null);
+
+    const checkpoint = {
+      version: 1,
+      ...expected,
+      initialNonce: '0',
+      batches: [
+        { startIndex: 0, endIndex: 2, txHash: '0x01', blockNumber: 10, nonceBefore: '0', nonceAfter: '2' },
+      ],
+    };
+    await saveCheckpoint(checkpointPath, checkpoint);
+    expect(fs.existsSync(`${checkpointPath}.tmp`)).to.equal(false);
+    // contract addresses are compared regardless of the checksum case
+    const checksummed = '0x' + 'aB'.repeat(20);
+    expect(await loadCheckpoint(checkpointPath, { ...expected, contractAddress: checksummed })).to.deep.equal(checkpoint);
+
+    const changed = [...entries.slice(0, 4), { ...entries[4], imuachainAddress: '0x' + '9'.repeat(40) }];
+    await expectRejection(
+      loadCheckpoint(checkpointPath, { ...expected, dataHash: hashBootstrapData(changed) }), 'belongs to another import'
+    );
+    await expectRejection(
+      loadCheckpoint(checkpointPath, { ...expected, clientChainId: ClientChainID.XRPL }), 'belongs to another import'
+    );
+
+    await saveCheckpoint(checkpointPath, { ...checkpoint, version: 2 });
+    await expectRejection(loadCheckpoint(checkpointPath, expected), 'Unsupported checkpoint version 2');
+  });
+
+  it('should resume from the first entry which is not on chain', async function() {
+    expect(await findResumeIndex(gatewayWith(0), ClientChainID.BITCOIN, entries)).to.equal(0);
+    // killed after a batch was mined but before it was checkpointed
+    expect(await findResumeIndex(gatewayWith(4), ClientChainID.BITCOIN, entries, 2)).to.equal(4);
+    expect(await findResumeIndex(gatewayWith(5), ClientChainID.BITCOIN, entries)).to.equal(5);
+    // the checkpoint does not match the chain
+    await expectRejection(
+      findResumeIndex(gatewayWith(1), ClientChainID.BITCOIN, entries, 2), 'Entry 1 is recorded as imported'
+    );
+  });
+
+  it('should simulate the import without sending anything', async function() {
+    const owner = '0x' + 'ee'.repeat(20);
+    const gateway = gatewayWith(1);
+    gateway.inboundNonce = async () => 1n;
+    // the second entry is bound to the imuachain address of the third one on chain
+    gateway.getImuachainAddress = async (clientChainId, clientAddress) =>
+      (clientAddress === entries[1].clientAddress ? entries[2].imuachainAddress : ethers.ZeroAddress);
+    gateway.getClientAddress = async (clientChainId, imuachainAddress) =>
+      (imuachainAddress === entries[2].imuachainAddress ? entries[1].clientAddress : '0x');
+    const calls = [];
+    gateway.bootstrapHistoricalData = {
+      staticCall: async (clientChainId, batch, overrides) => {
+        expect(overrides.from).to.equal(owner);
+        calls.push(batch.length);
+      },
+      estimateGas: async (clientChainId, batch) => BigInt(batch.length) * 50000n,
+      send: () => expect.fail('a dry run must not send'),
+    };
+
+    const data = [...entries, { ...entries[3], imuachainAddress: entries[4].imuachainAddress }];
+    const report = await simulateBootstrap(gateway, ClientChainID.BITCOIN, data, owner, 10n ** 7n);
+    expect(report).to.include({ resumeIndex: 1, currentNonce: '1', expectedNonce: '6', totalGas: '250000', ok: false });
+    expect(report.duplicateEntries).to.deep.equal([5]);
+    expect(report.processedEntries).to.deep.equal([]);
+    expect(report.bindingConflicts.map(({ index, reason }) => [index, reason])).to.deep.equal([
+      [1, `client address is bound to ${entries[2].imuachainAddress}`],
+      [2, `imuachain address is bound to ${entries[1].clientAddress}`],
+      [5, `client address is bound to ${entries[3].imuachainAddress}, imuachain address is bound to ${entries[4].clientAddress}`],
+    ]);
+    expect(calls).to.deep.equal([5]);
+  });
+
+  it('should report the batches which would revert', async function() {
+    const gateway = gatewayWith(0);
+    gateway.inboundNonce = async () => 0n;
+    gateway.getImuachainAddress = async () => ethers.ZeroAddress;
+    gateway.getClientAddress = async () => '0x';
+    const revert = async () => {
+      throw Object.assign(new Error('execution reverted'), {
+        revert: { name: 'OwnableUnauthorizedAccount', args: ['0x01'] },
+      });
+    };
+    gateway.bootstrapHistoricalData = { staticCall: revert, estimateGas: revert };
+
+    const report = await simulateBootstrap(gateway, ClientChainID.BITCOIN, entries, '0x01', 10n ** 7n, 3);
+    expect(report.ok).to.equal(false);
+    expect(report.batches).to.deep.equal([
+      { startIndex: 0, endIndex: 3, gasEstimate: null, error: 'OwnableUnauthorizedAccount(0x01)' },
+      { startIndex: 3, endIndex: 5, gasEstimate: null, error: 'OwnableUnauthorizedAccount(0x01)' },
+    ]);
+  });
+
+  it('should list the entries which disagree with the gateway state', async function() {
+    // the third entry was not imported, and the fourth client address was bound to the fifth imuachain address before
+    const gateway = gatewayWith(5);
+    gateway.isStakeMsgProcessed = async (clientChainId, clientTxId, overrides) => {
+      expect(overrides).to.deep.equal({ blockTag: 120 });
+      return clientTxId !== entries[2].clientTxId;
+    };
+    const bindings = [[0, 0], [1, 1], [3, 4]]
+      .map(([client, imuachain]) => [entries[client].clientAddress, entries[imuachain].imuachainAddress]);
+    gateway.getImuachainAddress = async (clientChainId, clientAddress) =>
+      (bindings.find((binding) => binding[0] === clientAddress) || [])[1] || ethers.ZeroAddress;
+    gateway.getClientAddress = async (clientChainId, imuachainAddress) =>
+      (bindings.find((binding) => binding[1] === imuachainAddress) || [])[0] || '0x';
+
+    const mismatches = await reconcileBootstrap(gateway, ClientChainID.BITCOIN, entries, 120);
+    expect(mismatches.map(({ index, issues }) => [index, issues])).to.deep.equal([
+      [2, ['clientTxId is not processed', 'client address is not bound', 'imuachain address is not bound']],
+      [3, [`client address is bound to ${entries[4].imuachainAddress}`, 'imuachain address is not bound']],
+      [4, ['client address is not bound', `imuachain address is bound to ${entries[3].clientAddress}`]],
+    ]);
+    expect(mismatches[1]).to.include({ processed: true, boundImuachainAddress: entries[4].imuachainAddress, boundClientAddress: '0x' });
+  });
+
+  describe('Batch sizing', function() {
+    const data = Array.from({ length: 40 }, (_, i) => ({ ...entries[0], clientTxId: ethers.zeroPadValue(ethers.toBeHex(i + 1), 32) }));
+
+    // 21000 gas plus 10000 gas per entry, over 200000 gas the node refuses to estimate
+    function meteredGateway() {
+      const gateway = { estimates: [] };
+      gateway.bootstrapHistoricalData = {
+        estimateGas: async (clientChainId, batch) => {
+          gateway.estimates.push(batch.length);
+          const gas = 21000n + 10000n * BigInt(batch.length);
+          if (gas > 200000n) {
+            throw new Error('gas required exceeds allowance (200000)');
+          }
+          return gas;
+        },
+      };
+      return gateway;
+    }
+
+    it('should find the largest batch under the gas budget', async function() {
+      const gateway = meteredGateway();
+      expect(await findBatchSize(gateway, ClientChainID.BITCOIN, data, 0, 250, 100000n))
+        .to.deep.equal({ size: 7, gasEstimate: 91000n });
+      // the rest of the data is smaller than the budget
+      expect(await findBatchSize(gateway, ClientChainID.BITCOIN, data, 35, 250, 150000n))
+        .to.deep.equal({ size: 5, gasEstimate: 71000n });
+      // the node refuses to estimate batches over its limit
+      expect((await findBatchSize(gateway, ClientChainID.BITCOIN, data, 0, 250, 10n ** 7n)).size).to.equal(17);
+    });
+
+    it('should start the search from the size hint', async function() {
+      const gateway = meteredGateway();
+      expect((await findBatchSize(gateway, ClientChainID.BITCOIN, data, 7, 10, 100000n, 7)).size).to.equal(7);
+      expect(gateway.estimates).to.deep.equal([7, 9, 8]);
+    });
+
+    it('should reject an entry which does not fit alone', async function() {
+      await expectRejection(
+        findBatchSize(meteredGateway(), ClientChainID.BITCOIN, data, 3, 250, 30000n), 'Entry 4 alone exceeds the gas budget of 30000'
+      );
+    });
+
+    it('should size the simulated batches to the gas budget', async function() {
+      const gateway = meteredGateway();
+      gateway.inboundNonce = async () => 0n;
+      gateway.isStakeMsgProcessed = async () => false;
+      gateway.getImuachainAddress = async () => ethers.ZeroAddress;
+      gateway.getClientAddress = async () => '0x';
+      gateway.bootstrapHistoricalData.staticCall = async () => {};
+
+      const report = await simulateBootstrap(gateway, ClientChainID.BITCOIN, data, '0x01', 100000n);
+      expect(report.batches.map(({ startIndex, endIndex }) => endIndex - startIndex)).to.deep.equal([7, 7, 7, 7, 7, 5]);
+      expect(report).to.include({ totalGas: (6n * 21000n + 400000n).toString(), expectedNonce: '40', ok: true });
+    });
+  });
+
+  describe('Batch import', function() {
+    const provider = { getBlock: async () => ({ gasLimit: 30000000n }) };
+
+    // A gateway which runs out of gas on the batches of more than maxEntries entries
+    function importingGateway(maxEntries) {
+      const imported = new Set();
+      const gateway = { sent: [], waits: [] };
+      gateway.inboundNonce = async () => BigInt(imported.size);
+      gateway.isStakeMsgProcessed = async (clientChainId, clientTxId) => imported.has(clientTxId);
+      gateway.bootstrapHistoricalData = async (clientChainId, batch, { gasLimit }) => {
+        gateway.sent.push(batch.length);
+        const hash = '0x' + String(gateway.sent.length).padStart(64, '0');
+        return {
+          hash,
+          wait: async (confirmations) => {
+            gateway.waits.push(confirmations);
+            if (batch.length > maxEntries) {
+              // mined, and reverted after using all of its gas
+              throw Object.assign(new Error('transaction execution reverted'), { receipt: { gasUsed: gasLimit } });
+            }
+            batch.forEach((entry) => imported.add(entry.clientTxId));
+            return { blockNumber: 100 + gateway.sent.length, gasUsed: 21000n, logs: [] };
+          },
+        };
+      };
+      gateway.bootstrapHistoricalData.estimateGas = async (clientChainId, batch) => 21000n + 10000n * BigInt(batch.length);
+      return gateway;
+    }
+
+    it('should retry a batch which runs out of gas with half of its entries', async function() {
+      const gateway = importingGateway(2);
+      const checkpointPath = path.join(dir, 'checkpoint.json');
+      const ok = await importInBatches(
+        gateway, contractAddress, ClientChainID.BITCOIN, entries, provider, checkpointPath, { confirmations: 3 }
+      );
+      expect(ok).to.equal(true);
+      expect(gateway.sent).to.deep.equal([5, 2, 2, 1]);
+      expect(gateway.waits).to.deep.equal([3, 3, 3, 3]);
+
+      const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+      expect(checkpoint.batches.map(({ startIndex, endIndex, blockNumber, nonceBefore, nonceAfter }) =>
+        [startIndex, endIndex, blockNumber, nonceBefore, nonceAfter])).to.deep.equal([
+        [0, 2, 102, '0', '2'],
+        [2, 4, 103, '2', '4'],
+        [4, 5, 104, '4', '5'],
+      ]);
+    });
+
+    it('should wait for at least one confirmation', async function() {
+      expect(getBatchOptions(['--confirmations=2'])).to.include({ confirmations: 2 });
+      expect(() => getBatchOptions(['--confirmations=0'])).to.throw('Invalid --confirmations=0, expected a positive integer');
+      await expectRejection(
+        importInBatches(importingGateway(5), contractAddress, ClientChainID.BITCOIN, entries, provider, undefined, { confirmations: 0 }),
+        'Invalid confirmations 0'
+      );
+    });
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.include(message);
+      return;
+    }
+    expect.fail(`expected a rejection with ${message}`);
+  }
+});
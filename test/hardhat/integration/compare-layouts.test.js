@@ -0,0 +1,97 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { expect } = require('chai');
+const {
+  comparePair,
+  fileMappings,
+  loadCompiledLayout,
+  loadLayoutAtRef,
+  pairsFromArgs,
+  parseSource,
+} = require('../../../script/compareLayouts.js');
+
+describe('Compare Layouts', function() {
+  const types = { t_uint256: { encoding: 'inplace', label: 'uint256', numberOfBytes: '32' } };
+  const variable = (label, slot) => ({
+    astId: slot + 1,
+    contract: 'src/core/UTXOGateway.sol:UTXOGateway',
+    label,
+    offset: 0,
+    slot: String(slot),
+    type: 't_uint256',
+  });
+  const v1 = { storage: [variable('inboundNonce', 0), variable('requiredProofs', 1)], types };
+
+  let outDir;
+
+  before(function() {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'out-'));
+    fs.mkdirSync(path.join(outDir, 'build-info'));
+    const buildInfo = (layout) => ({
+      output: {
+        contracts: {
+          'lib/mocks/UTXOGateway.sol': { UTXOGateway: { storageLayout: { storage: [], types: {} } } },
+          'src/core/UTXOGateway.sol': { UTXOGateway: { storageLayout: layout } },
+        },
+      },
+    });
+    fs.writeFileSync(path.join(outDir, 'build-info', 'old.json'), JSON.stringify(buildInfo({ storage: [], types: {} })));
+    fs.utimesSync(path.join(outDir, 'build-info', 'old.json'), new Date(0), new Date(0));
+    fs.writeFileSync(path.join(outDir, 'build-info', 'new.json'), JSON.stringify(buildInfo(v1)));
+    fs.writeFileSync(path.join(outDir, 'UTXOGateway.v1.json'), JSON.stringify(v1));
+  });
+
+  after(function() {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  it('should parse the layout sources and pairs', function() {
+    expect(parseSource('Vault.deployed.json')).to.deep.equal({ kind: 'file', path: 'Vault.deployed.json' });
+    expect(parseSource('UTXOGateway')).to.deep.equal({ kind: 'compiled', contract: 'UTXOGateway' });
+    expect(parseSource('src/core/Vault.sol:Vault@v1.0.0')).to.deep.equal({ kind: 'git', contract: 'src/core/Vault.sol:Vault', ref: 'v1.0.0' });
+
+    expect(pairsFromArgs([])).to.equal(fileMappings);
+    expect(pairsFromArgs(['--pair=Bootstrap,ClientChainGateway', '--contract=UTXOGateway,CustomProxyAdmin', '--base=main'])).to.deep.equal([
+      { before: 'Bootstrap', after: 'ClientChainGateway', mustExist: true },
+      { before: 'UTXOGateway@main', after: 'UTXOGateway', mustExist: true },
+      { before: 'CustomProxyAdmin@main', after: 'CustomProxyAdmin', mustExist: true },
+    ]);
+    expect(() => pairsFromArgs(['--contract=UTXOGateway'])).to.throw('--contract and --base go together');
+    expect(() => pairsFromArgs(['--pair=Bootstrap'])).to.throw('Invalid pair Bootstrap');
+  });
+
+  it('should read the compiled layout from the build-info', function() {
+    expect(loadCompiledLayout(outDir, 'UTXOGateway')).to.deep.equal(v1);
+    expect(loadCompiledLayout(outDir, 'lib/mocks/UTXOGateway.sol:UTXOGateway')).to.deep.equal({ storage: [], types: {} });
+    expect(() => loadCompiledLayout(outDir, 'Vault')).to.throw(`Vault is not compiled in ${path.join(outDir, 'build-info')}`);
+  });
+
+  it('should compare the layouts of a pair', function() {
+    const previous = path.join(outDir, 'UTXOGateway.v1.json');
+    expect(comparePair({ before: previous, after: 'UTXOGateway', mustExist: true }, { outDir })).to.include({ ok: true, skipped: false });
+
+    const swapped = path.join(outDir, 'UTXOGateway.swapped.json');
+    fs.writeFileSync(swapped, JSON.stringify({ storage: [variable('requiredProofs', 0), variable('inboundNonce', 1)], types }));
+    const result = comparePair({ before: previous, after: swapped, mustExist: true }, { outDir });
+    expect(result.ok).to.equal(false);
+    expect(result.explanation).to.include('Deleted `inboundNonce`');
+
+    expect(comparePair({ before: 'missing.json', after: 'UTXOGateway', mustExist: false }, { outDir })).to.include({ ok: true, skipped: true });
+    expect(() => comparePair({ before: 'missing.json', after: 'UTXOGateway', mustExist: true }, { outDir })).to.throw('Required file(s) missing: missing.json');
+  });
+
+  it('should not leave a worktree behind for a ref which does not exist', function() {
+    const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'repo-'));
+    const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore' });
+    git('init', '--quiet');
+    git('-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '--quiet', '--allow-empty', '-m', 'init');
+    const worktrees = () => fs.readdirSync(os.tmpdir()).filter((entry) => entry.startsWith('layout-'));
+    const before = worktrees();
+
+    expect(() => loadLayoutAtRef('missing', 'src/core/UTXOGateway.sol:UTXOGateway', repo)).to.throw();
+    expect(worktrees()).to.deep.equal(before);
+    fs.rmSync(repo, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  DeploymentsRegistry,
+  EIP1967_ADMIN_SLOT,
+  EIP1967_IMPLEMENTATION_SLOT,
+  artifactHash,
+  diffNetwork,
+  registryNetworkFor,
+  validateRegistry,
+} = require('../../../script/deploymentsRegistry.js');
+
+describe('Deployments Registry', function() {
+  const proxy = ethers.getAddress('0x' + '11'.repeat(20));
+  const logicV1 = ethers.getAddress('0x' + '22'.repeat(20));
+  const logicV2 = ethers.getAddress('0x' + '33'.repeat(20));
+  const admin = ethers.getAddress('0x' + '44'.repeat(20));
+  const endpoint = ethers.getAddress('0x' + '55'.repeat(20));
+
+  function createRegistry() {
+    const registry = new DeploymentsRegistry(undefined, null);
+    registry.setChainId('imuachain', 233);
+    registry.record('imuachain', 'utxoGateway', {
+      proxy,
+      implementation: logicV1,
+      admin,
+      txHash: ethers.id('deploy'),
+      blockNumber: 100,
+      artifactHash: artifactHash('0x6080'),
+    });
+    registry.record('imuachain', 'lzEndpoint', { implementation: endpoint.toLowerCase() });
+    return registry;
+  }
+
+  it('should keep the replaced deployments in the history', function() {
+    const registry = createRegistry();
+    expect(registry.address('imuachain', 'utxoGateway')).to.equal(proxy);
+    expect(registry.address('imuachain', 'lzEndpoint')).to.equal(endpoint);
+
+    // updating the same deployment does not add to the history
+    registry.record('imuachain', 'utxoGateway', { metadata: { requiredProofs: 3 } });
+    expect(registry.get('imuachain', 'utxoGateway')).to.deep.include({ blockNumber: 100, history: [] });
+
+    const upgraded = registry.record('imuachain', 'utxoGateway', { proxy, implementation: logicV2, admin, blockNumber: 200 });
+    expect(upgraded).to.deep.include({ implementation: logicV2, blockNumber: 200, metadata: null });
+    expect(upgraded.history).to.have.length(1);
+    expect(upgraded.history[0]).to.deep.include({ implementation: logicV1, blockNumber: 100, metadata: { requiredProofs: 3 } });
+    expect(upgraded.history[0]).not.to.have.property('history');
+
+    expect(() => registry.record('imuachain', 'utxoGateway', { blockNumber: -1 })).to.throw('blockNumber is not a valid block');
+    expect(() => registry.record('imuachain', 'faucet', { proxy })).to.throw('implementation is missing');
+  });
+
+  it('should keep the deployments of each chain under its own network', function() {
+    expect(registryNetworkFor('imuachain_testnet')).to.equal('imuachain');
+    expect(registryNetworkFor('imuachain_localnet')).to.equal('imuachain_localnet');
+
+    const registry = createRegistry();
+    registry.setChainId('imuachain', 233n);
+    expect(() => registry.setChainId('imuachain', 232n)).to.throw('imuachain is chain 233 in the registry, not chain 232.');
+    registry.setChainId('imuachain_localnet', 232n);
+    expect(registry.chainId('imuachain')).to.equal(233);
+    expect(registry.address('imuachain', 'utxoGateway')).to.equal(proxy);
+  });
+
+  it('should validate the registry', function() {
+    const { data } = createRegistry();
+    expect(validateRegistry(data)).to.deep.equal([]);
+    expect(validateRegistry({ ...data, version: 2 })).to.deep.equal(['unsupported registry version 2, expected 1']);
+
+    const invalid = JSON.parse(JSON.stringify(data));
+    invalid.networks.imuachain.contracts.utxoGateway.txHash = '0x1234';
+    invalid.networks.imuachain.contracts.lzEndpoint.owner = admin;
+    delete invalid.networks.imuachain.contracts.lzEndpoint.deployer;
+    expect(validateRegistry(invalid)).to.deep.equal([
+      'imuachain.utxoGateway.txHash is not a valid hash: "0x1234"',
+      'imuachain.lzEndpoint has an unknown field owner',
+      'imuachain.lzEndpoint.deployer is missing',
+    ]);
+    expect(() => new DeploymentsRegistry(invalid)).to.throw('Invalid deployments registry');
+  });
+
+  it('should export and import deployedContracts.json', function() {
+    const legacy = {
+      imuachain: {
+        imuachainProxyAdmin: admin,
+        lzEndpoint: endpoint,
+        utxoGateway: proxy,
+        utxoGatewayLogic: logicV1,
+      },
+    };
+    const registry = new DeploymentsRegistry(undefined, null);
+    expect(registry.importLegacy(legacy)).to.deep.equal(['imuachain.imuachainProxyAdmin', 'imuachain.lzEndpoint', 'imuachain.utxoGateway']);
+    expect(registry.get('imuachain', 'utxoGateway')).to.deep.include({ proxy, implementation: logicV1, admin });
+    expect(registry.toLegacy()).to.deep.equal(legacy);
+
+    // a Foundry script upgraded the gateway
+    expect(registry.importLegacy(legacy)).to.deep.equal([]);
+    expect(registry.importLegacy({ imuachain: { ...legacy.imuachain, utxoGatewayLogic: logicV2 } })).to.deep.equal(['imuachain.utxoGateway']);
+    const upgraded = registry.get('imuachain', 'utxoGateway');
+    expect(upgraded).to.deep.include({ implementation: logicV2, admin });
+    expect(upgraded.history.map(({ implementation }) => implementation)).to.deep.equal([logicV1]);
+  });
+
+  it('should keep the addresses a Foundry script wrote to deployedContracts.json across an export', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'deployments-'));
+    const legacyPath = path.join(dir, 'deployedContracts.json');
+    const registry = createRegistry();
+    registry.exportLegacy(legacyPath);
+    // a Foundry deployment which was not imported
+    const deployed = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+    deployed.imuachain.imuachainGateway = admin;
+    fs.writeFileSync(legacyPath, JSON.stringify(deployed));
+
+    expect(registry.importLegacyFile(legacyPath)).to.deep.equal(['imuachain.imuachainGateway']);
+    expect(registry.address('imuachain', 'imuachainGateway')).to.equal(admin);
+    registry.record('imuachain', 'utxoGateway', { proxy, implementation: logicV2 });
+    registry.exportLegacy(legacyPath);
+    expect(JSON.parse(fs.readFileSync(legacyPath, 'utf8')).imuachain).to.include({ imuachainGateway: admin, utxoGatewayLogic: logicV2 });
+    expect(registry.importLegacyFile(path.join(dir, 'missing.json'))).to.deep.equal([]);
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  it('should diff a network against the chain', async function() {
+    const slot = (address) => ethers.zeroPadValue(address, 32);
+    const provider = {
+      chainId: 233n,
+      code: { [proxy]: '0x60', [logicV1]: '0x60' },
+      storage: { [EIP1967_IMPLEMENTATION_SLOT]: slot(logicV2), [EIP1967_ADMIN_SLOT]: slot(admin) },
+      getNetwork: async () => ({ chainId: provider.chainId }),
+      getCode: async (address) => provider.code[address] ?? '0x',
+      getStorage: async (_, key) => provider.storage[key],
+    };
+
+    expect(await diffNetwork(createRegistry(), 'imuachain', provider)).to.deep.equal([
+      {
+        name: 'utxoGateway',
+        address: proxy,
+        issues: [`implementation is ${logicV2} on chain, ${logicV1} in the registry`],
+      },
+      { name: 'lzEndpoint', address: endpoint, issues: [`no code at implementation ${endpoint}`] },
+    ]);
+
+    provider.storage[EIP1967_IMPLEMENTATION_SLOT] = slot(logicV1);
+    provider.code[endpoint] = '0x60';
+    expect(await diffNetwork(createRegistry(), 'imuachain', provider)).to.deep.equal([]);
+
+    provider.chainId = 1n;
+    try {
+      await diffNetwork(createRegistry(), 'imuachain', provider);
+      expect.fail('diff should have rejected');
+    } catch (error) {
+      expect(error.message).to.equal('The provider is connected to chain 1, but imuachain is chain 233.');
+    }
+  });
+});
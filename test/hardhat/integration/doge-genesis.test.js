@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+const { toBech32 } = require('@cosmjs/encoding');
+const { payments } = require('bitcoinjs-lib');
+
+// config.ts requires these, the generator under test does not use them
+process.env.BITCOIN_VAULT_ADDRESS = process.env.BITCOIN_VAULT_ADDRESS || 'vault';
+process.env.BITCOIN_ESPLORA_API_URL = process.env.BITCOIN_ESPLORA_API_URL || 'http://localhost';
+
+const {
+  DogeGenesisGenerator,
+  DOGECOIN_NETWORKS,
+  generateDogeGenesisState,
+  resolveDogeNetwork,
+} = require('../../../script/bootstrap/doge_genesis.ts');
+const { EnvPriceProvider } = require('../../../script/bootstrap/prices.js');
+
+describe('Dogecoin Genesis Generation', function() {
+  const network = DOGECOIN_NETWORKS.mainnet;
+  const p2pkh = (fill) => payments.p2pkh({ hash: Buffer.alloc(20, fill), network });
+  const vault = p2pkh(1);
+  const sender = p2pkh(2);
+  const validator = toBech32('im', Buffer.alloc(20, 3));
+  const imuachainAddress = '0x' + '44'.repeat(20);
+  const bootstrapContract = {
+    validators: async () => ({ name: 'val', consensusPublicKey: '0xkey' }),
+  };
+
+  function stakeTx(txid, from, amount) {
+    const opReturn = '6a3d' + imuachainAddress.slice(2) + Buffer.from(validator, 'utf8').toString('hex');
+    return {
+      txid,
+      // Dogecoin indexers do not always return the addresses, only the scripts
+      vin: [{ prevout: { scriptpubkey: from.output.toString('hex') } }],
+      vout: [
+        { scriptpubkey: vault.output.toString('hex'), scriptpubkey_type: 'p2pkh', value: amount },
+        { scriptpubkey: opReturn, scriptpubkey_type: 'op_return', value: 0 },
+      ],
+      status: { confirmed: true, block_height: 90, block_time: 1700000000, txIndex: Number(txid.slice(-1)) },
+    };
+  }
+
+  function createGenerator(transactions) {
+    const generator = new DogeGenesisGenerator(vault.address, 'http://esplora', bootstrapContract, 6, 100000000);
+    generator.fetchTransactions = async () => transactions;
+    generator.getCurrentHeight = async () => 100;
+    return generator;
+  }
+
+  it('should encode base58 addresses with the network params and keep their case', async function() {
+    expect(vault.address).to.match(/^D/);
+    const generator = createGenerator([stakeTx('tx1', sender, 250000000), stakeTx('tx2', vault, 250000000)]);
+
+    const stakes = await generator.generateGenesisStakes();
+    // the second one is sent from the vault
+    expect(stakes).to.have.lengthOf(1);
+    expect(stakes[0]).to.include({ txid: 'tx1', senderAddress: sender.address, imuachainAddress, amount: 250000000n });
+
+    const genesis = await generateDogeGenesisState(stakes, generator, new EnvPriceProvider());
+    const { assets, dogfood, oracle } = genesis.app_state;
+    expect(assets.client_chains[0]).to.include({ name: 'Dogecoin', layer_zero_chain_id: 3 });
+    expect(assets.deposits[0].staker).to.equal(`${imuachainAddress}_0x3`);
+    expect(oracle.params.tokens[0]).to.include({ name: 'DOGE', chain_id: 3 });
+    expect(dogfood.val_set[0].public_key).to.equal('0xkey');
+  });
+
+  it('should reject a vault address of another network', function() {
+    const testnetVault = payments.p2pkh({ hash: Buffer.alloc(20, 1), network: DOGECOIN_NETWORKS.testnet });
+    expect(() => new DogeGenesisGenerator(testnetVault.address, 'http://esplora', bootstrapContract))
+      .to.throw('Invalid Dogecoin vault address');
+    expect(() => new DogeGenesisGenerator(testnetVault.address, 'http://esplora', bootstrapContract, 6, 1, DOGECOIN_NETWORKS.testnet))
+      .not.to.throw();
+  });
+
+  it('should resolve the network params', function() {
+    expect(resolveDogeNetwork('testnet')).to.equal(DOGECOIN_NETWORKS.testnet);
+    expect(resolveDogeNetwork('{"pubKeyHash":111,"scriptHash":196,"wif":239}')).to.include({ pubKeyHash: 111, bech32: '' });
+    expect(() => resolveDogeNetwork('regtest')).to.throw('Unknown DOGE_NETWORK');
+    expect(() => resolveDogeNetwork('{"pubKeyHash":111}')).to.throw('scriptHash must be an integer');
+  });
+});
@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const {
+  UnsignedTransactionBatch,
+  resolveSignerMode,
+  safeBatchChecksum,
+  signerOptionsFromEnv,
+  unsignedTransactionsPathFor,
+} = require('../../../script/bootstrap/external_signer.js');
+
+describe('External Signer', function() {
+  const safe = '0x' + '5a'.repeat(20);
+  const gateway = '0x' + '09'.repeat(20);
+  const gatewayInterface = new ethers.Interface(['function activateStakingForClientChain(uint8 clientChainId)']);
+
+  function createBatch() {
+    const batch = new UnsignedTransactionBatch({ chainId: 233, from: safe, name: 'Activate', description: 'Activate staking' });
+    batch.add({
+      to: gateway,
+      data: gatewayInterface.encodeFunctionData('activateStakingForClientChain', [1]),
+      gasLimit: 60000,
+      description: 'activateStakingForClientChain(Bitcoin)',
+    });
+    batch.add({ to: gateway, data: gatewayInterface.encodeFunctionData('activateStakingForClientChain', [2]) });
+    return batch;
+  }
+
+  it('should write a Safe Transaction Builder batch', function() {
+    const batch = createBatch().toSafeBatch(1700000000000);
+    expect(batch).to.deep.include({ version: '1.0', chainId: '233', createdAt: 1700000000000 });
+    expect(batch.meta).to.include({ name: 'Activate', createdFromSafeAddress: ethers.getAddress(safe) });
+    expect(batch.transactions[1]).to.deep.equal({
+      to: ethers.getAddress(gateway),
+      value: '0',
+      data: gatewayInterface.encodeFunctionData('activateStakingForClientChain', [2]),
+      contractMethod: null,
+      contractInputsValues: null,
+    });
+
+    // the checksum covers the transactions, but not the name of the batch
+    expect(safeBatchChecksum(batch)).to.equal(batch.meta.checksum);
+    expect(safeBatchChecksum({ ...batch, meta: { ...batch.meta, name: 'Renamed' } })).to.equal(batch.meta.checksum);
+    const changed = { ...batch, transactions: [batch.transactions[0]] };
+    expect(safeBatchChecksum(changed)).not.to.equal(batch.meta.checksum);
+  });
+
+  it('should write a JSON-RPC batch of signing requests', function() {
+    const requests = createBatch().toJsonRpcRequests({ nonce: 7 });
+    expect(requests.map(({ id, method }) => [id, method])).to.deep.equal([[1, 'eth_signTransaction'], [2, 'eth_signTransaction']]);
+    expect(requests[0].params[0]).to.deep.equal({
+      from: ethers.getAddress(safe),
+      to: ethers.getAddress(gateway),
+      data: gatewayInterface.encodeFunctionData('activateStakingForClientChain', [1]),
+      value: '0x0',
+      chainId: '0xe9',
+      gas: '0xea60',
+      nonce: '0x7',
+    });
+    expect(requests[1].params[0]).to.include({ nonce: '0x8' }).and.not.to.have.property('gas');
+    expect(createBatch().toJsonRpcRequests()[0].params[0]).not.to.have.property('nonce');
+  });
+
+  it('should read the signer options', function() {
+    expect(resolveSignerMode()).to.equal('local');
+    expect(resolveSignerMode('Safe')).to.equal('safe');
+    expect(() => resolveSignerMode('ledger')).to.throw('Unknown signer mode ledger');
+
+    expect(signerOptionsFromEnv({})).to.deep.equal({ mode: 'local', from: null, outputPath: null });
+    expect(signerOptionsFromEnv({ SIGNER_MODE: 'rpc', SIGNER_ADDRESS: safe, UNSIGNED_TX_PATH: 'tx.json' }))
+      .to.deep.equal({ mode: 'rpc', from: ethers.getAddress(safe), outputPath: 'tx.json' });
+    expect(() => signerOptionsFromEnv({ SIGNER_MODE: 'safe' })).to.throw('SIGNER_ADDRESS must be set');
+
+    expect(unsignedTransactionsPathFor('/genesis/btc_bootstrap_data.json', 'safe')).to.equal('/genesis/btc_bootstrap_data.safe-tx.json');
+    expect(unsignedTransactionsPathFor('/deployments/setup-testnet', 'rpc')).to.equal('/deployments/setup-testnet.rpc-requests.json');
+  });
+});
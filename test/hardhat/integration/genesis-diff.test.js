@@ -0,0 +1,114 @@
+const { expect } = require('chai');
+const { diffGenesis, formatGenesisDiff } = require('../../../script/bootstrap/genesis_diff.ts');
+
+describe('Genesis Diff', function() {
+  const OPERATOR = 'im1yg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zx8sfud';
+  const ASSET = '0x2f9db0fd41429199519ad57ef4fd7cfece98d32b_0x9d19';
+
+  function createGenesis() {
+    return {
+      genesis_time: '2025-01-01T00:00:00.000Z',
+      chain_id: 'imuachainlocalnet_232-1',
+      app_state: {
+        assets: {
+          client_chains: [{ name: 'Holesky', layer_zero_chain_id: 40217 }],
+          tokens: [{
+            asset_basic_info: {
+              symbol: 'exoETH', address: '0x2F9db0Fd41429199519Ad57ef4fD7CfecE98D32B', layer_zero_chain_id: 40217,
+            },
+            staking_total_amount: '100',
+          }],
+          deposits: [
+            { staker: '0x01_0x9d19', deposits: [{ asset_id: ASSET, info: { total_deposit_amount: '60' } }] },
+            { staker: '0x02_0x9d19', deposits: [{ asset_id: ASSET, info: { total_deposit_amount: '40' } }] },
+          ],
+          operator_assets: [{ operator: OPERATOR, assets_state: [{ asset_id: ASSET, info: { total_amount: '100' } }] }],
+        },
+        delegation: {
+          associations: [],
+          delegation_states: [
+            { key: `0x01_0x9d19/${ASSET}/${OPERATOR}`, states: { undelegatable_share: '60' } },
+            { key: `0x02_0x9d19/${ASSET}/${OPERATOR}`, states: { undelegatable_share: '40' } },
+          ],
+          stakers_by_operator: [{ key: `${OPERATOR}/${ASSET}`, stakers: ['0x01_0x9d19', '0x02_0x9d19'] }],
+        },
+        operator: { operator_asset_usd_values: [] },
+        dogfood: {
+          params: { asset_ids: [ASSET] },
+          val_set: [{ public_key: '0xab', power: '1000' }],
+          last_total_power: '1000',
+        },
+        oracle: {
+          params: {
+            chains: [{ name: '-', desc: '-' }],
+            tokens: [{ name: 'ETH', asset_id: ASSET }],
+            token_feeders: [{ token_id: '0', rule_id: '2' }],
+          },
+          prices_list: [{ token_id: '0', price_list: [{ price: '100000000000' }] }],
+        },
+        feedistribution: { all_avs_reward_assets: [{ avs: '0xdog' }] },
+      },
+    };
+  }
+
+  function changesOf(diff, module) {
+    return diff.modules.find((entry) => entry.module === module).changes;
+  }
+
+  it('should report no changes for identical files', function() {
+    const diff = diffGenesis(createGenesis(), createGenesis());
+
+    expect(diff.modules.map((entry) => entry.module))
+      .to.deep.equal(['assets', 'delegation', 'operator', 'dogfood', 'oracle', 'feedistribution']);
+    for (const entry of diff.modules) {
+      expect(entry.changes).to.be.empty;
+    }
+  });
+
+  it('should report stakers, stake deltas, power and oracle changes', function() {
+    const before = createGenesis();
+    const after = createGenesis();
+    after.app_state.assets.deposits.pop();
+    after.app_state.assets.deposits.push(
+      { staker: '0x03_0x9d19', deposits: [{ asset_id: ASSET, info: { total_deposit_amount: '90' } }] }
+    );
+    after.app_state.assets.operator_assets[0].assets_state[0].info.total_amount = '150';
+    after.app_state.dogfood.val_set[0].power = '900';
+    after.app_state.oracle.params.tokens[0].asset_id += ',NST_0x9d19';
+    after.app_state.oracle.params.token_feeders.push({ token_id: '1', rule_id: '3' });
+
+    const diff = diffGenesis(before, after);
+
+    const assets = changesOf(diff, 'assets');
+    expect(assets).to.deep.include({ kind: 'added', subject: 'staker', key: '0x03_0x9d19', after: '1' });
+    expect(assets).to.deep.include({ kind: 'removed', subject: 'staker', key: '0x02_0x9d19', before: '1' });
+    expect(assets).to.deep.include({
+      kind: 'changed', subject: 'operator stake', key: `${OPERATOR}/${ASSET}`, before: '100', after: '150', delta: '+50',
+    });
+    expect(changesOf(diff, 'dogfood')).to.deep.include({
+      kind: 'changed', subject: 'validator power', key: '0xab', before: '1000', after: '900', delta: '-100',
+    });
+    const oracle = changesOf(diff, 'oracle');
+    expect(oracle.map((change) => `${change.kind} ${change.subject} ${change.key}`))
+      .to.deep.equal(['changed oracle token 0', 'added token feeder 1']);
+
+    const text = formatGenesisDiff(diff);
+    expect(text).to.include('== assets (');
+    expect(text).to.include(`~ operator stake ${OPERATOR}/${ASSET}: 100 -> 150 (+50)`);
+    expect(text).to.include('== feedistribution (no changes) ==');
+  });
+
+  it('should restrict the diff to the requested modules', function() {
+    const after = createGenesis();
+    after.app_state.feedistribution.all_avs_reward_assets[0].avs = '0xother';
+
+    const diff = diffGenesis(createGenesis(), after, ['feedistribution']);
+
+    expect(diff.modules).to.have.lengthOf(1);
+    expect(diff.modules[0].changes.map((change) => change.kind)).to.deep.equal(['removed', 'added']);
+  });
+
+  it('should reject files without an app_state', function() {
+    expect(() => diffGenesis({}, createGenesis())).to.throw('Invalid old genesis');
+  });
+});
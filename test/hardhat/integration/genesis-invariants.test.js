@@ -0,0 +1,106 @@
+const { expect } = require('chai');
+const { keccak256, toUtf8Bytes } = require('ethers');
+const {
+  GenesisInvariantError,
+  checkGenesisInvariants,
+  assertGenesisInvariants,
+} = require('../../../script/bootstrap/genesis_invariants.js');
+
+describe('Genesis Invariants', function() {
+  const CHAIN_ID = 'imuachainlocalnet_232';
+  const OPERATOR = 'im1yg3zyg3zyg3zyg3zyg3zyg3zyg3zyg3zx8sfud';
+  const ASSET = '0x2f9db0fd41429199519ad57ef4fd7cfece98d32b_0x9d19';
+  const CONSENSUS_KEY = '0xab';
+  const AVS = '0x' + keccak256(toUtf8Bytes('chain-id-prefix' + CHAIN_ID)).slice(-40);
+
+  function createGenesis() {
+    return {
+      chain_id: `${CHAIN_ID}-1`,
+      app_state: {
+        assets: {
+          tokens: [{
+            asset_basic_info: { address: '0x2F9db0Fd41429199519Ad57ef4fD7CfecE98D32B', layer_zero_chain_id: 40217 },
+            staking_total_amount: '100',
+          }],
+          deposits: [
+            { staker: '0x01_0x9d19', deposits: [{ asset_id: ASSET, info: { total_deposit_amount: '60' } }] },
+            { staker: '0x02_0x9d19', deposits: [{ asset_id: ASSET, info: { total_deposit_amount: '40' } }] },
+          ],
+          operator_assets: [{ operator: OPERATOR, assets_state: [{ asset_id: ASSET, info: { total_amount: '100' } }] }],
+        },
+        delegation: {
+          delegation_states: [
+            { key: `0x01_0x9d19/${ASSET}/${OPERATOR}`, states: { undelegatable_share: '60' } },
+            { key: `0x02_0x9d19/${ASSET}/${OPERATOR}`, states: { undelegatable_share: '40' } },
+          ],
+          stakers_by_operator: [{ key: `${OPERATOR}/${ASSET}`, stakers: ['0x01_0x9d19', '0x02_0x9d19'] }],
+        },
+        operator: {
+          operator_records: [{
+            operator_address: OPERATOR,
+            chains: [{ chain_id: CHAIN_ID, consensus_key: CONSENSUS_KEY }],
+          }],
+          opt_states: [{ key: `${OPERATOR}/${AVS}`, opt_info: { opted_out_height: '18446744073709551615' } }],
+        },
+        dogfood: {
+          params: { asset_ids: [ASSET] },
+          val_set: [{ public_key: CONSENSUS_KEY, power: '1000' }],
+          last_total_power: '1000',
+        },
+        oracle: {
+          params: { tokens: [{ name: 'ETH', asset_id: `0xother_0x1,${ASSET}` }] },
+        },
+      },
+    };
+  }
+
+  function invariantsOf(violations) {
+    return [...new Set(violations.map(({ invariant }) => invariant))];
+  }
+
+  it('should accept a consistent genesis', function() {
+    expect(checkGenesisInvariants(createGenesis())).to.deep.equal([]);
+    expect(() => assertGenesisInvariants(createGenesis())).to.not.throw();
+  });
+
+  it('should report amounts which do not add up', function() {
+    const genesis = createGenesis();
+    genesis.app_state.assets.tokens[0].staking_total_amount = '101';
+    genesis.app_state.delegation.delegation_states[1].states.undelegatable_share = '39';
+    genesis.app_state.dogfood.last_total_power = '999';
+
+    expect(invariantsOf(checkGenesisInvariants(genesis))).to.deep.equal([
+      'deposits-match-staking-total',
+      'operator-assets-match-delegations',
+      'total-power',
+    ]);
+  });
+
+  it('should report stakers_by_operator entries which do not match the delegations', function() {
+    const genesis = createGenesis();
+    genesis.app_state.delegation.stakers_by_operator[0].stakers = ['0x01_0x9d19', '0x03_0x9d19'];
+
+    const violations = checkGenesisInvariants(genesis);
+    expect(invariantsOf(violations)).to.deep.equal(['stakers-by-operator-match-delegations']);
+    expect(violations).to.have.lengthOf(2);
+  });
+
+  it('should report validators and assets which are not registered', function() {
+    const genesis = createGenesis();
+    genesis.app_state.operator.opt_states[0].opt_info.opted_out_height = '10';
+    genesis.app_state.oracle.params.tokens[0].asset_id = '0xother_0x1';
+
+    expect(invariantsOf(checkGenesisInvariants(genesis))).to.deep.equal([
+      'validators-opted-in',
+      'dogfood-assets-known',
+    ]);
+  });
+
+  it('should skip the operator records of partial genesis files', function() {
+    const genesis = createGenesis();
+    delete genesis.app_state.operator.operator_records;
+
+    expect(checkGenesisInvariants(genesis, { partial: true })).to.deep.equal([]);
+    expect(() => assertGenesisInvariants(genesis)).to.throw(GenesisInvariantError, /has no operator record/);
+  });
+});
@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const { Web3 } = require('web3');
+
+describe('Genesis Multicall Reader', function() {
+  let multicallLib;
+  const web3 = new Web3();
+  const BOOTSTRAP_ADDRESS = '0xF801fc13AA08876F343fEBf50dFfA52A78180811';
+  const ABI = [
+    {
+      type: 'function', name: 'depositors', stateMutability: 'view',
+      inputs: [{ name: '', type: 'uint256' }],
+      outputs: [{ name: '', type: 'address' }],
+    },
+    {
+      type: 'function', name: 'totalDepositAmounts', stateMutability: 'view',
+      inputs: [{ name: '', type: 'address' }, { name: '', type: 'address' }],
+      outputs: [{ name: '', type: 'uint256' }],
+    },
+  ];
+  const depositor = (i) => web3.utils.toChecksumAddress('0x' + (i + 1).toString(16).padStart(40, '0'));
+
+  before(async function() {
+    multicallLib = await import('../../../script/bootstrap/multicall.mjs');
+  });
+
+  // a web3 stand-in whose Multicall3 answers from `depositor`, with the real ABI codec
+  function createMockWeb3(code, stats) {
+    class MockMulticall {
+      constructor() {
+        this.methods = {
+          aggregate3: (calls) => ({
+            call: async () => {
+              stats.multicalls += 1;
+              stats.inFlight += 1;
+              stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+              await new Promise((resolve) => setTimeout(resolve, 5));
+              stats.inFlight -= 1;
+              return calls.map(({ target, callData }) => {
+                expect(target).to.equal(BOOTSTRAP_ADDRESS);
+                const index = Number(web3.eth.abi.decodeParameter('uint256', '0x' + callData.slice(10)));
+                if (index === 13) {
+                  return { success: false, returnData: '0x' };
+                }
+                return { success: true, returnData: web3.eth.abi.encodeParameter('address', depositor(index)) };
+              });
+            },
+          }),
+        };
+      }
+    }
+    return {
+      eth: {
+        getCode: async () => code,
+        Contract: MockMulticall,
+        abi: web3.eth.abi,
+      },
+    };
+  }
+
+  function createContract(stats) {
+    // encoding and the json interface come from web3, the direct calls are counted.
+    const contract = new web3.eth.Contract(ABI, BOOTSTRAP_ADDRESS);
+    return {
+      options: contract.options,
+      methods: new Proxy({}, {
+        get: (_, name) => (...args) => ({
+          encodeABI: () => contract.methods[name](...args).encodeABI(),
+          call: async () => {
+            stats.directCalls += 1;
+            if (name === 'depositors' && args[0] === 13) {
+              throw new Error('execution reverted');
+            }
+            return depositor(args[0]);
+          },
+        }),
+      }),
+    };
+  }
+
+  function newStats() {
+    return { multicalls: 0, directCalls: 0, inFlight: 0, maxInFlight: 0 };
+  }
+
+  it('should run tasks with bounded concurrency and keep their order', async function() {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const tasks = [...Array(10).keys()].map((i) => async () => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 10 - i));
+      inFlight -= 1;
+      return i;
+    });
+
+    const results = await multicallLib.runWithConcurrency(tasks, 3);
+
+    expect(results).to.deep.equal([...Array(10).keys()]);
+    expect(maxInFlight).to.equal(3);
+  });
+
+  it('should batch reads through multicall and serve them from the cache', async function() {
+    const stats = newStats();
+    const reader = new multicallLib.BatchedContractReader(
+      createMockWeb3('0x6080', stats), createContract(stats), { batchSize: 4, concurrency: 2 }
+    );
+
+    await reader.prefetch([...Array(10).keys()].map((i) => ['depositors', i]));
+    // duplicates and cached reads are not fetched again
+    await reader.prefetch([['depositors', 0], ['depositors', 0]]);
+
+    expect(stats.multicalls).to.equal(3);
+    expect(stats.maxInFlight).to.equal(2);
+    for (let i = 0; i < 10; i++) {
+      expect(await reader.methods.depositors(i).call()).to.equal(depositor(i));
+    }
+    expect(stats.directCalls).to.equal(0);
+  });
+
+  it('should leave failed reads to the direct call', async function() {
+    const stats = newStats();
+    const reader = new multicallLib.BatchedContractReader(
+      createMockWeb3('0x6080', stats), createContract(stats), { batchSize: 10 }
+    );
+
+    await reader.prefetch([['depositors', 12], ['depositors', 13]]);
+
+    expect(await reader.methods.depositors(12).call()).to.equal(depositor(12));
+    let error;
+    try {
+      await reader.methods.depositors(13).call();
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal('execution reverted');
+    expect(stats.directCalls).to.equal(1);
+  });
+
+  it('should fall back to individual calls without a multicall contract', async function() {
+    const stats = newStats();
+    const reader = new multicallLib.BatchedContractReader(
+      createMockWeb3('0x', stats), createContract(stats), { batchSize: 2 }
+    );
+
+    await reader.prefetch([...Array(5).keys()].map((i) => ['depositors', i]));
+
+    expect(stats.multicalls).to.equal(0);
+    expect(stats.directCalls).to.equal(5);
+    expect(await reader.methods.depositors(4).call()).to.equal(depositor(4));
+    expect(stats.directCalls).to.equal(5);
+  });
+
+  it('should reject invalid batching options', function() {
+    const stats = newStats();
+    expect(() => new multicallLib.BatchedContractReader(
+      createMockWeb3('0x', stats), createContract(stats), { batchSize: -1 }
+    )).to.throw('Invalid multicall batch size');
+  });
+});
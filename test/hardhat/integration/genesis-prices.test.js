@@ -0,0 +1,158 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EnvPriceProvider,
+  FilePriceProvider,
+  SnapshotPriceProvider,
+  createPriceProvider,
+  createReplayPriceProvider,
+  priceAuditPath,
+  writePriceAudit,
+  mergePriceAudits,
+} = require('../../../script/bootstrap/prices.js');
+
+describe('Genesis Price Providers', function() {
+  const dir = path.join(os.tmpdir(), `genesis-prices-${process.pid}`);
+
+  beforeEach(function() {
+    fs.mkdirSync(dir, { recursive: true });
+  });
+
+  afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeJson(name, data) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, JSON.stringify(data));
+    return filePath;
+  }
+
+  it('should serve the configured prices from env', async function() {
+    const provider = createPriceProvider({});
+    expect(provider).to.be.instanceOf(EnvPriceProvider);
+
+    const quote = await provider.getPrice('BTC', { price: '98765.43210', source: 'BTC_PRICE_USD' });
+    expect(quote).to.include({ symbol: 'BTC', price: '98765.4321', source: 'env:BTC_PRICE_USD' });
+    await provider.getPrice('BTC', { price: '98765.4321', source: 'BTC_PRICE_USD' });
+    expect(provider.quotes()).to.have.lengthOf(1);
+
+    await expectRejection(provider.getPrice('XRP'), 'No price is configured for XRP');
+    await expectRejection(provider.getPrice('XRP', { price: '-1', source: 'XRP_PRICE_USD' }), 'Invalid price');
+    // a token must have a single price across client chains and generators
+    await expectRejection(
+      provider.getPrice('BTC', { price: '1', source: 'BTC_PRICE_USD' }), 'differs from the one used before'
+    );
+  });
+
+  it('should serve prices from a file and ignore the configured ones', async function() {
+    const filePath = writeJson('prices.json', {
+      prices: { ETH: 3000, BTC: { price: '98765.4321', source: 'coingecko', timestamp: '2025-01-01T00:00:00Z' } },
+    });
+    const provider = createPriceProvider({ GENESIS_PRICE_SOURCE: `file:${filePath}` });
+    expect(provider).to.be.instanceOf(FilePriceProvider);
+
+    expect(await provider.getPrice('ETH', { price: '1', source: 'INTEGRATION_EXCHANGE_RATES' }))
+      .to.include({ price: '3000', source: `file:${filePath}` });
+    expect(await provider.getPrice('BTC')).to.deep.equal({
+      symbol: 'BTC',
+      price: '98765.4321',
+      source: `file:${filePath} (coingecko)`,
+      timestamp: '2025-01-01T00:00:00Z',
+    });
+    await expectRejection(provider.getPrice('XRP'), 'has no price for XRP');
+    expect(() => createPriceProvider({ GENESIS_PRICE_SOURCE: 'oracle' })).to.throw('Unknown GENESIS_PRICE_SOURCE');
+  });
+
+  it('should record prices into a snapshot and replay them', async function() {
+    const snapshotPath = path.join(dir, 'snapshot.json');
+    const env = { GENESIS_PRICE_SNAPSHOT: snapshotPath };
+    const recorder = createPriceProvider(env);
+    expect(recorder).to.be.instanceOf(SnapshotPriceProvider);
+    const recorded = await recorder.getPrice('XRP', { price: '0.5', source: 'XRP_PRICE_USD' });
+
+    // replayed with the original source and timestamp, whatever is configured now
+    const replayer = createPriceProvider(env);
+    expect(await replayer.getPrice('XRP', { price: '0.6', source: 'XRP_PRICE_USD' })).to.deep.equal(recorded);
+    // missing prices are still recorded from the wrapped provider
+    await replayer.getPrice('BTC', { price: '50000', source: 'BTC_PRICE_USD' });
+    expect(Object.keys(JSON.parse(fs.readFileSync(snapshotPath, 'utf8')).prices)).to.deep.equal(['XRP', 'BTC']);
+
+    await expectRejection(new SnapshotPriceProvider(snapshotPath).getPrice('ETH'), 'has no price for ETH');
+  });
+
+  it('should replay generate.mjs snapshots with the prices they recorded', async function() {
+    // captured with a price file: the replay keeps its provider, sources and timestamps
+    const filePath = path.join(dir, 'captured.json');
+    fs.writeFileSync(filePath, JSON.stringify({ prices: { ETH: { price: '3000', source: 'coingecko', timestamp: '2025-01-01T00:00:00Z' } } }));
+    const captured = createPriceProvider({ GENESIS_PRICE_SOURCE: `file:${filePath}` });
+    await captured.getPrice('ETH');
+    const replayed = createReplayPriceProvider({}, { provider: captured.name, quotes: captured.quotes() });
+    expect(await replayed.getPrice('ETH', { price: '3000', source: 'snapshot.json exchange_rates' }))
+      .to.deep.equal(await captured.getPrice('ETH'));
+    await writePriceAudit(path.join(dir, 'captured-genesis.json'), captured);
+    await writePriceAudit(path.join(dir, 'replayed-genesis.json'), replayed);
+    const audit = (name) => ({ ...JSON.parse(fs.readFileSync(path.join(dir, `${name}-genesis.prices.json`), 'utf8')), genesis: null });
+    expect(audit('replayed')).to.deep.equal(audit('captured'));
+    await expectRejection(replayed.getPrice('BTC'), 'The snapshot has no price for BTC');
+
+    // captured before the quotes were recorded: the exchange rates are the configured prices
+    const provider = createReplayPriceProvider({ GENESIS_PRICE_SOURCE: 'env' });
+    expect(provider).to.be.instanceOf(EnvPriceProvider);
+    const quote = await provider.getPrice('ETH', { price: '3000', source: 'snapshot.json exchange_rates' });
+    expect(quote).to.include({ price: '3000', source: 'env:snapshot.json exchange_rates' });
+
+    expect(() => createReplayPriceProvider({ GENESIS_PRICE_SOURCE: 'file:prices.json' }))
+      .to.throw('GENESIS_PRICE_SOURCE file:prices.json cannot be used to replay a snapshot');
+    expect(() => createReplayPriceProvider({ GENESIS_PRICE_SNAPSHOT: 'prices.json' }))
+      .to.throw('GENESIS_PRICE_SNAPSHOT cannot be used to replay a snapshot');
+  });
+
+  it('should write and merge the audit sidecars', async function() {
+    expect(priceAuditPath('/genesis/genesis.json')).to.equal('/genesis/genesis.prices.json');
+
+    const btc = new EnvPriceProvider();
+    await btc.getPrice('BTC', { price: '50000', source: 'BTC_PRICE_USD' });
+    const btcGenesis = path.join(dir, 'btc.json');
+    await writePriceAudit(btcGenesis, btc);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'btc.prices.json'), 'utf8'))).to.deep.include({
+      genesis: 'btc.json',
+      provider: 'env',
+      prices: btc.quotes(),
+    });
+
+    const evm = new EnvPriceProvider();
+    await evm.getPrice('ETH', { price: '3000', source: 'INTEGRATION_EXCHANGE_RATES' });
+    const evmGenesis = path.join(dir, 'evm.json');
+    await writePriceAudit(evmGenesis, evm);
+
+    const auditPath = await mergePriceAudits([evmGenesis, btcGenesis, path.join(dir, 'xrp.json')], path.join(dir, 'unified.json'));
+    const audit = JSON.parse(fs.readFileSync(auditPath, 'utf8'));
+    expect(audit.prices.map(({ symbol, genesis }) => [symbol, genesis])).to.deep.equal([
+      ['BTC', 'btc.json'],
+      ['ETH', 'evm.json'],
+    ]);
+
+    // another generator priced BTC differently
+    const other = new EnvPriceProvider();
+    await other.getPrice('BTC', { price: '50001', source: 'BTC_PRICE_USD' });
+    const otherGenesis = path.join(dir, 'other.json');
+    await writePriceAudit(otherGenesis, other);
+    await expectRejection(
+      mergePriceAudits([btcGenesis, otherGenesis], path.join(dir, 'unified.json')), 'The price of BTC differs'
+    );
+    expect(await mergePriceAudits([path.join(dir, 'none.json')], path.join(dir, 'unified.json'))).to.equal(null);
+  });
+
+  async function expectRejection(promise, message) {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.message).to.include(message);
+      return;
+    }
+    expect.fail(`expected a rejection with ${message}`);
+  }
+});
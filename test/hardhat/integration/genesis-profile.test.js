@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const path = require('path');
+
+describe('Genesis Profiles', function() {
+  let profileLib;
+  const PROFILES_DIR = path.join(__dirname, '../../../script/bootstrap/profiles');
+
+  before(async function() {
+    profileLib = await import('../../../script/bootstrap/profile.mjs');
+  });
+
+  function readProfile(name) {
+    return JSON.parse(fs.readFileSync(path.join(PROFILES_DIR, `${name}.json`), 'utf8'));
+  }
+
+  async function validationError(profile) {
+    try {
+      await profileLib.validateProfile(profile, 'test');
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  it('should accept every bundled profile', async function() {
+    const names = fs.readdirSync(PROFILES_DIR)
+      .filter((file) => file.endsWith('.json') && file !== 'profile.schema.json');
+    expect(names).to.include('holesky.json');
+    for (const name of names) {
+      const profile = await profileLib.loadProfile(path.join(PROFILES_DIR, name));
+      expect(profile.name).to.equal(name.replace('.json', ''));
+    }
+  });
+
+  it('should report every schema violation', async function() {
+    const profile = readProfile('holesky');
+    profile.client_chain.layer_zero_chain_id = '40217';
+    profile.tokens[0].address = '0x1234';
+    delete profile.native_asset.staking_total_amount;
+    profile.extra = true;
+
+    const message = await validationError(profile);
+
+    expect(message).to.include('profile.client_chain.layer_zero_chain_id must be of type integer');
+    expect(message).to.include('profile.tokens[0].address must match');
+    expect(message).to.include('profile.native_asset.staking_total_amount is required');
+    expect(message).to.include('profile.extra is not allowed');
+  });
+
+  it('should reject inconsistent tokens', async function() {
+    const profile = readProfile('holesky');
+    profile.tokens[0].oracle_name = 'nstETH';
+    profile.tokens.push({ ...profile.tokens[1] });
+
+    const message = await validationError(profile);
+
+    expect(message).to.include('profile.tokens[0] oracle name nstETH does not match the LST token');
+    expect(message).to.include('is duplicated');
+    expect(message).to.include('more than one NST token');
+  });
+
+  it('should require an oracle chain id for every token', async function() {
+    const profile = readProfile('holesky');
+    delete profile.oracle.token_chain_ids.ETH;
+
+    expect(await validationError(profile)).to.include('token_chain_ids is missing ETH');
+  });
+
+  it('should cross-check the profile against the whitelisted tokens', function() {
+    const profile = readProfile('holesky');
+    const addresses = profile.tokens.map((token) => token.address.toLowerCase());
+
+    expect(() => profileLib.checkProfileTokens(profile, addresses)).to.not.throw();
+    expect(() => profileLib.checkProfileTokens(profile, addresses.slice(1)))
+      .to.throw('The number of tokens in the contract (1)');
+    expect(() => profileLib.checkProfileTokens(profile, [...addresses].reverse()))
+      .to.throw('The token at index 0');
+  });
+});
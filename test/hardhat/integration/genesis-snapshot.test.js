@@ -0,0 +1,179 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('Genesis Snapshot Capture and Replay', function() {
+  let snapshotLib;
+
+  before(async function() {
+    // snapshot.mjs is an ES module, like generate.mjs
+    snapshotLib = await import('../../../script/bootstrap/snapshot.mjs');
+  });
+
+  // minimal stand-ins for the web3 contract and the lodestar client
+  function createMockContract(responses) {
+    const calls = [];
+    const methods = new Proxy({}, {
+      get: (_, name) => (...args) => ({
+        call: async () => {
+          calls.push(name);
+          return responses[name](...args);
+        },
+      }),
+    });
+    return { methods, calls };
+  }
+
+  function createMockBeacon() {
+    return {
+      config: {
+        getSpec: async () => ({ value: () => ({ SLOTS_PER_EPOCH: '32' }) }),
+      },
+      beacon: {
+        getStateValidators: async ({ validatorIds }) => ({
+          value: () => validatorIds.map((index) => ({
+            index,
+            status: 'active_ongoing',
+            validator: {
+              pubkey: new Uint8Array([index, 1, 2]),
+              effectiveBalance: 32000000000,
+              exitEpoch: Infinity,
+            },
+          })),
+        }),
+      },
+    };
+  }
+
+  describe('value encoding', function() {
+    it('should round trip bigints, bytes and non-finite numbers', function() {
+      const value = {
+        0: 5n,
+        tokenAddress: '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE',
+        __length__: 2,
+        nested: [{ root: new Uint8Array([0xde, 0xad]), epoch: Infinity }],
+      };
+      const decoded = snapshotLib.decodeValue(
+        JSON.parse(JSON.stringify(snapshotLib.encodeValue(value)))
+      );
+
+      expect(decoded).to.deep.equal(value);
+      expect(typeof decoded[0]).to.equal('bigint');
+      expect(decoded.nested[0].root).to.be.instanceOf(Uint8Array);
+    });
+
+    it('should build distinct keys for distinct arguments', function() {
+      expect(snapshotLib.callKey('depositors', [0])).to.equal('depositors(0)');
+      expect(snapshotLib.callKey('depositors', [0])).to.not.equal(snapshotLib.callKey('depositors', ['0']));
+      expect(snapshotLib.callKey('delegations', ['0xabc', 'im1x', 1n]))
+        .to.equal('delegations("0xabc","im1x",{"__bigint__":"1"})');
+    });
+  });
+
+  describe('record and replay', function() {
+    it('should replay exactly what was captured', async function() {
+      const { GenesisSnapshot, recordContract, replayContract, recordBeacon, replayBeacon } = snapshotLib;
+      const liveContract = createMockContract({
+        getDepositorsCount: () => 2n,
+        depositors: (i) => `0x000000000000000000000000000000000000000${i}`,
+        totalDepositAmounts: (staker, token) => BigInt(staker.length + token.length),
+      });
+      const capture = new GenesisSnapshot();
+      capture.setInput('base_genesis', '{}');
+      const chainCapture = capture.addChain();
+      chainCapture.setInput('exchange_rates', '1000.123,2000.123');
+      const recordingContract = recordContract(liveContract, chainCapture);
+      const recordingBeacon = recordBeacon(createMockBeacon(), chainCapture);
+
+      const captured = [
+        await recordingContract.methods.getDepositorsCount().call(),
+        await recordingContract.methods.depositors(1).call(),
+        await recordingContract.methods.totalDepositAmounts('0x01', '0x02').call(),
+        (await recordingBeacon.config.getSpec()).value(),
+        (await recordingBeacon.beacon.getStateValidators({ stateId: '0x00', validatorIds: [7] })).value(),
+      ];
+
+      const filePath = path.join(os.tmpdir(), `genesis-snapshot-${process.pid}.json`);
+      try {
+        await capture.save(filePath);
+        const replay = await GenesisSnapshot.load(filePath);
+        expect(replay.chains).to.have.lengthOf(1);
+        const replayingContract = replayContract(replay.chains[0]);
+        const replayingBeacon = replayBeacon(replay.chains[0]);
+
+        const replayed = [
+          await replayingContract.methods.getDepositorsCount().call(),
+          await replayingContract.methods.depositors(1).call(),
+          await replayingContract.methods.totalDepositAmounts('0x01', '0x02').call(),
+          (await replayingBeacon.config.getSpec()).value(),
+          (await replayingBeacon.beacon.getStateValidators({ stateId: '0x00', validatorIds: [7] })).value(),
+        ];
+
+        expect(replayed).to.deep.equal(captured);
+        expect(replay.getInput('base_genesis')).to.equal('{}');
+        expect(replay.chains[0].getInput('exchange_rates')).to.equal('1000.123,2000.123');
+        // the live contract is only touched during capture
+        expect(liveContract.calls).to.have.lengthOf(3);
+      } finally {
+        fs.rmSync(filePath, { force: true });
+      }
+    });
+
+    it('should fail on reads that were not captured', async function() {
+      const replayingContract = snapshotLib.replayContract(new snapshotLib.ChainSnapshot());
+
+      let error;
+      try {
+        await replayingContract.methods.depositors(0).call();
+      } catch (e) {
+        error = e;
+      }
+      expect(error).to.be.an('error');
+      expect(error.message).to.include('depositors(0)');
+    });
+
+    it('should reject snapshots of another version', async function() {
+      const filePath = path.join(os.tmpdir(), `genesis-snapshot-version-${process.pid}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({ version: 999 }));
+      try {
+        let error;
+        try {
+          await snapshotLib.GenesisSnapshot.load(filePath);
+        } catch (e) {
+          error = e;
+        }
+        expect(error.message).to.include('Unsupported snapshot version 999');
+      } finally {
+        fs.rmSync(filePath, { force: true });
+      }
+    });
+
+    it('should load single chain snapshots of version 1', async function() {
+      const filePath = path.join(os.tmpdir(), `genesis-snapshot-v1-${process.pid}.json`);
+      fs.writeFileSync(filePath, JSON.stringify({
+        version: 1,
+        meta: { bootstrap_address: '0xF801fc13AA08876F343fEBf50dFfA52A78180811', captured_at: 'now' },
+        inputs: { base_genesis: '{}', exchange_rates: '1000' },
+        contract: { 'spawnTime()': { __bigint__: '1700000000' } },
+        beacon: {},
+      }));
+      try {
+        const snapshot = await snapshotLib.GenesisSnapshot.load(filePath);
+
+        expect(snapshot.data.version).to.equal(snapshotLib.SNAPSHOT_VERSION);
+        expect(snapshot.getInput('base_genesis')).to.equal('{}');
+        expect(snapshot.data.meta.captured_at).to.equal('now');
+        expect(snapshot.chains).to.have.lengthOf(1);
+        expect(snapshot.chains[0].getInput('exchange_rates')).to.equal('1000');
+        expect(snapshot.chains[0].hasInput('base_genesis')).to.equal(false);
+        expect(snapshot.chains[0].data.meta.bootstrap_address)
+          .to.equal('0xF801fc13AA08876F343fEBf50dFfA52A78180811');
+        expect(await snapshotLib.replayContract(snapshot.chains[0]).methods.spawnTime().call())
+          .to.equal(1700000000n);
+      } finally {
+        fs.rmSync(filePath, { force: true });
+      }
+    });
+  });
+});
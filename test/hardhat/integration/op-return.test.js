@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const { toBech32 } = require('@cosmjs/encoding');
+
+// config.ts requires these, the generator under test does not use them
+process.env.BITCOIN_VAULT_ADDRESS = process.env.BITCOIN_VAULT_ADDRESS || 'vault';
+process.env.BITCOIN_ESPLORA_API_URL = process.env.BITCOIN_ESPLORA_API_URL || 'http://localhost';
+
+const {
+  decodeStakePayload,
+  decodeStakeScript,
+  encodeStakePayload,
+  encodeStakeScript,
+  payloadFromScript,
+} = require('../../../script/bootstrap/op_return.js');
+const { GenesisGenerator } = require('../../../script/bootstrap/bitcoin_genesis.ts');
+
+describe('OP_RETURN Stake Payloads', function() {
+  const imuachainAddress = '0x' + '7d'.repeat(20);
+  const validator = toBech32('im', Buffer.alloc(20, 1));
+  const other = toBech32('im', Buffer.alloc(20, 2));
+  const v0Stake = '6a3d' + '7d'.repeat(20) + Buffer.from(validator, 'utf8').toString('hex');
+
+  it('should read and write the fixed v0 layout', function() {
+    expect(encodeStakeScript({ version: 0, imuachainAddress, validatorAddress: validator }).toString('hex')).to.equal(v0Stake);
+    expect(decodeStakeScript(v0Stake)).to.deep.equal({ version: 0, imuachainAddress, validatorAddress: validator });
+    // a deposit of the gateway, without a validator
+    expect(decodeStakeScript('6a14' + '7d'.repeat(20))).to.deep.equal({ version: 0, imuachainAddress });
+
+    expect(() => decodeStakeScript('6a3d' + 'ab'.repeat(30))).to.throw('OP_RETURN push of 61 bytes has 30');
+    expect(() => decodeStakePayload(Buffer.alloc(40))).to.throw('Invalid OP_RETURN payload length 40');
+    expect(() => encodeStakePayload({ version: 0, imuachainAddress, memo: 'ref' }))
+      .to.throw('Delegation splits and memos need a v1 payload');
+    expect(() => encodeStakePayload({ version: 0, imuachainAddress: '0x494d5541' + '00'.repeat(16) }))
+      .to.throw('would be read as a v1 payload');
+  });
+
+  it('should round-trip the v1 fields', function() {
+    const stakes = [
+      { imuachainAddress },
+      { imuachainAddress, validatorAddress: validator, memo: 'referral-42' },
+      { imuachainAddress, delegations: [{ validatorAddress: validator, basisPoints: 7500 }, { validatorAddress: other, basisPoints: 2500 }] },
+    ];
+    for (const stake of stakes) {
+      const script = encodeStakeScript(stake);
+      expect(decodeStakeScript(script.toString('hex'))).to.deep.equal({ version: 1, ...stake });
+    }
+    const payload = encodeStakePayload(stakes[1]);
+    expect(payload.subarray(0, 7).toString('hex')).to.equal('494d5541' + '01' + '0114');
+    expect(payload).to.have.lengthOf(5 + 22 + 22 + 13);
+
+    // optional fields of a later revision are kept, required ones are rejected
+    const withOptional = Buffer.concat([encodeStakePayload(stakes[0]), Buffer.from('8102abcd', 'hex')]);
+    expect(decodeStakePayload(withOptional).unknownFields).to.deep.equal([{ type: 0x81, value: 'abcd' }]);
+    const withRequired = Buffer.concat([encodeStakePayload(stakes[0]), Buffer.from('0501ff', 'hex')]);
+    expect(() => decodeStakePayload(withRequired)).to.throw('Unknown required field of type 5');
+
+    expect(() => encodeStakePayload({ imuachainAddress, delegations: [{ validatorAddress: validator, basisPoints: 5000 }] }))
+      .to.throw('The delegations add up to 5000 basis points, not 10000');
+    expect(() => decodeStakePayload(Buffer.from('494d554102', 'hex'))).to.throw('Unknown OP_RETURN payload version 2');
+    expect(() => decodeStakePayload(Buffer.from('494d5541010114' + '00'.repeat(19), 'hex'))).to.throw('Truncated field of type 1');
+    expect(() => decodeStakePayload(Buffer.from('494d5541010401610114' + '00'.repeat(20), 'hex')))
+      .to.throw('Field of type 1 out of order or repeated');
+
+    // the payloads above 75 bytes are pushed with OP_PUSHDATA1
+    const script = Buffer.concat([Buffer.from('6a4c4d', 'hex'), Buffer.alloc(77)]);
+    expect(payloadFromScript(script.toString('hex'))).to.have.lengthOf(77);
+    expect(() => payloadFromScript('6a4c14' + '00'.repeat(20))).to.throw('Non-minimal OP_RETURN push');
+  });
+
+  it('should accept the v1 stakes of a single validator in the genesis', function() {
+    const generator = new GenesisGenerator('vault', 'http://esplora', {});
+    const parse = (stake) => generator.testParseOpReturnData(encodeStakeScript(stake).toString('hex'), 'tx');
+
+    expect(parse({ version: 0, imuachainAddress, validatorAddress: validator })).to.deep.equal({
+      version: 0, imuachainAddressHex: imuachainAddress, validatorAddress: validator,
+    });
+    expect(parse({ imuachainAddress, validatorAddress: validator, memo: 'ref' })).to.deep.equal({
+      version: 1, imuachainAddressHex: imuachainAddress, validatorAddress: validator, memo: 'ref',
+    });
+    expect(parse({ imuachainAddress, delegations: [{ validatorAddress: other, basisPoints: 10000 }] }))
+      .to.include({ validatorAddress: other });
+    // the bootstrap stakes are delegated to a single validator
+    expect(parse({ imuachainAddress })).to.equal(null);
+    expect(parse({ version: 0, imuachainAddress })).to.equal(null);
+    expect(parse({
+      imuachainAddress, delegations: [{ validatorAddress: validator, basisPoints: 5000 }, { validatorAddress: other, basisPoints: 5000 }],
+    })).to.equal(null);
+  });
+});
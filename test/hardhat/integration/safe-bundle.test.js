@@ -0,0 +1,70 @@
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { buildGovernanceBundle, parseArgument, resolveTarget } = require('../../../script/safeBundle.js');
+const { safeBatchChecksum } = require('../../../script/bootstrap/external_signer.js');
+
+describe('Safe Governance Bundles', function() {
+  const safe = '0x' + '5a'.repeat(20);
+  const deployments = {
+    sepolia: { bootstrap: '0x' + '01'.repeat(20) },
+    holesky: { bootstrap: '0x' + '02'.repeat(20) },
+    imuachain: { imuachainGateway: '0x' + '03'.repeat(20), utxoGateway: '0x' + '04'.repeat(20) },
+  };
+
+  it('should encode the call with a summary and its decoded form', function() {
+    const witnesses = ['0x' + 'aa'.repeat(20), '0x' + 'bb'.repeat(20)];
+    const { batch, summary } = buildGovernanceBundle({
+      action: 'addWitnesses',
+      args: [witnesses.join(',')],
+      safe,
+      deployments,
+      chainId: 233,
+    });
+    const checksummed = witnesses.map((witness) => ethers.getAddress(witness));
+    expect(summary).to.equal(`Authorize 2 witnesses: ${checksummed.join(', ')} on utxoGateway ${ethers.getAddress(deployments.imuachain.utxoGateway)} (imuachain).`);
+
+    const safeBatch = batch.toSafeBatch(1700000000000);
+    expect(safeBatch.chainId).to.equal('233');
+    expect(safeBatch.meta.description).to.include(summary);
+    expect(safeBatch.meta.checksum).to.equal(safeBatchChecksum(safeBatch));
+
+    const [transaction] = safeBatch.transactions;
+    const utxoGateway = new ethers.Interface(['function addWitnesses(address[] witnesses)']);
+    expect(transaction.to).to.equal(ethers.getAddress(deployments.imuachain.utxoGateway));
+    expect(utxoGateway.decodeFunctionData('addWitnesses', transaction.data)[0]).to.deep.equal(checksummed);
+    expect(transaction.contractMethod).to.deep.equal({
+      inputs: [{ internalType: 'address[]', name: 'witnesses', type: 'address[]' }],
+      name: 'addWitnesses',
+      payable: false,
+    });
+    expect(transaction.contractInputsValues).to.deep.equal({ witnesses: JSON.stringify(checksummed) });
+  });
+
+  it('should resolve the deployment of the action', function() {
+    expect(resolveTarget(deployments, 'registerOrUpdateClientChain')).to.deep.include({ network: 'imuachain', contract: 'imuachainGateway' });
+    expect(resolveTarget(deployments, 'pause', { network: 'holesky' })).to.deep.include({ contract: 'bootstrap' });
+    expect(() => resolveTarget(deployments, 'pause')).to.throw('choose one with --network and --contract');
+    expect(() => resolveTarget(deployments, 'addWitnesses', { contract: 'bootstrap' }))
+      .to.throw('addWitnesses is not an action of bootstrap, only of utxoGateway');
+  });
+
+  it('should parse and check the arguments', function() {
+    const peer = ethers.ParamType.from('bytes32 peer');
+    expect(parseArgument(peer, deployments.sepolia.bootstrap)).to.equal(ethers.zeroPadValue(deployments.sepolia.bootstrap, 32));
+    expect(parseArgument(ethers.ParamType.from('uint256[] tvlLimits'), '1,2')).to.deep.equal([1n, 2n]);
+    expect(() => parseArgument(ethers.ParamType.from('address token'), '0x1234')).to.throw('Invalid token (address): 0x1234');
+
+    const bundle = (action, args, options = {}) =>
+      buildGovernanceBundle({ action, args, safe, deployments, chainId: 233, ...options });
+    // the sepolia chain id is known
+    expect(bundle('updateTvlLimit', [deployments.sepolia.bootstrap, '100'], { network: 'sepolia', chainId: undefined }).batch.chainId)
+      .to.equal(11155111n);
+    expect(() => bundle('updateBridgeFeeRate', ['1001'])).to.throw('bridgeFeeRate must be at most 1000');
+    expect(() => bundle('updateRequiredProofs', ['0'])).to.throw('newRequiredProofs must be between 1 and 10');
+    expect(() => bundle('addWhitelistTokens', [deployments.sepolia.bootstrap, '1,2'], { network: 'sepolia' }))
+      .to.throw('tokens and tvlLimits must be non-empty and of the same length');
+    expect(() => bundle('updateRequiredProofs', [])).to.throw('updateRequiredProofs takes 1 arguments');
+    expect(() => bundle('renounceOwnership', [])).to.throw('Unknown action renounceOwnership');
+    expect(() => bundle('addWitnesses', [safe], { chainId: undefined })).to.throw('The chain id of imuachain is not known');
+  });
+});
@@ -0,0 +1,85 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { classifyErrors, loadConfig, renderMarkdown } = require('../../../script/upgradeSafetyReport.js');
+
+describe('Upgrade Safety Report', function() {
+  const constructorError = { kind: 'constructor', contract: 'Bootstrap', src: 'src/core/Bootstrap.sol:56' };
+  const immutableError = { kind: 'state-variable-immutable', name: 'VAULT_BEACON', src: 'src/storage/BootstrapStorage.sol:49' };
+  const delegatecallError = { kind: 'delegatecall', src: 'src/core/Bootstrap.sol:300' };
+
+  it('should separate the allowed errors from the real ones', function() {
+    const allow = [
+      { kind: 'constructor', reason: 'Only sets the immutables' },
+      { kind: 'state-variable-immutable', names: ['VAULT_BEACON'], reason: 'Deployment constant' },
+      { kind: 'state-variable-immutable', names: ['ETH_POS'], reason: 'Deployment constant' },
+    ];
+    const { errors, allowed, unusedAllowances } = classifyErrors([constructorError, immutableError, delegatecallError], allow);
+
+    expect(errors).to.have.length(1);
+    expect(errors[0]).to.include({ kind: 'delegatecall', name: null, src: 'src/core/Bootstrap.sol:300' });
+    expect(errors[0].description).to.include('delegatecall');
+    expect(allowed.map(({ kind, name, reason }) => [kind, name, reason])).to.deep.equal([
+      ['constructor', 'Bootstrap', 'Only sets the immutables'],
+      ['state-variable-immutable', 'VAULT_BEACON', 'Deployment constant'],
+    ]);
+    expect(unusedAllowances).to.deep.equal([allow[2]]);
+
+    // an allowance for other names does not cover the error
+    expect(classifyErrors([immutableError], [allow[2]]).errors).to.have.length(1);
+  });
+
+  it('should check the config', function() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upgrade-safety-'));
+    const configPath = path.join(dir, 'config.json');
+    try {
+      expect(Object.keys(loadConfig(path.join(__dirname, '../../../script/upgrade-safety.json')))).to.include('UTXOGateway');
+
+      fs.writeFileSync(configPath, JSON.stringify({ contracts: { Vault: { allow: [{ kind: 'constructor' }] } } }));
+      expect(() => loadConfig(configPath)).to.throw('Vault.allow[0] needs a kind and a reason.');
+      fs.writeFileSync(configPath, JSON.stringify({ contracts: { Vault: { allow: [{ kind: 'constructor', reason: 'Reviewed' }] } } }));
+      expect(() => loadConfig(configPath)).to.throw('Vault.allow[0] allows constructors, and must list their contracts in names.');
+      fs.writeFileSync(configPath, JSON.stringify({}));
+      expect(() => loadConfig(configPath)).to.throw('has no contracts');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should render the report as Markdown', function() {
+    const { errors, allowed, unusedAllowances } = classifyErrors([constructorError, delegatecallError], [{ kind: 'constructor', reason: 'Only sets the immutables' }]);
+    const markdown = renderMarkdown({
+      version: 1,
+      generatedAt: '2025-06-01T00:00:00.000Z',
+      ok: false,
+      contracts: [
+        {
+          contract: 'src/core/Bootstrap.sol:Bootstrap',
+          reference: 'Bootstrap@main',
+          ok: false,
+          errors,
+          allowed,
+          unusedAllowances,
+          storageLayout: { ok: false, skipped: false, explanation: 'Deleted `inboundNonce`' },
+        },
+        {
+          contract: 'src/core/Vault.sol:Vault',
+          reference: null,
+          ok: true,
+          errors: [],
+          allowed: [],
+          unusedAllowances: [],
+          storageLayout: null,
+        },
+      ],
+    });
+
+    expect(markdown).to.include('| `src/core/Bootstrap.sol:Bootstrap` | `Bootstrap@main` | failed | 1 | 1 |');
+    expect(markdown).to.include('| `src/core/Vault.sol:Vault` | - | ok | 0 | 0 |');
+    expect(markdown).to.include('- `constructor` `Bootstrap`: Only sets the immutables');
+    expect(markdown).to.include('- `delegatecall`: src/core/Bootstrap.sol:300:');
+    expect(markdown).to.include('Incompatible with `Bootstrap@main`:\n\n```text\nDeleted `inboundNonce`\n```');
+    expect(markdown).to.include('No reference to compare with.');
+  });
+});
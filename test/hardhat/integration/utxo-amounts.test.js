@@ -0,0 +1,80 @@
+const { expect } = require('chai');
+const {
+  parseAmount,
+  sumAmounts,
+  parsePrice,
+  toUsdValue,
+  formatUsdValue,
+  toVotePower,
+  toOraclePrice,
+} = require('../../../script/bootstrap/amounts.ts');
+
+describe('UTXO Genesis Amounts', function() {
+  // 21 million BTC in satoshis, and the 100 billion XRP in drops
+  const BTC_SUPPLY = 21000000n * 100000000n;
+  const XRP_SUPPLY = 100000000000n * 1000000n;
+
+  describe('amounts', function() {
+    it('should keep amounts beyond the safe integer range exact', function() {
+      expect(parseAmount(XRP_SUPPLY.toString())).to.equal(100000000000000000n);
+      expect(parseAmount('9007199254740993')).to.equal(9007199254740993n);
+      expect(sumAmounts([Number.MAX_SAFE_INTEGER, 2, '1'])).to.equal(9007199254740994n);
+      expect(sumAmounts([])).to.equal(0n);
+    });
+
+    it('should reject amounts which are not non-negative integers', function() {
+      expect(() => parseAmount(9007199254740993)).to.throw('not a non-negative safe integer');
+      expect(() => parseAmount(1.5)).to.throw('not a non-negative safe integer');
+      expect(() => parseAmount(-1)).to.throw('not a non-negative safe integer');
+      expect(() => parseAmount(-1n)).to.throw('is negative');
+      expect(() => parseAmount('1e8', 'amount of tx 0xab')).to.throw('Invalid amount of tx 0xab');
+      expect(() => parseAmount('')).to.throw('not a non-negative integer');
+    });
+
+    it('should reject invalid prices', function() {
+      expect(parsePrice('0.000000000000000001').toFixed()).to.equal('0.000000000000000001');
+      expect(() => parsePrice('abc', 'BTC price')).to.throw('Invalid BTC price');
+      expect(() => parsePrice('-1')).to.throw('not a non-negative number');
+      expect(() => parsePrice('Infinity')).to.throw('not a non-negative number');
+    });
+  });
+
+  describe('USD values and vote power', function() {
+    it('should value the whole supply at fractional prices without precision loss', function() {
+      const usdValue = toUsdValue(BTC_SUPPLY, 8, '98765.4321');
+      expect(formatUsdValue(usdValue)).to.equal('2074074074100');
+      expect(toVotePower(usdValue)).to.equal(2074074074100n);
+
+      const xrpValue = toUsdValue(XRP_SUPPLY + 1n, 6, '0.123456789');
+      expect(formatUsdValue(xrpValue)).to.equal('12345678900.000000123456789');
+    });
+
+    it('should truncate USD values to 18 decimals', function() {
+      // 1 satoshi at 1/3 USD per BTC
+      expect(formatUsdValue(toUsdValue(1n, 8, '0.333333333333333333333'))).to.equal('0.000000003333333333');
+      // at and below the LegacyDec precision
+      expect(formatUsdValue(toUsdValue(1n, 8, '0.0000000001'))).to.equal('0.000000000000000001');
+      expect(formatUsdValue(toUsdValue(1n, 8, '0.00000000009'))).to.equal('0');
+    });
+
+    it('should truncate the vote power instead of rounding it', function() {
+      // 0.99999999 BTC at 1 USD
+      expect(toVotePower(toUsdValue(99999999n, 8, '1'))).to.equal(0n);
+      expect(toVotePower(toUsdValue(100000000n, 8, '1'))).to.equal(1n);
+      // 1 drop short of 2 XRP at 1.5 USD
+      expect(toVotePower(toUsdValue(1999999n, 6, '1.5'))).to.equal(2n);
+      expect(toVotePower(toUsdValue(1333333n, 6, '1.5'))).to.equal(1n);
+      expect(toVotePower(toUsdValue(0n, 8, '50000'))).to.equal(0n);
+    });
+  });
+
+  describe('oracle prices', function() {
+    it('should scale and truncate prices', function() {
+      expect(toOraclePrice('50000', 8)).to.equal('5000000000000');
+      expect(toOraclePrice('0.123456789', 8)).to.equal('12345678');
+      expect(toOraclePrice('0.000000009', 8)).to.equal('0');
+      // 0.29 is not exact as a float, 0.29 * 1e8 = 28999999.999999996
+      expect(toOraclePrice('0.29', 8)).to.equal('29000000');
+    });
+  });
+});
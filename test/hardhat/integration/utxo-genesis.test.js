@@ -0,0 +1,177 @@
+const { expect } = require('chai');
+const { toBech32 } = require('@cosmjs/encoding');
+
+// config.ts requires these, the generators under test do not use them
+process.env.BITCOIN_VAULT_ADDRESS = process.env.BITCOIN_VAULT_ADDRESS || 'vault';
+process.env.BITCOIN_ESPLORA_API_URL = process.env.BITCOIN_ESPLORA_API_URL || 'http://localhost';
+
+const { UTXOGenesisGenerator, generateUTXOGenesisState } = require('../../../script/bootstrap/utxo_genesis.ts');
+const { EnvPriceProvider } = require('../../../script/bootstrap/prices.js');
+
+describe('UTXO Genesis Generator', function() {
+  const validators = [1, 2, 3].map((i) => toBech32('im', Buffer.alloc(20, i)));
+  const imua = [1, 2, 3, 4].map((i) => '0x' + String(i).repeat(40));
+  const bootstrapContract = {
+    // the third validator is not registered
+    validators: async (address) => (address === validators[2] ? { name: '' } : { name: 'val', consensusPublicKey: `key-${address}` }),
+  };
+
+  // A chain whose transactions are plain objects which carry the stake as is
+  class MockGenesisGenerator extends UTXOGenesisGenerator {
+    constructor(transactions, currentHeight) {
+      super('vault', bootstrapContract, 6, 100);
+      this.transactions = transactions;
+      this.currentHeight = currentHeight;
+      this.closed = false;
+    }
+
+    async fetchTransactions() {
+      return this.transactions;
+    }
+
+    async getCurrentHeight() {
+      return this.currentHeight;
+    }
+
+    getTxId(tx) {
+      return tx.id;
+    }
+
+    getPosition(tx) {
+      return { height: tx.height, index: tx.index };
+    }
+
+    parseStake(tx) {
+      if (tx.amount < this.minAmount) {
+        return null;
+      }
+      return {
+        senderAddress: tx.sender,
+        imuachainAddress: tx.imuachain,
+        validatorAddress: tx.validator,
+        amount: BigInt(tx.amount),
+        timestamp: tx.height,
+      };
+    }
+
+    async close() {
+      this.closed = true;
+    }
+  }
+
+  function tx(id, height, index, sender, imuachain, validator, amount) {
+    return { id, height, index, sender, imuachain, validator, amount };
+  }
+
+  it('should bind senders in chain order and keep the first binding', async function() {
+    const generator = new MockGenesisGenerator([
+      // listed out of order, the later binding of alice must not win
+      tx('a2', 90, 1, 'alice', imua[1], validators[0], 200),
+      tx('a1', 90, 0, 'alice', imua[0], validators[0], 100),
+      tx('b1', 91, 0, 'bob', imua[0], validators[1], 300), // imuachain address of alice
+      tx('c1', 92, 0, 'carol', imua[2], validators[2], 400), // unregistered validator
+      tx('c2', 92, 1, 'carol', imua[2], validators[1], 50), // below the minimum amount
+      tx('d1', 96, 0, 'dave', imua[3], validators[1], 500), // not enough confirmations
+      tx('e1', 97, 0, 'erin', imua[3], validators[1], 600), // imuachain address of dave
+    ], 100);
+
+    const stakes = await generator.generateGenesisStakes();
+    expect(stakes.map((stake) => [stake.txid, stake.stakerAddress, stake.amount])).to.deep.equal([
+      ['a1', imua[0], 100n],
+      ['a2', imua[0], 200n],
+    ]);
+    expect(stakes[1]).to.include({ blockHeight: 90, txIndex: 1, senderAddress: 'alice', imuachainAddress: imua[0] });
+    expect(generator.closed).to.equal(true);
+    expect(generator.getValidatorInfo(validators[0])).to.include({ consensusPublicKey: `key-${validators[0]}` });
+  });
+
+  it('should bind addresses of transactions which are not confirmed yet', async function() {
+    const transactions = [
+      tx('d1', 96, 0, 'dave', imua[3], validators[1], 500),
+      tx('e1', 90, 0, 'erin', imua[3], validators[1], 600),
+    ];
+    // erin stakes first, so dave is rejected at any height
+    expect((await new MockGenesisGenerator(transactions, 100).generateGenesisStakes()).map((s) => s.txid))
+      .to.deep.equal(['e1']);
+    expect((await new MockGenesisGenerator(transactions, 200).generateGenesisStakes()).map((s) => s.txid))
+      .to.deep.equal(['e1']);
+  });
+
+  it('should count the confirmations relative to the cutoff height', async function() {
+    const transactions = [
+      tx('a1', 90, 0, 'alice', imua[0], validators[0], 100),
+      tx('b1', 95, 0, 'bob', imua[1], validators[1], 100), // 6 confirmations at the cutoff
+      tx('c1', 96, 0, 'carol', imua[2], validators[1], 100), // 5 confirmations at the cutoff
+      tx('d1', 101, 0, 'dave', imua[2], validators[1], 100), // after the cutoff, does not bind
+    ];
+    const stakesAt = async (currentHeight) => {
+      const generator = new MockGenesisGenerator(transactions, currentHeight);
+      generator.setCutoff({ height: 100 });
+      const stakes = await generator.generateGenesisStakes();
+      expect(generator.getCutoff()).to.deep.equal({ height: 100 });
+      return stakes.map((stake) => stake.txid);
+    };
+    // the same stakes at any tip above the cutoff
+    expect(await stakesAt(100)).to.deep.equal(['a1', 'b1']);
+    expect(await stakesAt(500)).to.deep.equal(['a1', 'b1']);
+
+    try {
+      await stakesAt(99);
+      expect.fail('generation should have rejected');
+    } catch (error) {
+      expect(error.message).to.equal('The cutoff height 100 is above the current height 99');
+    }
+    const generator = new MockGenesisGenerator(transactions, 100);
+    expect(() => generator.setCutoff({})).to.throw('The cutoff needs a height or a hash');
+    generator.setCutoff({ hash: '00ff' });
+    try {
+      await generator.generateGenesisStakes();
+      expect.fail('generation should have rejected');
+    } catch (error) {
+      expect(error.message).to.equal('MockGenesisGenerator can only pin the genesis to a height');
+    }
+  });
+
+  it('should build the genesis state from the chain spec', async function() {
+    const spec = {
+      chain: { NAME: 'Mock', META_INFO: 'Mock chain', FINALIZATION_BLOCKS: 6, LAYER_ZERO_CHAIN_ID: 7, ADDRESS_LENGTH: 20 },
+      token: {
+        VIRTUAL_ADDRESS: '0xbBbBBBBbbBBBbbbBbbBbbbbBBbBbbbbBbBbbBBbB',
+        NAME: 'Mock',
+        SYMBOL: 'MCK',
+        DECIMALS: 6,
+        CHAIN_ID: 7,
+        META_INFO: 'Mock token',
+      },
+      gatewayAddress: '0x0000000000000000000000000000000000000907',
+      oracle: { tokenId: '9', chainName: 'Mock', chainDesc: 'Mock blockchain', decimals: 8 },
+      price: { price: '2.5', source: 'MCK_PRICE_USD' },
+      bootstrapDataFile: 'mck_bootstrap_data.json',
+      outputPathEnv: 'MCK_GENESIS_OUTPUT_PATH',
+    };
+    const generator = new MockGenesisGenerator([
+      tx('a1', 90, 0, 'alice', imua[0], validators[0], 1000000),
+      tx('a2', 91, 0, 'alice', imua[1], validators[0], 3000000),
+      tx('b1', 92, 0, 'bob', imua[2], validators[1], 400000),
+    ], 100);
+    const stakes = await generator.generateGenesisStakes();
+
+    const genesis = await generateUTXOGenesisState(spec, stakes, generator, new EnvPriceProvider());
+    const { assets, delegation, dogfood, oracle } = genesis.app_state;
+    const assetId = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb_0x7';
+    expect(assets.params.gateways).to.deep.equal([spec.gatewayAddress]);
+    expect(assets.tokens[0].staking_total_amount).to.equal('4400000');
+    expect(assets.deposits.map(({ staker }) => staker)).to.deep.equal([`${imua[0]}_0x7`, `${imua[2]}_0x7`]);
+    expect(delegation.delegation_states[0]).to.deep.equal({
+      key: `${imua[0]}_0x7/${assetId}/${validators[0]}`,
+      states: { undelegatable_share: '4000000', wait_undelegation_amount: '0' },
+    });
+    // 4 MCK and 0.4 MCK at 2.5 USD
+    expect(dogfood.val_set).to.deep.equal([
+      { power: '10', public_key: `key-${validators[0]}` },
+      { power: '1', public_key: `key-${validators[1]}` },
+    ]);
+    expect(oracle.params.token_feeders[0].token_id).to.equal('9');
+    expect(oracle.prices_list[0].price_list[0].price).to.equal('250000000');
+  });
+});
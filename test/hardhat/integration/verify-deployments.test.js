@@ -0,0 +1,121 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('ethers');
+const { DeploymentsRegistry, EIP1967_ADMIN_SLOT, EIP1967_IMPLEMENTATION_SLOT } = require('../../../script/deploymentsRegistry.js');
+const { runtimeCodeHash, verifyNetwork } = require('../../../script/verifyDeployments.js');
+
+describe('Deployment Verification', function() {
+  const proxy = ethers.getAddress('0x' + '11'.repeat(20));
+  const logic = ethers.getAddress('0x' + '22'.repeat(20));
+  const proxyAdmin = ethers.getAddress('0x' + '33'.repeat(20));
+  const vaultBeacon = ethers.getAddress('0x' + '44'.repeat(20));
+  const vault = ethers.getAddress('0x' + '55'.repeat(20));
+  const safe = ethers.getAddress('0x' + '5a'.repeat(20));
+  const deployer = ethers.getAddress('0x' + 'de'.repeat(20));
+
+  // runtime code with a 4 byte immutable at offset 2, followed by 3 bytes of metadata
+  const metadata = 'a26400' + '0003';
+  const compiledCode = '0x6001' + '00000000' + '6002' + metadata;
+  const deployedBytecode = { object: compiledCode, immutableReferences: { 7: [{ start: 2, length: 4 }] }, linkReferences: {} };
+  const simpleArtifact = { deployedBytecode: { object: '0x60ff' + metadata, immutableReferences: {}, linkReferences: {} } };
+
+  let outDir;
+
+  before(function() {
+    outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'out-'));
+    const artifacts = {
+      UTXOGateway: { deployedBytecode },
+      ProxyAdmin: simpleArtifact,
+      UpgradeableBeacon: simpleArtifact,
+      Vault: simpleArtifact,
+    };
+    for (const [name, artifact] of Object.entries(artifacts)) {
+      fs.mkdirSync(path.join(outDir, `${name}.sol`));
+      fs.writeFileSync(path.join(outDir, `${name}.sol`, `${name}.json`), JSON.stringify(artifact));
+    }
+  });
+
+  after(function() {
+    fs.rmSync(outDir, { recursive: true, force: true });
+  });
+
+  function createRegistry() {
+    const registry = new DeploymentsRegistry(undefined, null);
+    registry.record('imuachain', 'imuachainProxyAdmin', { implementation: proxyAdmin });
+    registry.record('imuachain', 'utxoGateway', { proxy, implementation: logic, admin: proxyAdmin });
+    registry.record('imuachain', 'vaultBeacon', { implementation: vaultBeacon });
+    registry.record('imuachain', 'vaultImplementation', { implementation: vault });
+    return registry;
+  }
+
+  function createProvider() {
+    const iface = new ethers.Interface(['function owner() view returns (address)', 'function implementation() view returns (address)']);
+    const provider = {
+      code: {
+        [proxy]: '0x60',
+        // the immutable is set at deployment and the metadata differs
+        [logic]: '0x6001' + 'cafebabe' + '6002' + 'a26401' + '0003',
+        [proxyAdmin]: '0x60ff' + metadata,
+        [vaultBeacon]: '0x60ff' + metadata,
+        [vault]: '0x60ff' + metadata,
+      },
+      owners: { [proxyAdmin]: safe, [vaultBeacon]: safe },
+      beaconImplementation: vault,
+      getNetwork: async () => ({ chainId: 233n }),
+      getCode: async (address) => provider.code[address] ?? '0x',
+      getStorage: async (_, slot) => ethers.zeroPadValue(slot === EIP1967_IMPLEMENTATION_SLOT ? logic : proxyAdmin, 32),
+      call: async ({ to, data }) => {
+        const { name } = iface.parseTransaction({ data });
+        const result = name === 'owner' ? provider.owners[to] : provider.beaconImplementation;
+        return iface.encodeFunctionResult(name, [result]);
+      },
+    };
+    return provider;
+  }
+
+  it('should hash the runtime code without its immutables and metadata', function() {
+    const onChain = '0x6001' + 'cafebabe' + '6002' + 'a26401' + '0003';
+    expect(runtimeCodeHash(onChain, deployedBytecode)).to.equal(runtimeCodeHash(compiledCode, deployedBytecode));
+    const changed = '0x6001' + 'cafebabe' + '6003' + 'a26400' + '0003';
+    expect(runtimeCodeHash(changed, deployedBytecode)).not.to.equal(runtimeCodeHash(compiledCode, deployedBytecode));
+    expect(EIP1967_ADMIN_SLOT).to.equal(ethers.toBeHex(BigInt(ethers.id('eip1967.proxy.admin')) - 1n, 32));
+  });
+
+  it('should pass when the proxies, owners and bytecode match', async function() {
+    expect(await verifyNetwork(createRegistry(), 'imuachain', createProvider(), { owners: [safe], outDir })).to.deep.equal([]);
+  });
+
+  it('should flag unexpected owners, beacons and bytecode', async function() {
+    const provider = createProvider();
+    provider.owners[proxyAdmin] = deployer;
+    provider.beaconImplementation = logic;
+    provider.code[vault] = '0x60fe' + metadata;
+
+    expect(await verifyNetwork(createRegistry(), 'imuachain', provider, { owners: [safe], outDir })).to.deep.equal([
+      {
+        name: 'vaultBeacon',
+        address: vaultBeacon,
+        issues: [`points to ${logic}, but vaultImplementation is ${vault} in the registry`],
+      },
+      {
+        name: 'imuachainProxyAdmin',
+        address: proxyAdmin,
+        issues: [`is owned by ${deployer}, expected ${safe}`],
+      },
+      {
+        name: 'vaultImplementation',
+        address: vault,
+        issues: [`the runtime bytecode of ${vault} differs from Vault in ${outDir}`],
+      },
+    ]);
+
+    try {
+      await verifyNetwork(createRegistry(), 'imuachain', provider, { owners: [], outDir });
+      expect.fail('verification should have rejected');
+    } catch (error) {
+      expect(error.message).to.equal('No expected owner is known for imuachain, set it with --owner.');
+    }
+  });
+});
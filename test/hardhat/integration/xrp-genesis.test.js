@@ -365,10 +365,11 @@ describe('XRP Bootstrap Genesis Generation', function() {
       for (let j = 0; j < 2; j++) {
         const stakeIndex = i * 2 + j;
         mockStakes.push({
-          hash: `mock_xrp_tx_hash_${stakeIndex}`,
-          ledgerIndex: 1000000 + stakeIndex,
-          transactionIndex: stakeIndex,
-          xrpAddress: `0x${(stakeIndex + 1).toString(16).padStart(40, '0')}`, // Mock hex XRP address
+          txid: `mock_xrp_tx_hash_${stakeIndex}`,
+          blockHeight: 1000000 + stakeIndex,
+          txIndex: stakeIndex,
+          senderAddress: `0x${(stakeIndex + 1).toString(16).padStart(40, '0')}`, // Mock hex XRP address
+          stakerAddress: validators[i].address,
           imuachainAddress: validators[i].address,
           validatorAddress: validatorAddress,
           amount: TEST_CONFIG.MIN_AMOUNT * (j + 1), // Varying amounts
@@ -3,6 +3,7 @@ const ecc = require('tiny-secp256k1');
 const { ECPairFactory } = require('ecpair');
 const axios = require('axios');
 const { ethers } = require('hardhat');
+const { encodeStakeScript } = require('../../../script/bootstrap/op_return.js');
 
 const ECPair = ECPairFactory(ecc);
 
@@ -116,9 +117,14 @@ class BitcoinClient {
    * @param {string} vaultAddress - The vault address to stake to
    * @param {bigint} depositAmountSats - The amount to stake in satoshis
    * @param {string} validatorAddress - The validator address (optional)
+   * @param {Object} payload - The OP_RETURN payload options (optional)
+   * @param {number} payload.version - The payload version, 0 (default) for the fixed layout or 1
+   * @param {Array<{validatorAddress: string, basisPoints: number}>} payload.delegations - A split of
+   *   the stake between validators, instead of validatorAddress (v1)
+   * @param {string} payload.memo - A memo or referral code (v1)
    * @returns {Promise<string>} - The transaction ID
    */
-  async createStakingTransaction(stakerPrivateKey, vaultAddress, depositAmountSats, validatorAddress = null) {
+  async createStakingTransaction(stakerPrivateKey, vaultAddress, depositAmountSats, validatorAddress = null, payload = {}) {
     if (!stakerPrivateKey || !vaultAddress) {
       throw new Error('Required parameters are not set');
     }
@@ -188,16 +194,15 @@ class BitcoinClient {
       }
 
       // Add outputs
-      let opReturnData = evmAddress;
-      if (validatorAddress) {
-        opReturnData += Buffer.from(validatorAddress).toString('hex');
-      }
-
+      const { version = 0, delegations, memo } = payload;
       psbt.addOutput({
-        script: bitcoin.script.compile([
-          bitcoin.opcodes.OP_RETURN,
-          Buffer.from(opReturnData, 'hex')
-        ]),
+        script: encodeStakeScript({
+          version,
+          imuachainAddress: evmAddress,
+          validatorAddress: validatorAddress || undefined,
+          delegations,
+          memo
+        }),
         value: 0
       });
 